@@ -0,0 +1,88 @@
+// Auth
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { User, RevokedToken } = require('./models');
+const { httpError } = require('./errors');
+
+const ROLE_RANK = { customer: 1, staff: 2, manager: 3 };
+const TOKEN_TTL = process.env.JWT_EXPIRES_IN || '12h';
+
+const getJwtSecret = () => {
+  if (!process.env.JWT_SECRET) {
+    throw new Error('JWT_SECRET is not configured');
+  }
+  return process.env.JWT_SECRET;
+};
+
+const issueToken = (user) => jwt.sign(
+  { sub: user._id.toString(), role: user.role },
+  getJwtSecret(),
+  { expiresIn: TOKEN_TTL, jwtid: crypto.randomUUID() }
+);
+
+// Attach req.user when a valid bearer token is present. Requests without a
+// token continue anonymously; route guards decide whether that is allowed.
+// So do requests with an expired, revoked or malformed token, so a client holding
+// a stale one can still load public pages; the guards answer with why it failed.
+async function authenticate(req, res, next) {
+  let [scheme, token] = (req.headers.authorization || '').split(' ');
+
+  // EventSource can't send headers, so event streams may pass the token in the query string
+  if (!token && req.query.access_token && req.accepts('text/event-stream') === 'text/event-stream') {
+    scheme = 'Bearer';
+    token = String(req.query.access_token);
+  }
+
+  if (scheme !== 'Bearer' || !token) {
+    return next();
+  }
+
+  let payload;
+  try {
+    payload = jwt.verify(token, getJwtSecret());
+  } catch (error) {
+    req.authError = httpError(401, 'Invalid or expired token');
+    return next();
+  }
+
+  try {
+    if (await RevokedToken.exists({ jti: payload.jti })) {
+      req.authError = httpError(401, 'Token has been revoked');
+      return next();
+    }
+    const user = await User.findById(payload.sub);
+    if (!user) {
+      req.authError = httpError(401, 'Invalid or expired token');
+      return next();
+    }
+    req.user = user;
+    req.token = payload;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Roles are ranked, so hasRole(user, 'staff') is also true for managers
+const hasRole = (user, role) => Boolean(user) && ROLE_RANK[user.role] >= ROLE_RANK[role];
+
+// The role is read from the database rather than the token so demotions apply immediately.
+const requireRole = (role) => (req, res, next) => {
+  if (!req.user) {
+    return next(req.authError || httpError(401, 'Authentication required'));
+  }
+  if (!hasRole(req.user, role)) {
+    return next(httpError(403, 'Insufficient permissions'));
+  }
+  next();
+};
+
+const requireAuth = requireRole('customer');
+
+module.exports = {
+  issueToken,
+  authenticate,
+  hasRole,
+  requireRole,
+  requireAuth
+};
@@ -0,0 +1,243 @@
+// Session and account carts, priced from the menu and written with optimistic concurrency
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { Cart } = require('./models');
+const { httpError } = require('./errors');
+const { priceOrderItems } = require('./pricing');
+const { getStore } = require('./stores');
+
+const MAX_LINE_QUANTITY = 20;
+const MAX_CART_LINES = 30;
+
+// Cart lines in the shape priceOrderItems takes
+const cartOrderItems = (lines) => lines.map(line => ({
+  menuItemId: line.menuItemId,
+  quantity: line.quantity,
+  modifiers: line.modifiers.map(({ group, option }) => ({ group, option }))
+}));
+
+// The lines of a placed order in the same shape, keeping the name for lines that can't be added
+const orderCartItems = (order) => order.items.map(line => ({
+  menuItemId: line.menuItem,
+  name: line.name,
+  quantity: line.quantity,
+  modifiers: line.modifiers.map(({ group, option }) => ({ group, option }))
+}));
+
+// Lines with the same item and choices are one line
+const selectionKey = (line) =>
+  [String(line.menuItemId), ...line.modifiers.map(m => `${m.group}:${m.option}`)].join('|');
+
+// Names, prices and modifier order come from the cart's store's menu, never from the client
+async function pricedLines(cart, items) {
+  if (items.length === 0) {
+    return [];
+  }
+  const pricing = await priceOrderItems(items, await getStore(cart.store));
+  return pricing.items.map(line => ({
+    menuItemId: line.menuItem,
+    name: line.name,
+    modifiers: line.modifiers,
+    price: line.price,
+    quantity: line.quantity
+  }));
+}
+
+function checkLineQuantity(quantity) {
+  if (quantity > MAX_LINE_QUANTITY) {
+    const message = `You can order up to ${MAX_LINE_QUANTITY} of an item`;
+    throw httpError(400, message, { fields: { quantity: message } });
+  }
+}
+
+const newCart = (sessionId, user) => new Cart({ sessionId, user: user && user._id, items: [], version: 0 });
+
+// The session's cart, or a new one that isn't saved yet. A cart that belongs to an
+// account can only be used while signed in to it.
+async function findCart(sessionId, user) {
+  const cart = await Cart.findOne({ sessionId });
+  if (cart && cart.user && !(user && cart.user.equals(user._id))) {
+    throw httpError(403, 'This cart belongs to another account');
+  }
+  return cart || newCart(sessionId, user);
+}
+
+// The account's cart, wherever it was last used, or a new one under a fresh session id
+async function findAccountCart(user) {
+  return (await Cart.findOne({ user: user._id })) || newCart(crypto.randomUUID(), user);
+}
+
+// A write based on an older cart would undo whatever changed it since. The current
+// cart goes back with the error so the client can catch up and retry.
+const staleCart = (cart) => httpError(409, 'Your cart was changed somewhere else', {
+  code: 'stale_cart',
+  cart: cart.toJSON()
+});
+
+function checkCartVersion(cart, version) {
+  if (version !== undefined && version !== cart.version) {
+    throw staleCart(cart);
+  }
+}
+
+async function addCartLine(cart, item) {
+  const [line] = await pricedLines(cart, [item]);
+  const existing = cart.items.find(cartLine => selectionKey(cartLine) === selectionKey(line));
+  if (existing) {
+    checkLineQuantity(existing.quantity + line.quantity);
+    existing.set({ ...line, quantity: existing.quantity + line.quantity });
+    return existing;
+  }
+  if (cart.items.length >= MAX_CART_LINES) {
+    throw httpError(400, `A cart can hold up to ${MAX_CART_LINES} different items`);
+  }
+  cart.items.push(line);
+  return cart.items[cart.items.length - 1];
+}
+
+// Replace every line, merging any that repeat the same choices
+async function replaceCartLines(cart, items) {
+  const merged = new Map();
+  for (const line of await pricedLines(cart, items)) {
+    const key = selectionKey(line);
+    const quantity = merged.has(key) ? merged.get(key).quantity + line.quantity : line.quantity;
+    checkLineQuantity(quantity);
+    merged.set(key, { ...line, quantity });
+  }
+  if (merged.size > MAX_CART_LINES) {
+    throw httpError(400, `A cart can hold up to ${MAX_CART_LINES} different items`);
+  }
+  cart.items = [...merged.values()];
+}
+
+// Add lines one at a time, leaving out the ones that can't be ordered any more rather
+// than refusing them all, and capping quantities at the limits. Returns what was left out.
+async function addAvailableLines(cart, items) {
+  const skipped = [];
+  for (const item of items) {
+    let line;
+    try {
+      [line] = await pricedLines(cart, [{ ...item, quantity: Math.min(item.quantity, MAX_LINE_QUANTITY) }]);
+    } catch (error) {
+      if (!error.extra || !error.extra.problems) {
+        throw error;
+      }
+      skipped.push({ menuItemId: item.menuItemId, name: item.name, reason: error.extra.problems[0].reason });
+      continue;
+    }
+
+    const existing = cart.items.find(cartLine => selectionKey(cartLine) === selectionKey(line));
+    if (existing) {
+      existing.set({ ...line, quantity: Math.min(existing.quantity + line.quantity, MAX_LINE_QUANTITY) });
+    } else if (cart.items.length < MAX_CART_LINES) {
+      cart.items.push(line);
+    } else {
+      skipped.push({ menuItemId: item.menuItemId, name: line.name, reason: 'Your cart is full' });
+    }
+  }
+  return skipped;
+}
+
+// Price the cart for another store. Lines that store doesn't sell are taken out and returned.
+async function moveCartToStore(cart, store) {
+  if (cart.store === store.key) {
+    return [];
+  }
+  const lines = cart.items.map(line => ({
+    menuItemId: line.menuItemId,
+    name: line.name,
+    quantity: line.quantity,
+    modifiers: line.modifiers.map(({ group, option }) => ({ group, option }))
+  }));
+  cart.store = store.key;
+  cart.items = [];
+  return addAvailableLines(cart, lines);
+}
+
+function findCartLine(cart, lineId) {
+  const line = cart.items.id(lineId);
+  if (!line) {
+    throw httpError(404, 'Cart line not found');
+  }
+  return line;
+}
+
+// Saving bumps the version; losing a race to another tab is reported like any stale write.
+// A cart is only stored once something is in it or a store was picked for it, so visitors
+// who never do either leave nothing behind.
+async function saveCart(cart) {
+  const created = cart.isNew;
+  if (created && cart.items.length === 0 && !cart.store) {
+    return cart;
+  }
+  cart.lastUpdated = Date.now();
+  try {
+    await cart.save();
+  } catch (error) {
+    if (error instanceof mongoose.Error.VersionError || (error.code === 11000 && created)) {
+      throw staleCart((await Cart.findOne({ sessionId: cart.sessionId })) || newCart(cart.sessionId, { _id: cart.user }));
+    }
+    throw error;
+  }
+  return cart;
+}
+
+// The store a cart was for, or the first open one if that store has closed since
+async function openCartStore(key) {
+  try {
+    return await getStore(key);
+  } catch (error) {
+    if (error.status !== 404) {
+      throw error;
+    }
+    return getStore();
+  }
+}
+
+// On sign-in the anonymous session's cart joins the account's cart, which the client
+// should use from then on. Lines that can no longer be ordered are dropped on the way.
+async function claimCart(sessionId, user) {
+  let sessionCart = sessionId ? await Cart.findOne({ sessionId }) : null;
+  if (sessionCart && sessionCart.user) {
+    sessionCart = null;
+  }
+
+  const accountCart = await Cart.findOne({ user: user._id });
+  if (!accountCart) {
+    if (sessionCart) {
+      sessionCart.user = user._id;
+      return saveCart(sessionCart);
+    }
+    return newCart(sessionId || crypto.randomUUID(), user);
+  }
+
+  if (sessionCart) {
+    // The store picked in this browser wins
+    const storeKey = sessionCart.store || accountCart.store;
+    if (storeKey) {
+      await moveCartToStore(accountCart, await openCartStore(storeKey));
+    }
+    await addAvailableLines(accountCart, cartOrderItems(sessionCart.items));
+    accountCart.promoCode = accountCart.promoCode || sessionCart.promoCode;
+    await saveCart(accountCart);
+    await sessionCart.deleteOne();
+  }
+  return accountCart;
+}
+
+module.exports = {
+  MAX_LINE_QUANTITY,
+  MAX_CART_LINES,
+  cartOrderItems,
+  orderCartItems,
+  findCart,
+  findAccountCart,
+  checkCartVersion,
+  addCartLine,
+  replaceCartLines,
+  addAvailableLines,
+  moveCartToStore,
+  findCartLine,
+  saveCart,
+  claimCart
+};
@@ -0,0 +1,28 @@
+// MongoDB connection with caching for serverless
+const mongoose = require('mongoose');
+
+let cachedConnection = null;
+
+async function connectToDatabase() {
+  if (cachedConnection) {
+    return cachedConnection;
+  }
+
+  try {
+    const connection = await mongoose.connect(process.env.MONGODB_URI, {
+      serverSelectionTimeoutMS: 30000,
+      socketTimeoutMS: 45000,
+    });
+    
+    cachedConnection = connection;
+    console.log('✅ Connected to MongoDB');
+    return connection;
+  } catch (error) {
+    console.error('❌ MongoDB connection error:', error);
+    throw error;
+  }
+}
+
+module.exports = {
+  connectToDatabase
+};
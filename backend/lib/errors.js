@@ -0,0 +1,78 @@
+// Errors carrying an HTTP status, and the final handler that turns any error into
+// the API's error envelope: { error: { code, message, fields?, ...extra } }
+const mongoose = require('mongoose');
+
+const STATUS_CODES = {
+  400: 'bad_request',
+  401: 'unauthorized',
+  402: 'payment_required',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict',
+  500: 'internal_error'
+};
+
+// `extra` is sent along with the code and message; pass `code` in it to override the
+// default for the status. Field errors make a 400 a validation failure.
+const httpError = (status, message, { code, ...extra } = {}) => {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code || (extra.fields ? 'validation_failed' : STATUS_CODES[status] || 'error');
+  error.extra = extra;
+  return error;
+};
+
+// Errors from Mongoose, the driver and body parsing that are the client's fault
+function fromKnownError(err) {
+  if (err instanceof mongoose.Error.ValidationError) {
+    const fields = {};
+    Object.values(err.errors).forEach(fieldError => {
+      fields[fieldError.path] = fieldError.kind === 'ObjectId' ? 'Must be a valid id' : fieldError.message;
+    });
+    return httpError(400, 'Invalid request', { fields });
+  }
+  if (err instanceof mongoose.Error.CastError) {
+    return err.kind === 'ObjectId'
+      ? httpError(400, 'Malformed id', { code: 'invalid_id', fields: { [err.path]: 'Must be a valid id' } })
+      : httpError(400, 'Invalid request', { fields: { [err.path]: `Must be a valid ${err.kind}` } });
+  }
+  if (err.code === 11000) {
+    const field = Object.keys(err.keyValue || {})[0];
+    return httpError(409, field ? `A record with that ${field} already exists` : 'Duplicate record');
+  }
+  if (err.type === 'entity.parse.failed') {
+    return httpError(400, 'Request body is not valid JSON', { code: 'invalid_json' });
+  }
+  // e.g. an oversized body
+  if (err.expose && err.status >= 400 && err.status < 500) {
+    return httpError(err.status, err.message);
+  }
+  return null;
+}
+
+// Unexpected errors are logged and reported as a bare 500; the stack is only
+// included in development so driver and query details never reach clients.
+function errorHandler(err, req, res, next) {
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  const known = err.status && err.code && typeof err.code === 'string' ? err : fromKnownError(err);
+  if (known) {
+    return res.status(known.status).json({
+      error: { code: known.code, message: known.message, ...known.extra }
+    });
+  }
+
+  console.error(err.stack);
+  const error = { code: 'internal_error', message: 'Something went wrong' };
+  if (process.env.NODE_ENV === 'development') {
+    error.details = err.stack;
+  }
+  res.status(500).json({ error });
+}
+
+module.exports = {
+  httpError,
+  errorHandler
+};
@@ -0,0 +1,66 @@
+// Idempotency keys, so clients can retry a request without repeating its effect
+const crypto = require('crypto');
+const { httpError } = require('./errors');
+const { findCart } = require('./cart');
+
+const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+const MAX_KEY_LENGTH = 255;
+
+// Clients only keep their own keys unique, so a key is stored under whoever sent it: the
+// signed-in user, or else the guest cart session the request is for. A session id is the
+// guest's secret, and findCart refuses one whose cart belongs to an account, so a key is
+// only ever replayed to the caller that first sent it. Null when there is no caller to
+// scope it to.
+async function callerScope(req) {
+  if (req.user) {
+    return `user:${req.user._id}`;
+  }
+  const sessionId = req.body && req.body.sessionId;
+  if (!sessionId) {
+    return null;
+  }
+  await findCart(sessionId, req.user);
+  return `session:${sessionId}`;
+}
+
+// The key the client sent with this request, if any, under the caller's scope
+async function idempotencyKey(req) {
+  const key = req.get(IDEMPOTENCY_HEADER);
+  if (key === undefined) {
+    return undefined;
+  }
+  if (!key.trim() || key.length > MAX_KEY_LENGTH) {
+    const message = `${IDEMPOTENCY_HEADER} must be 1 to ${MAX_KEY_LENGTH} characters`;
+    throw httpError(400, message, { fields: { [IDEMPOTENCY_HEADER]: message } });
+  }
+
+  const scope = await callerScope(req);
+  if (!scope) {
+    const message = `${IDEMPOTENCY_HEADER} needs a sessionId or a signed-in user`;
+    throw httpError(400, message, { fields: { [IDEMPOTENCY_HEADER]: message } });
+  }
+  return `${scope}:${key}`;
+}
+
+// Validation rebuilds the body in schema order, so the same request hashes the same
+// way however the client ordered its keys
+const requestHash = (body) => crypto.createHash('sha256').update(JSON.stringify(body)).digest('hex');
+
+// The document an earlier request with this key created, or null. Reusing a key for a
+// different request is a client bug rather than a retry, so that's a conflict.
+async function findIdempotentResult(Model, key, hash) {
+  const existing = await Model.findOne({ idempotencyKey: key });
+  if (existing && existing.requestHash !== hash) {
+    throw httpError(409, `This ${IDEMPOTENCY_HEADER} was already used for a different request`, {
+      code: 'idempotency_key_reused'
+    });
+  }
+  return existing;
+}
+
+module.exports = {
+  IDEMPOTENCY_HEADER,
+  idempotencyKey,
+  requestHash,
+  findIdempotentResult
+};
@@ -0,0 +1,123 @@
+// Ingredient stock and recipes
+const { MenuItem, Ingredient } = require('./models');
+const { httpError } = require('./errors');
+
+const roundQuantity = (quantity) => Math.round(quantity * 1000) / 1000;
+
+// Ingredients used by one unit of a menu item with the given modifiers, keyed by ingredient id
+function recipeUsage(menuItem, modifiers = []) {
+  const usage = new Map();
+  const add = (line) => {
+    const id = line.ingredient.toString();
+    usage.set(id, (usage.get(id) || 0) + line.quantity);
+  };
+
+  menuItem.recipe.forEach(add);
+  for (const choice of modifiers) {
+    const group = menuItem.modifierGroups.find(g => g.name === choice.group);
+    const option = group && group.options.find(o => o.name === choice.option);
+    if (option) {
+      option.recipe.forEach(add);
+    }
+  }
+
+  // "No cheese" can take cheese out, but never below none
+  for (const [id, quantity] of usage) {
+    usage.set(id, Math.max(0, quantity));
+  }
+  return usage;
+}
+
+// Add up per-unit usage across lines into recipe lines, leaving out anything unused
+function totalUsage(lines) {
+  const totals = new Map();
+  for (const { usage, quantity } of lines) {
+    for (const [id, amount] of usage) {
+      totals.set(id, (totals.get(id) || 0) + amount * quantity);
+    }
+  }
+  return [...totals]
+    .filter(([, quantity]) => quantity > 0)
+    .map(([ingredient, quantity]) => ({ ingredient, quantity: roundQuantity(quantity) }));
+}
+
+// Stock needed to make an order's items with their current recipes
+async function orderStockUsage(order) {
+  const menuItems = await MenuItem.find({ _id: { $in: order.items.map(item => item.menuItem) } });
+  const menuById = new Map(menuItems.map(menuItem => [menuItem._id.toString(), menuItem]));
+
+  return totalUsage(order.items
+    .filter(item => menuById.has(String(item.menuItem)))
+    .map(item => ({
+      usage: recipeUsage(menuById.get(String(item.menuItem)), item.modifiers),
+      quantity: item.quantity
+    })));
+}
+
+// The ingredients in `usage` that there isn't enough of
+async function findShortages(usage) {
+  if (usage.length === 0) {
+    return [];
+  }
+  const ingredients = await Ingredient.find({ _id: { $in: usage.map(line => line.ingredient) } });
+  const byId = new Map(ingredients.map(ingredient => [ingredient._id.toString(), ingredient]));
+
+  return usage
+    .map(line => {
+      const ingredient = byId.get(String(line.ingredient));
+      return {
+        ingredient: String(line.ingredient),
+        name: ingredient ? ingredient.name : 'Unknown ingredient',
+        unit: ingredient && ingredient.unit,
+        needed: line.quantity,
+        available: ingredient ? ingredient.stock : 0
+      };
+    })
+    .filter(shortage => shortage.available < shortage.needed);
+}
+
+const restoreStock = (usage) => Promise.all(usage.map(line =>
+  Ingredient.updateOne({ _id: line.ingredient }, { $inc: { stock: line.quantity } })
+));
+
+// Take the usage out of stock. Each decrement only applies if there is enough left,
+// and if any ingredient comes up short the ones already taken are put back.
+async function deductStock(usage) {
+  const taken = [];
+  for (const line of usage) {
+    const updated = await Ingredient.findOneAndUpdate(
+      { _id: line.ingredient, stock: { $gte: line.quantity } },
+      { $inc: { stock: -line.quantity } }
+    );
+    if (!updated) {
+      await restoreStock(taken);
+      throw httpError(409, 'Not enough stock to confirm this order', {
+        shortages: await findShortages(usage)
+      });
+    }
+    taken.push(line);
+  }
+}
+
+// Menu items matching the filter that can be made from current stock
+async function inStockMenuItems(filter, sort = {}) {
+  const [items, ingredients] = await Promise.all([
+    MenuItem.find(filter).sort(sort),
+    Ingredient.find({}, 'stock')
+  ]);
+  const stock = new Map(ingredients.map(ingredient => [ingredient._id.toString(), ingredient.stock]));
+
+  return items.filter(item =>
+    [...recipeUsage(item)].every(([id, quantity]) => quantity <= (stock.get(id) || 0))
+  );
+}
+
+module.exports = {
+  recipeUsage,
+  totalUsage,
+  orderStockUsage,
+  findShortages,
+  restoreStock,
+  deductStock,
+  inStockMenuItems
+};
@@ -0,0 +1,157 @@
+// Listing filters and pagination
+const mongoose = require('mongoose');
+const { Order } = require('./models');
+const { DATE_PATTERN, zonedTimeToDate, addDays } = require('./storeHours');
+const { getStore, storeMenuFilter, storeScope } = require('./stores');
+const { z, queryInteger } = require('./validation');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Cursors are opaque to clients: the sort key of the last item on the previous page
+const encodeCursor = (order) => Buffer
+  .from(JSON.stringify({ orderDate: order.orderDate.toISOString(), id: order._id.toString() }))
+  .toString('base64url');
+
+function decodeCursor(cursor) {
+  try {
+    const { orderDate, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    const date = new Date(orderDate);
+    if (!Number.isNaN(date.getTime()) && mongoose.isValidObjectId(id)) {
+      return { orderDate: date, id: new mongoose.Types.ObjectId(id) };
+    }
+  } catch (error) {
+    // not a cursor we handed out
+  }
+  return null;
+}
+
+const pageSizeMessage = `Must be from 1 to ${MAX_PAGE_SIZE}`;
+
+// ?cursor= and ?limit= for order listings. The cursor arrives decoded, as the sort key
+// of the last order on the previous page.
+const pageQuery = z.object({
+  cursor: z.string()
+    .transform((value, ctx) => {
+      const after = decodeCursor(value);
+      if (!after) {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, message: 'Invalid cursor' });
+        return z.NEVER;
+      }
+      return after;
+    })
+    .optional()
+    .openapi({ description: '`paging.nextCursor` from the previous page' }),
+  limit: queryInteger().min(1, pageSizeMessage).max(MAX_PAGE_SIZE, pageSizeMessage).default(DEFAULT_PAGE_SIZE)
+});
+
+// A YYYY-MM-DD date is a whole store-local day; anything else is a full timestamp
+function parseDateBound(value, store, endOfDay) {
+  if (DATE_PATTERN.test(value)) {
+    return zonedTimeToDate(endOfDay ? addDays(value, 1) : value, 0, store.timezone);
+  }
+  return new Date(value);
+}
+
+// Mongo filter for GET /orders from its validated query (see ordersQuery in routes/orders.js),
+// limited to the stores the user works at
+async function buildOrderFilter(query, user) {
+  const filter = {};
+
+  const scope = storeScope(user, query.store);
+  if (scope) {
+    filter.store = scope;
+  }
+
+  if (query.status && query.status.length > 0) {
+    filter.status = { $in: query.status };
+  }
+
+  if (query.from || query.to) {
+    const store = await getStore(query.store);
+    filter.orderDate = {};
+    if (query.from) {
+      filter.orderDate.$gte = parseDateBound(query.from, store, false);
+    }
+    if (query.to) {
+      // A bare date includes the whole day, a timestamp is an exact upper bound
+      filter.orderDate[DATE_PATTERN.test(query.to) ? '$lt' : '$lte'] = parseDateBound(query.to, store, true);
+    }
+  }
+
+  if (query.phone) {
+    filter['customerInfo.phone'] = query.phone;
+  }
+  if (query.email) {
+    filter['customerInfo.email'] = query.email;
+  }
+  if (query.number) {
+    filter.orderNumber = query.number;
+  }
+
+  if (query.minTotal !== undefined || query.maxTotal !== undefined) {
+    filter.totalPrice = {};
+    if (query.minTotal !== undefined) {
+      filter.totalPrice.$gte = query.minTotal;
+    }
+    if (query.maxTotal !== undefined) {
+      filter.totalPrice.$lte = query.maxTotal;
+    }
+  }
+
+  return filter;
+}
+
+// One page of orders, newest first, with the cursor for the next page. `after` is the
+// decoded cursor from pageQuery.
+async function paginateOrders(filter, { cursor: after, limit }) {
+  const conditions = [filter];
+  if (after) {
+    conditions.push({
+      $or: [
+        { orderDate: { $lt: after.orderDate } },
+        { orderDate: after.orderDate, _id: { $lt: after.id } }
+      ]
+    });
+  }
+
+  // Fetch one extra to tell whether there is another page
+  const orders = await Order
+    .find(conditions.length > 1 ? { $and: conditions } : filter)
+    .sort({ orderDate: -1, _id: -1 })
+    .limit(limit + 1);
+  const hasMore = orders.length > limit;
+  const data = orders.slice(0, limit);
+
+  return {
+    data,
+    paging: {
+      limit,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(data[data.length - 1]) : null
+    }
+  };
+}
+
+// Mongo filter and sort for GET /menu at a store: ?category=a,b and ?q= full-text search
+function buildMenuQuery(query, storeKey) {
+  const filter = { available: true, ...storeMenuFilter(storeKey) };
+  let sort = {};
+
+  if (query.category) {
+    filter.category = { $in: String(query.category).split(',').map(category => category.trim()) };
+  }
+  if (query.q && String(query.q).trim()) {
+    filter.$text = { $search: String(query.q).trim() };
+    sort = { score: { $meta: 'textScore' } };
+  }
+
+  return { filter, sort };
+}
+
+module.exports = {
+  pageQuery,
+  buildOrderFilter,
+  paginateOrders,
+  buildMenuQuery
+};
@@ -0,0 +1,341 @@
+// Menu files: the whole menu as JSON or CSV, so it can be versioned in git and loaded
+// into any database. Items are matched by `key` rather than by id, and recipes name
+// their ingredients, because ids differ from one database to the next. Store prices and
+// availability go by store key; an item that lists none keeps the ones it has.
+const { MenuItem, Ingredient } = require('./models');
+const { z, storeKey } = require('./validation');
+const { toCsv, parseCsv } = require('./csv');
+
+const MENU_FORMATS = ['json', 'csv'];
+
+// One row per item in CSV; modifier groups, recipes and store overrides are JSON inside their cell
+const MENU_FIELDS = [
+  'key', 'name', 'description', 'price', 'category', 'available', 'imageUrl', 'modifierGroups', 'recipe', 'storeOverrides'
+];
+const NESTED_FIELDS = ['modifierGroups', 'recipe', 'storeOverrides'];
+
+// "Double-Double Burger" -> "double-double-burger"
+const menuKey = (name) => name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+
+const recipe = z.array(z.object({
+  ingredient: z.string().trim().min(1, 'Ingredient name is required'),
+  quantity: z.number()
+}).strict()).default([]);
+
+// Defaults match the model's, so a file and the database compare equal when they
+// describe the same item. Unknown fields are reported rather than dropped, to catch typos.
+const menuFileItem = z.object({
+  key: z.string({ required_error: 'Key is required' })
+    .regex(/^[a-z0-9]+(-[a-z0-9]+)*$/, 'Keys are lowercase letters and digits joined by dashes'),
+  name: z.string({ required_error: 'Name is required' }).trim().min(1, 'Name is required'),
+  description: z.string({ required_error: 'Description is required' }).trim().min(1, 'Description is required'),
+  price: z.number({ required_error: 'Price is required' }).nonnegative('Price cannot be negative'),
+  category: z.string().trim().min(1).default('main'),
+  available: z.boolean().default(true),
+  imageUrl: z.union([z.string().url('Image URL must be a valid URL'), z.literal('')]).optional()
+    .transform(url => url || undefined),
+  modifierGroups: z.array(z.object({
+    name: z.string().trim().min(1),
+    selection: z.enum(['single', 'multi']).default('single'),
+    min: z.number().int().min(0).default(0),
+    max: z.number().int().min(1).default(1),
+    options: z.array(z.object({
+      name: z.string().trim().min(1),
+      priceDelta: z.number().default(0),
+      default: z.boolean().default(false),
+      recipe
+    }).strict())
+  }).strict()).default([]),
+  recipe,
+  // Left out, the item's store overrides stay as they are; [] clears them
+  storeOverrides: z.array(z.object({
+    store: storeKey,
+    available: z.boolean().optional(),
+    price: z.number().nonnegative('Price cannot be negative').optional()
+  }).strict()).optional()
+}).strict();
+
+function menuFormat(file) {
+  const format = file.split('.').pop().toLowerCase();
+  if (!MENU_FORMATS.includes(format)) {
+    throw new Error('Menu files must end in .json or .csv');
+  }
+  return format;
+}
+
+const namedRecipe = (lines, ingredientNames) => lines.map(line => ({
+  ingredient: ingredientNames.get(String(line.ingredient)) || String(line.ingredient),
+  quantity: line.quantity
+}));
+
+// A menu item as it appears in a file, with its fields in the same order as menuFileItem
+const toMenuFileItem = (item, key, ingredientNames) => ({
+  key,
+  name: item.name,
+  description: item.description,
+  price: item.price,
+  category: item.category,
+  available: item.available,
+  imageUrl: item.imageUrl || undefined,
+  modifierGroups: item.modifierGroups.map(group => ({
+    name: group.name,
+    selection: group.selection,
+    min: group.min,
+    max: group.max,
+    options: group.options.map(option => ({
+      name: option.name,
+      priceDelta: option.priceDelta,
+      default: option.default,
+      recipe: namedRecipe(option.recipe, ingredientNames)
+    }))
+  })),
+  recipe: namedRecipe(item.recipe, ingredientNames),
+  storeOverrides: item.storeOverrides.length > 0
+    ? item.storeOverrides.map(override => ({ store: override.store, available: override.available, price: override.price }))
+    : undefined
+});
+
+async function loadMenu() {
+  const [items, ingredients] = await Promise.all([MenuItem.find(), Ingredient.find()]);
+  return {
+    items,
+    ingredientIds: new Map(ingredients.map(ingredient => [ingredient.name, ingredient._id])),
+    ingredientNames: new Map(ingredients.map(ingredient => [String(ingredient._id), ingredient.name]))
+  };
+}
+
+// The whole menu sorted by category and key. Items added through the API have no key
+// yet, so they get one from their name; importing the file then adopts them by name.
+async function exportMenu(format = 'json') {
+  const { items, ingredientNames } = await loadMenu();
+  const taken = new Set(items.map(item => item.key).filter(Boolean));
+  const keyFor = (item) => {
+    if (item.key) {
+      return item.key;
+    }
+    const base = menuKey(item.name) || 'item';
+    let key = base;
+    for (let n = 2; taken.has(key); n++) {
+      key = `${base}-${n}`;
+    }
+    taken.add(key);
+    return key;
+  };
+
+  const fileItems = items
+    .map(item => toMenuFileItem(item, keyFor(item), ingredientNames))
+    .sort((a, b) => a.category.localeCompare(b.category) || a.key.localeCompare(b.key));
+
+  if (format === 'csv') {
+    return toCsv([
+      MENU_FIELDS,
+      ...fileItems.map(item => MENU_FIELDS.map(field => (
+        NESTED_FIELDS.includes(field) ? (item[field] && item[field].length > 0 ? JSON.stringify(item[field]) : '') : item[field]
+      )))
+    ]);
+  }
+  return JSON.stringify(fileItems, null, 2) + '\n';
+}
+
+// CSV cells are all text, so numbers, booleans and nested JSON are converted back here.
+// Anything that doesn't convert is passed on as text for validation to report.
+function fromCsvRow(header, cells, item, problems) {
+  const raw = {};
+  header.forEach((field, index) => {
+    const cell = (cells[index] || '').trim();
+    if (cell === '') {
+      return;
+    }
+    if (field === 'price') {
+      raw.price = Number.isNaN(Number(cell)) ? cell : Number(cell);
+    } else if (field === 'available') {
+      raw.available = ['true', 'false'].includes(cell.toLowerCase()) ? cell.toLowerCase() === 'true' : cell;
+    } else if (NESTED_FIELDS.includes(field)) {
+      try {
+        raw[field] = JSON.parse(cell);
+      } catch (error) {
+        problems.push({ item, key: raw.key, field, message: 'Must be JSON' });
+      }
+    } else {
+      raw[field] = cell;
+    }
+  });
+  return raw;
+}
+
+// Raw items from a file, plus any problems reading it
+function readMenuFile(text, format) {
+  const problems = [];
+
+  if (format === 'json') {
+    let items;
+    try {
+      items = JSON.parse(text);
+    } catch (error) {
+      return { items: [], problems: [{ message: `Not valid JSON: ${error.message}` }] };
+    }
+    if (!Array.isArray(items)) {
+      return { items: [], problems: [{ message: 'A JSON menu file is an array of items' }] };
+    }
+    return { items, problems };
+  }
+
+  const [header = [], ...rows] = parseCsv(text);
+  const unknown = header.filter(column => !MENU_FIELDS.includes(column));
+  if (unknown.length > 0) {
+    problems.push({ message: `Unknown columns: ${unknown.join(', ')}` });
+  }
+  if (!header.includes('key')) {
+    problems.push({ message: 'The first row must name the columns, including key' });
+  }
+  if (problems.length > 0) {
+    return { items: [], problems };
+  }
+  return { items: rows.map((cells, index) => fromCsvRow(header, cells, index + 1, problems)), problems };
+}
+
+// Check every item, every key is used once and every recipe names a known ingredient.
+// Items are numbered from 1, as in the file.
+function validateMenuItems(rawItems, ingredientIds) {
+  const items = [];
+  const problems = [];
+  const seen = new Set();
+
+  rawItems.forEach((raw, index) => {
+    const item = index + 1;
+    const key = raw && raw.key;
+    const result = menuFileItem.safeParse(raw);
+    if (!result.success) {
+      for (const issue of result.error.issues) {
+        problems.push({ item, key, field: issue.path.join('.') || undefined, message: issue.message });
+      }
+      return;
+    }
+
+    if (seen.has(key)) {
+      problems.push({ item, key, field: 'key', message: 'Another item already uses this key' });
+    }
+    seen.add(key);
+
+    const recipes = [result.data.recipe, ...result.data.modifierGroups.flatMap(group => group.options.map(option => option.recipe))];
+    for (const line of recipes.flat()) {
+      if (!ingredientIds.has(line.ingredient)) {
+        problems.push({ item, key, field: 'recipe', message: `Unknown ingredient "${line.ingredient}"` });
+      }
+    }
+    items.push(result.data);
+  });
+
+  return { items, problems };
+}
+
+// File item -> model fields, with recipe ingredients as ids
+function toModelValues(item, ingredientIds) {
+  const withIds = (lines) => lines.map(line => ({ ingredient: ingredientIds.get(line.ingredient), quantity: line.quantity }));
+  return {
+    ...item,
+    modifierGroups: item.modifierGroups.map(group => ({
+      ...group,
+      options: group.options.map(option => ({ ...option, recipe: withIds(option.recipe) }))
+    })),
+    recipe: withIds(item.recipe)
+  };
+}
+
+// Bring the database in line with the file. Items are matched by key, or by name for
+// items that don't have a key yet, and only the fields that differ are written. Items
+// missing from the file are kept unless `prune` is set, and the `keep` fields are only
+// set on items the import adds. Nothing is written when any item has a problem, or on a
+// dry run.
+async function importMenu(rawItems, { dryRun = false, prune = false, keep = [] } = {}) {
+  const { items: existing, ingredientIds, ingredientNames } = await loadMenu();
+  const { items, problems } = validateMenuItems(rawItems, ingredientIds);
+  const report = { created: [], updated: [], unchanged: [], removed: [], problems, applied: false };
+  if (problems.length > 0) {
+    return report;
+  }
+
+  const byKey = new Map(existing.filter(current => current.key).map(current => [current.key, current]));
+  const matched = new Set();
+  const operations = [];
+
+  for (const item of items) {
+    const current = byKey.get(item.key)
+      || existing.find(candidate => !candidate.key && !matched.has(candidate) && candidate.name === item.name);
+    const values = toModelValues(item, ingredientIds);
+
+    if (!current) {
+      report.created.push({ key: item.key, name: item.name });
+      operations.push({ insertOne: { document: values } });
+      continue;
+    }
+    matched.add(current);
+
+    const before = toMenuFileItem(current, current.key, ingredientNames);
+    const fields = MENU_FIELDS.filter(field => !keep.includes(field)).filter(field => (
+      field === 'storeOverrides'
+        ? item.storeOverrides !== undefined && JSON.stringify(before.storeOverrides || []) !== JSON.stringify(item.storeOverrides)
+        : JSON.stringify(before[field]) !== JSON.stringify(item[field])
+    ));
+    if (fields.length === 0) {
+      report.unchanged.push({ key: item.key, name: item.name });
+      continue;
+    }
+
+    report.updated.push({ key: item.key, name: item.name, fields });
+    const update = {};
+    for (const field of fields) {
+      const operator = values[field] === undefined ? '$unset' : '$set';
+      update[operator] = { ...update[operator], [field]: values[field] === undefined ? '' : values[field] };
+    }
+    operations.push({ updateOne: { filter: { _id: current._id }, update } });
+  }
+
+  if (prune) {
+    for (const current of existing.filter(candidate => !matched.has(candidate))) {
+      report.removed.push({ key: current.key, name: current.name });
+      operations.push({ deleteOne: { filter: { _id: current._id } } });
+    }
+  }
+
+  if (!dryRun && operations.length > 0) {
+    await MenuItem.bulkWrite(operations);
+  }
+  report.applied = !dryRun;
+  return report;
+}
+
+// The import report as lines of text for the command line
+function describeImport(report, { dryRun = false } = {}) {
+  if (report.problems.length > 0) {
+    return [
+      `✗ ${report.problems.length} problem${report.problems.length === 1 ? '' : 's'}, nothing was imported:`,
+      ...report.problems.map(problem => {
+        const where = problem.item ? `item ${problem.item}${problem.key ? ` (${problem.key})` : ''}` : 'file';
+        return `  ${where}${problem.field ? ` ${problem.field}` : ''}: ${problem.message}`;
+      })
+    ].join('\n');
+  }
+
+  const counts = dryRun
+    ? [`${report.created.length} to add`, `${report.updated.length} to update`, `${report.removed.length} to remove`]
+    : [`${report.created.length} added`, `${report.updated.length} updated`, `${report.removed.length} removed`];
+  counts.splice(2, 0, `${report.unchanged.length} unchanged`);
+  return [
+    dryRun ? `Dry run, nothing was written: ${counts.join(', ')}` : `✅ Menu imported: ${counts.join(', ')}`,
+    ...report.created.map(item => `  + ${item.key} (${item.name})`),
+    ...report.updated.map(item => `  ~ ${item.key}: ${item.fields.join(', ')}`),
+    ...report.removed.map(item => `  - ${item.key || '(no key)'} (${item.name})`)
+  ].join('\n');
+}
+
+module.exports = {
+  MENU_FORMATS,
+  menuKey,
+  menuFormat,
+  exportMenu,
+  readMenuFile,
+  validateMenuItems,
+  importMenu,
+  describeImport
+};
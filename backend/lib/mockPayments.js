@@ -0,0 +1,121 @@
+// A payment provider that runs entirely in-process, for development and tests. It
+// implements the same interface as a real provider (see lib/payments.js), decides the
+// outcome from the card number like a sandbox would, and signs its webhooks the same
+// way a real one is verified.
+const crypto = require('crypto');
+const { httpError } = require('./errors');
+
+// Test cards. Any other number that passes the Luhn check is charged successfully.
+const MOCK_CARDS = {
+  success: '4242424242424242',
+  declined: '4000000000000002',
+  insufficientFunds: '4000000000009995',
+  expired: '4000000000000069',
+  refundFails: '4000000000005126'
+};
+
+const DECLINES = {
+  [MOCK_CARDS.declined]: { failureCode: 'card_declined', failureMessage: 'Your card was declined' },
+  [MOCK_CARDS.insufficientFunds]: { failureCode: 'insufficient_funds', failureMessage: 'Your card has insufficient funds' },
+  [MOCK_CARDS.expired]: { failureCode: 'expired_card', failureMessage: 'Your card has expired' }
+};
+
+// Webhooks older than this are refused, so a captured request can't be replayed later
+const WEBHOOK_TOLERANCE_SECONDS = 5 * 60;
+
+const mockId = (prefix) => `${prefix}_mock_${crypto.randomBytes(12).toString('hex')}`;
+
+const passesLuhn = (number) => {
+  let sum = 0;
+  [...number].reverse().forEach((digit, index) => {
+    const value = Number(digit) * (index % 2 === 1 ? 2 : 1);
+    sum += value > 9 ? value - 9 : value;
+  });
+  return sum % 10 === 0;
+};
+
+// Nothing is kept between calls: the outcome depends only on the card, so the mock
+// behaves the same across serverless instances. The card a charge used is carried
+// in its reference so a refund can fail for the refundFails card.
+function createMockPaymentProvider({ webhookSecret, deliver } = {}) {
+  if (!webhookSecret) {
+    throw new Error('The mock payment provider needs a webhook secret');
+  }
+
+  const sign = (timestamp, body) => crypto
+    .createHmac('sha256', webhookSecret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+
+  // Header value for a webhook body, in the form t=<unix seconds>,v1=<hex HMAC-SHA256>
+  const signWebhook = (body, timestamp = Math.floor(Date.now() / 1000)) => `t=${timestamp},v1=${sign(timestamp, body)}`;
+
+  // Hand each result to `deliver` as a signed webhook, as a hosted provider would POST it
+  const notify = (result) => {
+    if (deliver) {
+      const body = JSON.stringify({ id: mockId('evt'), type: `${result.kind}.${result.status}`, data: result });
+      deliver({ body, signature: signWebhook(body) });
+    }
+    return result;
+  };
+
+  return {
+    name: 'mock',
+    signWebhook,
+
+    async createIntent({ amount, currency }) {
+      return { id: mockId('pi'), amount, currency };
+    },
+
+    async confirmIntent(intentId, { amount, paymentMethod }) {
+      const card = String(paymentMethod || '').replace(/[\s-]/g, '');
+      const decline = !/^\d{12,19}$/.test(card) || !passesLuhn(card)
+        ? { failureCode: 'incorrect_number', failureMessage: 'Your card number is incorrect' }
+        : DECLINES[card];
+      return notify({
+        kind: 'charge',
+        intentId,
+        reference: `${mockId('ch')}_${card.slice(-4)}`,
+        amount,
+        status: decline ? 'failed' : 'succeeded',
+        ...decline
+      });
+    },
+
+    async refund(intentId, { amount, charge }) {
+      const fails = charge.endsWith(`_${MOCK_CARDS.refundFails.slice(-4)}`);
+      return notify({
+        kind: 'refund',
+        intentId,
+        reference: mockId('re'),
+        amount,
+        status: fails ? 'failed' : 'succeeded',
+        ...(fails && { failureCode: 'refund_failed', failureMessage: 'The card issuer refused the refund' })
+      });
+    },
+
+    // The payment result a webhook reports, once its signature checks out
+    verifyWebhook(rawBody, signature, now = Date.now()) {
+      const parts = Object.fromEntries(String(signature || '').split(',').map(part => part.split('=')));
+      const timestamp = Number(parts.t);
+      if (!timestamp || !parts.v1) {
+        throw httpError(400, 'Missing or malformed webhook signature', { code: 'invalid_signature' });
+      }
+      if (Math.abs(now / 1000 - timestamp) > WEBHOOK_TOLERANCE_SECONDS) {
+        throw httpError(400, 'Webhook signature has expired', { code: 'invalid_signature' });
+      }
+
+      const expected = Buffer.from(sign(timestamp, rawBody));
+      const received = Buffer.from(parts.v1);
+      if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+        throw httpError(400, 'Webhook signature does not match', { code: 'invalid_signature' });
+      }
+      return JSON.parse(rawBody).data;
+    }
+  };
+}
+
+module.exports = {
+  MOCK_CARDS,
+  createMockPaymentProvider
+};
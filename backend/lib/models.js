@@ -0,0 +1,409 @@
+// Mongoose schemas and models
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+
+// Amount of an ingredient used by one unit of a menu item or modifier option.
+// Options may use negative quantities to take something out of the base recipe.
+const recipeLineSchema = new mongoose.Schema({
+  ingredient: { type: mongoose.Schema.Types.ObjectId, ref: 'Ingredient', required: true },
+  quantity: { type: Number, required: true }
+}, { _id: false });
+
+const modifierOptionSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  priceDelta: { type: Number, default: 0 },
+  default: { type: Boolean, default: false },
+  recipe: [recipeLineSchema]
+});
+
+const modifierGroupSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  selection: { type: String, enum: ['single', 'multi'], default: 'single' },
+  min: { type: Number, default: 0, min: 0 },
+  max: { type: Number, default: 1, min: 1 },
+  options: [modifierOptionSchema]
+});
+
+// A store's changes to a menu item. Stores can take an item off their menu or charge a
+// different price; they can't sell an item that is unavailable everywhere.
+const storeOverrideSchema = new mongoose.Schema({
+  store: { type: String, required: true },
+  available: Boolean,
+  price: { type: Number, min: 0 }
+}, { _id: false });
+
+// Modifier choices as stored on cart and order lines
+const selectedModifierSchema = new mongoose.Schema({
+  group: String,
+  option: String,
+  priceDelta: Number
+}, { _id: false });
+
+const ORDER_TYPES = ['pickup', 'drive-thru'];
+
+// Discount lines recorded on an order
+const appliedDiscountSchema = new mongoose.Schema({
+  promotion: { type: mongoose.Schema.Types.ObjectId, ref: 'Promotion' },
+  code: String,
+  description: String,
+  amount: Number
+}, { _id: false });
+
+const ORDER_STATUSES = ['pending', 'confirmed', 'preparing', 'ready', 'delivered', 'cancelled'];
+
+// Allowed moves through the order lifecycle. Orders can only be cancelled
+// before the kitchen starts preparing them.
+const ORDER_TRANSITIONS = {
+  pending: ['confirmed', 'cancelled'],
+  confirmed: ['preparing', 'cancelled'],
+  preparing: ['ready'],
+  ready: ['delivered'],
+  delivered: [],
+  cancelled: []
+};
+
+// Where the order's payment stands. Orders are paid after they're placed and the
+// kitchen only confirms paid orders; `failed` means the last attempt was declined.
+const PAYMENT_STATUSES = ['unpaid', 'failed', 'paid', 'refunded', 'refund_failed'];
+
+// One charge attempt or refund, as reported by the payment provider. `reference` is
+// the provider's id for it, so the same result arriving twice is only recorded once.
+const paymentRecordSchema = new mongoose.Schema({
+  kind: { type: String, enum: ['charge', 'refund'], required: true },
+  provider: { type: String, required: true },
+  reference: { type: String, required: true },
+  amount: { type: Number, required: true },
+  status: { type: String, enum: ['succeeded', 'failed'], required: true },
+  failureCode: String,
+  failureMessage: String,
+  createdAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const statusChangeSchema = new mongoose.Schema({
+  status: { type: String, enum: ORDER_STATUSES, required: true },
+  previousStatus: { type: String, enum: ORDER_STATUSES },
+  changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  changedByName: String,
+  note: String,
+  changedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const menuItemSchema = new mongoose.Schema({
+  // Stable id for menu files (see lib/menuFile.js), the same in every database
+  key: { type: String, trim: true, lowercase: true },
+  name: { type: String, required: true },
+  description: { type: String, required: true },
+  price: { type: Number, required: true },
+  category: { type: String, default: 'main' },
+  available: { type: Boolean, default: true },
+  imageUrl: String,
+  modifierGroups: [modifierGroupSchema],
+  // Items without a recipe aren't stock-tracked
+  recipe: [recipeLineSchema],
+  // At most one per store, keyed by the store's key
+  storeOverrides: [storeOverrideSchema],
+  createdAt: { type: Date, default: Date.now }
+});
+
+menuItemSchema.index({ key: 1 }, { unique: true, partialFilterExpression: { key: { $type: 'string' } } });
+menuItemSchema.index({ available: 1, category: 1 });
+menuItemSchema.index({ name: 'text', description: 'text' }, { weights: { name: 3 } });
+
+const orderSchema = new mongoose.Schema({
+  // Key of the store the order is picked up from; orders from before there were
+  // several stores don't have one
+  store: String,
+  // Called out at the counter: #101, #102, ... starting over every business day
+  orderNumber: Number,
+  // The store-local day the number belongs to, YYYY-MM-DD
+  businessDate: String,
+  items: [{
+    menuItem: { type: mongoose.Schema.Types.ObjectId, ref: 'MenuItem' },
+    name: String,
+    modifiers: [selectedModifierSchema],
+    price: Number,
+    quantity: Number,
+    lineTotal: Number
+  }],
+  subtotal: { type: Number, required: true },
+  discounts: [appliedDiscountSchema],
+  discountTotal: { type: Number, default: 0 },
+  tax: { type: Number, required: true },
+  totalPrice: { type: Number, required: true },
+  customerInfo: {
+    name: String,
+    email: String,
+    phone: String
+  },
+  orderType: { type: String, enum: ORDER_TYPES, default: 'pickup' },
+  // Requested pickup time; empty for ASAP orders
+  scheduledFor: Date,
+  // Start of the kitchen slot the order counts against
+  pickupSlot: { type: Date, index: true },
+  status: {
+    type: String,
+    enum: ORDER_STATUSES,
+    default: 'pending'
+  },
+  statusHistory: [statusChangeSchema],
+  // Ingredients taken out of stock on confirmation, so a cancellation puts back exactly that
+  stockUsage: [recipeLineSchema],
+  paymentStatus: { type: String, enum: PAYMENT_STATUSES, default: 'unpaid' },
+  // The provider's payment intent for this order, created on the first attempt to pay
+  paymentIntent: String,
+  payments: [paymentRecordSchema],
+  // When the charge was sent back, so an order is only ever refunded once
+  refundRequestedAt: Date,
+  // When the printer bridge confirmed it printed the kitchen ticket
+  ticketPrintedAt: Date,
+  orderDate: { type: Date, default: Date.now },
+  notes: String,
+  // The account that placed the order, when the customer was signed in
+  customer: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  // Set when the client sent an Idempotency-Key, so a retried checkout returns this order.
+  // Stored under the caller (see lib/idempotency.js), so it is only unique per client.
+  idempotencyKey: String,
+  requestHash: String
+});
+
+// Order listings page newest first by (orderDate, _id), optionally narrowed by status or customer
+orderSchema.index({ orderDate: -1, _id: -1 });
+orderSchema.index({ store: 1, orderDate: -1, _id: -1 });
+orderSchema.index({ status: 1, orderDate: -1, _id: -1 });
+orderSchema.index({ 'customerInfo.phone': 1, orderDate: -1, _id: -1 });
+orderSchema.index({ 'customerInfo.email': 1, orderDate: -1, _id: -1 });
+orderSchema.index({ customer: 1, orderDate: -1, _id: -1 });
+orderSchema.index({ orderNumber: 1, orderDate: -1, _id: -1 });
+orderSchema.index({ paymentIntent: 1 }, { sparse: true });
+orderSchema.index(
+  { idempotencyKey: 1 },
+  { unique: true, partialFilterExpression: { idempotencyKey: { $type: 'string' } } }
+);
+
+orderSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.idempotencyKey;
+    delete ret.requestHash;
+    return ret;
+  }
+});
+
+const CART_TTL_DAYS = 30;
+
+const cartSchema = new mongoose.Schema({
+  sessionId: { type: String, required: true, unique: true },
+  items: [{
+    menuItemId: { type: mongoose.Schema.Types.ObjectId, ref: 'MenuItem' },
+    name: String,
+    modifiers: [selectedModifierSchema],
+    price: Number,
+    quantity: Number
+  }],
+  promoCode: String,
+  // Key of the store the lines are priced for; carts without one use the first store
+  store: String,
+  // Set once the cart belongs to an account. It then follows the customer to any
+  // device they sign in on, and only they can use it.
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  // MongoDB removes carts nobody has touched in CART_TTL_DAYS
+  lastUpdated: { type: Date, default: Date.now, expires: CART_TTL_DAYS * 24 * 60 * 60 }
+}, {
+  // Every save bumps `version` and fails if someone else saved first
+  versionKey: 'version',
+  optimisticConcurrency: true
+});
+
+// One cart per account
+cartSchema.index({ user: 1 }, { unique: true, partialFilterExpression: { user: { $type: 'objectId' } } });
+
+const userSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  email: { type: String, required: true, unique: true, lowercase: true, trim: true },
+  passwordHash: { type: String, required: true },
+  role: {
+    type: String,
+    enum: ['customer', 'staff', 'manager'],
+    default: 'customer'
+  },
+  // Keys of the stores a staff member or manager works at. Those who have none work
+  // across every store.
+  stores: [String],
+  createdAt: { type: Date, default: Date.now }
+});
+
+userSchema.statics.hashPassword = function (password) {
+  return bcrypt.hash(password, 10);
+};
+
+userSchema.methods.verifyPassword = function (password) {
+  return bcrypt.compare(password, this.passwordHash);
+};
+
+// Never send password hashes back to clients
+userSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.passwordHash;
+    return ret;
+  }
+});
+
+// Tokens are stateless, so logout records the token id until it would have expired anyway
+const revokedTokenSchema = new mongoose.Schema({
+  jti: { type: String, required: true, unique: true },
+  expiresAt: { type: Date, required: true, expires: 0 }
+});
+
+// Opening hours per weekday, 0 = Sunday, as wall-clock times in the store's timezone
+const storeHoursSchema = new mongoose.Schema({
+  day: { type: Number, min: 0, max: 6, required: true },
+  open: { type: String, match: /^([01]\d|2[0-3]):[0-5]\d$/ },
+  close: { type: String, match: /^(([01]\d|2[0-3]):[0-5]\d|24:00)$/ },
+  closed: { type: Boolean, default: false }
+}, { _id: false });
+
+const DEFAULT_STORE_HOURS = [
+  { day: 0, open: '11:00', close: '23:00' },
+  { day: 1, open: '10:00', close: '22:00' },
+  { day: 2, open: '10:00', close: '22:00' },
+  { day: 3, open: '10:00', close: '22:00' },
+  { day: 4, open: '10:00', close: '22:00' },
+  { day: 5, open: '10:00', close: '22:00' },
+  { day: 6, open: '11:00', close: '23:00' }
+];
+
+// One restaurant: where it is, its hours and its pickup slot settings. Everything else
+// refers to a store by its key.
+const storeSchema = new mongoose.Schema({
+  key: { type: String, default: 'default', unique: true, trim: true, lowercase: true, match: /^[a-z0-9]+(-[a-z0-9]+)*$/ },
+  name: { type: String, default: 'In-N-Out Burger', trim: true },
+  address: {
+    street: { type: String, trim: true },
+    city: { type: String, trim: true },
+    region: { type: String, trim: true },
+    postalCode: { type: String, trim: true }
+  },
+  phone: { type: String, trim: true },
+  // Shown on the map, in decimal degrees
+  location: {
+    lat: { type: Number, min: -90, max: 90 },
+    lng: { type: Number, min: -180, max: 180 }
+  },
+  timezone: { type: String, default: 'America/Los_Angeles' },
+  hours: { type: [storeHoursSchema], default: () => DEFAULT_STORE_HOURS },
+  slotMinutes: { type: Number, default: 15, min: 5 },
+  slotCapacity: { type: Number, default: 10, min: 1 },
+  // How soon a scheduled pickup can be, and how far ahead customers may book
+  leadTimeMinutes: { type: Number, default: 15, min: 0 },
+  maxDaysAhead: { type: Number, default: 7, min: 0 },
+  // Closed stores leave the store picker and stop taking orders; their orders are kept
+  active: { type: Boolean, default: true },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Orders handed a number so far on one business day at one store. Only today's is
+// used; older ones are removed after a week.
+const orderCounterSchema = new mongoose.Schema({
+  store: { type: String, required: true },
+  businessDate: { type: String, required: true },
+  seq: { type: Number, default: 0 },
+  createdAt: { type: Date, default: Date.now, expires: 7 * 24 * 60 * 60 }
+});
+
+orderCounterSchema.index({ store: 1, businessDate: 1 }, { unique: true });
+
+// Orders holding a place in one of a store's pickup slots, counted up and down as orders
+// are placed and cancelled. Removed a week after the slot.
+const slotBookingSchema = new mongoose.Schema({
+  store: { type: String, required: true },
+  slot: { type: Date, required: true, expires: 7 * 24 * 60 * 60 },
+  count: { type: Number, default: 0 }
+});
+
+slotBookingSchema.index({ store: 1, slot: 1 }, { unique: true });
+
+// Uses of a promotion by one customer. Customers are known by phone number and by email
+// address separately, so a code used up under either one is used up.
+const promotionRedemptionSchema = new mongoose.Schema({
+  promotion: { type: mongoose.Schema.Types.ObjectId, ref: 'Promotion', required: true },
+  customer: { type: String, required: true },
+  count: { type: Number, default: 0 }
+});
+
+promotionRedemptionSchema.index({ promotion: 1, customer: 1 }, { unique: true });
+
+const promotionSchema = new mongoose.Schema({
+  code: { type: String, required: true, unique: true, uppercase: true, trim: true },
+  description: String,
+  // percent: value is 0-100; fixed: value is dollars off; bogo: every second unit of menuItem is free
+  type: { type: String, enum: ['percent', 'fixed', 'bogo'], required: true },
+  value: { type: Number, min: 0 },
+  menuItem: { type: mongoose.Schema.Types.ObjectId, ref: 'MenuItem' },
+  minSubtotal: { type: Number, default: 0, min: 0 },
+  startsAt: Date,
+  endsAt: Date,
+  maxUses: { type: Number, min: 1 },
+  maxUsesPerCustomer: { type: Number, min: 1 },
+  timesUsed: { type: Number, default: 0 },
+  active: { type: Boolean, default: true },
+  createdAt: { type: Date, default: Date.now }
+});
+
+promotionSchema.pre('validate', function (next) {
+  if (this.type === 'bogo' && !this.menuItem) {
+    this.invalidate('menuItem', 'Buy-one-get-one promotions need a menu item');
+  }
+  if (this.type !== 'bogo' && (this.value === undefined || this.value === null)) {
+    this.invalidate('value', 'A discount value is required');
+  }
+  if (this.type === 'percent' && this.value > 100) {
+    this.invalidate('value', 'Percent off cannot be more than 100');
+  }
+  if (this.startsAt && this.endsAt && this.startsAt > this.endsAt) {
+    this.invalidate('endsAt', 'End date must be after the start date');
+  }
+  next();
+});
+
+const ingredientSchema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true, trim: true },
+  unit: { type: String, default: 'each' },
+  stock: { type: Number, default: 0, min: 0 },
+  // Listed in the low-stock report at or below this amount
+  lowStockThreshold: { type: Number, default: 0, min: 0 },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Models with mongoose.models check for serverless
+const MenuItem = mongoose.models.MenuItem || mongoose.model('MenuItem', menuItemSchema);
+const Order = mongoose.models.Order || mongoose.model('Order', orderSchema);
+const Cart = mongoose.models.Cart || mongoose.model('Cart', cartSchema);
+const User = mongoose.models.User || mongoose.model('User', userSchema);
+const RevokedToken = mongoose.models.RevokedToken || mongoose.model('RevokedToken', revokedTokenSchema);
+const Promotion = mongoose.models.Promotion || mongoose.model('Promotion', promotionSchema);
+// Kept in the collection the settings of the one store lived in before there were
+// several, so that store carries on as the first one
+const Store = mongoose.models.Store || mongoose.model('Store', storeSchema, 'storesettings');
+const Ingredient = mongoose.models.Ingredient || mongoose.model('Ingredient', ingredientSchema);
+const OrderCounter = mongoose.models.OrderCounter || mongoose.model('OrderCounter', orderCounterSchema);
+const SlotBooking = mongoose.models.SlotBooking || mongoose.model('SlotBooking', slotBookingSchema);
+const PromotionRedemption = mongoose.models.PromotionRedemption
+  || mongoose.model('PromotionRedemption', promotionRedemptionSchema);
+
+module.exports = {
+  ORDER_TYPES,
+  ORDER_STATUSES,
+  ORDER_TRANSITIONS,
+  PAYMENT_STATUSES,
+  CART_TTL_DAYS,
+  MenuItem,
+  Order,
+  Cart,
+  User,
+  RevokedToken,
+  Promotion,
+  Store,
+  Ingredient,
+  OrderCounter,
+  SlotBooking,
+  PromotionRedemption
+};
@@ -0,0 +1,327 @@
+// OpenAPI document built from the same zod schemas that validate requests. Each
+// routes/ module describes its endpoints with documentRoute() next to the handlers.
+const { OpenAPIRegistry, OpenApiGeneratorV3 } = require('@asteasolutions/zod-to-openapi');
+const { z, objectId } = require('./validation');
+const { ORDER_STATUSES, ORDER_TYPES, PAYMENT_STATUSES } = require('./models');
+
+const registry = new OpenAPIRegistry();
+
+registry.registerComponent('securitySchemes', 'bearerAuth', {
+  type: 'http',
+  scheme: 'bearer',
+  bearerFormat: 'JWT'
+});
+
+const timestamp = z.string().datetime();
+
+const ErrorResponse = registry.register('Error', z.object({
+  error: z.object({
+    code: z.string().openapi({ example: 'validation_failed' }),
+    message: z.string(),
+    fields: z.record(z.string()).optional()
+      .openapi({ description: 'First problem per field, keyed by its dotted path' })
+  }).passthrough()
+}));
+
+const Message = registry.register('Message', z.object({ message: z.string() }));
+
+// Documents as the API returns them
+
+const RecipeLine = z.object({ ingredient: objectId, quantity: z.number() });
+
+const SelectedModifier = z.object({
+  group: z.string(),
+  option: z.string(),
+  priceDelta: z.number()
+});
+
+const MenuItem = registry.register('MenuItem', z.object({
+  _id: objectId,
+  key: z.string().optional().openapi({ description: 'Stable id used by menu files', example: 'double-double-burger' }),
+  name: z.string(),
+  description: z.string(),
+  price: z.number(),
+  category: z.string(),
+  available: z.boolean(),
+  imageUrl: z.string().optional(),
+  modifierGroups: z.array(z.object({
+    _id: objectId,
+    name: z.string(),
+    selection: z.enum(['single', 'multi']),
+    min: z.number().int(),
+    max: z.number().int(),
+    options: z.array(z.object({
+      _id: objectId,
+      name: z.string(),
+      priceDelta: z.number(),
+      default: z.boolean(),
+      recipe: z.array(RecipeLine)
+    }))
+  })),
+  recipe: z.array(RecipeLine),
+  storeOverrides: z.array(z.object({
+    store: z.string(),
+    available: z.boolean().optional(),
+    price: z.number().optional()
+  })).openapi({ description: 'What each store sells differently; `available` and `price` above are for the store asked for' }),
+  createdAt: timestamp
+}));
+
+const Cart = registry.register('Cart', z.object({
+  _id: objectId,
+  sessionId: z.string(),
+  items: z.array(z.object({
+    _id: objectId,
+    menuItemId: objectId,
+    name: z.string(),
+    modifiers: z.array(SelectedModifier),
+    price: z.number(),
+    quantity: z.number().int()
+  })),
+  promoCode: z.string().optional(),
+  store: z.string().optional().openapi({ description: 'The store the lines are priced for' }),
+  user: objectId.optional().openapi({ description: 'The account the cart belongs to' }),
+  lastUpdated: timestamp,
+  version: z.number().int().openapi({ description: 'Goes up with every change' })
+}));
+
+const Pricing = registry.register('Pricing', z.object({
+  subtotal: z.number(),
+  discounts: z.array(z.object({ code: z.string(), description: z.string(), amount: z.number() })),
+  discountTotal: z.number(),
+  tax: z.number(),
+  taxRate: z.number(),
+  total: z.number()
+}));
+
+const Order = registry.register('Order', z.object({
+  _id: objectId,
+  store: z.string().optional().openapi({ description: 'Key of the store the order is picked up from' }),
+  orderNumber: z.number().int().optional()
+    .openapi({ description: 'Called out at the counter; starts over at 101 every business day', example: 101 }),
+  businessDate: z.string().optional().openapi({ description: 'The store-local day the number belongs to', example: '2026-03-10' }),
+  items: z.array(z.object({
+    _id: objectId,
+    menuItem: objectId,
+    name: z.string(),
+    modifiers: z.array(SelectedModifier),
+    price: z.number(),
+    quantity: z.number().int(),
+    lineTotal: z.number()
+  })),
+  subtotal: z.number(),
+  discounts: z.array(z.object({
+    promotion: objectId.optional(),
+    code: z.string(),
+    description: z.string(),
+    amount: z.number()
+  })),
+  discountTotal: z.number(),
+  tax: z.number(),
+  totalPrice: z.number(),
+  customerInfo: z.object({
+    name: z.string(),
+    phone: z.string().openapi({ description: '10 digits', example: '5551234567' }),
+    email: z.string().optional()
+  }),
+  orderType: z.enum(ORDER_TYPES),
+  scheduledFor: timestamp.optional().openapi({ description: 'Requested pickup time; missing for ASAP orders' }),
+  pickupSlot: timestamp.optional(),
+  status: z.enum(ORDER_STATUSES),
+  statusHistory: z.array(z.object({
+    status: z.enum(ORDER_STATUSES),
+    previousStatus: z.enum(ORDER_STATUSES).optional(),
+    changedBy: objectId.optional(),
+    changedByName: z.string().optional(),
+    note: z.string().optional(),
+    changedAt: timestamp
+  })),
+  stockUsage: z.array(RecipeLine),
+  paymentStatus: z.enum(PAYMENT_STATUSES).openapi({ description: 'Only paid orders can be confirmed' }),
+  paymentIntent: z.string().optional().openapi({ description: 'The payment provider\'s id for this order\'s payment' }),
+  payments: z.array(z.object({
+    kind: z.enum(['charge', 'refund']),
+    provider: z.string(),
+    reference: z.string().openapi({ description: 'The provider\'s id for the charge or refund' }),
+    amount: z.number(),
+    status: z.enum(['succeeded', 'failed']),
+    failureCode: z.string().optional(),
+    failureMessage: z.string().optional(),
+    createdAt: timestamp
+  })),
+  refundRequestedAt: timestamp.optional().openapi({ description: 'When the charge was sent back' }),
+  ticketPrintedAt: timestamp.optional().openapi({ description: 'When the kitchen ticket was printed' }),
+  orderDate: timestamp,
+  notes: z.string().optional(),
+  customer: objectId.optional().openapi({ description: 'The account that placed the order' })
+}));
+
+const OrderPage = registry.register('OrderPage', z.object({
+  data: z.array(Order),
+  paging: z.object({
+    limit: z.number().int(),
+    hasMore: z.boolean(),
+    nextCursor: z.string().nullable()
+  })
+}));
+
+const User = registry.register('User', z.object({
+  _id: objectId,
+  name: z.string(),
+  email: z.string(),
+  role: z.enum(['customer', 'staff', 'manager']),
+  stores: z.array(z.string()).openapi({ description: 'Stores a staff member works at; none means every store' }),
+  createdAt: timestamp
+}));
+
+const Ingredient = registry.register('Ingredient', z.object({
+  _id: objectId,
+  name: z.string(),
+  unit: z.string(),
+  stock: z.number(),
+  lowStockThreshold: z.number(),
+  createdAt: timestamp
+}));
+
+const Promotion = registry.register('Promotion', z.object({
+  _id: objectId,
+  code: z.string(),
+  description: z.string().optional(),
+  type: z.enum(['percent', 'fixed', 'bogo']),
+  value: z.number().optional(),
+  menuItem: objectId.optional(),
+  minSubtotal: z.number(),
+  startsAt: timestamp.optional(),
+  endsAt: timestamp.optional(),
+  maxUses: z.number().int().optional(),
+  maxUsesPerCustomer: z.number().int().optional(),
+  timesUsed: z.number().int(),
+  active: z.boolean(),
+  createdAt: timestamp
+}));
+
+const DayHours = z.object({
+  day: z.number().int().openapi({ description: '0 is Sunday' }),
+  open: z.string().openapi({ example: '10:30' }),
+  close: z.string().openapi({ description: 'At or before `open` when the store closes after midnight', example: '01:00' }),
+  closed: z.boolean()
+});
+
+const StoreHours = registry.register('StoreHours', z.object({
+  timezone: z.string(),
+  hours: z.array(DayHours),
+  slotMinutes: z.number().int(),
+  slotCapacity: z.number().int().optional(),
+  leadTimeMinutes: z.number().int().optional(),
+  maxDaysAhead: z.number().int(),
+  isOpen: z.boolean().optional()
+}));
+
+const Store = registry.register('Store', z.object({
+  _id: objectId,
+  key: z.string().openapi({ description: 'How other requests refer to the store', example: 'downtown-la' }),
+  name: z.string(),
+  address: z.object({
+    street: z.string().optional(),
+    city: z.string().optional(),
+    region: z.string().optional(),
+    postalCode: z.string().optional()
+  }),
+  phone: z.string().optional(),
+  location: z.object({ lat: z.number(), lng: z.number() }).optional(),
+  timezone: z.string(),
+  hours: z.array(DayHours),
+  slotMinutes: z.number().int(),
+  slotCapacity: z.number().int(),
+  leadTimeMinutes: z.number().int(),
+  maxDaysAhead: z.number().int(),
+  active: z.boolean(),
+  createdAt: timestamp,
+  isOpen: z.boolean()
+}));
+
+// Paths are written the Express way (/menu/:id) and converted for the document
+const toOpenApiPath = (path) => path.replace(/:(\w+)/g, '{$1}');
+
+// A string response is an error described by that string; objects give a description
+// and a schema, and a content type when it isn't JSON.
+function toResponse(response) {
+  if (typeof response === 'string') {
+    return { description: response, content: { 'application/json': { schema: ErrorResponse } } };
+  }
+  const { description, schema, type = 'application/json' } = response;
+  return schema ? { description, content: { [type]: { schema } } } : { description };
+}
+
+// Describe one endpoint. `request` takes the same { params, query, body } schemas as
+// validate(), plus any headers, and `role` (or `auth` for any signed-in user) adds the
+// auth errors.
+function documentRoute({ method, path, tags, summary, description, role, auth, request = {}, responses }) {
+  const errors = {};
+  if (request.params || request.query || request.body) {
+    errors[400] = 'Invalid request';
+  }
+  if (role || auth) {
+    errors[401] = 'Not signed in';
+  }
+  if (role) {
+    errors[403] = `Needs the ${role} role`;
+  }
+
+  const documented = {};
+  for (const [status, response] of Object.entries({ ...errors, ...responses })) {
+    documented[status] = toResponse(response);
+  }
+
+  registry.registerPath({
+    method,
+    path: toOpenApiPath(path),
+    tags,
+    summary,
+    description,
+    security: role || auth ? [{ bearerAuth: [] }] : undefined,
+    request: {
+      params: request.params,
+      query: request.query,
+      headers: request.headers,
+      body: request.body && { content: { 'application/json': { schema: request.body } } }
+    },
+    responses: documented
+  });
+}
+
+let document;
+
+// Routes register themselves when they're loaded, so build the document on first use
+function openApiDocument(serverUrl) {
+  document = document || new OpenApiGeneratorV3(registry.definitions).generateDocument({
+    openapi: '3.0.3',
+    info: {
+      title: 'In-N-Out Burger API',
+      version: '1.0.0',
+      description: 'The same paths are served under /api/v1, /api and the site root. '
+        + 'Errors always use the Error envelope.'
+    }
+  });
+  return { ...document, servers: [{ url: serverUrl }] };
+}
+
+module.exports = {
+  // Named like the models they describe, so routes use them as schemas.MenuItem etc.
+  schemas: {
+    Message,
+    MenuItem,
+    Cart,
+    Pricing,
+    Order,
+    OrderPage,
+    User,
+    Ingredient,
+    Promotion,
+    StoreHours,
+    Store
+  },
+  toOpenApiPath,
+  documentRoute,
+  openApiDocument
+};
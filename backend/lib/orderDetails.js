@@ -0,0 +1,88 @@
+// Customer details and order options supplied at checkout, and who gets to see them
+const { ORDER_TYPES } = require('./models');
+const { httpError } = require('./errors');
+const { hasRole } = require('./auth');
+const { canAccessStore } = require('./stores');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MAX_NOTES_LENGTH = 500;
+
+// Store US phone numbers as 10 digits so they can be searched regardless of formatting
+const normalizePhone = (phone) => {
+  const digits = String(phone || '').replace(/\D/g, '');
+  return digits.length === 11 && digits.startsWith('1') ? digits.slice(1) : digits;
+};
+
+// Name and phone are required so the store can reach the customer about
+// their order; email is optional but must be valid when given.
+function validateOrderDetails({ customerInfo, orderType = 'pickup', notes }) {
+  const info = customerInfo || {};
+  const fields = {};
+
+  const name = typeof info.name === 'string' ? info.name.trim() : '';
+  if (!name) {
+    fields.name = 'Name is required';
+  } else if (name.length > 80) {
+    fields.name = 'Name must be 80 characters or fewer';
+  }
+
+  const phone = normalizePhone(info.phone);
+  if (!info.phone) {
+    fields.phone = 'Phone number is required';
+  } else if (phone.length !== 10) {
+    fields.phone = 'Enter a 10-digit phone number';
+  }
+
+  const email = typeof info.email === 'string' ? info.email.trim().toLowerCase() : '';
+  if (email && !EMAIL_PATTERN.test(email)) {
+    fields.email = 'Enter a valid email address';
+  }
+
+  if (!ORDER_TYPES.includes(orderType)) {
+    fields.orderType = `Order type must be one of: ${ORDER_TYPES.join(', ')}`;
+  }
+
+  if (notes !== undefined && notes !== null && typeof notes !== 'string') {
+    fields.notes = 'Special instructions must be text';
+  } else if (notes && notes.length > MAX_NOTES_LENGTH) {
+    fields.notes = `Special instructions must be ${MAX_NOTES_LENGTH} characters or fewer`;
+  }
+
+  if (Object.keys(fields).length > 0) {
+    throw httpError(400, 'Invalid order details', { fields });
+  }
+
+  return {
+    customerInfo: { name, phone, email: email || undefined },
+    orderType,
+    notes: notes ? notes.trim() : undefined
+  };
+}
+
+// Anyone with an order's id can track it, so unless they placed it while signed in or
+// work at its store, they get what the tracking page shows: no customer details, payment
+// references or staff names
+const PUBLIC_ORDER_FIELDS = [
+  '_id', 'store', 'orderNumber', 'businessDate', 'items', 'subtotal', 'discounts', 'discountTotal', 'tax',
+  'totalPrice', 'orderType', 'scheduledFor', 'status', 'paymentStatus', 'orderDate'
+];
+
+const canSeeOrderDetails = (user, order) => Boolean(user) && (
+  (order.customer && order.customer.equals(user._id)) || (hasRole(user, 'staff') && canAccessStore(user, order.store))
+);
+
+function orderFor(user, order) {
+  const json = order.toJSON();
+  if (canSeeOrderDetails(user, order)) {
+    return json;
+  }
+  return Object.fromEntries(PUBLIC_ORDER_FIELDS.filter(field => field in json).map(field => [field, json[field]]));
+}
+
+module.exports = {
+  PUBLIC_ORDER_FIELDS,
+  normalizePhone,
+  validateOrderDetails,
+  canSeeOrderDetails,
+  orderFor
+};
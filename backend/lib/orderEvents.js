@@ -0,0 +1,65 @@
+// Order events
+const { EventEmitter } = require('events');
+
+// In-process pub/sub for order changes. Anything exposing the same
+// publish/subscribe pair (a Redis or change stream adapter, say) can replace it
+// with app.set('orderEvents', bus).
+const createInProcessEventBus = () => {
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0);
+  return {
+    publish: (event) => emitter.emit('order', event),
+    subscribe: (listener) => {
+      emitter.on('order', listener);
+      return () => emitter.off('order', listener);
+    }
+  };
+};
+
+// Start a Server-Sent Events response and forward matching order events to it.
+// Returns a function for writing events directly, e.g. an initial snapshot.
+function openOrderEventStream(req, res, toEvent) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 3000\n\n');
+
+  const send = (event) => {
+    res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  };
+
+  const unsubscribe = req.app.get('orderEvents').subscribe((event) => {
+    const outgoing = toEvent(event);
+    if (outgoing) {
+      send(outgoing);
+    }
+  });
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 25000);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+
+  return send;
+}
+
+// Customers only get the order and payment status, not the full order with everyone's details
+const toCustomerEvent = (event) => ({
+  type: event.type,
+  orderId: event.orderId,
+  status: event.status,
+  previousStatus: event.previousStatus,
+  paymentStatus: event.paymentStatus,
+  changedAt: event.changedAt
+});
+
+module.exports = {
+  createInProcessEventBus,
+  openOrderEventStream,
+  toCustomerEvent
+};
@@ -0,0 +1,73 @@
+// Orders nobody pays for. An order holds its pickup slot and promo uses from the moment
+// it is placed, so one that is still unpaid after UNPAID_ORDER_MINUTES is cancelled to
+// give them back. There is no background worker, so the places that need those counts
+// to be right (placing an order, listing pickup slots, paying) sweep first.
+const { Order } = require('./models');
+const { releaseSlot } = require('./storeHours');
+const { releasePromotion } = require('./promotions');
+const { restoreStock } = require('./inventory');
+
+const UNPAID_ORDER_MINUTES = 30;
+
+// Give back everything a cancelled order was holding
+function releaseOrderHolds(order) {
+  return Promise.all([
+    ...order.discounts
+      .filter(discount => discount.promotion)
+      .map(discount => releasePromotion(discount.promotion, order.customerInfo)),
+    restoreStock(order.stockUsage),
+    releaseSlot(order.store, order.pickupSlot)
+  ]);
+}
+
+// Cancel the unpaid orders matching `filter` (e.g. a store or one order) that have run out
+// of time, telling the kitchen board about each. Returns the cancelled orders.
+async function expireUnpaidOrders(events, filter, now = new Date()) {
+  const stale = {
+    ...filter,
+    status: 'pending',
+    paymentStatus: { $in: ['unpaid', 'failed'] },
+    orderDate: { $lt: new Date(now.getTime() - UNPAID_ORDER_MINUTES * 60000) }
+  };
+
+  const expired = [];
+  for (const { _id } of await Order.find(stale).select('_id')) {
+    // Skips any order that was paid or cancelled since the find
+    const order = await Order.findOneAndUpdate(
+      { ...stale, _id },
+      {
+        $set: { status: 'cancelled' },
+        $push: {
+          statusHistory: {
+            status: 'cancelled',
+            previousStatus: 'pending',
+            note: `Not paid within ${UNPAID_ORDER_MINUTES} minutes`
+          }
+        }
+      },
+      { new: true }
+    );
+    if (!order) {
+      continue;
+    }
+
+    await releaseOrderHolds(order);
+    const change = order.statusHistory[order.statusHistory.length - 1];
+    events.publish({
+      type: 'order.status',
+      orderId: order._id.toString(),
+      status: order.status,
+      previousStatus: change.previousStatus,
+      changedAt: change.changedAt,
+      order: order.toJSON()
+    });
+    expired.push(order);
+  }
+  return expired;
+}
+
+module.exports = {
+  UNPAID_ORDER_MINUTES,
+  releaseOrderHolds,
+  expireUnpaidOrders
+};
@@ -0,0 +1,32 @@
+// Daily order numbers: #101, #102, ... starting over every business day at each store,
+// so staff can call orders out at the counter
+const { OrderCounter } = require('./models');
+const { businessDateAt } = require('./storeHours');
+
+const FIRST_ORDER_NUMBER = 101;
+
+// The next number for the store's current business day, which runs on past midnight
+// while the store is open late (see businessDateAt). The counter is incremented
+// atomically, so concurrent orders never share a number; an order that then fails to
+// save leaves a gap, which is harmless.
+async function nextOrderNumber(store, now = new Date()) {
+  const filter = { store: store.key, businessDate: businessDateAt(store, now) };
+
+  let counter;
+  try {
+    counter = await OrderCounter.findOneAndUpdate(filter, { $inc: { seq: 1 } }, { upsert: true, new: true });
+  } catch (error) {
+    // The day's first two orders both tried to create the counter; this one lost
+    if (error.code !== 11000) {
+      throw error;
+    }
+    counter = await OrderCounter.findOneAndUpdate(filter, { $inc: { seq: 1 } }, { new: true });
+  }
+
+  return { orderNumber: FIRST_ORDER_NUMBER + counter.seq - 1, businessDate: filter.businessDate };
+}
+
+module.exports = {
+  FIRST_ORDER_NUMBER,
+  nextOrderNumber
+};
@@ -0,0 +1,138 @@
+// Payments for orders. The provider is chosen by PAYMENT_PROVIDER and set with
+// app.set('payments', provider); routes only use this interface:
+//
+//   name                                   stored on every payment record
+//   createIntent({ amount, currency, orderId })         -> { id }
+//   confirmIntent(intentId, { amount, paymentMethod })  -> result
+//   refund(intentId, { amount, charge })                -> result
+//   verifyWebhook(rawBody, signature)                   -> result, or null to ignore the event;
+//                                                          throws a 400 for a bad signature
+//
+// A result is { kind: 'charge' | 'refund', intentId, reference, amount, status:
+// 'succeeded' | 'failed', failureCode?, failureMessage? }. Amounts are in cents.
+// Providers report each result both in the response and by webhook, in any order
+// and possibly more than once; recordPayment() keeps that harmless.
+const { Order } = require('./models');
+const { httpError } = require('./errors');
+const { createMockPaymentProvider } = require('./mockPayments');
+
+const PAYMENT_CURRENCY = 'usd';
+
+const toCents = (amount) => Math.round(amount * 100);
+
+function createPaymentProvider(name = process.env.PAYMENT_PROVIDER || 'mock') {
+  if (name === 'mock') {
+    return createMockPaymentProvider({ webhookSecret: process.env.PAYMENT_WEBHOOK_SECRET || 'mock-webhook-secret' });
+  }
+  throw new Error(`Unknown payment provider "${name}"`);
+}
+
+// The payment statuses a result applies to, and the one it moves the order to
+const STATUS_AFTER = {
+  'charge.succeeded': [['unpaid', 'failed'], 'paid'],
+  'charge.failed': [['unpaid', 'failed'], 'failed'],
+  'refund.succeeded': [['paid', 'refund_failed'], 'refunded'],
+  'refund.failed': [['paid'], 'refund_failed']
+};
+
+// Record a provider result on the order whose intent it belongs to. Each result is
+// recorded once, by its reference, so a webhook retry or a webhook for a result the
+// response already reported changes nothing. Returns null when no order has the intent.
+async function recordPayment(provider, result) {
+  const filter = { paymentIntent: result.intentId };
+  const pushed = await Order.updateOne(
+    { ...filter, 'payments.reference': { $ne: result.reference } },
+    {
+      $push: {
+        payments: {
+          kind: result.kind,
+          provider: provider.name,
+          reference: result.reference,
+          amount: result.amount / 100,
+          status: result.status,
+          failureCode: result.failureCode,
+          failureMessage: result.failureMessage
+        }
+      }
+    }
+  );
+
+  if (pushed.modifiedCount > 0) {
+    const [from, paymentStatus] = STATUS_AFTER[`${result.kind}.${result.status}`];
+    await Order.updateOne({ ...filter, paymentStatus: { $in: from } }, { $set: { paymentStatus } });
+  }
+
+  const order = await Order.findOne(filter);
+  // Cancelling only refunds what was paid by then, so a charge that goes through while
+  // or after the order is cancelled goes straight back
+  if (order && order.status === 'cancelled' && order.paymentStatus === 'paid') {
+    return refundOrder(provider, order);
+  }
+  return order;
+}
+
+// Charge the order's total. The order keeps one intent, created on the first attempt,
+// so a declined card can be retried with another on the same intent.
+async function payOrder(provider, order, paymentMethod) {
+  if (order.status === 'cancelled') {
+    throw httpError(409, 'This order was cancelled');
+  }
+  if (!['unpaid', 'failed'].includes(order.paymentStatus)) {
+    throw httpError(409, 'This order has already been paid', { code: 'already_paid', paymentStatus: order.paymentStatus });
+  }
+
+  const amount = toCents(order.totalPrice);
+  let intentId = order.paymentIntent;
+  if (!intentId) {
+    const intent = await provider.createIntent({ amount, currency: PAYMENT_CURRENCY, orderId: order._id.toString() });
+    // If two attempts race, both go on with whichever intent was saved first
+    const claimed = await Order.findOneAndUpdate(
+      { _id: order._id, paymentIntent: { $exists: false } },
+      { $set: { paymentIntent: intent.id } },
+      { new: true }
+    );
+    intentId = claimed ? intent.id : (await Order.findById(order._id)).paymentIntent;
+  }
+
+  const result = await provider.confirmIntent(intentId, { amount, paymentMethod });
+  return { result, order: await recordPayment(provider, result) };
+}
+
+// Give back a paid order's charge, e.g. when it's cancelled. A refund the provider
+// refuses or can't be reached for leaves the order refund_failed for a manager to
+// settle by hand; it doesn't undo whatever asked for the refund.
+async function refundOrder(provider, order) {
+  const charge = order.payments.find(payment => payment.kind === 'charge' && payment.status === 'succeeded');
+  if (order.paymentStatus !== 'paid' || !charge) {
+    return order;
+  }
+
+  // The cancellation and a charge that finished after it may both get here
+  const claimed = await Order.findOneAndUpdate(
+    { _id: order._id, paymentStatus: 'paid', refundRequestedAt: null },
+    { $set: { refundRequestedAt: new Date() } }
+  );
+  if (!claimed) {
+    return Order.findById(order._id);
+  }
+
+  try {
+    const result = await provider.refund(order.paymentIntent, {
+      amount: toCents(charge.amount),
+      charge: charge.reference
+    });
+    return await recordPayment(provider, result);
+  } catch (error) {
+    console.error(`Refund failed for order ${order._id}:`, error);
+    await Order.updateOne({ _id: order._id, paymentStatus: 'paid' }, { $set: { paymentStatus: 'refund_failed' } });
+    return Order.findById(order._id);
+  }
+}
+
+module.exports = {
+  PAYMENT_CURRENCY,
+  createPaymentProvider,
+  recordPayment,
+  payOrder,
+  refundOrder
+};
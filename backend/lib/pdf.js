@@ -0,0 +1,60 @@
+// The smallest PDF that prints lines of monospaced text: one page as long as the text,
+// using the Courier fonts every PDF reader has built in, so nothing is embedded.
+
+const escapeText = (text) => text
+  // Courier here is WinAnsi encoded; anything outside Latin-1 can't be shown
+  .replace(/[^\x20-\x7e\xa0-\xff]/g, '?')
+  .replace(/[\\()]/g, match => `\\${match}`);
+
+// `lines` are strings, or { text, bold }. Width and margin are in points.
+function textPdf(lines, { width = 226, margin = 12, fontSize = 8 } = {}) {
+  const leading = fontSize * 1.25;
+  const height = Math.ceil(margin * 2 + lines.length * leading);
+
+  const content = [
+    'BT',
+    `${leading} TL`,
+    `${margin} ${height - margin - fontSize} Td`,
+    ...lines.map((line, index) => {
+      const { text, bold } = typeof line === 'string' ? { text: line } : line;
+      return `${index > 0 ? 'T* ' : ''}/${bold ? 'F2' : 'F1'} ${fontSize} Tf (${escapeText(text)}) Tj`;
+    }),
+    'ET'
+  ].join('\n');
+
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${width} ${height}] `
+      + '/Resources << /Font << /F1 4 0 R /F2 5 0 R >> >> /Contents 6 0 R >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Courier-Bold /Encoding /WinAnsiEncoding >>',
+    `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`
+  ];
+
+  // The cross-reference table needs the byte offset of every object
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((object, index) => {
+    const offset = Buffer.byteLength(pdf, 'latin1');
+    pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+  const xref = Buffer.byteLength(pdf, 'latin1');
+  pdf += [
+    'xref',
+    `0 ${objects.length + 1}`,
+    '0000000000 65535 f ',
+    ...offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n `),
+    'trailer',
+    `<< /Size ${objects.length + 1} /Root 1 0 R >>`,
+    'startxref',
+    String(xref),
+    '%%EOF'
+  ].join('\n') + '\n';
+
+  return Buffer.from(pdf, 'latin1');
+}
+
+module.exports = {
+  textPdf
+};
@@ -0,0 +1,185 @@
+// Pricing
+const mongoose = require('mongoose');
+const { MenuItem } = require('./models');
+const { httpError } = require('./errors');
+const { recipeUsage, totalUsage, findShortages } = require('./inventory');
+const { menuItemAtStore } = require('./stores');
+
+const TAX_RATE = Number(process.env.TAX_RATE || 0.095);
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+// Check a line's modifier choices against the item's modifier groups.
+// Returns the priced modifiers, or a reason string when the choice is invalid.
+function resolveModifiers(menuItem, selected = []) {
+  if (!Array.isArray(selected)) {
+    return { reason: 'Modifiers must be a list' };
+  }
+
+  const modifiers = [];
+  const counts = new Map();
+
+  for (const choice of selected) {
+    const group = menuItem.modifierGroups.find(g => g.name === (choice && choice.group));
+    if (!group) {
+      return { reason: `${menuItem.name} has no modifier group "${choice && choice.group}"` };
+    }
+    const option = group.options.find(o => o.name === choice.option);
+    if (!option) {
+      return { reason: `"${choice.option}" is not an option for ${group.name}` };
+    }
+    if (modifiers.some(m => m.group === group.name && m.option === option.name)) {
+      return { reason: `"${option.name}" was selected more than once` };
+    }
+    counts.set(group.name, (counts.get(group.name) || 0) + 1);
+    modifiers.push({ group: group.name, option: option.name, priceDelta: option.priceDelta });
+  }
+
+  for (const group of menuItem.modifierGroups) {
+    const count = counts.get(group.name) || 0;
+    const max = group.selection === 'single' ? 1 : group.max;
+    if (count < group.min) {
+      return { reason: `Choose at least ${group.min} for ${group.name}` };
+    }
+    if (count > max) {
+      return { reason: `Choose at most ${max} for ${group.name}` };
+    }
+  }
+
+  // Keep the menu's own ordering so identical customizations compare equal
+  const position = (m) => {
+    const groupIndex = menuItem.modifierGroups.findIndex(g => g.name === m.group);
+    const optionIndex = menuItem.modifierGroups[groupIndex].options.findIndex(o => o.name === m.option);
+    return groupIndex * 1000 + optionIndex;
+  };
+  modifiers.sort((a, b) => position(a) - position(b));
+
+  return { modifiers };
+}
+
+// Resolve every order line against the store's menu so prices always come from the
+// database, never from the client
+async function priceOrderItems(items, store) {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw httpError(400, 'Order must contain at least one item');
+  }
+
+  const ids = items
+    .map(item => item && item.menuItemId)
+    .filter(id => mongoose.isValidObjectId(id));
+  const menuItems = await MenuItem.find({ _id: { $in: ids } });
+  const menuById = new Map(menuItems.map(menuItem => [menuItem._id.toString(), menuItem]));
+
+  const problems = [];
+  const lines = [];
+  const lineUsage = [];
+
+  items.forEach((item, index) => {
+    const menuItemId = item && item.menuItemId;
+    const quantity = item && item.quantity;
+    const menuItem = mongoose.isValidObjectId(menuItemId) && menuById.get(String(menuItemId));
+
+    if (!menuItem) {
+      problems.push({ index, menuItemId, reason: 'Menu item not found' });
+      return;
+    }
+    const atStore = menuItemAtStore(menuItem, store.key);
+    if (!atStore.available) {
+      problems.push({ index, menuItemId, reason: `${menuItem.name} is currently unavailable` });
+      return;
+    }
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      problems.push({ index, menuItemId, reason: 'Quantity must be a positive whole number' });
+      return;
+    }
+
+    const { modifiers, reason } = resolveModifiers(menuItem, item.modifiers);
+    if (reason) {
+      problems.push({ index, menuItemId, reason });
+      return;
+    }
+
+    const price = roundCurrency(atStore.price + modifiers.reduce((sum, m) => sum + m.priceDelta, 0));
+    lines.push({
+      menuItem: menuItem._id,
+      name: menuItem.name,
+      modifiers,
+      price,
+      quantity,
+      lineTotal: roundCurrency(price * quantity)
+    });
+    lineUsage.push({ index, menuItemId, name: menuItem.name, usage: recipeUsage(menuItem, modifiers), quantity });
+  });
+
+  if (problems.length > 0) {
+    throw httpError(400, 'Some items could not be ordered', { problems });
+  }
+
+  // Stock is only taken when the order is confirmed, but don't accept orders that can't be made
+  const shortages = await findShortages(totalUsage(lineUsage));
+  if (shortages.length > 0) {
+    for (const line of lineUsage) {
+      const short = shortages.filter(shortage => line.usage.get(shortage.ingredient) > 0);
+      if (short.length > 0) {
+        problems.push({
+          index: line.index,
+          menuItemId: line.menuItemId,
+          reason: `Not enough ${short.map(shortage => shortage.name).join(', ')} left for ${line.name}`
+        });
+      }
+    }
+    throw httpError(400, 'Some items could not be ordered', { problems });
+  }
+
+  const subtotal = roundCurrency(lines.reduce((sum, line) => sum + line.lineTotal, 0));
+
+  return applyDiscounts({ items: lines, subtotal }, []);
+}
+
+// Recompute the totals with the given discount lines. Tax applies to the
+// discounted amount, and discounts never take the total below zero.
+function applyDiscounts(pricing, discounts) {
+  const discountTotal = roundCurrency(Math.min(
+    pricing.subtotal,
+    discounts.reduce((sum, discount) => sum + discount.amount, 0)
+  ));
+  const taxable = roundCurrency(pricing.subtotal - discountTotal);
+  const tax = roundCurrency(taxable * TAX_RATE);
+
+  return {
+    ...pricing,
+    discounts,
+    discountTotal,
+    tax,
+    taxRate: TAX_RATE,
+    total: roundCurrency(taxable + tax)
+  };
+}
+
+// The totals part of a pricing result, as returned to clients
+const pricingSummary = (pricing) => ({
+  subtotal: pricing.subtotal,
+  discounts: pricing.discounts.map(({ code, description, amount }) => ({ code, description, amount })),
+  discountTotal: pricing.discountTotal,
+  tax: pricing.tax,
+  taxRate: pricing.taxRate,
+  total: pricing.total
+});
+
+// The same summary for an order that has already been placed
+const orderPricingSummary = (order) => pricingSummary({
+  subtotal: order.subtotal,
+  discounts: order.discounts,
+  discountTotal: order.discountTotal,
+  tax: order.tax,
+  taxRate: TAX_RATE,
+  total: order.totalPrice
+});
+
+module.exports = {
+  roundCurrency,
+  priceOrderItems,
+  applyDiscounts,
+  pricingSummary,
+  orderPricingSummary
+};
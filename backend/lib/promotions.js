@@ -0,0 +1,169 @@
+// Promotions
+const { Promotion, PromotionRedemption } = require('./models');
+const { httpError } = require('./errors');
+const { roundCurrency, applyDiscounts } = require('./pricing');
+
+const promoError = (message) => httpError(400, message, { fields: { promoCode: message } });
+
+// How redemptions know the customer: by phone and by email, whichever they gave
+const customerKeys = (customer = {}) => [
+  customer.phone && `phone:${customer.phone}`,
+  customer.email && `email:${customer.email}`
+].filter(Boolean);
+
+function calculateDiscount(promotion, pricing) {
+  if (promotion.type === 'percent') {
+    return roundCurrency(pricing.subtotal * Math.min(promotion.value, 100) / 100);
+  }
+  if (promotion.type === 'fixed') {
+    return roundCurrency(Math.min(promotion.value, pricing.subtotal));
+  }
+
+  // Buy one get one: every second unit of the item is free, cheapest units first
+  const unitPrices = pricing.items
+    .filter(line => promotion.menuItem && line.menuItem.equals(promotion.menuItem))
+    .flatMap(line => Array(line.quantity).fill(line.price))
+    .sort((a, b) => a - b);
+  const freeUnits = unitPrices.slice(0, Math.floor(unitPrices.length / 2));
+  return roundCurrency(freeUnits.reduce((sum, price) => sum + price, 0));
+}
+
+// Check a code against the priced order and return the discount line it earns.
+// Per-customer limits can only be checked once we know the customer's phone or email.
+async function evaluatePromotion(code, pricing, customer = {}, now = new Date()) {
+  const normalizedCode = String(code || '').trim().toUpperCase();
+  if (!normalizedCode) {
+    throw promoError('Enter a promo code');
+  }
+
+  const promotion = await Promotion.findOne({ code: normalizedCode }).populate('menuItem', 'name');
+  if (!promotion || !promotion.active) {
+    throw promoError('This promo code is not valid');
+  }
+  if (promotion.startsAt && now < promotion.startsAt) {
+    throw promoError('This promo code is not active yet');
+  }
+  if (promotion.endsAt && now > promotion.endsAt) {
+    throw promoError('This promo code has expired');
+  }
+  if (promotion.maxUses && promotion.timesUsed >= promotion.maxUses) {
+    throw promoError('This promo code has been fully redeemed');
+  }
+  if (pricing.subtotal < promotion.minSubtotal) {
+    throw promoError(`Spend at least $${promotion.minSubtotal.toFixed(2)} to use this promo code`);
+  }
+
+  const keys = customerKeys(customer);
+  if (promotion.maxUsesPerCustomer && keys.length > 0) {
+    const usedUp = await PromotionRedemption.exists({
+      promotion: promotion._id,
+      customer: { $in: keys },
+      count: { $gte: promotion.maxUsesPerCustomer }
+    });
+    if (usedUp) {
+      throw promoError('You have already used this promo code');
+    }
+  }
+
+  // populate() swapped the id for the document, calculateDiscount compares ids
+  const menuItem = promotion.menuItem;
+  const amount = calculateDiscount({ ...promotion.toObject(), menuItem: menuItem && menuItem._id }, pricing);
+  if (amount <= 0) {
+    throw promoError(promotion.type === 'bogo' && menuItem
+      ? `Add two ${menuItem.name} to use this promo code`
+      : 'This promo code does not apply to your order');
+  }
+
+  const defaultDescription = {
+    percent: `${promotion.value}% off`,
+    fixed: `$${Number(promotion.value).toFixed(2)} off`,
+    bogo: `Buy one get one free${menuItem ? `: ${menuItem.name}` : ''}`
+  };
+
+  return {
+    promotion,
+    discount: {
+      promotion: promotion._id,
+      code: promotion.code,
+      description: promotion.description || defaultDescription[promotion.type],
+      amount
+    }
+  };
+}
+
+const releaseUse = (promotionId) => Promotion.updateOne(
+  { _id: promotionId, timesUsed: { $gt: 0 } },
+  { $inc: { timesUsed: -1 } }
+);
+
+const releaseCustomerUses = (promotionId, keys) => PromotionRedemption.updateMany(
+  { promotion: promotionId, customer: { $in: keys }, count: { $gt: 0 } },
+  { $inc: { count: -1 } }
+);
+
+// One more use by the customer under each of their keys, unless one of them is used up.
+// Each count only goes up while it is under the limit, so concurrent checkouts by the
+// same customer can't both get the last use.
+async function claimCustomerUses(promotion, keys) {
+  const claimed = [];
+  for (const customer of keys) {
+    const hasUses = { promotion: promotion._id, customer, count: { $lt: promotion.maxUsesPerCustomer } };
+    let redemption;
+    try {
+      redemption = await PromotionRedemption.findOneAndUpdate(hasUses, { $inc: { count: 1 } }, { upsert: true, new: true });
+    } catch (error) {
+      // Used up, so the upsert tried to create the count again, or the customer's first
+      // two checkouts both tried to create it and this one lost
+      if (error.code !== 11000) {
+        throw error;
+      }
+      redemption = await PromotionRedemption.findOneAndUpdate(hasUses, { $inc: { count: 1 } }, { new: true });
+    }
+    if (!redemption) {
+      await releaseCustomerUses(promotion._id, claimed);
+      return false;
+    }
+    claimed.push(customer);
+  }
+  return true;
+}
+
+// Count a redemption atomically so a limited code can't be used past its limit
+async function claimPromotion(promotion, customer) {
+  const claimed = await Promotion.findOneAndUpdate(
+    {
+      _id: promotion._id,
+      $or: [{ maxUses: null }, { $expr: { $lt: ['$timesUsed', '$maxUses'] } }]
+    },
+    { $inc: { timesUsed: 1 } }
+  );
+  if (!claimed) {
+    throw promoError('This promo code has been fully redeemed');
+  }
+  if (promotion.maxUsesPerCustomer && !await claimCustomerUses(promotion, customerKeys(customer))) {
+    await releaseUse(promotion._id);
+    throw promoError('You have already used this promo code');
+  }
+}
+
+// Gives back a use of the code, for an order that was cancelled or never placed
+const releasePromotion = (promotionId, customer) => Promise.all([
+  releaseUse(promotionId),
+  releaseCustomerUses(promotionId, customerKeys(customer))
+]);
+
+// Apply an order's promo code, if any, and claim a use of it
+async function applyOrderPromotion(pricing, promoCode, customerInfo) {
+  if (!promoCode) {
+    return { pricing, promotionId: null };
+  }
+  const { promotion, discount } = await evaluatePromotion(promoCode, pricing, customerInfo);
+  await claimPromotion(promotion, customerInfo);
+  return { pricing: applyDiscounts(pricing, [discount]), promotionId: discount.promotion };
+}
+
+module.exports = {
+  evaluatePromotion,
+  releasePromotion,
+  applyOrderPromotion
+};
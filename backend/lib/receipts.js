@@ -0,0 +1,225 @@
+// Customer receipts (HTML, PDF) and kitchen tickets (plain text for receipt printers).
+// Everything is laid out for 80mm paper, which fits 42 characters of the printer's
+// standard font per line.
+const { textPdf } = require('./pdf');
+
+const STORE_NAME = 'In-N-Out Burger';
+const RECEIPT_WIDTH = 42;
+const RECEIPT_FORMATS = ['html', 'pdf'];
+
+const ORDER_TYPE_LABELS = { pickup: 'Pickup at the counter', 'drive-thru': 'Drive-thru' };
+const PAYMENT_LABELS = {
+  unpaid: 'Not paid',
+  failed: 'Not paid',
+  paid: 'Paid',
+  refunded: 'Refunded',
+  refund_failed: 'Refund pending'
+};
+
+const money = (amount) => amount.toFixed(2);
+
+// Orders placed before daily numbers existed go by the end of their id
+const orderLabel = (order) => `#${order.orderNumber || order._id.toString().slice(-6).toUpperCase()}`;
+
+const formatTime = (date, timeZone, options) => new Intl.DateTimeFormat('en-US', { timeZone, ...options }).format(date);
+
+// Text at both ends of a line, e.g. a name and a price
+const spread = (left, right, width = RECEIPT_WIDTH) => {
+  const room = width - right.length - 1;
+  const text = left.length > room ? `${left.slice(0, room - 1)}~` : left;
+  return `${text}${' '.repeat(width - text.length - right.length)}${right}`;
+};
+
+const center = (text, width = RECEIPT_WIDTH) => `${' '.repeat(Math.max(0, Math.floor((width - text.length) / 2)))}${text}`;
+
+const rule = (char = '-') => char.repeat(RECEIPT_WIDTH);
+
+// Text word-wrapped to the paper after a prefix, with the lines after the first indented
+// to line up under it. Words too long for a line are split.
+const wrap = (text, prefix = '', indent = ' '.repeat(prefix.length)) => {
+  const lines = [];
+  const start = () => (lines.length === 0 ? prefix : indent);
+  let line = '';
+  for (let word of text.split(/\s+/).filter(Boolean)) {
+    while (word) {
+      const room = RECEIPT_WIDTH - start().length - (line ? line.length + 1 : 0);
+      if (word.length <= room) {
+        line = line ? `${line} ${word}` : word;
+        word = '';
+      } else if (line) {
+        lines.push(start() + line);
+        line = '';
+      } else {
+        lines.push(start() + word.slice(0, room));
+        word = word.slice(room);
+      }
+    }
+  }
+  lines.push(start() + line);
+  return lines;
+};
+
+// ========== TITLE ==========
+const banner = (title) => {
+  const side = (RECEIPT_WIDTH - title.length - 2) / 2;
+  return `${'='.repeat(Math.floor(side))} ${title} ${'='.repeat(Math.ceil(side))}`;
+};
+
+// Street on one line, then city, region and postal code
+const addressLines = (address = {}) => [
+  address.street,
+  [address.city, [address.region, address.postalCode].filter(Boolean).join(' ')].filter(Boolean).join(', ')
+].filter(Boolean);
+
+const modifierLabel = (modifier) => (
+  modifier.priceDelta ? `${modifier.option} (${modifier.priceDelta > 0 ? '+' : '-'}${money(Math.abs(modifier.priceDelta))})` : modifier.option
+);
+
+// What every receipt format shows, with times in the store's timezone
+function buildReceipt(order, store) {
+  const timeZone = store.timezone;
+  return {
+    // A store named after the brand doesn't need its name twice
+    storeName: store.name && store.name !== STORE_NAME ? store.name : undefined,
+    storeAddress: [...addressLines(store.address), ...(store.phone ? [store.phone] : [])],
+    orderLabel: orderLabel(order),
+    placedAt: formatTime(order.orderDate, timeZone, { dateStyle: 'medium', timeStyle: 'short' }),
+    pickup: order.scheduledFor
+      ? `Pickup at ${formatTime(order.scheduledFor, timeZone, { weekday: 'short', hour: 'numeric', minute: '2-digit' })}`
+      : 'As soon as possible',
+    orderType: ORDER_TYPE_LABELS[order.orderType] || order.orderType,
+    customerName: order.customerInfo && order.customerInfo.name,
+    lines: order.items.map(item => ({
+      quantity: item.quantity,
+      name: item.name,
+      modifiers: item.modifiers.map(modifierLabel),
+      lineTotal: item.lineTotal
+    })),
+    subtotal: order.subtotal,
+    discounts: order.discounts.map(discount => ({ label: discount.description || discount.code, amount: discount.amount })),
+    tax: order.tax,
+    total: order.totalPrice,
+    payment: PAYMENT_LABELS[order.paymentStatus] || order.paymentStatus,
+    cancelled: order.status === 'cancelled'
+  };
+}
+
+// The receipt as printed lines; { bold } marks the ones to emphasise
+function receiptLines(receipt) {
+  return [
+    { text: center(STORE_NAME.toUpperCase()), bold: true },
+    ...(receipt.storeName ? [center(receipt.storeName)] : []),
+    ...receipt.storeAddress.map(line => center(line)),
+    { text: center(`Order ${receipt.orderLabel}`), bold: true },
+    center(receipt.placedAt),
+    ...(receipt.cancelled ? [{ text: center('*** CANCELLED ***'), bold: true }] : []),
+    rule(),
+    ...receipt.lines.flatMap(line => [
+      spread(`${line.quantity} x ${line.name}`, money(line.lineTotal)),
+      ...line.modifiers.map(modifier => `    ${modifier}`)
+    ]),
+    rule(),
+    spread('Subtotal', money(receipt.subtotal)),
+    ...receipt.discounts.map(discount => spread(discount.label, `-${money(discount.amount)}`)),
+    spread('Tax', money(receipt.tax)),
+    { text: spread('TOTAL', money(receipt.total)), bold: true },
+    spread('Payment', receipt.payment),
+    rule(),
+    receipt.orderType,
+    receipt.pickup,
+    ...(receipt.customerName ? [receipt.customerName] : []),
+    '',
+    center('Thank you!')
+  ];
+}
+
+const escapeHtml = (text) => String(text).replace(/[&<>"']/g, char => (
+  { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char]
+));
+
+function receiptHtml(receipt) {
+  const row = (label, amount, className = '') => (
+    `<tr class="${className}"><td>${escapeHtml(label)}</td><td class="amount">${escapeHtml(amount)}</td></tr>`
+  );
+  const items = receipt.lines.map(line => (
+    `<tr><td>${line.quantity} &times; ${escapeHtml(line.name)}`
+    + line.modifiers.map(modifier => `<div class="modifier">${escapeHtml(modifier)}</div>`).join('')
+    + `</td><td class="amount">${money(line.lineTotal)}</td></tr>`
+  )).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Receipt ${escapeHtml(receipt.orderLabel)}</title>
+<style>
+  body { font-family: "Courier New", monospace; max-width: 80mm; margin: 1rem auto; padding: 0 0.5rem; color: #000; }
+  h1, .center { text-align: center; }
+  h1 { font-size: 1.1rem; margin-bottom: 0.25rem; }
+  table { width: 100%; border-collapse: collapse; border-top: 1px dashed #000; border-bottom: 1px dashed #000; margin: 0.75rem 0; }
+  td { padding: 0.15rem 0; vertical-align: top; }
+  .amount { text-align: right; white-space: nowrap; padding-left: 0.5rem; }
+  .modifier { padding-left: 1.5rem; font-size: 0.85em; }
+  .total td { font-weight: bold; border-top: 1px dashed #000; }
+  .cancelled { font-weight: bold; }
+  @media print { button { display: none; } body { margin: 0; } }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(STORE_NAME)}</h1>
+${receipt.storeName || receipt.storeAddress.length > 0
+    ? `<p class="center">${[receipt.storeName, ...receipt.storeAddress].filter(Boolean).map(escapeHtml).join('<br>')}</p>`
+    : ''}
+<p class="center"><strong>Order ${escapeHtml(receipt.orderLabel)}</strong><br>${escapeHtml(receipt.placedAt)}</p>
+${receipt.cancelled ? '<p class="center cancelled">This order was cancelled</p>' : ''}
+<table>
+${items}
+</table>
+<table>
+${row('Subtotal', money(receipt.subtotal))}
+${receipt.discounts.map(discount => row(discount.label, `-${money(discount.amount)}`)).join('\n')}
+${row('Tax', money(receipt.tax))}
+${row('Total', money(receipt.total), 'total')}
+${row('Payment', receipt.payment)}
+</table>
+<p>${escapeHtml(receipt.orderType)}<br>${escapeHtml(receipt.pickup)}${receipt.customerName ? `<br>${escapeHtml(receipt.customerName)}` : ''}</p>
+<p class="center">Thank you!</p>
+<p class="center"><button onclick="window.print()">Print</button></p>
+</body>
+</html>
+`;
+}
+
+const receiptPdf = (receipt) => textPdf(receiptLines(receipt));
+
+// The ticket the kitchen printer prints: no prices, modifiers and notes called out.
+// Plain text with \n line endings; a printer bridge sends it as-is and cuts after it.
+function kitchenTicket(order, store) {
+  const timeZone = store.timezone;
+  const time = (date) => formatTime(date, timeZone, { hour: 'numeric', minute: '2-digit' });
+  return [
+    banner('KITCHEN'),
+    spread(`ORDER ${orderLabel(order)}`, (ORDER_TYPE_LABELS[order.orderType] || order.orderType).toUpperCase()),
+    spread(`Placed ${time(order.orderDate)}`, order.scheduledFor ? `PICKUP ${time(order.scheduledFor)}` : 'ASAP'),
+    ...(order.customerInfo && order.customerInfo.name ? wrap(order.customerInfo.name) : []),
+    rule(),
+    ...order.items.flatMap(item => [
+      ...wrap(item.name.toUpperCase(), String(item.quantity).padEnd(3)),
+      ...item.modifiers.flatMap(modifier => wrap(modifier.option, '   + '))
+    ]),
+    rule(),
+    ...(order.notes ? [...wrap(order.notes, 'NOTES: '), rule()] : []),
+    '',
+    ''
+  ].join('\n');
+}
+
+module.exports = {
+  RECEIPT_FORMATS,
+  orderLabel,
+  buildReceipt,
+  receiptHtml,
+  receiptPdf,
+  kitchenTicket
+};
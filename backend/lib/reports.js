@@ -0,0 +1,230 @@
+// Sales and abandoned-cart reports
+const { Order, Cart } = require('./models');
+const { httpError } = require('./errors');
+const { DATE_PATTERN, zonedParts, zonedTimeToDate, addDays } = require('./storeHours');
+const { roundCurrency } = require('./pricing');
+
+const MAX_REPORT_DAYS = 366;
+const REPORT_GROUPINGS = ['day', 'hour'];
+
+// Inclusive range of store-local dates from ?from= and ?to=, defaulting to the last 7 days
+function resolveReportRange(query, settings, now = new Date()) {
+  const timezone = settings.timezone;
+  const to = query.to || zonedParts(now, timezone).date;
+  const from = query.from || addDays(to, -6);
+
+  if (!DATE_PATTERN.test(from) || !DATE_PATTERN.test(to)) {
+    throw httpError(400, 'Dates must be formatted as YYYY-MM-DD');
+  }
+  if (from > to) {
+    throw httpError(400, 'The start date must not be after the end date');
+  }
+  if (addDays(from, MAX_REPORT_DAYS - 1) < to) {
+    throw httpError(400, `Reports can cover at most ${MAX_REPORT_DAYS} days`);
+  }
+
+  return {
+    from,
+    to,
+    timezone,
+    start: zonedTimeToDate(from, 0, timezone),
+    end: zonedTimeToDate(addDays(to, 1), 0, timezone)
+  };
+}
+
+// `range.store`, when set, is a store key or { $in: keys }
+const reportMatch = (range, extra = {}) => ({
+  orderDate: { $gte: range.start, $lt: range.end },
+  ...(range.store ? { store: range.store } : {}),
+  ...extra
+});
+
+// Only orders that were paid for count as placed, so abandoned unpaid ones don't show up.
+// Refunded ones were paid and then cancelled.
+const PAID_MATCH = { paymentStatus: { $in: ['paid', 'refunded', 'refund_failed'] } };
+// Cancelled orders never count towards sales
+const SALES_MATCH = { ...PAID_MATCH, status: { $ne: 'cancelled' } };
+const NET_SALES = { $subtract: ['$subtotal', { $ifNull: ['$discountTotal', 0] }] };
+
+// Milliseconds from placing an order to it being marked ready, or null if it never was
+const PREP_MS = {
+  $let: {
+    vars: {
+      readyAt: {
+        $first: {
+          $map: {
+            input: { $filter: { input: '$statusHistory', cond: { $eq: ['$$this.status', 'ready'] } } },
+            in: '$$this.changedAt'
+          }
+        }
+      }
+    },
+    in: { $cond: ['$$readyAt', { $subtract: ['$$readyAt', '$orderDate'] }, null] }
+  }
+};
+
+async function salesSummary(range) {
+  const [totals] = await Order.aggregate([
+    { $match: reportMatch(range, PAID_MATCH) },
+    {
+      $group: {
+        _id: null,
+        placed: { $sum: 1 },
+        cancelled: { $sum: { $cond: [{ $eq: ['$status', 'cancelled'] }, 1, 0] } },
+        netSales: { $sum: { $cond: [{ $ne: ['$status', 'cancelled'] }, NET_SALES, 0] } },
+        tax: { $sum: { $cond: [{ $ne: ['$status', 'cancelled'] }, '$tax', 0] } },
+        discounts: { $sum: { $cond: [{ $ne: ['$status', 'cancelled'] }, { $ifNull: ['$discountTotal', 0] }, 0] } },
+        // Scheduled orders sit in pending until their slot, so only ASAP orders say how fast the kitchen is
+        prepMs: { $avg: { $cond: [{ $ifNull: ['$scheduledFor', false] }, null, PREP_MS] } }
+      }
+    }
+  ]);
+
+  const placed = totals ? totals.placed : 0;
+  const cancelled = totals ? totals.cancelled : 0;
+  const orders = placed - cancelled;
+  const netSales = totals ? roundCurrency(totals.netSales) : 0;
+
+  return {
+    from: range.from,
+    to: range.to,
+    timezone: range.timezone,
+    orders,
+    netSales,
+    tax: totals ? roundCurrency(totals.tax) : 0,
+    discounts: totals ? roundCurrency(totals.discounts) : 0,
+    averageTicket: orders > 0 ? roundCurrency(netSales / orders) : 0,
+    averagePrepMinutes: totals && totals.prepMs !== null ? Math.round(totals.prepMs / 6000) / 10 : null,
+    cancelled,
+    cancellationRate: placed > 0 ? Math.round((cancelled / placed) * 1000) / 1000 : 0
+  };
+}
+
+// Orders and net sales per store-local day across the range, or per hour of the day
+// summed over the range. Periods without orders are filled in with zeros.
+async function salesSeries(range, groupBy) {
+  const format = groupBy === 'hour' ? '%H' : '%Y-%m-%d';
+  const rows = await Order.aggregate([
+    { $match: reportMatch(range, SALES_MATCH) },
+    {
+      $group: {
+        _id: { $dateToString: { format, date: '$orderDate', timezone: range.timezone } },
+        orders: { $sum: 1 },
+        netSales: { $sum: NET_SALES }
+      }
+    }
+  ]);
+  const byPeriod = new Map(rows.map(row => [row._id, row]));
+
+  const periods = [];
+  if (groupBy === 'hour') {
+    for (let hour = 0; hour < 24; hour++) {
+      periods.push(String(hour).padStart(2, '0'));
+    }
+  } else {
+    for (let date = range.from; date <= range.to; date = addDays(date, 1)) {
+      periods.push(date);
+    }
+  }
+
+  return periods.map(period => {
+    const row = byPeriod.get(period);
+    return {
+      period: groupBy === 'hour' ? `${period}:00` : period,
+      orders: row ? row.orders : 0,
+      netSales: row ? roundCurrency(row.netSales) : 0
+    };
+  });
+}
+
+// Best sellers by units sold. Sales are line totals before order-level discounts.
+async function topItems(range, limit) {
+  const rows = await Order.aggregate([
+    { $match: reportMatch(range, SALES_MATCH) },
+    { $unwind: '$items' },
+    {
+      $group: {
+        _id: '$items.menuItem',
+        name: { $last: '$items.name' },
+        quantity: { $sum: '$items.quantity' },
+        sales: { $sum: '$items.lineTotal' }
+      }
+    },
+    { $sort: { quantity: -1, sales: -1 } },
+    { $limit: limit }
+  ]);
+
+  return rows.map(row => ({
+    menuItem: row._id,
+    name: row.name,
+    quantity: row.quantity,
+    sales: roundCurrency(row.sales)
+  }));
+}
+
+// Carts with items that nobody has touched for idleMinutes. Totals and items cover every
+// such cart, `recent` lists the latest ones without their session ids. Values use the
+// prices the lines had when they were added.
+async function abandonedCarts({ idleMinutes, limit, store }, now = new Date()) {
+  const match = {
+    lastUpdated: { $lt: new Date(now.getTime() - idleMinutes * 60000) },
+    'items.0': { $exists: true },
+    ...(store ? { store } : {})
+  };
+  const cartValue = { $sum: { $map: { input: '$items', in: { $multiply: ['$$this.price', '$$this.quantity'] } } } };
+
+  const [[totals], items, carts] = await Promise.all([
+    Cart.aggregate([
+      { $match: match },
+      { $group: { _id: null, carts: { $sum: 1 }, value: { $sum: cartValue } } }
+    ]),
+    Cart.aggregate([
+      { $match: match },
+      { $unwind: '$items' },
+      {
+        $group: {
+          _id: '$items.menuItemId',
+          name: { $last: '$items.name' },
+          quantity: { $sum: '$items.quantity' },
+          carts: { $addToSet: '$_id' },
+          value: { $sum: { $multiply: ['$items.price', '$items.quantity'] } }
+        }
+      },
+      { $sort: { quantity: -1, value: -1 } },
+      { $limit: 10 }
+    ]),
+    Cart.find(match).sort({ lastUpdated: -1 }).limit(limit)
+  ]);
+
+  return {
+    idleMinutes,
+    carts: totals ? totals.carts : 0,
+    value: totals ? roundCurrency(totals.value) : 0,
+    items: items.map(row => ({
+      menuItem: row._id,
+      name: row.name,
+      quantity: row.quantity,
+      carts: row.carts.length,
+      value: roundCurrency(row.value)
+    })),
+    recent: carts.map(cart => ({
+      _id: cart._id,
+      items: cart.items.map(({ name, modifiers, price, quantity }) => ({ name, modifiers, price, quantity })),
+      promoCode: cart.promoCode,
+      value: roundCurrency(cart.items.reduce((sum, line) => sum + line.price * line.quantity, 0)),
+      lastUpdated: cart.lastUpdated,
+      idleMinutes: Math.floor((now - cart.lastUpdated) / 60000)
+    }))
+  };
+}
+
+module.exports = {
+  REPORT_GROUPINGS,
+  PAID_MATCH,
+  resolveReportRange,
+  reportMatch,
+  salesSummary,
+  salesSeries,
+  topItems,
+  abandonedCarts
+};
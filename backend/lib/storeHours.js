@@ -0,0 +1,238 @@
+// Store hours and pickup slots
+const { SlotBooking } = require('./models');
+const { httpError } = require('./errors');
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const DAY_MINUTES = 24 * 60;
+
+const timeToMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// A day's opening and closing time in minutes past its midnight. A closing time at or
+// before the opening time is after midnight, so it runs into the next day.
+function openingMinutes(hours) {
+  const open = timeToMinutes(hours.open);
+  const close = timeToMinutes(hours.close);
+  return { open, close: close <= open ? close + DAY_MINUTES : close };
+}
+
+// Wall-clock date and time of an instant in the given timezone
+function zonedParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    weekday: 'short',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit'
+  }).formatToParts(date);
+  const get = (type) => parts.find(part => part.type === type).value;
+
+  return {
+    year: Number(get('year')),
+    month: Number(get('month')),
+    day: Number(get('day')),
+    weekday: WEEKDAYS.indexOf(get('weekday')),
+    minutes: Number(get('hour')) * 60 + Number(get('minute')),
+    date: `${get('year')}-${get('month')}-${get('day')}`
+  };
+}
+
+// The instant at which it is `minutes` past midnight on `date` (YYYY-MM-DD) in the timezone
+function zonedTimeToDate(date, minutes, timeZone) {
+  const [year, month, day] = date.split('-').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, 0, minutes);
+
+  // Measure the zone's offset at our guess, then correct once more in case
+  // the guess and the result fall on different sides of a DST change
+  let result = wallClock;
+  for (let i = 0; i < 2; i++) {
+    const parts = zonedParts(new Date(result), timeZone);
+    const [y, m, d] = parts.date.split('-').map(Number);
+    const offset = Date.UTC(y, m - 1, d, 0, parts.minutes) - result;
+    result = wallClock - offset;
+  }
+  return new Date(result);
+}
+
+const addDays = (date, days) => {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+};
+
+// The store-local date whose hours the store is open on at an instant: today, or
+// yesterday while last night's hours run past midnight. Null while it's closed.
+function openingDateAt(store, at) {
+  const { date, weekday, minutes } = zonedParts(at, store.timezone);
+  const days = [
+    { date: addDays(date, -1), day: (weekday + 6) % 7, time: minutes + DAY_MINUTES },
+    { date, day: weekday, time: minutes }
+  ];
+  const open = days.find(({ day, time }) => {
+    const hours = store.hours.find(h => h.day === day);
+    if (!hours || hours.closed) {
+      return false;
+    }
+    const { open: opens, close } = openingMinutes(hours);
+    return time >= opens && time < close;
+  });
+  return open ? open.date : null;
+}
+
+// Open on today's hours, or still open on last night's after midnight
+const isStoreOpen = (store, at = new Date()) => openingDateAt(store, at) !== null;
+
+// The trading day an instant belongs to, as a store-local date. After midnight on a night
+// the store is still open, that's the day it opened; otherwise it's the calendar date.
+const businessDateAt = (store, at = new Date()) => openingDateAt(store, at) || zonedParts(at, store.timezone).date;
+
+// Start of the slot containing the given instant
+function slotStartFor(store, at) {
+  const { date, minutes } = zonedParts(at, store.timezone);
+  return zonedTimeToDate(date, minutes - (minutes % store.slotMinutes), store.timezone);
+}
+
+// Orders booked into each of the store's slots, by slot start time
+async function bookedBySlot(store, starts) {
+  const bookings = await SlotBooking.find({ store: store.key, slot: { $in: starts } });
+  return new Map(bookings.map(booking => [booking.slot.getTime(), booking.count]));
+}
+
+// Pickup windows at the store for one store-local day's hours, with how many more orders
+// each can take. When the store closes after midnight, the slots after midnight are part
+// of this day. Slots that start before the lead time has passed are left out.
+async function getPickupSlots(store, date, now = new Date()) {
+  const { weekday } = zonedParts(zonedTimeToDate(date, 12 * 60, store.timezone), store.timezone);
+  const hours = store.hours.find(h => h.day === weekday);
+  if (!hours || hours.closed) {
+    return [];
+  }
+
+  const { open, close } = openingMinutes(hours);
+  const earliest = now.getTime() + store.leadTimeMinutes * 60000;
+  const starts = [];
+  for (let minutes = open; minutes + store.slotMinutes <= close; minutes += store.slotMinutes) {
+    const start = zonedTimeToDate(date, minutes, store.timezone);
+    if (start.getTime() >= earliest) {
+      starts.push(start);
+    }
+  }
+  if (starts.length === 0) {
+    return [];
+  }
+
+  const booked = await bookedBySlot(store, starts);
+  return starts.map(start => {
+    const remaining = Math.max(0, store.slotCapacity - (booked.get(start.getTime()) || 0));
+    return {
+      start,
+      end: new Date(start.getTime() + store.slotMinutes * 60000),
+      remaining,
+      available: remaining > 0
+    };
+  });
+}
+
+// Work out which of the store's kitchen slots a new order goes into, rejecting closed
+// hours, invalid times and full slots. The order only holds its place once reserveSlot
+// has booked it.
+async function resolvePickupSlot(store, scheduledFor, now = new Date()) {
+  if (scheduledFor === undefined || scheduledFor === null || scheduledFor === '') {
+    if (!isStoreOpen(store, now)) {
+      throw httpError(400, 'The store is closed right now. Please schedule your order for a later time.', {
+        fields: { scheduledFor: 'Choose a pickup time during store hours' }
+      });
+    }
+    const pickupSlot = slotStartFor(store, now);
+    const booked = await bookedBySlot(store, [pickupSlot]);
+    if ((booked.get(pickupSlot.getTime()) || 0) >= store.slotCapacity) {
+      throw httpError(409, 'The kitchen is at capacity right now. Please schedule your order for a later time.', {
+        fields: { scheduledFor: 'Choose a later pickup time' }
+      });
+    }
+    return { pickupSlot, scheduledFor: undefined };
+  }
+
+  const requested = new Date(scheduledFor);
+  if (Number.isNaN(requested.getTime())) {
+    throw httpError(400, 'Invalid pickup time', { fields: { scheduledFor: 'Invalid date' } });
+  }
+
+  const { date } = zonedParts(requested, store.timezone);
+  if (date > addDays(zonedParts(now, store.timezone).date, store.maxDaysAhead)) {
+    throw httpError(400, 'That pickup time is too far ahead', {
+      fields: { scheduledFor: `Orders can be scheduled up to ${store.maxDaysAhead} days ahead` }
+    });
+  }
+
+  // A slot after midnight may belong to the night before's hours
+  const slots = [
+    ...await getPickupSlots(store, addDays(date, -1), now),
+    ...await getPickupSlots(store, date, now)
+  ];
+  const slot = slots.find(s => s.start.getTime() === requested.getTime());
+  if (!slot) {
+    throw httpError(400, 'That pickup time is not available', {
+      fields: { scheduledFor: 'Choose one of the available pickup times' }
+    });
+  }
+  if (!slot.available) {
+    throw httpError(409, 'That pickup time is fully booked', {
+      fields: { scheduledFor: 'Choose another pickup time' }
+    });
+  }
+
+  return { pickupSlot: slot.start, scheduledFor: slot.start };
+}
+
+// Books the order into its slot. The count only goes up while the slot has room, so
+// orders placed at the same time can't overbook it.
+async function reserveSlot(store, pickupSlot) {
+  const filter = { store: store.key, slot: pickupSlot };
+  const hasRoom = { ...filter, count: { $lt: store.slotCapacity } };
+
+  let booking;
+  try {
+    booking = await SlotBooking.findOneAndUpdate(hasRoom, { $inc: { count: 1 } }, { upsert: true, new: true });
+  } catch (error) {
+    // Either the slot is full, so the upsert tried to create it again, or the slot's
+    // first two orders both tried to create it and this one lost
+    if (error.code !== 11000) {
+      throw error;
+    }
+    booking = await SlotBooking.findOneAndUpdate(hasRoom, { $inc: { count: 1 } }, { new: true });
+  }
+
+  if (!booking) {
+    throw httpError(409, 'That pickup time is fully booked', {
+      fields: { scheduledFor: 'Choose another pickup time' }
+    });
+  }
+}
+
+// Gives back the place of an order that was cancelled or never placed
+async function releaseSlot(storeKey, pickupSlot) {
+  if (storeKey && pickupSlot) {
+    await SlotBooking.updateOne({ store: storeKey, slot: pickupSlot, count: { $gt: 0 } }, { $inc: { count: -1 } });
+  }
+}
+
+module.exports = {
+  DATE_PATTERN,
+  timeToMinutes,
+  zonedParts,
+  zonedTimeToDate,
+  addDays,
+  isStoreOpen,
+  businessDateAt,
+  getPickupSlots,
+  resolvePickupSlot,
+  reserveSlot,
+  releaseSlot
+};
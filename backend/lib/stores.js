@@ -0,0 +1,96 @@
+// Stores, what each one sells, and which stores staff can see
+const { Store } = require('./models');
+const { httpError } = require('./errors');
+
+// Stores saved before `active` existed have no value for it
+const ACTIVE = { active: { $ne: false } };
+
+// The store with the given key. Requests that don't name one get the first store,
+// so a single-store setup never needs to pass it; until a manager saves that store,
+// it is one with the default settings.
+async function getStore(key) {
+  if (key) {
+    const store = await Store.findOne({ key, ...ACTIVE });
+    if (!store) {
+      throw httpError(404, 'Store not found');
+    }
+    return store;
+  }
+  return (await Store.findOne(ACTIVE).sort({ createdAt: 1, _id: 1 })) || new Store();
+}
+
+// The store an order was placed at, even if it has closed since. Orders from before
+// there were several stores belong to the first one.
+async function getOrderStore(order) {
+  return (order.store && await Store.findOne({ key: order.store })) || getStore();
+}
+
+const listStores = () => Store.find(ACTIVE).sort({ createdAt: 1, _id: 1 });
+
+// Whether the item can be ordered at the store, and what it costs there
+function menuItemAtStore(menuItem, storeKey) {
+  const override = (menuItem.storeOverrides || []).find(o => o.store === storeKey);
+  const hasPrice = override && override.price !== undefined && override.price !== null;
+  return {
+    available: menuItem.available && !(override && override.available === false),
+    price: hasPrice ? override.price : menuItem.price
+  };
+}
+
+// Leaves out the items the store has taken off its menu
+const storeMenuFilter = (storeKey) => ({
+  storeOverrides: { $not: { $elemMatch: { store: storeKey, available: false } } }
+});
+
+// A menu item as the store's customers see it
+const menuItemForStore = (menuItem, storeKey) => ({
+  ...menuItem.toJSON(),
+  ...menuItemAtStore(menuItem, storeKey)
+});
+
+// Staff with no stores work everywhere. Orders from before there were several stores
+// have no store, so only they see those.
+const canAccessStore = (user, storeKey) => (
+  !user.stores || user.stores.length === 0 || user.stores.includes(storeKey)
+);
+
+function checkStoreAccess(user, storeKey) {
+  if (!canAccessStore(user, storeKey)) {
+    throw httpError(403, 'You don\'t work at this store', { code: 'wrong_store' });
+  }
+}
+
+const CHAIN_MANAGER_ONLY = 'Needs the manager role, and to work across every store';
+
+// Managers who work at some stores only can't open new ones or change what every store
+// shares: the menu, promotions and ingredient stock
+function checkChainManager(user) {
+  if (user.stores && user.stores.length > 0) {
+    throw httpError(403, 'Only managers who work across every store can do this', { code: 'wrong_store' });
+  }
+}
+
+// The value to filter orders' `store` by for a staff listing or report: the requested
+// store if the user works there, otherwise every store they work at. Undefined means
+// no filter.
+function storeScope(user, requested) {
+  if (requested) {
+    checkStoreAccess(user, requested);
+    return requested;
+  }
+  return user.stores && user.stores.length > 0 ? { $in: user.stores } : undefined;
+}
+
+module.exports = {
+  CHAIN_MANAGER_ONLY,
+  getStore,
+  getOrderStore,
+  listStores,
+  menuItemAtStore,
+  storeMenuFilter,
+  menuItemForStore,
+  canAccessStore,
+  checkStoreAccess,
+  checkChainManager,
+  storeScope
+};
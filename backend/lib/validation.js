@@ -0,0 +1,82 @@
+// Request validation with zod schemas for params, query and body
+const { z } = require('zod');
+const { extendZodWithOpenApi } = require('@asteasolutions/zod-to-openapi');
+const { httpError } = require('./errors');
+const { DATE_PATTERN } = require('./storeHours');
+
+// Adds .openapi() to schemas, so the same schemas document the API (see lib/openapi.js)
+extendZodWithOpenApi(z);
+
+const objectId = z.string().regex(/^[0-9a-fA-F]{24}$/, 'Must be a valid id').openapi({ example: '65f1c0ffee0000000000abcd' });
+const idParams = z.object({ id: objectId });
+const dateString = z.string().regex(DATE_PATTERN, 'Must be formatted as YYYY-MM-DD');
+const storeKey = z.string().trim().toLowerCase()
+  .regex(/^[a-z0-9]+(-[a-z0-9]+)*$/, 'Must be a store key like downtown-la').openapi({ example: 'downtown-la' });
+// A YYYY-MM-DD day or a full timestamp, for date range filters
+const dateOrTimestamp = z.string().refine(
+  value => DATE_PATTERN.test(value) || !Number.isNaN(new Date(value).getTime()),
+  'Must be a date like 2026-03-10 or a timestamp'
+);
+const timeString = z.string().regex(/^([01]\d|2[0-4]):[0-5]\d$/, 'Must be a time like 09:30');
+
+// Query strings only carry text, so numbers are coerced before checking
+const queryNumber = () => z.coerce.number({ invalid_type_error: 'Must be a number' });
+const queryInteger = () => queryNumber().int('Must be a whole number');
+
+// "a,b,c" -> ['a', 'b', 'c']
+const commaList = (item) => z.string()
+  .transform(value => value.split(',').map(part => part.trim()).filter(Boolean))
+  .pipe(z.array(item));
+
+// First problem per field, keyed by its dotted path
+function issuesToFields(issues) {
+  const fields = {};
+  for (const issue of issues) {
+    const key = issue.path.join('.') || 'body';
+    if (!fields[key]) {
+      fields[key] = issue.message;
+    }
+  }
+  return fields;
+}
+
+// Validate the parts of the request that have a schema. The parsed values replace
+// the originals, so defaults apply and unknown body fields never reach the handler.
+const validate = (schemas) => (req, res, next) => {
+  let fields = {};
+  let badId = false;
+
+  for (const part of ['params', 'query', 'body']) {
+    if (!schemas[part]) {
+      continue;
+    }
+    const result = schemas[part].safeParse(req[part] === undefined ? {} : req[part]);
+    if (result.success) {
+      req[part] = result.data;
+    } else {
+      fields = { ...issuesToFields(result.error.issues), ...fields };
+      badId = badId || (part === 'params' && result.error.issues.some(issue => issue.message === 'Must be a valid id'));
+    }
+  }
+
+  if (Object.keys(fields).length > 0) {
+    return next(badId
+      ? httpError(400, 'Malformed id', { code: 'invalid_id', fields })
+      : httpError(400, 'Invalid request', { fields }));
+  }
+  next();
+};
+
+module.exports = {
+  z,
+  objectId,
+  idParams,
+  dateString,
+  dateOrTimestamp,
+  storeKey,
+  timeString,
+  queryNumber,
+  queryInteger,
+  commaList,
+  validate
+};
@@ -0,0 +1,93 @@
+// Manager menu administration
+const express = require('express');
+const { MenuItem } = require('../lib/models');
+const { CHAIN_MANAGER_ONLY, checkChainManager } = require('../lib/stores');
+const { requireRole } = require('../lib/auth');
+const { httpError } = require('../lib/errors');
+const { z, validate } = require('../lib/validation');
+const { schemas, documentRoute } = require('../lib/openapi');
+
+const router = express.Router();
+
+const renameCategory = {
+  params: z.object({ name: z.string().min(1) }),
+  body: z.object({
+    name: z.string({ required_error: 'Category name is required' }).trim().min(1, 'Category name is required')
+  })
+};
+
+const Category = z.object({ name: z.string(), itemCount: z.number().int() });
+
+documentRoute({
+  method: 'get',
+  path: '/admin/menu',
+  tags: ['Menu'],
+  summary: 'Every menu item, including unavailable and out-of-stock ones',
+  role: 'manager',
+  responses: { 200: { description: 'Menu items by category and name', schema: z.array(schemas.MenuItem) } }
+});
+router.get('/admin/menu', requireRole('manager'), async (req, res, next) => {
+  try {
+    const items = await MenuItem.find().sort({ category: 1, name: 1 });
+    res.json(items);
+  } catch (error) {
+    next(error);
+  }
+});
+
+documentRoute({
+  method: 'get',
+  path: '/admin/menu/categories',
+  tags: ['Menu'],
+  summary: 'Categories with their item counts',
+  role: 'manager',
+  responses: { 200: { description: 'Categories by name', schema: z.array(Category) } }
+});
+router.get('/admin/menu/categories', requireRole('manager'), async (req, res, next) => {
+  try {
+    const categories = await MenuItem.aggregate([
+      { $group: { _id: '$category', itemCount: { $sum: 1 } } },
+      { $sort: { _id: 1 } },
+      { $project: { _id: 0, name: '$_id', itemCount: 1 } }
+    ]);
+    res.json(categories);
+  } catch (error) {
+    next(error);
+  }
+});
+
+documentRoute({
+  method: 'put',
+  path: '/admin/menu/categories/:name',
+  tags: ['Menu'],
+  summary: 'Rename a category',
+  description: 'Renaming onto an existing category merges the two.',
+  role: 'manager',
+  request: renameCategory,
+  responses: {
+    200: { description: 'The renamed category', schema: Category },
+    403: CHAIN_MANAGER_ONLY,
+    404: 'Category not found'
+  }
+});
+// Renaming onto an existing category merges the two
+router.put('/admin/menu/categories/:name', requireRole('manager'), validate(renameCategory), async (req, res, next) => {
+  try {
+    checkChainManager(req.user);
+    const newName = req.body.name;
+    const result = await MenuItem.updateMany(
+      { category: req.params.name },
+      { $set: { category: newName } }
+    );
+    
+    if (result.matchedCount === 0) {
+      throw httpError(404, 'Category not found');
+    }
+    
+    res.json({ name: newName, itemCount: result.matchedCount });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
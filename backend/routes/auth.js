@@ -0,0 +1,140 @@
+// Registration, login, logout and the current user
+const express = require('express');
+const { User, RevokedToken } = require('../lib/models');
+const { issueToken, requireAuth } = require('../lib/auth');
+const { claimCart } = require('../lib/cart');
+const { httpError } = require('../lib/errors');
+const { z, validate } = require('../lib/validation');
+const { schemas, documentRoute } = require('../lib/openapi');
+
+const router = express.Router();
+
+// The browser's anonymous cart session, whose cart moves into the account
+const sessionId = z.string().min(1).max(100).optional()
+  .openapi({ description: 'The anonymous cart session to merge into the account\'s cart' });
+
+const loginBody = z.object({
+  email: z.string({ required_error: 'Email is required' }).trim().toLowerCase().min(1, 'Email is required'),
+  password: z.string({ required_error: 'Password is required' }).min(1, 'Password is required'),
+  sessionId
+});
+
+const registerBody = z.object({
+  name: z.string({ required_error: 'Name is required' }).trim().min(1, 'Name is required'),
+  email: z.string({ required_error: 'Email is required' }).trim().toLowerCase().email('Enter a valid email address'),
+  password: z.string({ required_error: 'Password is required' }).min(8, 'Password must be at least 8 characters'),
+  sessionId
+});
+
+const SignedIn = z.object({
+  token: z.string(),
+  user: schemas.User,
+  cart: schemas.Cart.optional()
+    .openapi({ description: 'The account\'s cart when a `sessionId` was sent; use its `sessionId` from now on' })
+});
+
+// Token and user, plus the account's cart when the client says which session it was using
+async function signedIn(user, req) {
+  const body = { token: issueToken(user), user };
+  if (req.body.sessionId) {
+    body.cart = await claimCart(req.body.sessionId, user);
+  }
+  return body;
+}
+
+documentRoute({
+  method: 'post',
+  path: '/auth/register',
+  tags: ['Auth'],
+  summary: 'Create a customer account and sign in',
+  request: { body: registerBody },
+  responses: {
+    201: { description: 'A bearer token and the new customer', schema: SignedIn },
+    409: 'An account with that email already exists'
+  }
+});
+router.post('/auth/register', validate({ body: registerBody }), async (req, res, next) => {
+  try {
+    const { name, email, password } = req.body;
+    
+    const user = new User({
+      name,
+      email,
+      role: 'customer',
+      passwordHash: await User.hashPassword(password)
+    });
+    try {
+      await user.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        throw httpError(409, 'An account with that email already exists');
+      }
+      throw error;
+    }
+    
+    res.status(201).json(await signedIn(user, req));
+  } catch (error) {
+    next(error);
+  }
+});
+
+documentRoute({
+  method: 'post',
+  path: '/auth/login',
+  tags: ['Auth'],
+  summary: 'Sign in with email and password',
+  request: { body: loginBody },
+  responses: {
+    200: { description: 'A bearer token and the signed-in user', schema: SignedIn },
+    401: 'Invalid email or password'
+  }
+});
+router.post('/auth/login', validate({ body: loginBody }), async (req, res, next) => {
+  try {
+    const { email, password } = req.body;
+    
+    const user = await User.findOne({ email });
+    if (!user || !(await user.verifyPassword(password))) {
+      throw httpError(401, 'Invalid email or password');
+    }
+    
+    res.json(await signedIn(user, req));
+  } catch (error) {
+    next(error);
+  }
+});
+
+documentRoute({
+  method: 'post',
+  path: '/auth/logout',
+  tags: ['Auth'],
+  summary: 'Revoke the current token',
+  auth: true,
+  responses: { 200: { description: 'Logged out', schema: schemas.Message } }
+});
+router.post('/auth/logout', requireAuth, async (req, res, next) => {
+  try {
+    await RevokedToken.updateOne(
+      { jti: req.token.jti },
+      { jti: req.token.jti, expiresAt: new Date(req.token.exp * 1000) },
+      { upsert: true }
+    );
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+documentRoute({
+  method: 'get',
+  path: '/auth/me',
+  tags: ['Auth'],
+  summary: 'The signed-in user',
+  auth: true,
+  responses: { 200: { description: 'The signed-in user', schema: schemas.User } }
+});
+router.get('/auth/me', requireAuth, (req, res) => {
+  res.json(req.user);
+});
+
+module.exports = router;
@@ -0,0 +1,330 @@
+// Session and account carts
+const express = require('express');
+const { normalizePhone } = require('../lib/orderDetails');
+const { priceOrderItems, applyDiscounts, pricingSummary } = require('../lib/pricing');
+const { evaluatePromotion } = require('../lib/promotions');
+const { getStore } = require('../lib/stores');
+const {
+  MAX_LINE_QUANTITY,
+  MAX_CART_LINES,
+  cartOrderItems,
+  findCart,
+  checkCartVersion,
+  addCartLine,
+  replaceCartLines,
+  moveCartToStore,
+  findCartLine,
+  saveCart
+} = require('../lib/cart');
+const { httpError } = require('../lib/errors');
+const { z, objectId, storeKey, queryInteger, validate } = require('../lib/validation');
+const { schemas, documentRoute } = require('../lib/openapi');
+
+const router = express.Router();
+
+const cartParams = z.object({
+  sessionId: z.string().min(1).max(100)
+});
+
+const lineParams = cartParams.extend({ lineId: objectId });
+
+const quantity = z.number()
+  .int('Quantity must be a whole number')
+  .min(1, 'Quantity must be at least 1')
+  .max(MAX_LINE_QUANTITY, `You can order up to ${MAX_LINE_QUANTITY} of an item`);
+
+const selectedModifiers = z.array(z.object({
+  group: z.string(),
+  option: z.string()
+}));
+
+// The cart version the client last saw. Writes that send it are refused with a 409
+// once the cart has moved on; writes without it always apply.
+const version = z.number().int().min(0).optional()
+  .openapi({ description: 'The cart version this change is based on' });
+
+// Name and price are accepted for older clients but always come from the menu
+const cartBody = z.object({
+  items: z.array(z.object({
+    menuItemId: objectId,
+    name: z.string().optional(),
+    modifiers: selectedModifiers.optional(),
+    price: z.number().optional(),
+    quantity
+  })).max(MAX_CART_LINES, `A cart can hold up to ${MAX_CART_LINES} different items`),
+  version
+});
+
+const addLine = {
+  params: cartParams,
+  body: z.object({
+    menuItemId: objectId,
+    modifiers: selectedModifiers.default([]),
+    quantity: quantity.default(1),
+    version
+  })
+};
+
+const updateLine = {
+  params: lineParams,
+  body: z.object({ quantity, version })
+};
+
+const removeLine = {
+  params: lineParams,
+  query: z.object({ version: queryInteger().min(0).optional() })
+};
+
+const moveCart = {
+  params: cartParams,
+  body: z.object({ store: storeKey, version })
+};
+
+const MovedCart = z.object({
+  cart: schemas.Cart,
+  skipped: z.array(z.object({
+    menuItemId: z.string(),
+    name: z.string(),
+    reason: z.string()
+  })).openapi({ description: 'Lines the store does not sell, which were taken out' })
+});
+
+// A missing code is reported by evaluatePromotion, under the same promoCode field as other promo problems
+const promoBody = z.object({
+  code: z.string().optional(),
+  phone: z.string().optional(),
+  email: z.string().optional()
+});
+
+const ownedCartResponse = 'The cart belongs to an account you are not signed in to';
+const staleCartResponse = 'The cart changed since `version`; `cart` in the error is the current cart';
+
+documentRoute({
+  method: 'get',
+  path: '/cart/:sessionId',
+  tags: ['Cart'],
+  summary: 'Get the cart for a browser session',
+  description: 'Sessions without a cart get an empty one, which is only stored once an item is added or a store is picked.',
+  request: { params: cartParams },
+  responses: {
+    200: { description: 'The cart', schema: schemas.Cart },
+    403: ownedCartResponse
+  }
+});
+router.get('/cart/:sessionId', validate({ params: cartParams }), async (req, res, next) => {
+  try {
+    res.json(await findCart(req.params.sessionId, req.user));
+  } catch (error) {
+    next(error);
+  }
+});
+
+documentRoute({
+  method: 'post',
+  path: '/cart/:sessionId',
+  tags: ['Cart'],
+  summary: 'Replace the items in a cart',
+  description: 'Prefer the line endpoints, which don\'t overwrite changes made in another tab.',
+  request: { params: cartParams, body: cartBody },
+  responses: {
+    200: { description: 'The saved cart', schema: schemas.Cart },
+    403: ownedCartResponse,
+    409: staleCartResponse
+  }
+});
+router.post('/cart/:sessionId', validate({ params: cartParams, body: cartBody }), async (req, res, next) => {
+  try {
+    const cart = await findCart(req.params.sessionId, req.user);
+    checkCartVersion(cart, req.body.version);
+    await replaceCartLines(cart, req.body.items);
+    res.json(await saveCart(cart));
+  } catch (error) {
+    next(error);
+  }
+});
+
+documentRoute({
+  method: 'delete',
+  path: '/cart/:sessionId',
+  tags: ['Cart'],
+  summary: 'Empty and remove a cart',
+  request: { params: cartParams },
+  responses: {
+    200: { description: 'Cleared', schema: schemas.Message },
+    403: ownedCartResponse
+  }
+});
+router.delete('/cart/:sessionId', validate({ params: cartParams }), async (req, res, next) => {
+  try {
+    const cart = await findCart(req.params.sessionId, req.user);
+    if (!cart.isNew) {
+      await cart.deleteOne();
+    }
+    res.json({ message: 'Cart cleared successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+documentRoute({
+  method: 'post',
+  path: '/cart/:sessionId/items',
+  tags: ['Cart'],
+  summary: 'Add an item to the cart',
+  description: 'Adding an item with the same modifiers as an existing line adds to that line\'s quantity.',
+  request: addLine,
+  responses: {
+    200: { description: 'The saved cart', schema: schemas.Cart },
+    403: ownedCartResponse,
+    409: staleCartResponse
+  }
+});
+router.post('/cart/:sessionId/items', validate(addLine), async (req, res, next) => {
+  try {
+    const { version: seen, ...item } = req.body;
+    const cart = await findCart(req.params.sessionId, req.user);
+    checkCartVersion(cart, seen);
+    await addCartLine(cart, item);
+    res.json(await saveCart(cart));
+  } catch (error) {
+    next(error);
+  }
+});
+
+documentRoute({
+  method: 'patch',
+  path: '/cart/:sessionId/items/:lineId',
+  tags: ['Cart'],
+  summary: 'Change the quantity of a cart line',
+  request: updateLine,
+  responses: {
+    200: { description: 'The saved cart', schema: schemas.Cart },
+    403: ownedCartResponse,
+    404: 'Cart line not found',
+    409: staleCartResponse
+  }
+});
+router.patch('/cart/:sessionId/items/:lineId', validate(updateLine), async (req, res, next) => {
+  try {
+    const cart = await findCart(req.params.sessionId, req.user);
+    checkCartVersion(cart, req.body.version);
+    findCartLine(cart, req.params.lineId).quantity = req.body.quantity;
+    res.json(await saveCart(cart));
+  } catch (error) {
+    next(error);
+  }
+});
+
+documentRoute({
+  method: 'delete',
+  path: '/cart/:sessionId/items/:lineId',
+  tags: ['Cart'],
+  summary: 'Remove a line from the cart',
+  request: removeLine,
+  responses: {
+    200: { description: 'The saved cart', schema: schemas.Cart },
+    403: ownedCartResponse,
+    404: 'Cart line not found',
+    409: staleCartResponse
+  }
+});
+router.delete('/cart/:sessionId/items/:lineId', validate(removeLine), async (req, res, next) => {
+  try {
+    const cart = await findCart(req.params.sessionId, req.user);
+    checkCartVersion(cart, req.query.version);
+    findCartLine(cart, req.params.lineId).deleteOne();
+    res.json(await saveCart(cart));
+  } catch (error) {
+    next(error);
+  }
+});
+
+documentRoute({
+  method: 'put',
+  path: '/cart/:sessionId/store',
+  tags: ['Cart'],
+  summary: 'Order from another store',
+  description: 'The lines are priced for the new store. Lines it does not sell are taken out and listed in `skipped`.',
+  request: moveCart,
+  responses: {
+    200: { description: 'The saved cart', schema: MovedCart },
+    403: ownedCartResponse,
+    404: 'Store not found',
+    409: staleCartResponse
+  }
+});
+router.put('/cart/:sessionId/store', validate(moveCart), async (req, res, next) => {
+  try {
+    const cart = await findCart(req.params.sessionId, req.user);
+    checkCartVersion(cart, req.body.version);
+    const skipped = await moveCartToStore(cart, await getStore(req.body.store));
+    
+    res.json({ cart: await saveCart(cart), skipped });
+  } catch (error) {
+    next(error);
+  }
+});
+
+documentRoute({
+  method: 'post',
+  path: '/cart/:sessionId/promo',
+  tags: ['Cart'],
+  summary: 'Apply a promo code to the cart',
+  description: 'Problems with the code are reported in `fields.promoCode`.',
+  request: { params: cartParams, body: promoBody },
+  responses: {
+    200: {
+      description: 'The cart and its price with the discount',
+      schema: z.object({ cart: schemas.Cart, pricing: schemas.Pricing })
+    },
+    403: ownedCartResponse
+  }
+});
+router.post('/cart/:sessionId/promo', validate({ params: cartParams, body: promoBody }), async (req, res, next) => {
+  try {
+    const cart = await findCart(req.params.sessionId, req.user);
+    if (cart.items.length === 0) {
+      throw httpError(400, 'Add items to your cart before applying a promo code');
+    }
+    
+    const pricing = await priceOrderItems(cartOrderItems(cart.items), await getStore(cart.store));
+    const { discount } = await evaluatePromotion(req.body.code, pricing, {
+      phone: req.body.phone ? normalizePhone(req.body.phone) : undefined,
+      email: req.body.email ? req.body.email.trim().toLowerCase() : undefined
+    });
+    
+    cart.promoCode = discount.code;
+    await saveCart(cart);
+    
+    res.json({ cart, pricing: pricingSummary(applyDiscounts(pricing, [discount])) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+documentRoute({
+  method: 'delete',
+  path: '/cart/:sessionId/promo',
+  tags: ['Cart'],
+  summary: 'Remove the promo code from the cart',
+  request: { params: cartParams },
+  responses: {
+    200: { description: 'The cart', schema: schemas.Cart },
+    403: ownedCartResponse,
+    404: 'Cart not found'
+  }
+});
+router.delete('/cart/:sessionId/promo', validate({ params: cartParams }), async (req, res, next) => {
+  try {
+    const cart = await findCart(req.params.sessionId, req.user);
+    if (cart.isNew) {
+      throw httpError(404, 'Cart not found');
+    }
+    cart.promoCode = undefined;
+    res.json(await saveCart(cart));
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
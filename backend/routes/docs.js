@@ -0,0 +1,48 @@
+// OpenAPI document and a browsable docs page
+const express = require('express');
+const { z } = require('../lib/validation');
+const { documentRoute, openApiDocument } = require('../lib/openapi');
+
+const router = express.Router();
+
+// Swagger UI from a CDN keeps its static assets out of the serverless bundle
+const docsPage = (specUrl) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>In-N-Out Burger API</title>
+  <link rel="stylesheet" href="https://unpkg.com/swagger-ui-dist@5/swagger-ui.css">
+</head>
+<body>
+  <div id="docs"></div>
+  <script src="https://unpkg.com/swagger-ui-dist@5/swagger-ui-bundle.js"></script>
+  <script>
+    SwaggerUIBundle({ url: ${JSON.stringify(specUrl)}, dom_id: '#docs' });
+  </script>
+</body>
+</html>
+`;
+
+documentRoute({
+  method: 'get',
+  path: '/openapi.json',
+  tags: ['Docs'],
+  summary: 'This document',
+  responses: { 200: { description: 'OpenAPI 3 document', schema: z.object({}).passthrough() } }
+});
+router.get('/openapi.json', (req, res) => {
+  res.json(openApiDocument(req.baseUrl || '/'));
+});
+
+documentRoute({
+  method: 'get',
+  path: '/docs',
+  tags: ['Docs'],
+  summary: 'Interactive API docs',
+  responses: { 200: { description: 'HTML page', type: 'text/html', schema: z.string() } }
+});
+router.get('/docs', (req, res) => {
+  res.type('html').send(docsPage(`${req.baseUrl}/openapi.json`));
+});
+
+module.exports = router;
@@ -0,0 +1,56 @@
+// All API routes. The same router is mounted under every prefix in api/index.js.
+const express = require('express');
+const { z } = require('../lib/validation');
+const { documentRoute } = require('../lib/openapi');
+
+const router = express.Router();
+
+documentRoute({
+  method: 'get',
+  path: '/',
+  tags: ['Docs'],
+  summary: 'Where to find the API docs',
+  responses: {
+    200: {
+      description: 'Links to the docs',
+      schema: z.object({ message: z.string(), version: z.string(), docs: z.string(), openapi: z.string() })
+    }
+  }
+});
+// Every endpoint is described in the OpenAPI document rather than listed here
+router.get('/', (req, res) => {
+  res.json({
+    message: 'Welcome to In-N-Out Burger API',
+    version: '1.0.0',
+    docs: `${req.baseUrl}/docs`,
+    openapi: `${req.baseUrl}/openapi.json`
+  });
+});
+
+documentRoute({
+  method: 'get',
+  path: '/health',
+  tags: ['Docs'],
+  summary: 'Health check',
+  responses: { 200: { description: 'The server is up', schema: z.object({ status: z.string(), message: z.string() }) } }
+});
+router.get('/health', (req, res) => {
+  res.json({ status: 'ok', message: 'Server is running' });
+});
+
+router.use(require('./auth'));
+router.use(require('./users'));
+router.use(require('./menu'));
+router.use(require('./store'));
+router.use(require('./admin'));
+router.use(require('./inventory'));
+router.use(require('./reports'));
+router.use(require('./promotions'));
+router.use(require('./cart'));
+router.use(require('./orders'));
+router.use(require('./payments'));
+router.use(require('./receipts'));
+router.use(require('./me'));
+router.use(require('./docs'));
+
+module.exports = router;
@@ -0,0 +1,221 @@
+// Ingredient stock levels
+const express = require('express');
+const { MenuItem, Ingredient } = require('../lib/models');
+const { CHAIN_MANAGER_ONLY, checkChainManager } = require('../lib/stores');
+const { requireRole } = require('../lib/auth');
+const { httpError } = require('../lib/errors');
+const { z, idParams, validate } = require('../lib/validation');
+const { schemas, documentRoute } = require('../lib/openapi');
+
+const router = express.Router();
+
+const ingredientBody = z.object({
+  name: z.string({ required_error: 'Name is required' }).trim().min(1, 'Name is required'),
+  unit: z.string().trim().optional(),
+  stock: z.number().min(0, 'Stock cannot be negative').optional(),
+  lowStockThreshold: z.number().min(0, 'Threshold cannot be negative').optional()
+});
+
+const updateIngredient = { params: idParams, body: ingredientBody.partial() };
+
+const restockIngredient = {
+  params: idParams,
+  body: z.object({
+    quantity: z.number({ required_error: 'Restock quantity must be a positive number', invalid_type_error: 'Restock quantity must be a positive number' })
+      .positive('Restock quantity must be a positive number')
+  })
+};
+
+const LowStockIngredient = schemas.Ingredient.extend({
+  outOfStock: z.boolean(),
+  menuItems: z.array(z.object({ _id: z.string(), name: z.string() }))
+});
+
+documentRoute({
+  method: 'get',
+  path: '/ingredients',
+  tags: ['Inventory'],
+  summary: 'List ingredients by name',
+  role: 'manager',
+  responses: { 200: { description: 'All ingredients', schema: z.array(schemas.Ingredient) } }
+});
+router.get('/ingredients', requireRole('manager'), async (req, res, next) => {
+  try {
+    const ingredients = await Ingredient.find().sort({ name: 1 });
+    res.json(ingredients);
+  } catch (error) {
+    next(error);
+  }
+});
+
+documentRoute({
+  method: 'get',
+  path: '/ingredients/low-stock',
+  tags: ['Inventory'],
+  summary: 'Ingredients at or below their threshold',
+  role: 'manager',
+  responses: { 200: { description: 'Low ingredients, lowest stock first', schema: z.array(LowStockIngredient) } }
+});
+// Ingredients at or below their threshold, with the menu items they affect
+router.get('/ingredients/low-stock', requireRole('manager'), async (req, res, next) => {
+  try {
+    const ingredients = await Ingredient
+      .find({ $expr: { $lte: ['$stock', '$lowStockThreshold'] } })
+      .sort({ stock: 1, name: 1 });
+    const ids = ingredients.map(ingredient => ingredient._id);
+    const menuItems = await MenuItem.find({
+      $or: [
+        { 'recipe.ingredient': { $in: ids } },
+        { 'modifierGroups.options.recipe.ingredient': { $in: ids } }
+      ]
+    });
+    
+    res.json(ingredients.map(ingredient => {
+      const id = ingredient._id.toString();
+      const usedBy = menuItems.filter(item =>
+        item.recipe.some(line => line.ingredient.toString() === id) ||
+        item.modifierGroups.some(group => group.options.some(option =>
+          option.recipe.some(line => line.ingredient.toString() === id)
+        ))
+      );
+      return {
+        ...ingredient.toJSON(),
+        outOfStock: ingredient.stock <= 0,
+        menuItems: usedBy.map(item => ({ _id: item._id, name: item.name }))
+      };
+    }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+documentRoute({
+  method: 'post',
+  path: '/ingredients',
+  tags: ['Inventory'],
+  summary: 'Add an ingredient',
+  role: 'manager',
+  request: { body: ingredientBody },
+  responses: {
+    201: { description: 'The new ingredient', schema: schemas.Ingredient },
+    403: CHAIN_MANAGER_ONLY,
+    409: 'An ingredient with that name already exists'
+  }
+});
+router.post('/ingredients', requireRole('manager'), validate({ body: ingredientBody }), async (req, res, next) => {
+  try {
+    checkChainManager(req.user);
+    const ingredient = new Ingredient(req.body);
+    await ingredient.save();
+    res.status(201).json(ingredient);
+  } catch (error) {
+    if (error.code === 11000) {
+      return next(httpError(409, 'An ingredient with that name already exists'));
+    }
+    next(error);
+  }
+});
+
+documentRoute({
+  method: 'put',
+  path: '/ingredients/:id',
+  tags: ['Inventory'],
+  summary: 'Update some fields of an ingredient',
+  role: 'manager',
+  request: updateIngredient,
+  responses: {
+    200: { description: 'The updated ingredient', schema: schemas.Ingredient },
+    403: CHAIN_MANAGER_ONLY,
+    404: 'Ingredient not found',
+    409: 'An ingredient with that name already exists'
+  }
+});
+router.put('/ingredients/:id', requireRole('manager'), validate(updateIngredient), async (req, res, next) => {
+  try {
+    checkChainManager(req.user);
+    const ingredient = await Ingredient.findByIdAndUpdate(
+      req.params.id,
+      req.body,
+      { new: true, runValidators: true }
+    );
+    if (!ingredient) {
+      throw httpError(404, 'Ingredient not found');
+    }
+    res.json(ingredient);
+  } catch (error) {
+    if (error.code === 11000) {
+      return next(httpError(409, 'An ingredient with that name already exists'));
+    }
+    next(error);
+  }
+});
+
+documentRoute({
+  method: 'post',
+  path: '/ingredients/:id/restock',
+  tags: ['Inventory'],
+  summary: 'Add to the stock of an ingredient',
+  role: 'manager',
+  request: restockIngredient,
+  responses: {
+    200: { description: 'The restocked ingredient', schema: schemas.Ingredient },
+    403: CHAIN_MANAGER_ONLY,
+    404: 'Ingredient not found'
+  }
+});
+// Adds to the current stock rather than overwriting it, so restocks can't undo concurrent orders
+router.post('/ingredients/:id/restock', requireRole('manager'), validate(restockIngredient), async (req, res, next) => {
+  try {
+    checkChainManager(req.user);
+    const ingredient = await Ingredient.findByIdAndUpdate(
+      req.params.id,
+      { $inc: { stock: req.body.quantity } },
+      { new: true }
+    );
+    if (!ingredient) {
+      throw httpError(404, 'Ingredient not found');
+    }
+    res.json(ingredient);
+  } catch (error) {
+    next(error);
+  }
+});
+
+documentRoute({
+  method: 'delete',
+  path: '/ingredients/:id',
+  tags: ['Inventory'],
+  summary: 'Delete an ingredient no recipe uses',
+  role: 'manager',
+  request: { params: idParams },
+  responses: {
+    200: { description: 'Deleted', schema: schemas.Message },
+    403: CHAIN_MANAGER_ONLY,
+    404: 'Ingredient not found',
+    409: 'Ingredient is used in a recipe'
+  }
+});
+router.delete('/ingredients/:id', requireRole('manager'), validate({ params: idParams }), async (req, res, next) => {
+  try {
+    checkChainManager(req.user);
+    const inUse = await MenuItem.exists({
+      $or: [
+        { 'recipe.ingredient': req.params.id },
+        { 'modifierGroups.options.recipe.ingredient': req.params.id }
+      ]
+    });
+    if (inUse) {
+      throw httpError(409, 'Ingredient is used in a recipe; remove it from the menu first');
+    }
+    
+    const deletedIngredient = await Ingredient.findByIdAndDelete(req.params.id);
+    if (!deletedIngredient) {
+      throw httpError(404, 'Ingredient not found');
+    }
+    res.json({ message: 'Ingredient deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
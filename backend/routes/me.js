@@ -0,0 +1,70 @@
+// The signed-in customer's order history and reordering
+const express = require('express');
+const { Order } = require('../lib/models');
+const { pageQuery, paginateOrders } = require('../lib/listing');
+const { orderCartItems, findAccountCart, addAvailableLines, saveCart } = require('../lib/cart');
+const { requireAuth } = require('../lib/auth');
+const { httpError } = require('../lib/errors');
+const { z, idParams, validate } = require('../lib/validation');
+const { schemas, documentRoute } = require('../lib/openapi');
+
+const router = express.Router();
+
+const Reorder = z.object({
+  cart: schemas.Cart,
+  skipped: z.array(z.object({
+    menuItemId: z.string(),
+    name: z.string(),
+    reason: z.string()
+  })).openapi({ description: 'Lines of the order that could not be added, and why' })
+});
+
+documentRoute({
+  method: 'get',
+  path: '/me/orders',
+  tags: ['Account'],
+  summary: 'Orders placed while signed in, newest first',
+  description: 'Pass `paging.nextCursor` back as `cursor` for the next page.',
+  auth: true,
+  request: { query: pageQuery },
+  responses: { 200: { description: 'A page of orders', schema: schemas.OrderPage } }
+});
+router.get('/me/orders', requireAuth, validate({ query: pageQuery }), async (req, res, next) => {
+  try {
+    res.json(await paginateOrders({ customer: req.user._id }, req.query));
+  } catch (error) {
+    next(error);
+  }
+});
+
+documentRoute({
+  method: 'post',
+  path: '/me/orders/:id/reorder',
+  tags: ['Account'],
+  summary: 'Add the items of a past order to the account\'s cart',
+  description: 'Items are priced from the current menu. Items that are no longer on the menu, unavailable '
+    + 'or out of stock are left out and listed in `skipped`.',
+  auth: true,
+  request: { params: idParams },
+  responses: {
+    200: { description: 'The account\'s cart; use its `sessionId` from now on', schema: Reorder },
+    404: 'Order not found'
+  }
+});
+router.post('/me/orders/:id/reorder', requireAuth, validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const order = await Order.findOne({ _id: req.params.id, customer: req.user._id });
+    if (!order) {
+      throw httpError(404, 'Order not found');
+    }
+    
+    const cart = await findAccountCart(req.user);
+    const skipped = await addAvailableLines(cart, orderCartItems(order));
+    
+    res.json({ cart: await saveCart(cart), skipped });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
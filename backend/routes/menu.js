@@ -0,0 +1,189 @@
+// Public menu and manager menu item CRUD
+const express = require('express');
+const { MenuItem } = require('../lib/models');
+const { inStockMenuItems } = require('../lib/inventory');
+const { buildMenuQuery } = require('../lib/listing');
+const { CHAIN_MANAGER_ONLY, getStore, menuItemForStore, checkChainManager } = require('../lib/stores');
+const { requireRole } = require('../lib/auth');
+const { httpError } = require('../lib/errors');
+const { z, objectId, idParams, storeKey, validate } = require('../lib/validation');
+const { schemas, documentRoute } = require('../lib/openapi');
+
+const router = express.Router();
+
+const recipeLine = z.object({
+  ingredient: objectId,
+  quantity: z.number()
+});
+
+const modifierGroup = z.object({
+  name: z.string().trim().min(1),
+  selection: z.enum(['single', 'multi']).optional(),
+  min: z.number().int().min(0).optional(),
+  max: z.number().int().min(1).optional(),
+  options: z.array(z.object({
+    name: z.string().trim().min(1),
+    priceDelta: z.number().optional(),
+    default: z.boolean().optional(),
+    recipe: z.array(recipeLine).optional()
+  }))
+});
+
+// Fields a manager may set; anything else in the body (createdAt, say) is dropped
+const menuItemBody = z.object({
+  name: z.string({ required_error: 'Name is required' }).trim().min(1, 'Name is required'),
+  description: z.string({ required_error: 'Description is required' }).trim().min(1, 'Description is required'),
+  price: z.number({ required_error: 'Price is required' }).nonnegative('Price cannot be negative'),
+  category: z.string().trim().min(1).optional(),
+  available: z.boolean().optional(),
+  imageUrl: z.union([z.string().url('Image URL must be a valid URL'), z.literal('')]).optional(),
+  modifierGroups: z.array(modifierGroup).optional(),
+  recipe: z.array(recipeLine).optional()
+});
+
+const updateMenuItem = { params: idParams, body: menuItemBody.partial() };
+
+// Without a store, the first one
+const storeQuery = z.object({
+  store: storeKey.optional()
+});
+
+const menuQuery = storeQuery.extend({
+  category: z.string().optional(),
+  q: z.string().optional()
+});
+
+// Every store shares these items, so managers tied to some stores change them per store instead
+const CHAIN_MENU_NOTE = 'Only for managers who work across every store. Other managers change their store\'s '
+  + 'price or availability with PUT /stores/{key}/menu/{id}.';
+
+documentRoute({
+  method: 'get',
+  path: '/menu',
+  tags: ['Menu'],
+  summary: 'Menu items available at a store and in stock, at that store\'s prices',
+  description: 'With `q`, items are ordered by how well they match.',
+  request: { query: menuQuery },
+  responses: {
+    200: { description: 'Menu items', schema: z.array(schemas.MenuItem) },
+    404: 'Store not found'
+  }
+});
+router.get('/menu', validate({ query: menuQuery }), async (req, res, next) => {
+  try {
+    const store = await getStore(req.query.store);
+    const { filter, sort } = buildMenuQuery(req.query, store.key);
+    const items = await inStockMenuItems(filter, sort);
+    res.json(items.map(item => menuItemForStore(item, store.key)));
+  } catch (error) {
+    next(error);
+  }
+});
+
+documentRoute({
+  method: 'get',
+  path: '/menu/:id',
+  tags: ['Menu'],
+  summary: 'Get a menu item as a store sells it',
+  request: { params: idParams, query: storeQuery },
+  responses: {
+    200: { description: 'The menu item', schema: schemas.MenuItem },
+    404: 'Store or menu item not found'
+  }
+});
+router.get('/menu/:id', validate({ params: idParams, query: storeQuery }), async (req, res, next) => {
+  try {
+    const store = await getStore(req.query.store);
+    const item = await MenuItem.findById(req.params.id);
+    if (!item) {
+      throw httpError(404, 'Menu item not found');
+    }
+    res.json(menuItemForStore(item, store.key));
+  } catch (error) {
+    next(error);
+  }
+});
+
+documentRoute({
+  method: 'post',
+  path: '/menu',
+  tags: ['Menu'],
+  summary: 'Add a menu item',
+  description: CHAIN_MENU_NOTE,
+  role: 'manager',
+  request: { body: menuItemBody },
+  responses: {
+    201: { description: 'The new menu item', schema: schemas.MenuItem },
+    403: CHAIN_MANAGER_ONLY
+  }
+});
+router.post('/menu', requireRole('manager'), validate({ body: menuItemBody }), async (req, res, next) => {
+  try {
+    checkChainManager(req.user);
+    const newItem = new MenuItem(req.body);
+    await newItem.save();
+    res.status(201).json(newItem);
+  } catch (error) {
+    next(error);
+  }
+});
+
+documentRoute({
+  method: 'put',
+  path: '/menu/:id',
+  tags: ['Menu'],
+  summary: 'Update some fields of a menu item',
+  description: CHAIN_MENU_NOTE,
+  role: 'manager',
+  request: updateMenuItem,
+  responses: {
+    200: { description: 'The updated menu item', schema: schemas.MenuItem },
+    403: CHAIN_MANAGER_ONLY,
+    404: 'Menu item not found'
+  }
+});
+router.put('/menu/:id', requireRole('manager'), validate(updateMenuItem), async (req, res, next) => {
+  try {
+    checkChainManager(req.user);
+    const updatedItem = await MenuItem.findByIdAndUpdate(
+      req.params.id,
+      req.body,
+      { new: true, runValidators: true }
+    );
+    if (!updatedItem) {
+      throw httpError(404, 'Menu item not found');
+    }
+    res.json(updatedItem);
+  } catch (error) {
+    next(error);
+  }
+});
+
+documentRoute({
+  method: 'delete',
+  path: '/menu/:id',
+  tags: ['Menu'],
+  summary: 'Delete a menu item',
+  description: CHAIN_MENU_NOTE,
+  role: 'manager',
+  request: { params: idParams },
+  responses: {
+    200: { description: 'Deleted', schema: schemas.Message },
+    403: CHAIN_MANAGER_ONLY,
+    404: 'Menu item not found'
+  }
+});
+router.delete('/menu/:id', requireRole('manager'), validate({ params: idParams }), async (req, res, next) => {
+  try {
+    checkChainManager(req.user);
+    const deletedItem = await MenuItem.findByIdAndDelete(req.params.id);
+    if (!deletedItem) {
+      throw httpError(404, 'Menu item not found');
+    }
+    res.json({ message: 'Menu item deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
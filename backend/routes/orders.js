@@ -0,0 +1,453 @@
+// Orders, their status lifecycle and live updates
+const express = require('express');
+const { ORDER_STATUSES, ORDER_TRANSITIONS, Order, Cart } = require('../lib/models');
+const { PUBLIC_ORDER_FIELDS, normalizePhone, validateOrderDetails, orderFor } = require('../lib/orderDetails');
+const { resolvePickupSlot, reserveSlot, releaseSlot } = require('../lib/storeHours');
+const { getStore, canAccessStore, checkStoreAccess } = require('../lib/stores');
+const { orderStockUsage, restoreStock, deductStock } = require('../lib/inventory');
+const { UNPAID_ORDER_MINUTES, releaseOrderHolds, expireUnpaidOrders } = require('../lib/orderExpiry');
+const { priceOrderItems, pricingSummary, orderPricingSummary } = require('../lib/pricing');
+const { releasePromotion, applyOrderPromotion } = require('../lib/promotions');
+const { findCart } = require('../lib/cart');
+const { pageQuery, buildOrderFilter, paginateOrders } = require('../lib/listing');
+const { requireRole } = require('../lib/auth');
+const { openOrderEventStream, toCustomerEvent } = require('../lib/orderEvents');
+const { refundOrder } = require('../lib/payments');
+const { nextOrderNumber } = require('../lib/orderNumbers');
+const { httpError } = require('../lib/errors');
+const { IDEMPOTENCY_HEADER, idempotencyKey, requestHash, findIdempotentResult } = require('../lib/idempotency');
+const { z, idParams, dateOrTimestamp, storeKey, queryNumber, commaList, validate } = require('../lib/validation');
+const { schemas, documentRoute } = require('../lib/openapi');
+
+const router = express.Router();
+
+const orderStatus = z.enum(ORDER_STATUSES, {
+  errorMap: () => ({ message: `Must be one of ${ORDER_STATUSES.join(', ')}` })
+});
+const orderTotal = queryNumber().min(0, 'Must be a non-negative number');
+
+const ordersQuery = pageQuery.extend({
+  store: storeKey.optional().openapi({ description: 'Defaults to every store you work at' }),
+  status: commaList(orderStatus).optional().openapi({ description: 'One or more statuses, comma separated', example: 'confirmed,preparing' }),
+  from: dateOrTimestamp.optional(),
+  to: dateOrTimestamp.optional(),
+  phone: z.string()
+    .transform(normalizePhone)
+    .refine(phone => phone.length === 10, 'Must be a 10-digit phone number')
+    .optional(),
+  email: z.string().trim().toLowerCase().optional(),
+  number: z.string()
+    .transform(value => value.trim().replace(/^#/, ''))
+    .refine(value => /^[1-9]\d*$/.test(value), 'Must be a whole number, like 101 or #101')
+    .transform(Number)
+    .optional()
+    .openapi({ description: 'Order number, with or without the #; combine with from/to for one day' }),
+  minTotal: orderTotal.optional(),
+  maxTotal: orderTotal.optional()
+});
+
+// Only the shape is checked here. Menu items, quantities and customer details are
+// checked by priceOrderItems and validateOrderDetails, which report them per line
+// and per field.
+const orderBody = z.object({
+  items: z.array(z.object({
+    menuItemId: z.string(),
+    quantity: z.number(),
+    modifiers: z.array(z.object({
+      group: z.string(),
+      option: z.string()
+    })).optional()
+  }), { required_error: 'Order must contain at least one item' }),
+  customerInfo: z.object({
+    name: z.string().optional(),
+    phone: z.string().optional(),
+    email: z.string().optional()
+  }).optional(),
+  orderType: z.string().optional(),
+  scheduledFor: z.string().nullable().optional(),
+  notes: z.string({ invalid_type_error: 'Special instructions must be text' }).nullable().optional(),
+  promoCode: z.string().optional(),
+  sessionId: z.string().optional(),
+  store: storeKey.optional().openapi({ description: 'Where the order is picked up; defaults to the cart\'s store' })
+});
+
+const orderEventsQuery = z.object({
+  store: storeKey.optional().openapi({ description: 'Defaults to every store you work at' })
+});
+
+const idempotencyHeaders = z.object({
+  [IDEMPOTENCY_HEADER]: z.string().max(255).optional()
+    .openapi({ description: 'A unique value per checkout attempt; send the same one when retrying it. '
+      + 'Only for signed-in users or requests with a `sessionId`' })
+});
+
+// Replays get the same response as the original request, marked with a header
+function sendPlacedOrder(res, order, { pricing = orderPricingSummary(order), replayed = false } = {}) {
+  if (replayed) {
+    res.set('Idempotent-Replayed', 'true');
+  }
+  res.status(201).json({ ...order.toJSON(), pricing });
+}
+
+const updateStatus = {
+  params: idParams,
+  body: z.object({
+    status: z.enum(ORDER_STATUSES, { errorMap: () => ({ message: 'Invalid status' }) }),
+    note: z.string().max(500, 'Notes must be 500 characters or fewer').optional()
+  })
+};
+
+documentRoute({
+  method: 'get',
+  path: '/orders',
+  tags: ['Orders'],
+  summary: 'List orders newest first, one page at a time',
+  description: 'Pass `paging.nextCursor` back as `cursor` for the next page. Dates are in the store\'s timezone. '
+    + 'Staff only see the orders of the stores they work at.',
+  role: 'staff',
+  request: { query: ordersQuery },
+  responses: {
+    200: { description: 'A page of orders', schema: schemas.OrderPage },
+    403: 'Needs the staff role, or you don\'t work at that store'
+  }
+});
+router.get('/orders', requireRole('staff'), validate({ query: ordersQuery }), async (req, res, next) => {
+  try {
+    const filter = await buildOrderFilter(req.query, req.user);
+    res.json(await paginateOrders(filter, req.query));
+  } catch (error) {
+    next(error);
+  }
+});
+
+documentRoute({
+  method: 'get',
+  path: '/orders/events',
+  tags: ['Orders'],
+  summary: 'Live stream of new orders and status changes for the kitchen',
+  role: 'staff',
+  request: { query: orderEventsQuery },
+  responses: {
+    200: { description: 'Server-sent events', type: 'text/event-stream', schema: z.string() },
+    403: 'Needs the staff role, or you don\'t work at that store'
+  }
+});
+router.get('/orders/events', requireRole('staff'), validate({ query: orderEventsQuery }), (req, res, next) => {
+  try {
+    const { store } = req.query;
+    if (store) {
+      checkStoreAccess(req.user, store);
+    }
+    
+    openOrderEventStream(req, res, event => {
+      const eventStore = event.order && event.order.store;
+      return canAccessStore(req.user, eventStore) && (!store || eventStore === store) ? event : null;
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+documentRoute({
+  method: 'get',
+  path: '/orders/:id',
+  tags: ['Orders'],
+  summary: 'Get an order',
+  description: 'The customer who placed the order while signed in, and staff at its store, get all of it. '
+    + `Anyone else gets only ${PUBLIC_ORDER_FIELDS.map(field => `\`${field}\``).join(', ')}.`,
+  request: { params: idParams },
+  responses: {
+    200: { description: 'The order', schema: schemas.Order },
+    404: 'Order not found'
+  }
+});
+router.get('/orders/:id', validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      throw httpError(404, 'Order not found');
+    }
+    res.json(orderFor(req.user, order));
+  } catch (error) {
+    next(error);
+  }
+});
+
+documentRoute({
+  method: 'get',
+  path: '/orders/:id/events',
+  tags: ['Orders'],
+  summary: 'Live status updates for one order',
+  description: 'Starts with a snapshot of the current status.',
+  request: { params: idParams },
+  responses: {
+    200: { description: 'Server-sent events', type: 'text/event-stream', schema: z.string() },
+    404: 'Order not found'
+  }
+});
+router.get('/orders/:id/events', validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      throw httpError(404, 'Order not found');
+    }
+    
+    const orderId = order._id.toString();
+    const send = openOrderEventStream(req, res, event =>
+      event.orderId === orderId ? toCustomerEvent(event) : null
+    );
+    
+    const lastChange = order.statusHistory[order.statusHistory.length - 1];
+    send({
+      type: 'snapshot',
+      orderId,
+      status: order.status,
+      changedAt: lastChange ? lastChange.changedAt : order.orderDate
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+documentRoute({
+  method: 'post',
+  path: '/orders',
+  tags: ['Orders'],
+  summary: 'Place an order',
+  description: 'Prices come from the menu, not the request. Lines that cannot be ordered are listed in '
+    + '`problems`, and customer detail problems in `fields`. Items are priced for the store the order is '
+    + 'picked up from. Placing the order empties the session\'s cart. The order has '
+    + `${UNPAID_ORDER_MINUTES} minutes to be paid for before it is cancelled. `
+    + `Retrying with the same ${IDEMPOTENCY_HEADER} returns the order the first attempt placed.`,
+  request: { headers: idempotencyHeaders, body: orderBody },
+  responses: {
+    201: { description: 'The new order', schema: schemas.Order.extend({ pricing: schemas.Pricing }) },
+    403: 'The session\'s cart belongs to another account',
+    404: 'Store not found',
+    409: `The pickup slot is full, or the ${IDEMPOTENCY_HEADER} was used for a different order`
+  }
+});
+router.post('/orders', validate({ body: orderBody }), async (req, res, next) => {
+  try {
+    const { items, sessionId } = req.body;
+    const key = await idempotencyKey(req);
+    const hash = key && requestHash(req.body);
+    
+    const placed = key && await findIdempotentResult(Order, key, hash);
+    if (placed) {
+      return sendPlacedOrder(res, placed, { replayed: true });
+    }
+    
+    const details = validateOrderDetails(req.body);
+    const cart = sessionId ? await findCart(sessionId, req.user) : null;
+    const store = await getStore(req.body.store || (cart && cart.store));
+    await expireUnpaidOrders(req.app.get('orderEvents'), { store: store.key });
+    const pickup = await resolvePickupSlot(store, req.body.scheduledFor);
+    const priced = await priceOrderItems(items, store);
+    
+    // Book the slot once nothing but the promo code can turn the order away
+    await reserveSlot(store, pickup.pickupSlot);
+    let promotion;
+    try {
+      promotion = await applyOrderPromotion(priced, req.body.promoCode || (cart && cart.promoCode), details.customerInfo);
+    } catch (error) {
+      await releaseSlot(store.key, pickup.pickupSlot);
+      throw error;
+    }
+    const { pricing, promotionId } = promotion;
+    
+    // From here on a failure gives back the slot and promo use, so nothing is held
+    // without an order behind it
+    let newOrder;
+    try {
+      const { orderNumber, businessDate } = await nextOrderNumber(store);
+      
+      newOrder = new Order({
+        store: store.key,
+        orderNumber,
+        businessDate,
+        items: pricing.items,
+        subtotal: pricing.subtotal,
+        discounts: pricing.discounts,
+        discountTotal: pricing.discountTotal,
+        tax: pricing.tax,
+        totalPrice: pricing.total,
+        customerInfo: details.customerInfo,
+        orderType: details.orderType,
+        scheduledFor: pickup.scheduledFor,
+        pickupSlot: pickup.pickupSlot,
+        notes: details.notes,
+        customer: req.user && req.user._id,
+        idempotencyKey: key,
+        requestHash: hash,
+        status: 'pending',
+        statusHistory: [{
+          status: 'pending',
+          changedBy: req.user && req.user._id,
+          changedByName: req.user && req.user.name
+        }]
+      });
+      await newOrder.save();
+    } catch (error) {
+      await releaseSlot(store.key, pickup.pickupSlot);
+      if (promotionId) {
+        await releasePromotion(promotionId, details.customerInfo);
+      }
+      // A retry raced the first attempt and lost; answer with the winner's order
+      if (key && error.code === 11000 && error.keyValue && error.keyValue.idempotencyKey) {
+        return sendPlacedOrder(res, await findIdempotentResult(Order, key, hash), { replayed: true });
+      }
+      throw error;
+    }
+    
+    if (cart && !cart.isNew) {
+      await Cart.deleteOne({ _id: cart._id });
+    }
+    
+    req.app.get('orderEvents').publish({
+      type: 'order.created',
+      orderId: newOrder._id.toString(),
+      status: newOrder.status,
+      changedAt: newOrder.orderDate,
+      order: newOrder.toJSON()
+    });
+    
+    sendPlacedOrder(res, newOrder, { pricing: pricingSummary(pricing) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+documentRoute({
+  method: 'patch',
+  path: '/orders/:id/status',
+  tags: ['Orders'],
+  summary: 'Move an order to its next status',
+  description: 'Only paid orders can be confirmed. Confirming takes the ingredients out of stock; cancelling '
+    + 'puts them back and refunds the payment (`paymentStatus` is `refund_failed` if the refund did not go through).',
+  role: 'staff',
+  request: updateStatus,
+  responses: {
+    200: { description: 'The updated order', schema: schemas.Order },
+    403: 'Needs the staff role, or you don\'t work at the order\'s store',
+    404: 'Order not found',
+    409: 'Not an allowed transition (`allowedTransitions` lists those that are), or the order is unpaid or '
+      + 'there is not enough stock to confirm'
+  }
+});
+router.patch('/orders/:id/status', requireRole('staff'), validate(updateStatus), async (req, res, next) => {
+  try {
+    const { status, note } = req.body;
+    
+    const current = await Order.findById(req.params.id);
+    if (!current) {
+      throw httpError(404, 'Order not found');
+    }
+    checkStoreAccess(req.user, current.store);
+    
+    const allowedTransitions = ORDER_TRANSITIONS[current.status];
+    if (!allowedTransitions.includes(status)) {
+      throw httpError(409, `Cannot change order from ${current.status} to ${status}`, {
+        currentStatus: current.status,
+        allowedTransitions
+      });
+    }
+    
+    if (status === 'confirmed' && current.paymentStatus !== 'paid') {
+      throw httpError(409, 'The order has not been paid yet', { code: 'unpaid_order', paymentStatus: current.paymentStatus });
+    }
+    
+    // Stock is committed when the kitchen accepts the order
+    const stockUsage = status === 'confirmed' ? await orderStockUsage(current) : [];
+    await deductStock(stockUsage);
+    
+    // Only apply the change if nobody else moved the order in the meantime
+    let order = await Order.findOneAndUpdate(
+      { _id: current._id, status: current.status },
+      {
+        $set: status === 'confirmed' ? { status, stockUsage } : { status },
+        $push: {
+          statusHistory: {
+            status,
+            previousStatus: current.status,
+            changedBy: req.user._id,
+            changedByName: req.user.name,
+            note
+          }
+        }
+      },
+      { new: true }
+    );
+    
+    if (!order) {
+      await restoreStock(stockUsage);
+      const latest = await Order.findById(current._id);
+      throw httpError(409, 'Order status was changed by someone else, please retry', {
+        currentStatus: latest && latest.status,
+        allowedTransitions: latest ? ORDER_TRANSITIONS[latest.status] : []
+      });
+    }
+    
+    if (status === 'cancelled') {
+      await releaseOrderHolds(order);
+      order = await refundOrder(req.app.get('payments'), order);
+    }
+    
+    const change = order.statusHistory[order.statusHistory.length - 1];
+    req.app.get('orderEvents').publish({
+      type: 'order.status',
+      orderId: order._id.toString(),
+      status: order.status,
+      previousStatus: change.previousStatus,
+      changedAt: change.changedAt,
+      changedByName: change.changedByName,
+      order: order.toJSON()
+    });
+    
+    res.json(order);
+  } catch (error) {
+    next(error);
+  }
+});
+
+documentRoute({
+  method: 'delete',
+  path: '/orders/:id',
+  tags: ['Orders'],
+  summary: 'Delete an order',
+  description: 'A paid order is refunded first, and an order that wasn\'t cancelled gives back its pickup slot, '
+    + 'promo uses and stock. If the refund fails the order is kept, marked for follow-up.',
+  role: 'manager',
+  request: { params: idParams },
+  responses: {
+    200: { description: 'Deleted', schema: schemas.Message },
+    403: 'Needs the manager role, or you don\'t work at the order\'s store',
+    404: 'Order not found',
+    409: 'The refund failed, so the order was kept'
+  }
+});
+router.delete('/orders/:id', requireRole('manager'), validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      throw httpError(404, 'Order not found');
+    }
+    checkStoreAccess(req.user, order.store);
+    
+    // Deleting would lose the only record of money still owed back
+    const refunded = await refundOrder(req.app.get('payments'), order);
+    if (refunded.paymentStatus === 'refund_failed') {
+      throw httpError(409, 'The refund failed, so the order was kept', { code: 'refund_failed' });
+    }
+    
+    await order.deleteOne();
+    if (order.status !== 'cancelled') {
+      await releaseOrderHolds(order);
+    }
+    res.json({ message: 'Order deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
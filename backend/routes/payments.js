@@ -0,0 +1,110 @@
+// Paying for orders, and the payment provider's webhook
+const express = require('express');
+const { Order } = require('../lib/models');
+const { payOrder, recordPayment } = require('../lib/payments');
+const { expireUnpaidOrders } = require('../lib/orderExpiry');
+const { orderFor } = require('../lib/orderDetails');
+const { httpError } = require('../lib/errors');
+const { z, idParams, validate } = require('../lib/validation');
+const { schemas, documentRoute } = require('../lib/openapi');
+
+const router = express.Router();
+
+const WEBHOOK_SIGNATURE_HEADER = 'payment-signature';
+
+const payBody = z.object({
+  paymentMethod: z.string({ required_error: 'Payment method is required' }).trim().min(1, 'Payment method is required')
+    .openapi({ description: 'What the provider\'s client library returns for the card; the mock provider takes a card number' })
+});
+
+// The kitchen board and the customer's tracking page hear about payments as they land
+function publishPayment(req, order) {
+  req.app.get('orderEvents').publish({
+    type: 'order.payment',
+    orderId: order._id.toString(),
+    status: order.status,
+    paymentStatus: order.paymentStatus,
+    changedAt: new Date(),
+    order: order.toJSON()
+  });
+}
+
+documentRoute({
+  method: 'post',
+  path: '/orders/:id/payment',
+  tags: ['Payments'],
+  summary: 'Pay for an order',
+  description: 'Charges the order\'s total. A declined card answers 402 with the provider\'s reason as the '
+    + 'error `code` (e.g. `card_declined`) and can be retried with another card. The order comes back as '
+    + 'GET /orders/{id} shows it to the caller.',
+  request: { params: idParams, body: payBody },
+  responses: {
+    200: { description: 'The paid order', schema: schemas.Order },
+    402: 'The card was declined',
+    404: 'Order not found',
+    409: 'The order was cancelled, ran out of time to be paid for or has already been paid'
+  }
+});
+router.post('/orders/:id/payment', validate({ params: idParams, body: payBody }), async (req, res, next) => {
+  try {
+    const [expired] = await expireUnpaidOrders(req.app.get('orderEvents'), { _id: req.params.id });
+    const current = expired || await Order.findById(req.params.id);
+    if (!current) {
+      throw httpError(404, 'Order not found');
+    }
+    
+    const { result, order } = await payOrder(req.app.get('payments'), current, req.body.paymentMethod);
+    publishPayment(req, order);
+    
+    if (result.status !== 'succeeded') {
+      throw httpError(402, result.failureMessage || 'Payment failed', {
+        code: result.failureCode || 'payment_failed',
+        paymentStatus: order.paymentStatus
+      });
+    }
+    res.json(orderFor(req.user, order));
+  } catch (error) {
+    next(error);
+  }
+});
+
+documentRoute({
+  method: 'post',
+  path: '/payments/webhook',
+  tags: ['Payments'],
+  summary: 'Payment results sent by the payment provider',
+  description: 'The body must be signed in the Payment-Signature header. Deliveries are recorded once, so '
+    + 'the provider can safely retry any that did not get a 2xx.',
+  request: {
+    headers: z.object({ [WEBHOOK_SIGNATURE_HEADER]: z.string().openapi({ example: 't=1767225600,v1=5257a869...' }) })
+  },
+  responses: {
+    200: { description: 'Received', schema: z.object({ received: z.boolean() }) },
+    400: 'The signature is missing, wrong or too old',
+    404: 'No order has this payment yet; the provider retries later'
+  }
+});
+router.post('/payments/webhook', async (req, res, next) => {
+  try {
+    const provider = req.app.get('payments');
+    const result = provider.verifyWebhook(req.rawBody ? req.rawBody.toString('utf8') : '', req.get(WEBHOOK_SIGNATURE_HEADER));
+    if (!result) {
+      return res.json({ received: true });
+    }
+    
+    const before = await Order.findOne({ paymentIntent: result.intentId });
+    const order = before && await recordPayment(provider, result);
+    if (!order) {
+      throw httpError(404, 'No order for this payment');
+    }
+    
+    if (order.paymentStatus !== before.paymentStatus) {
+      publishPayment(req, order);
+    }
+    res.json({ received: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
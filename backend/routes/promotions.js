@@ -0,0 +1,133 @@
+// Promo code management
+const express = require('express');
+const { Promotion } = require('../lib/models');
+const { CHAIN_MANAGER_ONLY, checkChainManager } = require('../lib/stores');
+const { requireRole } = require('../lib/auth');
+const { httpError } = require('../lib/errors');
+const { z, objectId, idParams, validate } = require('../lib/validation');
+const { schemas, documentRoute } = require('../lib/openapi');
+
+const router = express.Router();
+
+// timesUsed is left out on purpose: only redemptions change it
+const promotionBody = z.object({
+  code: z.string({ required_error: 'Code is required' }).trim().min(1, 'Code is required'),
+  description: z.string().optional(),
+  type: z.enum(['percent', 'fixed', 'bogo']),
+  value: z.number().min(0, 'Value cannot be negative').nullable().optional(),
+  menuItem: objectId.nullable().optional(),
+  minSubtotal: z.number().min(0, 'Minimum subtotal cannot be negative').optional(),
+  startsAt: z.coerce.date().nullable().optional(),
+  endsAt: z.coerce.date().nullable().optional(),
+  maxUses: z.number().int().min(1).nullable().optional(),
+  maxUsesPerCustomer: z.number().int().min(1).nullable().optional(),
+  active: z.boolean().optional()
+});
+
+const updatePromotion = { params: idParams, body: promotionBody.partial() };
+
+documentRoute({
+  method: 'get',
+  path: '/promotions',
+  tags: ['Promotions'],
+  summary: 'List promotions, newest first',
+  role: 'manager',
+  responses: { 200: { description: 'All promotions', schema: z.array(schemas.Promotion) } }
+});
+router.get('/promotions', requireRole('manager'), async (req, res, next) => {
+  try {
+    const promotions = await Promotion.find().sort({ createdAt: -1 }).populate('menuItem', 'name');
+    res.json(promotions);
+  } catch (error) {
+    next(error);
+  }
+});
+
+documentRoute({
+  method: 'post',
+  path: '/promotions',
+  tags: ['Promotions'],
+  summary: 'Create a promotion',
+  role: 'manager',
+  request: { body: promotionBody },
+  responses: {
+    201: { description: 'The new promotion', schema: schemas.Promotion },
+    403: CHAIN_MANAGER_ONLY,
+    409: 'A promotion with that code already exists'
+  }
+});
+router.post('/promotions', requireRole('manager'), validate({ body: promotionBody }), async (req, res, next) => {
+  try {
+    checkChainManager(req.user);
+    const promotion = new Promotion(req.body);
+    await promotion.save();
+    res.status(201).json(promotion);
+  } catch (error) {
+    if (error.code === 11000) {
+      return next(httpError(409, 'A promotion with that code already exists'));
+    }
+    next(error);
+  }
+});
+
+documentRoute({
+  method: 'put',
+  path: '/promotions/:id',
+  tags: ['Promotions'],
+  summary: 'Update some fields of a promotion',
+  role: 'manager',
+  request: updatePromotion,
+  responses: {
+    200: { description: 'The updated promotion', schema: schemas.Promotion },
+    403: CHAIN_MANAGER_ONLY,
+    404: 'Promotion not found',
+    409: 'A promotion with that code already exists'
+  }
+});
+router.put('/promotions/:id', requireRole('manager'), validate(updatePromotion), async (req, res, next) => {
+  try {
+    checkChainManager(req.user);
+    const promotion = await Promotion.findById(req.params.id);
+    if (!promotion) {
+      throw httpError(404, 'Promotion not found');
+    }
+    
+    // Save through the document so the cross-field checks in pre('validate') run
+    promotion.set(req.body);
+    await promotion.save();
+    res.json(promotion);
+  } catch (error) {
+    if (error.code === 11000) {
+      return next(httpError(409, 'A promotion with that code already exists'));
+    }
+    next(error);
+  }
+});
+
+documentRoute({
+  method: 'delete',
+  path: '/promotions/:id',
+  tags: ['Promotions'],
+  summary: 'Delete a promotion',
+  role: 'manager',
+  request: { params: idParams },
+  responses: {
+    200: { description: 'Deleted', schema: schemas.Message },
+    403: CHAIN_MANAGER_ONLY,
+    404: 'Promotion not found'
+  }
+});
+router.delete('/promotions/:id', requireRole('manager'), validate({ params: idParams }), async (req, res, next) => {
+  try {
+    checkChainManager(req.user);
+    const deletedPromotion = await Promotion.findByIdAndDelete(req.params.id);
+    if (!deletedPromotion) {
+      throw httpError(404, 'Promotion not found');
+    }
+    res.json({ message: 'Promotion deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,164 @@
+// Customer receipts, and kitchen tickets for a printer bridge to poll
+const express = require('express');
+const { Order } = require('../lib/models');
+const { getOrderStore, checkStoreAccess, storeScope } = require('../lib/stores');
+const { RECEIPT_FORMATS, orderLabel, buildReceipt, receiptHtml, receiptPdf, kitchenTicket } = require('../lib/receipts');
+const { requireRole } = require('../lib/auth');
+const { canSeeOrderDetails } = require('../lib/orderDetails');
+const { httpError } = require('../lib/errors');
+const { z, idParams, storeKey, queryInteger, validate } = require('../lib/validation');
+const { documentRoute } = require('../lib/openapi');
+
+const router = express.Router();
+
+// Tickets are printed once the kitchen has accepted the order
+const TICKET_STATUSES = ['confirmed', 'preparing'];
+
+const receiptQuery = z.object({
+  format: z.enum(RECEIPT_FORMATS).default('html')
+});
+
+const ticketsQuery = z.object({
+  store: storeKey.optional().openapi({ description: 'The printer\'s store; defaults to every store you work at' }),
+  limit: queryInteger().min(1, 'Limit must be from 1 to 50').max(50, 'Limit must be from 1 to 50').default(10)
+});
+
+const KitchenTicket = z.object({
+  orderId: z.string(),
+  orderLabel: z.string().openapi({ example: '#101' }),
+  text: z.string().openapi({ description: '42 columns, lines end in \\n' })
+});
+
+documentRoute({
+  method: 'get',
+  path: '/orders/:id/receipt',
+  tags: ['Receipts'],
+  summary: 'Itemized receipt for an order, as a web page or a PDF',
+  description: 'The customer\'s name is only printed for the customer who placed the order while signed in, '
+    + 'and for staff at its store.',
+  request: { params: idParams, query: receiptQuery },
+  responses: {
+    200: { description: 'The receipt (`application/pdf` when format is pdf)', type: 'text/html', schema: z.string() },
+    404: 'Order not found'
+  }
+});
+router.get('/orders/:id/receipt', validate({ params: idParams, query: receiptQuery }), async (req, res, next) => {
+  try {
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      throw httpError(404, 'Order not found');
+    }
+    
+    const receipt = buildReceipt(order, await getOrderStore(order));
+    if (!canSeeOrderDetails(req.user, order)) {
+      delete receipt.customerName;
+    }
+    if (req.query.format === 'pdf') {
+      res.set('Content-Type', 'application/pdf');
+      res.set('Content-Disposition', `inline; filename="receipt-${order.businessDate || 'order'}-${orderLabel(order).slice(1)}.pdf"`);
+      return res.send(receiptPdf(receipt));
+    }
+    res.type('html').send(receiptHtml(receipt));
+  } catch (error) {
+    next(error);
+  }
+});
+
+documentRoute({
+  method: 'get',
+  path: '/orders/:id/ticket',
+  tags: ['Receipts'],
+  summary: 'Kitchen ticket for an order, e.g. to reprint it',
+  role: 'staff',
+  request: { params: idParams },
+  responses: {
+    200: { description: 'The ticket as plain text', type: 'text/plain', schema: z.string() },
+    403: 'Needs the staff role, or you don\'t work at the order\'s store',
+    404: 'Order not found'
+  }
+});
+router.get('/orders/:id/ticket', requireRole('staff'), validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      throw httpError(404, 'Order not found');
+    }
+    checkStoreAccess(req.user, order.store);
+    res.type('text').send(kitchenTicket(order, await getOrderStore(order)));
+  } catch (error) {
+    next(error);
+  }
+});
+
+documentRoute({
+  method: 'get',
+  path: '/kitchen/tickets',
+  tags: ['Receipts'],
+  summary: 'Kitchen tickets waiting to be printed, oldest first',
+  description: 'For a printer bridge to poll. Tickets stay in the list until marked printed, so one '
+    + 'that failed to print comes back on the next poll.',
+  role: 'staff',
+  request: { query: ticketsQuery },
+  responses: {
+    200: { description: 'Tickets to print', schema: z.object({ data: z.array(KitchenTicket) }) },
+    403: 'Needs the staff role, or you don\'t work at that store'
+  }
+});
+router.get('/kitchen/tickets', requireRole('staff'), validate({ query: ticketsQuery }), async (req, res, next) => {
+  try {
+    const filter = { status: { $in: TICKET_STATUSES }, ticketPrintedAt: null };
+    const scope = storeScope(req.user, req.query.store);
+    if (scope) {
+      filter.store = scope;
+    }
+    
+    const orders = await Order.find(filter).sort({ orderDate: 1, _id: 1 }).limit(req.query.limit);
+    const stores = new Map();
+    const data = [];
+    for (const order of orders) {
+      if (!stores.has(order.store)) {
+        stores.set(order.store, await getOrderStore(order));
+      }
+      data.push({
+        orderId: order._id.toString(),
+        orderLabel: orderLabel(order),
+        text: kitchenTicket(order, stores.get(order.store))
+      });
+    }
+    res.json({ data });
+  } catch (error) {
+    next(error);
+  }
+});
+
+documentRoute({
+  method: 'post',
+  path: '/kitchen/tickets/:id/printed',
+  tags: ['Receipts'],
+  summary: 'Mark an order\'s kitchen ticket as printed',
+  description: 'Marking it again keeps the first time.',
+  role: 'staff',
+  request: { params: idParams },
+  responses: {
+    200: { description: 'When the ticket was printed', schema: z.object({ orderId: z.string(), ticketPrintedAt: z.string().datetime() }) },
+    403: 'Needs the staff role, or you don\'t work at the order\'s store',
+    404: 'Order not found'
+  }
+});
+router.post('/kitchen/tickets/:id/printed', requireRole('staff'), validate({ params: idParams }), async (req, res, next) => {
+  try {
+    let order = await Order.findById(req.params.id);
+    if (!order) {
+      throw httpError(404, 'Order not found');
+    }
+    checkStoreAccess(req.user, order.store);
+    
+    await Order.updateOne({ _id: order._id, ticketPrintedAt: null }, { $set: { ticketPrintedAt: new Date() } });
+    order = await Order.findById(order._id);
+    res.json({ orderId: order._id.toString(), ticketPrintedAt: order.ticketPrintedAt });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,237 @@
+// Sales reports for managers
+const express = require('express');
+const { Order, CART_TTL_DAYS } = require('../lib/models');
+const { getStore, storeScope } = require('../lib/stores');
+const {
+  REPORT_GROUPINGS,
+  resolveReportRange,
+  PAID_MATCH,
+  reportMatch,
+  salesSummary,
+  salesSeries,
+  topItems,
+  abandonedCarts
+} = require('../lib/reports');
+const { toCsv } = require('../lib/csv');
+const { requireRole } = require('../lib/auth');
+const { z, storeKey, dateString, queryInteger, validate } = require('../lib/validation');
+const { documentRoute } = require('../lib/openapi');
+
+const router = express.Router();
+
+// Stores scope every report; without one, a report covers all the stores the manager works at
+const storeFilter = z.object({
+  store: storeKey.optional()
+});
+
+// Dates are in the store's timezone (the first store's for several); the range itself is
+// checked by resolveReportRange
+const reportRange = storeFilter.extend({
+  from: dateString.optional(),
+  to: dateString.optional()
+});
+
+const salesQuery = reportRange.extend({
+  groupBy: z.enum(REPORT_GROUPINGS).default('day')
+});
+
+const topItemsQuery = reportRange.extend({
+  limit: queryInteger().min(1, 'Limit must be from 1 to 100').max(100, 'Limit must be from 1 to 100').default(10)
+});
+
+// Anything older than the cart TTL has already been removed
+const abandonedCartsQuery = storeFilter.extend({
+  idleMinutes: queryInteger()
+    .min(15, 'Carts count as abandoned after at least 15 minutes')
+    .max(CART_TTL_DAYS * 24 * 60, `Carts are removed after ${CART_TTL_DAYS} days`)
+    .default(60),
+  limit: queryInteger().min(1, 'Limit must be from 1 to 100').max(100, 'Limit must be from 1 to 100').default(20)
+});
+
+const SalesSummary = z.object({
+  from: z.string(),
+  to: z.string(),
+  timezone: z.string(),
+  orders: z.number().int().openapi({ description: 'Orders that were not cancelled' }),
+  netSales: z.number(),
+  tax: z.number(),
+  discounts: z.number(),
+  averageTicket: z.number(),
+  averagePrepMinutes: z.number().nullable(),
+  cancelled: z.number().int(),
+  cancellationRate: z.number()
+});
+
+const SalesSeries = z.object({
+  from: z.string(),
+  to: z.string(),
+  timezone: z.string(),
+  groupBy: z.enum(REPORT_GROUPINGS),
+  series: z.array(z.object({ period: z.string(), orders: z.number().int(), netSales: z.number() }))
+});
+
+const AbandonedCarts = z.object({
+  idleMinutes: z.number().int(),
+  carts: z.number().int(),
+  value: z.number(),
+  items: z.array(z.object({
+    menuItem: z.string(),
+    name: z.string(),
+    quantity: z.number().int(),
+    carts: z.number().int(),
+    value: z.number()
+  })).openapi({ description: 'The 10 items left behind most, by units' }),
+  recent: z.array(z.object({
+    _id: z.string(),
+    items: z.array(z.object({
+      name: z.string(),
+      modifiers: z.array(z.object({ group: z.string(), option: z.string(), priceDelta: z.number() })),
+      price: z.number(),
+      quantity: z.number().int()
+    })),
+    promoCode: z.string().optional(),
+    value: z.number(),
+    lastUpdated: z.string().datetime(),
+    idleMinutes: z.number().int()
+  }))
+});
+
+const TopItems = z.object({
+  from: z.string(),
+  to: z.string(),
+  items: z.array(z.object({ menuItem: z.string(), name: z.string(), quantity: z.number().int(), sales: z.number() }))
+});
+
+// The requested range in the store's timezone, limited to the stores the manager works at
+async function reportRangeFor(req) {
+  const scope = storeScope(req.user, req.query.store);
+  const range = resolveReportRange(req.query, await getStore(req.query.store));
+  return scope ? { ...range, store: scope } : range;
+}
+
+documentRoute({
+  method: 'get',
+  path: '/reports/summary',
+  tags: ['Reports'],
+  summary: 'Sales totals for a date range',
+  description: 'Dates are in the store\'s timezone and default to the last 7 days. Only orders that were paid '
+    + 'for count.',
+  role: 'manager',
+  request: { query: reportRange },
+  responses: { 200: { description: 'Totals for the range', schema: SalesSummary } }
+});
+router.get('/reports/summary', requireRole('manager'), validate({ query: reportRange }), async (req, res, next) => {
+  try {
+    const range = await reportRangeFor(req);
+    res.json(await salesSummary(range));
+  } catch (error) {
+    next(error);
+  }
+});
+
+documentRoute({
+  method: 'get',
+  path: '/reports/sales',
+  tags: ['Reports'],
+  summary: 'Orders and net sales per day or per hour of the day',
+  role: 'manager',
+  request: { query: salesQuery },
+  responses: { 200: { description: 'One row per period, including empty ones', schema: SalesSeries } }
+});
+router.get('/reports/sales', requireRole('manager'), validate({ query: salesQuery }), async (req, res, next) => {
+  try {
+    const { groupBy } = req.query;
+    const range = await reportRangeFor(req);
+    res.json({
+      from: range.from,
+      to: range.to,
+      timezone: range.timezone,
+      groupBy,
+      series: await salesSeries(range, groupBy)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+documentRoute({
+  method: 'get',
+  path: '/reports/top-items',
+  tags: ['Reports'],
+  summary: 'Best sellers by units sold',
+  role: 'manager',
+  request: { query: topItemsQuery },
+  responses: { 200: { description: 'Best sellers', schema: TopItems } }
+});
+router.get('/reports/top-items', requireRole('manager'), validate({ query: topItemsQuery }), async (req, res, next) => {
+  try {
+    const range = await reportRangeFor(req);
+    res.json({ from: range.from, to: range.to, items: await topItems(range, req.query.limit) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+documentRoute({
+  method: 'get',
+  path: '/reports/abandoned-carts',
+  tags: ['Reports'],
+  summary: 'Carts left with items in them, and what was in them',
+  role: 'manager',
+  request: { query: abandonedCartsQuery },
+  responses: { 200: { description: 'Abandoned carts', schema: AbandonedCarts } }
+});
+router.get('/reports/abandoned-carts', requireRole('manager'), validate({ query: abandonedCartsQuery }), async (req, res, next) => {
+  try {
+    res.json(await abandonedCarts({ ...req.query, store: storeScope(req.user, req.query.store) }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+documentRoute({
+  method: 'get',
+  path: '/reports/export',
+  tags: ['Reports'],
+  summary: 'Download the orders in a date range as CSV',
+  role: 'manager',
+  request: { query: reportRange },
+  responses: { 200: { description: 'One row per order', type: 'text/csv', schema: z.string() } }
+});
+// One row per paid order in the range, cancelled ones included, without customer contact details
+router.get('/reports/export', requireRole('manager'), validate({ query: reportRange }), async (req, res, next) => {
+  try {
+    const range = await reportRangeFor(req);
+    const orders = await Order.find(reportMatch(range, PAID_MATCH)).sort({ orderDate: 1 });
+    
+    const rows = [[
+      'orderId', 'store', 'placedAt', 'status', 'orderType', 'items', 'subtotal',
+      'discount', 'promoCodes', 'tax', 'total', 'prepMinutes'
+    ]];
+    for (const order of orders) {
+      const ready = order.statusHistory.find(change => change.status === 'ready');
+      rows.push([
+        order._id,
+        order.store || '',
+        order.orderDate.toISOString(),
+        order.status,
+        order.orderType,
+        order.items.reduce((sum, item) => sum + item.quantity, 0),
+        order.subtotal.toFixed(2),
+        (order.discountTotal || 0).toFixed(2),
+        order.discounts.map(discount => discount.code).join(' '),
+        order.tax.toFixed(2),
+        order.totalPrice.toFixed(2),
+        ready ? Math.round((ready.changedAt - order.orderDate) / 6000) / 10 : ''
+      ]);
+    }
+    
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="orders-${range.from}-to-${range.to}.csv"`);
+    res.send(toCsv(rows));
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,333 @@
+// Stores, their menus, hours and pickup slots
+const express = require('express');
+const { MenuItem, Store } = require('../lib/models');
+const { getStore, listStores, menuItemForStore, checkStoreAccess, checkChainManager } = require('../lib/stores');
+const {
+  timeToMinutes,
+  zonedParts,
+  addDays,
+  isStoreOpen,
+  getPickupSlots
+} = require('../lib/storeHours');
+const { expireUnpaidOrders } = require('../lib/orderExpiry');
+const { requireRole } = require('../lib/auth');
+const { httpError } = require('../lib/errors');
+const { z, objectId, storeKey, dateString, timeString, validate } = require('../lib/validation');
+const { schemas, documentRoute } = require('../lib/openapi');
+
+const router = express.Router();
+
+const storeHoursBody = z.object({
+  timezone: z.string().min(1).optional(),
+  hours: z.array(z.object({
+    day: z.number().int().min(0).max(6),
+    open: timeString.optional(),
+    close: timeString.optional(),
+    closed: z.boolean().optional()
+  })).optional(),
+  slotMinutes: z.number().int().min(5).optional(),
+  slotCapacity: z.number().int().min(1).optional(),
+  leadTimeMinutes: z.number().int().min(0).optional(),
+  maxDaysAhead: z.number().int().min(0).optional()
+});
+
+const newStoreBody = storeHoursBody.extend({
+  key: storeKey,
+  name: z.string({ required_error: 'Name is required' }).trim().min(1, 'Name is required'),
+  address: z.object({
+    street: z.string().trim().optional(),
+    city: z.string().trim().optional(),
+    region: z.string().trim().optional(),
+    postalCode: z.string().trim().optional()
+  }).optional(),
+  phone: z.string().trim().optional(),
+  location: z.object({
+    lat: z.number().min(-90).max(90),
+    lng: z.number().min(-180).max(180)
+  }).optional(),
+  active: z.boolean().optional()
+});
+
+const storeParams = z.object({ key: storeKey });
+
+// Keys are what orders, carts and staff refer to a store by, so they never change
+const updateStore = { params: storeParams, body: newStoreBody.omit({ key: true }).partial() };
+
+// null takes the store's change out again, so the item is sold there like everywhere else
+const menuOverride = {
+  params: storeParams.extend({ id: objectId }),
+  body: z.object({
+    available: z.boolean().nullable().optional(),
+    price: z.number().nonnegative('Price cannot be negative').nullable().optional()
+  })
+};
+
+// Without a store, the first one
+const storeQuery = z.object({
+  store: storeKey.optional()
+});
+
+const pickupSlotsQuery = storeQuery.extend({
+  date: dateString.optional()
+});
+
+const PickupSlots = z.object({
+  date: z.string(),
+  timezone: z.string(),
+  slotMinutes: z.number().int(),
+  slots: z.array(z.object({
+    start: z.string().datetime(),
+    end: z.string().datetime(),
+    remaining: z.number().int(),
+    available: z.boolean()
+  }))
+});
+
+const storeJson = (store) => ({ ...store.toJSON(), isOpen: isStoreOpen(store) });
+
+// Changes Mongoose can't check on its own: the timezone is one Intl knows about, and
+// every open day has opening and closing times. A closing time before the opening time
+// is after midnight.
+function checkStoreSettings(update) {
+  if (update.timezone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: update.timezone });
+    } catch (error) {
+      throw httpError(400, 'Unknown timezone', { fields: { timezone: 'Unknown timezone' } });
+    }
+  }
+  if (update.hours && update.hours.some(h => !h.closed && (!h.open || !h.close || timeToMinutes(h.open) === timeToMinutes(h.close)))) {
+    const message = 'Each open day needs different opening and closing times';
+    throw httpError(400, message, { fields: { hours: message } });
+  }
+}
+
+// A store a manager is changing, closed ones included
+async function findManagedStore(user, key) {
+  const store = await Store.findOne({ key });
+  if (!store) {
+    throw httpError(404, 'Store not found');
+  }
+  checkStoreAccess(user, store.key);
+  return store;
+}
+
+documentRoute({
+  method: 'get',
+  path: '/stores',
+  tags: ['Store'],
+  summary: 'Stores taking orders, the first one first',
+  description: 'Until a store has been saved, lists the one store with the default settings.',
+  responses: { 200: { description: 'Stores', schema: z.array(schemas.Store) } }
+});
+router.get('/stores', async (req, res, next) => {
+  try {
+    const stores = await listStores();
+    res.json((stores.length > 0 ? stores : [await getStore()]).map(storeJson));
+  } catch (error) {
+    next(error);
+  }
+});
+
+documentRoute({
+  method: 'get',
+  path: '/stores/:key',
+  tags: ['Store'],
+  summary: 'Get a store',
+  request: { params: storeParams },
+  responses: {
+    200: { description: 'The store', schema: schemas.Store },
+    404: 'Store not found'
+  }
+});
+router.get('/stores/:key', validate({ params: storeParams }), async (req, res, next) => {
+  try {
+    res.json(storeJson(await getStore(req.params.key)));
+  } catch (error) {
+    next(error);
+  }
+});
+
+documentRoute({
+  method: 'post',
+  path: '/stores',
+  tags: ['Store'],
+  summary: 'Open a store',
+  description: 'Only for managers who work across every store.',
+  role: 'manager',
+  request: { body: newStoreBody },
+  responses: {
+    201: { description: 'The new store', schema: schemas.Store },
+    409: 'A store with that key already exists'
+  }
+});
+router.post('/stores', requireRole('manager'), validate({ body: newStoreBody }), async (req, res, next) => {
+  try {
+    checkChainManager(req.user);
+    checkStoreSettings(req.body);
+    
+    const store = new Store(req.body);
+    await store.save();
+    res.status(201).json(storeJson(store));
+  } catch (error) {
+    if (error.code === 11000) {
+      return next(httpError(409, 'A store with that key already exists'));
+    }
+    next(error);
+  }
+});
+
+documentRoute({
+  method: 'put',
+  path: '/stores/:key',
+  tags: ['Store'],
+  summary: 'Change some of a store\'s details, hours or pickup slot settings',
+  description: 'Setting `active` to false closes the store: it leaves the store list and takes no more orders.',
+  role: 'manager',
+  request: updateStore,
+  responses: {
+    200: { description: 'The updated store', schema: schemas.Store },
+    403: 'Needs the manager role, or you don\'t work at that store',
+    404: 'Store not found'
+  }
+});
+router.put('/stores/:key', requireRole('manager'), validate(updateStore), async (req, res, next) => {
+  try {
+    const store = await findManagedStore(req.user, req.params.key);
+    checkStoreSettings(req.body);
+    
+    store.set(req.body);
+    await store.save();
+    res.json(storeJson(store));
+  } catch (error) {
+    next(error);
+  }
+});
+
+documentRoute({
+  method: 'put',
+  path: '/stores/:key/menu/:id',
+  tags: ['Store'],
+  summary: 'Take a menu item off a store\'s menu or change its price there',
+  description: 'Fields left out keep their current value; `null` goes back to what every store has. '
+    + 'An item that is unavailable everywhere stays unavailable.',
+  role: 'manager',
+  request: menuOverride,
+  responses: {
+    200: { description: 'The menu item as the store sells it', schema: schemas.MenuItem },
+    403: 'Needs the manager role, or you don\'t work at that store',
+    404: 'Store or menu item not found'
+  }
+});
+router.put('/stores/:key/menu/:id', requireRole('manager'), validate(menuOverride), async (req, res, next) => {
+  try {
+    const store = await findManagedStore(req.user, req.params.key);
+    const item = await MenuItem.findById(req.params.id);
+    if (!item) {
+      throw httpError(404, 'Menu item not found');
+    }
+    
+    const current = item.storeOverrides.find(o => o.store === store.key);
+    const override = {
+      available: current ? current.available : undefined,
+      price: current ? current.price : undefined,
+      ...req.body
+    };
+    const changes = ['available', 'price'].filter(field => override[field] !== undefined && override[field] !== null);
+    
+    item.storeOverrides = [
+      ...item.storeOverrides.filter(o => o.store !== store.key),
+      ...(changes.length > 0 ? [{ store: store.key, ...Object.fromEntries(changes.map(field => [field, override[field]])) }] : [])
+    ];
+    await item.save();
+    res.json(menuItemForStore(item, store.key));
+  } catch (error) {
+    next(error);
+  }
+});
+
+documentRoute({
+  method: 'get',
+  path: '/store-hours',
+  tags: ['Store'],
+  summary: 'Opening hours and whether the store is open now',
+  request: { query: storeQuery },
+  responses: {
+    200: { description: 'Store hours', schema: schemas.StoreHours },
+    404: 'Store not found'
+  }
+});
+router.get('/store-hours', validate({ query: storeQuery }), async (req, res, next) => {
+  try {
+    const settings = await getStore(req.query.store);
+    res.json({
+      timezone: settings.timezone,
+      hours: settings.hours,
+      slotMinutes: settings.slotMinutes,
+      maxDaysAhead: settings.maxDaysAhead,
+      isOpen: isStoreOpen(settings)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+documentRoute({
+  method: 'put',
+  path: '/store-hours',
+  tags: ['Store'],
+  summary: 'Change the hours and pickup slot settings',
+  description: 'The same as changing those fields with PUT /stores/{key}.',
+  role: 'manager',
+  request: { query: storeQuery, body: storeHoursBody },
+  responses: {
+    200: { description: 'The updated settings', schema: schemas.StoreHours },
+    403: 'Needs the manager role, or you don\'t work at that store',
+    404: 'Store not found'
+  }
+});
+router.put('/store-hours', requireRole('manager'), validate({ query: storeQuery, body: storeHoursBody }), async (req, res, next) => {
+  try {
+    checkStoreSettings(req.body);
+    
+    // Saving the first store creates it if nobody has yet
+    const settings = req.query.store ? await findManagedStore(req.user, req.query.store) : await getStore();
+    checkStoreAccess(req.user, settings.key);
+    settings.set(req.body);
+    await settings.save();
+    res.json(settings);
+  } catch (error) {
+    next(error);
+  }
+});
+
+documentRoute({
+  method: 'get',
+  path: '/pickup-slots',
+  tags: ['Store'],
+  summary: 'Pickup slots for a day and how many orders each can still take',
+  request: { query: pickupSlotsQuery },
+  responses: {
+    200: { description: 'Pickup slots', schema: PickupSlots },
+    404: 'Store not found'
+  }
+});
+router.get('/pickup-slots', validate({ query: pickupSlotsQuery }), async (req, res, next) => {
+  try {
+    const settings = await getStore(req.query.store);
+    const today = zonedParts(new Date(), settings.timezone).date;
+    const date = req.query.date || today;
+    
+    if (date < today || date > addDays(today, settings.maxDaysAhead)) {
+      throw httpError(400, `Pickup can be scheduled up to ${settings.maxDaysAhead} days ahead`);
+    }
+    
+    await expireUnpaidOrders(req.app.get('orderEvents'), { store: settings.key });
+    const slots = await getPickupSlots(settings, date);
+    res.json({ date, timezone: settings.timezone, slotMinutes: settings.slotMinutes, slots });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,123 @@
+// Staff and manager accounts
+const express = require('express');
+const { User } = require('../lib/models');
+const { requireRole } = require('../lib/auth');
+const { httpError } = require('../lib/errors');
+const { z, idParams, storeKey, validate } = require('../lib/validation');
+const { schemas, documentRoute } = require('../lib/openapi');
+
+const router = express.Router();
+
+const userBody = z.object({
+  name: z.string({ required_error: 'Name is required' }).trim().min(1, 'Name is required'),
+  email: z.string({ required_error: 'Email is required' }).trim().toLowerCase().email('Enter a valid email address'),
+  password: z.string({ required_error: 'Password is required' }).min(8, 'Password must be at least 8 characters'),
+  role: z.enum(['customer', 'staff', 'manager']).optional(),
+  stores: z.array(storeKey).optional().openapi({ description: 'Stores a staff member works at; none means every store' })
+});
+
+const updateUser = {
+  params: idParams,
+  body: userBody.pick({ role: true, stores: true })
+};
+
+// Managers who work at some stores only manage the staff of those stores, and can't
+// give anyone access to other stores, or to every store. A customer with no stores has
+// no access to give, so any manager can create one.
+const managedUsers = (manager) => (manager.stores.length > 0 ? { stores: { $in: manager.stores } } : {});
+
+function checkAssignableStores(manager, role = 'customer', stores = []) {
+  if (role === 'customer' && stores.length === 0) {
+    return;
+  }
+  if (manager.stores.length > 0 && (stores.length === 0 || stores.some(store => !manager.stores.includes(store)))) {
+    throw httpError(403, 'You can only give access to the stores you work at', { code: 'wrong_store' });
+  }
+}
+
+documentRoute({
+  method: 'get',
+  path: '/users',
+  tags: ['Users'],
+  summary: 'List accounts, newest first',
+  description: 'Managers who work at some stores only see the accounts of those stores\' staff.',
+  role: 'manager',
+  responses: { 200: { description: 'The accounts', schema: z.array(schemas.User) } }
+});
+router.get('/users', requireRole('manager'), async (req, res, next) => {
+  try {
+    const users = await User.find(managedUsers(req.user)).sort({ createdAt: -1 });
+    res.json(users);
+  } catch (error) {
+    next(error);
+  }
+});
+
+documentRoute({
+  method: 'post',
+  path: '/users',
+  tags: ['Users'],
+  summary: 'Create an account',
+  role: 'manager',
+  request: { body: userBody },
+  responses: {
+    201: { description: 'The new account', schema: schemas.User },
+    403: 'Needs the manager role, or gives access to a store you don\'t work at',
+    409: 'A user with that email already exists'
+  }
+});
+router.post('/users', requireRole('manager'), validate({ body: userBody }), async (req, res, next) => {
+  try {
+    const { name, email, password, role, stores } = req.body;
+    checkAssignableStores(req.user, role, stores);
+    
+    const user = new User({
+      name,
+      email,
+      role,
+      stores,
+      passwordHash: await User.hashPassword(password)
+    });
+    await user.save();
+    
+    res.status(201).json(user);
+  } catch (error) {
+    if (error.code === 11000) {
+      return next(httpError(409, 'A user with that email already exists'));
+    }
+    next(error);
+  }
+});
+
+documentRoute({
+  method: 'patch',
+  path: '/users/:id',
+  tags: ['Users'],
+  summary: 'Change an account\'s role or the stores it works at',
+  role: 'manager',
+  request: updateUser,
+  responses: {
+    200: { description: 'The updated account', schema: schemas.User },
+    403: 'Needs the manager role, or gives access to a store you don\'t work at',
+    404: 'User not found'
+  }
+});
+router.patch('/users/:id', requireRole('manager'), validate(updateUser), async (req, res, next) => {
+  try {
+    const user = await User.findOne({ _id: req.params.id, ...managedUsers(req.user) });
+    if (!user) {
+      throw httpError(404, 'User not found');
+    }
+    if (req.body.stores) {
+      checkAssignableStores(req.user, req.body.role || user.role, req.body.stores);
+    }
+    
+    user.set(req.body);
+    await user.save();
+    res.json(user);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
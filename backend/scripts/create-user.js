@@ -0,0 +1,38 @@
+// Create a staff or manager account from the command line.
+// Usage: npm run create-user -- <email> <password> <role> [name]
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { User } = require('../lib/models');
+
+async function main() {
+  const [email, password, role = 'customer', ...nameParts] = process.argv.slice(2);
+  const name = nameParts.join(' ') || email;
+
+  if (!email || !password) {
+    console.error('Usage: npm run create-user -- <email> <password> <customer|staff|manager> [name]');
+    process.exit(1);
+  }
+  if (password.length < 8) {
+    console.error('Password must be at least 8 characters');
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const user = new User({
+    name,
+    email,
+    role,
+    passwordHash: await User.hashPassword(password)
+  });
+  await user.save();
+
+  console.log(`✅ Created ${user.role} ${user.email}`);
+}
+
+main()
+  .catch((error) => {
+    console.error('❌ Failed to create user:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
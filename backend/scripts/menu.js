@@ -0,0 +1,61 @@
+// Export the menu to a JSON or CSV file, or load one into the database.
+// Usage:
+//   npm run menu -- export [file.json|file.csv]    (prints JSON when no file is given)
+//   npm run menu -- import <file.json|file.csv> [--dry-run] [--prune]
+// Imports report every problem and write nothing unless the whole file is valid.
+// --dry-run lists what would change; --prune also removes items missing from the file.
+require('dotenv').config();
+const fs = require('fs');
+const mongoose = require('mongoose');
+const { menuFormat, exportMenu, readMenuFile, importMenu, describeImport } = require('../lib/menuFile');
+
+const USAGE = 'Usage: npm run menu -- export [file.json|file.csv]\n'
+  + '       npm run menu -- import <file.json|file.csv> [--dry-run] [--prune]';
+
+async function exportCommand(file) {
+  const menu = await exportMenu(file ? menuFormat(file) : 'json');
+  if (!file) {
+    process.stdout.write(menu);
+    return;
+  }
+  fs.writeFileSync(file, menu);
+  console.log(`✅ Exported the menu to ${file}`);
+}
+
+async function importCommand(file, flags) {
+  const dryRun = flags.includes('--dry-run');
+  const { items, problems } = readMenuFile(fs.readFileSync(file, 'utf8'), menuFormat(file));
+  const report = problems.length > 0 ? { problems } : await importMenu(items, { dryRun, prune: flags.includes('--prune') });
+
+  console.log(describeImport(report, { dryRun }));
+  if (report.problems.length > 0) {
+    process.exitCode = 1;
+  }
+}
+
+async function main() {
+  const [command, file, ...flags] = process.argv.slice(2);
+
+  if (!['export', 'import'].includes(command) || (command === 'import' && !file)) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+  if (file) {
+    menuFormat(file);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  if (command === 'export') {
+    await exportCommand(file);
+  } else {
+    await importCommand(file, flags);
+  }
+}
+
+main()
+  .catch((error) => {
+    console.error('❌ Menu command failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
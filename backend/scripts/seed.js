@@ -0,0 +1,65 @@
+// Load the sample stores and menu from data/stores.json and data/menu.json. Stores and
+// items are matched by key, so running it again only updates what changed, and it never
+// deletes anything or undoes what managers have changed since.
+// Usage: npm run seed [-- --dry-run]
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const { Store } = require('../lib/models');
+const { readMenuFile, importMenu, describeImport } = require('../lib/menuFile');
+
+const SAMPLE_STORES = path.join(__dirname, '..', 'data', 'stores.json');
+const SAMPLE_MENU = path.join(__dirname, '..', 'data', 'menu.json');
+
+// What managers change day to day. The sample only sets it on stores it adds, so seeding
+// again doesn't undo their changes.
+const MANAGED_STORE_FIELDS = ['hours', 'slotMinutes', 'slotCapacity', 'leadTimeMinutes', 'maxDaysAhead', 'active'];
+
+// Likewise for menu items: managers take items off and reprice them from the admin page
+const MANAGED_MENU_FIELDS = ['price', 'available', 'storeOverrides'];
+
+// Stores that aren't there yet are added; existing ones get the sample's name, address and
+// other details but keep their own hours, pickup slot settings and whether they are open
+async function importStores(stores, { dryRun }) {
+  const existing = new Set((await Store.find({ key: { $in: stores.map(store => store.key) } }, 'key')).map(store => store.key));
+  if (!dryRun) {
+    for (const store of stores) {
+      const $set = {};
+      const $setOnInsert = {};
+      for (const [field, value] of Object.entries(store)) {
+        (MANAGED_STORE_FIELDS.includes(field) ? $setOnInsert : $set)[field] = value;
+      }
+      await Store.findOneAndUpdate(
+        { key: store.key },
+        { $set, ...(Object.keys($setOnInsert).length > 0 ? { $setOnInsert } : {}) },
+        { upsert: true, runValidators: true, setDefaultsOnInsert: true }
+      );
+    }
+  }
+  const added = stores.filter(store => !existing.has(store.key)).length;
+  return `${dryRun ? 'Would add' : 'Added'} ${added} stores, ${dryRun ? 'would update' : 'updated'} ${stores.length - added}`;
+}
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+  const stores = JSON.parse(fs.readFileSync(SAMPLE_STORES, 'utf8'));
+  const { items } = readMenuFile(fs.readFileSync(SAMPLE_MENU, 'utf8'), 'json');
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  console.log(await importStores(stores, { dryRun }));
+
+  const report = await importMenu(items, { dryRun, keep: MANAGED_MENU_FIELDS });
+  console.log(describeImport(report, { dryRun }));
+  if (report.problems.length > 0) {
+    process.exitCode = 1;
+  }
+}
+
+main()
+  .catch((error) => {
+    console.error('❌ Failed to seed the stores and menu:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,180 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { startDatabase, clearDatabase, stopDatabase, loginAs, customerInfo, openStoreAllDay } = require('./helpers');
+
+let app;
+let burger;
+let fries;
+
+beforeAll(async () => {
+  await startDatabase();
+  app = require('../api/index.js');
+  await request(app).get('/api/health');
+});
+
+beforeEach(async () => {
+  await openStoreAllDay();
+  const MenuItem = mongoose.model('MenuItem');
+  burger = await MenuItem.create({ name: 'Double-Double', description: 'Two patties', price: 5.99 });
+  fries = await MenuItem.create({ name: 'French Fries', description: 'Fresh cut', price: 2.3 });
+});
+
+afterEach(clearDatabase);
+afterAll(stopDatabase);
+
+const addToCart = (sessionId, menuItem, { token, quantity = 1 } = {}) => {
+  const req = request(app).post(`/api/cart/${sessionId}/items`);
+  return (token ? req.set('Authorization', `Bearer ${token}`) : req).send({ menuItemId: menuItem._id, quantity });
+};
+
+const placeOrder = (token, items) => request(app)
+  .post('/api/orders')
+  .set('Authorization', `Bearer ${token}`)
+  .send({ items, customerInfo });
+
+describe('registration', () => {
+  test('creates a customer and signs them in', async () => {
+    const res = await request(app)
+      .post('/api/auth/register')
+      .send({ name: 'Jamie Rivera', email: 'Jamie@Example.com', password: 'password123', role: 'manager' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.user).toMatchObject({ email: 'jamie@example.com', role: 'customer' });
+    const me = await request(app).get('/api/auth/me').set('Authorization', `Bearer ${res.body.token}`);
+    expect(me.body.email).toBe('jamie@example.com');
+  });
+
+  test('refuses a taken email and short passwords', async () => {
+    const account = { name: 'Jamie Rivera', email: 'jamie@example.com', password: 'password123' };
+    await request(app).post('/api/auth/register').send(account);
+
+    const taken = await request(app).post('/api/auth/register').send(account);
+    const short = await request(app).post('/api/auth/register').send({ ...account, email: 'j@example.com', password: 'short' });
+
+    expect(taken.status).toBe(409);
+    expect(short.status).toBe(400);
+    expect(short.body.error.fields.password).toBeDefined();
+  });
+});
+
+describe('signing in with a cart', () => {
+  test('the anonymous cart becomes the account cart', async () => {
+    const customer = await loginAs(app, 'customer');
+    await addToCart('anonymous-1', burger);
+
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({ email: customer.user.email, password: 'password123', sessionId: 'anonymous-1' });
+
+    expect(res.body.cart).toMatchObject({ sessionId: 'anonymous-1', user: customer.user._id.toString() });
+    expect(res.body.cart.items).toHaveLength(1);
+  });
+
+  test('merges into the cart the account already has, wherever it was used', async () => {
+    const customer = await loginAs(app, 'customer');
+    const laptop = (await request(app)
+      .post('/api/auth/login')
+      .send({ email: customer.user.email, password: 'password123', sessionId: 'laptop' })).body;
+    await addToCart('laptop', burger, { token: laptop.token });
+    await addToCart('phone', burger, { quantity: 2 });
+    await addToCart('phone', fries);
+
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({ email: customer.user.email, password: 'password123', sessionId: 'phone' });
+
+    expect(res.body.cart.sessionId).toBe('laptop');
+    expect(res.body.cart.items.map(line => [line.name, line.quantity])).toEqual([
+      ['Double-Double', 3],
+      ['French Fries', 1]
+    ]);
+    expect(await mongoose.model('Cart').exists({ sessionId: 'phone' })).toBeNull();
+  });
+
+  test('a cart for a store that has closed moves to an open one', async () => {
+    const customer = await loginAs(app, 'customer');
+    await mongoose.model('Store').create({ key: 'beach', name: 'Beach', active: false });
+    await request(app)
+      .post('/api/auth/login')
+      .send({ email: customer.user.email, password: 'password123', sessionId: 'laptop' });
+    await addToCart('laptop', burger, { token: customer.token });
+    await addToCart('phone', fries);
+    await mongoose.model('Cart').updateMany({}, { store: 'beach' });
+
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({ email: customer.user.email, password: 'password123', sessionId: 'phone' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.cart.store).toBe('default');
+    expect(res.body.cart.items.map(line => line.name)).toEqual(['Double-Double', 'French Fries']);
+  });
+
+  test('account carts can only be used while signed in to them', async () => {
+    const customer = await loginAs(app, 'customer');
+    const other = await loginAs(app, 'customer');
+    await addToCart('anonymous-1', burger);
+    await request(app)
+      .post('/api/auth/login')
+      .send({ email: customer.user.email, password: 'password123', sessionId: 'anonymous-1' });
+
+    const anonymous = await request(app).get('/api/cart/anonymous-1');
+    const wrongAccount = await addToCart('anonymous-1', fries, { token: other.token });
+    const owner = await request(app).get('/api/cart/anonymous-1').set('Authorization', `Bearer ${customer.token}`);
+
+    expect(anonymous.status).toBe(403);
+    expect(wrongAccount.status).toBe(403);
+    expect(owner.status).toBe(200);
+  });
+});
+
+describe('order history', () => {
+  test('lists only the signed-in customer\'s orders', async () => {
+    const customer = await loginAs(app, 'customer');
+    const other = await loginAs(app, 'customer');
+    const mine = await placeOrder(customer.token, [{ menuItemId: burger._id, quantity: 1 }]);
+    await placeOrder(other.token, [{ menuItemId: fries._id, quantity: 1 }]);
+    await request(app).post('/api/orders').send({ items: [{ menuItemId: fries._id, quantity: 1 }], customerInfo });
+
+    const res = await request(app).get('/api/me/orders').set('Authorization', `Bearer ${customer.token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.map(order => order._id)).toEqual([mine.body._id]);
+    expect((await request(app).get('/api/me/orders')).status).toBe(401);
+  });
+});
+
+describe('reorder', () => {
+  test('re-prices against the menu and skips what is no longer available', async () => {
+    const customer = await loginAs(app, 'customer');
+    const order = await placeOrder(customer.token, [
+      { menuItemId: burger._id, quantity: 2 },
+      { menuItemId: fries._id, quantity: 1 }
+    ]);
+    await burger.updateOne({ price: 6.49 });
+    await fries.updateOne({ available: false });
+
+    const res = await request(app)
+      .post(`/api/me/orders/${order.body._id}/reorder`)
+      .set('Authorization', `Bearer ${customer.token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.cart.items).toEqual([expect.objectContaining({ name: 'Double-Double', price: 6.49, quantity: 2 })]);
+    expect(res.body.cart.user).toBe(customer.user._id.toString());
+    expect(res.body.skipped).toEqual([
+      { menuItemId: fries._id.toString(), name: 'French Fries', reason: 'French Fries is currently unavailable' }
+    ]);
+  });
+
+  test('only works for the customer\'s own orders', async () => {
+    const customer = await loginAs(app, 'customer');
+    const other = await loginAs(app, 'customer');
+    const order = await placeOrder(other.token, [{ menuItemId: burger._id, quantity: 1 }]);
+
+    const res = await request(app)
+      .post(`/api/me/orders/${order.body._id}/reorder`)
+      .set('Authorization', `Bearer ${customer.token}`);
+
+    expect(res.status).toBe(404);
+  });
+});
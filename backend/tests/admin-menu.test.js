@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { startDatabase, clearDatabase, stopDatabase, loginAs } = require('./helpers');
+
+let app;
+let MenuItem;
+
+beforeAll(async () => {
+  await startDatabase();
+  app = require('../api/index.js');
+  MenuItem = mongoose.model('MenuItem');
+  await request(app).get('/api/health');
+});
+
+afterEach(clearDatabase);
+afterAll(stopDatabase);
+
+const seedItems = () => MenuItem.create([
+  { name: 'Cheeseburger', description: 'Single patty', price: 3.99, category: 'burgers' },
+  { name: 'Hamburger', description: 'No cheese', price: 3.49, category: 'burgers', available: false },
+  { name: 'Shakes', description: 'Real ice cream', price: 2.99, category: 'drinks' }
+]);
+
+test('the admin menu includes unavailable items', async () => {
+  await seedItems();
+  const manager = await loginAs(app, 'manager');
+
+  const publicMenu = await request(app).get('/api/menu');
+  const adminMenu = await request(app).get('/api/admin/menu').set('Authorization', `Bearer ${manager.token}`);
+
+  expect(publicMenu.body).toHaveLength(2);
+  expect(adminMenu.status).toBe(200);
+  expect(adminMenu.body.map(item => item.name)).toEqual(['Cheeseburger', 'Hamburger', 'Shakes']);
+});
+
+test('the admin menu is manager only', async () => {
+  const staff = await loginAs(app, 'staff');
+
+  const res = await request(app).get('/admin/menu').set('Authorization', `Bearer ${staff.token}`);
+
+  expect(res.status).toBe(403);
+});
+
+test('lists and renames categories', async () => {
+  await seedItems();
+  const manager = await loginAs(app, 'manager');
+  const auth = { Authorization: `Bearer ${manager.token}` };
+
+  const categories = await request(app).get('/api/admin/menu/categories').set(auth);
+  expect(categories.body).toEqual([
+    { name: 'burgers', itemCount: 2 },
+    { name: 'drinks', itemCount: 1 }
+  ]);
+
+  const renamed = await request(app).put('/api/admin/menu/categories/drinks').set(auth).send({ name: 'shakes' });
+  expect(renamed.body).toEqual({ name: 'shakes', itemCount: 1 });
+  expect(await MenuItem.countDocuments({ category: 'shakes' })).toBe(1);
+
+  const missing = await request(app).put('/api/admin/menu/categories/desserts').set(auth).send({ name: 'sweets' });
+  expect(missing.status).toBe(404);
+});
+
+test('managers at one store can\'t rename categories for every store', async () => {
+  await seedItems();
+  const local = await loginAs(app, 'manager', { stores: ['downtown'] });
+
+  const res = await request(app)
+    .put('/api/admin/menu/categories/drinks')
+    .set('Authorization', `Bearer ${local.token}`)
+    .send({ name: 'shakes' });
+
+  expect(res.status).toBe(403);
+  expect(await MenuItem.countDocuments({ category: 'drinks' })).toBe(1);
+});
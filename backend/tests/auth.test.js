@@ -0,0 +1,129 @@
+const request = require('supertest');
+const { startDatabase, clearDatabase, stopDatabase, createUser, loginAs } = require('./helpers');
+
+let app;
+
+beforeAll(async () => {
+  await startDatabase();
+  app = require('../api/index.js');
+  // first request opens the cached connection
+  await request(app).get('/api/health');
+});
+
+afterEach(clearDatabase);
+afterAll(stopDatabase);
+
+const menuItem = {
+  name: 'Double-Double Burger',
+  description: 'Two patties',
+  price: 5.99,
+  category: 'burgers'
+};
+
+describe('login and logout', () => {
+  test('returns a token and the user without the password hash', async () => {
+    const user = await createUser('staff', { email: 'staff@example.com' });
+
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'STAFF@example.com', password: 'password123' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.token).toEqual(expect.any(String));
+    expect(res.body.user._id).toBe(user._id.toString());
+    expect(res.body.user.passwordHash).toBeUndefined();
+  });
+
+  test('rejects a wrong password', async () => {
+    await createUser('staff', { email: 'staff@example.com' });
+
+    const res = await request(app)
+      .post('/auth/login')
+      .send({ email: 'staff@example.com', password: 'wrong-password' });
+
+    expect(res.status).toBe(401);
+  });
+
+  test('a logged out token can no longer be used', async () => {
+    const { token } = await loginAs(app, 'customer');
+
+    const logout = await request(app).post('/api/auth/logout').set('Authorization', `Bearer ${token}`);
+    expect(logout.status).toBe(200);
+
+    const me = await request(app).get('/api/auth/me').set('Authorization', `Bearer ${token}`);
+    expect(me.status).toBe(401);
+  });
+
+  test('rejects a malformed token', async () => {
+    const res = await request(app).get('/api/auth/me').set('Authorization', 'Bearer not-a-token');
+    expect(res.status).toBe(401);
+  });
+
+  test('a stale token still loads public pages', async () => {
+    const { token } = await loginAs(app, 'customer');
+    await request(app).post('/api/auth/logout').set('Authorization', `Bearer ${token}`);
+
+    const revoked = await request(app).get('/api/menu').set('Authorization', `Bearer ${token}`);
+    const malformed = await request(app).get('/api/stores').set('Authorization', 'Bearer not-a-token');
+    const me = await request(app).get('/api/auth/me').set('Authorization', `Bearer ${token}`);
+
+    expect(revoked.status).toBe(200);
+    expect(malformed.status).toBe(200);
+    expect(me.status).toBe(401);
+    expect(me.body.error.message).toBe('Token has been revoked');
+  });
+});
+
+describe('role enforcement', () => {
+  test('anonymous requests cannot edit the menu or list orders', async () => {
+    expect((await request(app).post('/api/menu').send(menuItem)).status).toBe(401);
+    expect((await request(app).get('/orders')).status).toBe(401);
+  });
+
+  test('customers and staff cannot edit the menu', async () => {
+    for (const role of ['customer', 'staff']) {
+      const { token } = await loginAs(app, role);
+      const res = await request(app)
+        .post('/api/menu')
+        .set('Authorization', `Bearer ${token}`)
+        .send(menuItem);
+      expect(res.status).toBe(403);
+    }
+  });
+
+  test('managers can edit the menu', async () => {
+    const { token } = await loginAs(app, 'manager');
+
+    const res = await request(app)
+      .post('/api/menu')
+      .set('Authorization', `Bearer ${token}`)
+      .send(menuItem);
+
+    expect(res.status).toBe(201);
+  });
+
+  test('customers cannot list orders but staff can', async () => {
+    const customer = await loginAs(app, 'customer');
+    const staff = await loginAs(app, 'staff');
+
+    const denied = await request(app).get('/api/orders').set('Authorization', `Bearer ${customer.token}`);
+    const allowed = await request(app).get('/api/orders').set('Authorization', `Bearer ${staff.token}`);
+
+    expect(denied.status).toBe(403);
+    expect(allowed.status).toBe(200);
+  });
+
+  test('only managers can create staff accounts', async () => {
+    const staff = await loginAs(app, 'staff');
+    const manager = await loginAs(app, 'manager');
+    const newUser = { name: 'New Cook', email: 'cook@example.com', password: 'password123', role: 'staff' };
+
+    const denied = await request(app).post('/api/users').set('Authorization', `Bearer ${staff.token}`).send(newUser);
+    const created = await request(app).post('/api/users').set('Authorization', `Bearer ${manager.token}`).send(newUser);
+
+    expect(denied.status).toBe(403);
+    expect(created.status).toBe(201);
+    expect(created.body.role).toBe('staff');
+    expect(created.body.passwordHash).toBeUndefined();
+  });
+});
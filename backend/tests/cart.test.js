@@ -0,0 +1,138 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { startDatabase, clearDatabase, stopDatabase } = require('./helpers');
+
+let app;
+let burger;
+
+const SESSION = 'session-cart';
+
+beforeAll(async () => {
+  await startDatabase();
+  app = require('../api/index.js');
+  await request(app).get('/api/health');
+});
+
+beforeEach(async () => {
+  burger = await mongoose.model('MenuItem').create({
+    name: 'Double-Double',
+    description: 'Two patties',
+    price: 5.99,
+    modifierGroups: [{
+      name: 'Style',
+      selection: 'multi',
+      min: 0,
+      max: 2,
+      options: [
+        { name: 'Animal Style', priceDelta: 0.5 },
+        { name: 'Protein Style', priceDelta: 0 }
+      ]
+    }]
+  });
+});
+
+afterEach(clearDatabase);
+afterAll(stopDatabase);
+
+const addLine = (body) => request(app).post(`/api/cart/${SESSION}/items`).send({ menuItemId: burger._id, ...body });
+const updateLine = (lineId, body) => request(app).patch(`/api/cart/${SESSION}/items/${lineId}`).send(body);
+
+describe('cart lines', () => {
+  test('are priced from the menu, and the same choices add to one line', async () => {
+    await addLine({ modifiers: [{ group: 'Style', option: 'Animal Style' }] });
+    await addLine({ modifiers: [] });
+    const res = await addLine({ modifiers: [{ group: 'Style', option: 'Animal Style' }], quantity: 2 });
+
+    expect(res.status).toBe(200);
+    expect(res.body.items).toHaveLength(2);
+    expect(res.body.items[0]).toMatchObject({ name: 'Double-Double', price: 6.49, quantity: 3 });
+    expect(res.body.version).toBe(2);
+  });
+
+  test('change quantity and remove by line id', async () => {
+    const added = await addLine({});
+    const [line] = added.body.items;
+
+    const updated = await updateLine(line._id, { quantity: 4 });
+    const removed = await request(app).delete(`/api/cart/${SESSION}/items/${line._id}`);
+
+    expect(updated.body.items[0].quantity).toBe(4);
+    expect(removed.status).toBe(200);
+    expect(removed.body.items).toEqual([]);
+    expect((await updateLine(line._id, { quantity: 1 })).status).toBe(404);
+  });
+
+  test('quantities are limited', async () => {
+    const added = await addLine({ quantity: 15 });
+
+    expect((await addLine({ quantity: 0 })).status).toBe(400);
+    expect((await updateLine(added.body.items[0]._id, { quantity: 21 })).status).toBe(400);
+    expect((await addLine({ quantity: 10 })).status).toBe(400);
+  });
+
+  test('unknown menu items are refused', async () => {
+    const res = await request(app)
+      .post(`/api/cart/${SESSION}/items`)
+      .send({ menuItemId: new mongoose.Types.ObjectId() });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.problems).toHaveLength(1);
+  });
+});
+
+describe('optimistic concurrency', () => {
+  test('writes based on an old version are refused with the current cart', async () => {
+    const first = await addLine({});
+    const line = first.body.items[0];
+    // Another tab changes the cart
+    await updateLine(line._id, { quantity: 2, version: first.body.version });
+
+    const stale = await updateLine(line._id, { quantity: 5, version: first.body.version });
+
+    expect(stale.status).toBe(409);
+    expect(stale.body.error.code).toBe('stale_cart');
+    expect(stale.body.error.cart.items[0].quantity).toBe(2);
+    expect(stale.body.error.cart.version).toBe(first.body.version + 1);
+  });
+
+  test('concurrent saves of the same version do not overwrite each other', async () => {
+    const first = await addLine({});
+    const lineId = first.body.items[0]._id;
+
+    const results = await Promise.all([
+      updateLine(lineId, { quantity: 2 }),
+      updateLine(lineId, { quantity: 3 })
+    ]);
+    const statuses = results.map(res => res.status).sort();
+
+    // Either the second write was read after the first was saved, or it lost the race
+    expect(statuses[0]).toBe(200);
+    expect([200, 409]).toContain(statuses[1]);
+    const cart = await mongoose.model('Cart').findOne({ sessionId: SESSION });
+    expect(cart.version).toBe(first.body.version + statuses.filter(status => status === 200).length);
+  });
+});
+
+describe('storage', () => {
+  test('carts are only stored once something is added', async () => {
+    const Cart = mongoose.model('Cart');
+
+    const viewed = await request(app).get(`/api/cart/${SESSION}`);
+    await request(app).post(`/api/cart/${SESSION}`).send({ items: [] });
+    const storedBefore = await Cart.countDocuments();
+    await addLine({ version: viewed.body.version });
+
+    expect(viewed.body).toMatchObject({ items: [], version: 0 });
+    expect(storedBefore).toBe(0);
+    expect(await Cart.countDocuments()).toBe(1);
+  });
+
+  test('untouched carts expire', async () => {
+    const Cart = mongoose.model('Cart');
+    await Cart.init();
+
+    const indexes = await Cart.collection.indexes();
+
+    expect(indexes.find(index => index.key.lastUpdated)).toMatchObject({ expireAfterSeconds: 30 * 24 * 60 * 60 });
+  });
+});
@@ -0,0 +1,75 @@
+// Shared setup for API tests: an in-memory MongoDB and helpers for users and tokens
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { MOCK_CARDS } = require('../lib/mockPayments');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+let mongod;
+
+// Valid contact details for placing orders
+const customerInfo = { name: 'Jamie Rivera', phone: '(555) 123-4567', email: 'jamie@example.com' };
+
+async function startDatabase() {
+  mongod = await MongoMemoryServer.create();
+  process.env.MONGODB_URI = mongod.getUri();
+}
+
+async function clearDatabase() {
+  const collections = Object.values(mongoose.connection.collections);
+  await Promise.all(collections.map(collection => collection.deleteMany({})));
+}
+
+async function stopDatabase() {
+  await mongoose.disconnect();
+  if (mongod) {
+    await mongod.stop();
+  }
+}
+
+async function createUser(role = 'customer', overrides = {}) {
+  const User = mongoose.model('User');
+  const password = overrides.password || 'password123';
+  return User.create({
+    name: `Test ${role}`,
+    email: `${role}-${new mongoose.Types.ObjectId()}@example.com`,
+    role,
+    ...overrides,
+    passwordHash: await User.hashPassword(password)
+  });
+}
+
+// Open the store around the clock so order tests don't depend on when they run
+function openStoreAllDay(overrides = {}) {
+  return mongoose.model('Store').create({
+    hours: [0, 1, 2, 3, 4, 5, 6].map(day => ({ day, open: '00:00', close: '24:00' })),
+    leadTimeMinutes: 0,
+    ...overrides
+  });
+}
+
+// Create a user with the given role and return a bearer token for it
+async function loginAs(app, role, overrides = {}) {
+  const user = await createUser(role, overrides);
+  const res = await request(app)
+    .post('/api/auth/login')
+    .send({ email: user.email, password: overrides.password || 'password123' });
+  return { user, token: res.body.token };
+}
+
+// Pay for an order through the mock payment provider, by default with a card that works
+function payOrder(app, orderId, card = MOCK_CARDS.success) {
+  return request(app).post(`/api/orders/${orderId}/payment`).send({ paymentMethod: card });
+}
+
+module.exports = {
+  customerInfo,
+  startDatabase,
+  clearDatabase,
+  stopDatabase,
+  createUser,
+  loginAs,
+  openStoreAllDay,
+  payOrder
+};
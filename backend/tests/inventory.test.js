@@ -0,0 +1,156 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { startDatabase, clearDatabase, stopDatabase, loginAs, customerInfo, openStoreAllDay, payOrder } = require('./helpers');
+
+let app;
+let Ingredient;
+let manager;
+let patty;
+let cheese;
+let burger;
+
+beforeAll(async () => {
+  await startDatabase();
+  app = require('../api/index.js');
+  Ingredient = mongoose.model('Ingredient');
+  await request(app).get('/api/health');
+});
+
+beforeEach(async () => {
+  await openStoreAllDay();
+  manager = await loginAs(app, 'manager');
+  patty = await Ingredient.create({ name: 'Beef patty', stock: 4, lowStockThreshold: 2 });
+  cheese = await Ingredient.create({ name: 'American cheese', unit: 'slice', stock: 10, lowStockThreshold: 2 });
+  burger = await mongoose.model('MenuItem').create({
+    name: 'Double-Double',
+    description: 'Two patties, two slices of cheese',
+    price: 5.99,
+    recipe: [{ ingredient: patty._id, quantity: 2 }, { ingredient: cheese._id, quantity: 2 }],
+    modifierGroups: [{
+      name: 'Cheese',
+      selection: 'single',
+      options: [{ name: 'No cheese', recipe: [{ ingredient: cheese._id, quantity: -2 }] }]
+    }]
+  });
+});
+
+afterEach(clearDatabase);
+afterAll(stopDatabase);
+
+const placeOrder = (quantity, modifiers = []) => request(app)
+  .post('/api/orders')
+  .send({ items: [{ menuItemId: burger._id, quantity, modifiers }], customerInfo });
+
+const setStatus = (orderId, status) => request(app)
+  .patch(`/api/orders/${orderId}/status`)
+  .set('Authorization', `Bearer ${manager.token}`)
+  .send({ status });
+
+const stockOf = async (ingredient) => (await Ingredient.findById(ingredient._id)).stock;
+
+describe('stock on order confirmation', () => {
+  test('confirming takes the recipe out of stock and cancelling puts it back', async () => {
+    const order = (await placeOrder(2, [{ group: 'Cheese', option: 'No cheese' }])).body;
+    await payOrder(app, order._id);
+    expect(await stockOf(patty)).toBe(4);
+
+    expect((await setStatus(order._id, 'confirmed')).status).toBe(200);
+    expect(await stockOf(patty)).toBe(0);
+    expect(await stockOf(cheese)).toBe(10);
+
+    expect((await setStatus(order._id, 'cancelled')).status).toBe(200);
+    expect(await stockOf(patty)).toBe(4);
+  });
+
+  test('refuses to confirm when stock ran out after the order was placed', async () => {
+    const first = (await placeOrder(2)).body;
+    const second = (await placeOrder(1)).body;
+    await payOrder(app, first._id);
+    await payOrder(app, second._id);
+    await setStatus(first._id, 'confirmed');
+
+    const res = await setStatus(second._id, 'confirmed');
+
+    expect(res.status).toBe(409);
+    expect(res.body.error.shortages).toEqual([
+      expect.objectContaining({ name: 'Beef patty', needed: 2, available: 0 })
+    ]);
+    expect(await stockOf(cheese)).toBe(6);
+  });
+
+  test('rejects orders that need more than is in stock', async () => {
+    const res = await placeOrder(3);
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.problems[0].reason).toMatch(/Beef patty/);
+  });
+});
+
+describe('menu availability', () => {
+  test('hides items once an ingredient runs out', async () => {
+    await Ingredient.updateOne({ _id: patty._id }, { stock: 1 });
+    expect((await request(app).get('/api/menu')).body).toHaveLength(0);
+
+    await request(app)
+      .post(`/api/ingredients/${patty._id}/restock`)
+      .set('Authorization', `Bearer ${manager.token}`)
+      .send({ quantity: 5 });
+
+    const { body } = await request(app).get('/api/menu');
+    expect(body.map(item => item.name)).toEqual(['Double-Double']);
+  });
+});
+
+describe('inventory management', () => {
+  test('low stock report lists affected menu items', async () => {
+    await Ingredient.updateOne({ _id: cheese._id }, { stock: 1 });
+
+    const res = await request(app)
+      .get('/api/ingredients/low-stock')
+      .set('Authorization', `Bearer ${manager.token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual([
+      expect.objectContaining({ name: 'American cheese', outOfStock: false, menuItems: [expect.objectContaining({ name: 'Double-Double' })] })
+    ]);
+  });
+
+  test('restock requires a positive quantity and a manager', async () => {
+    const invalid = await request(app)
+      .post(`/api/ingredients/${patty._id}/restock`)
+      .set('Authorization', `Bearer ${manager.token}`)
+      .send({ quantity: -3 });
+    const staff = await loginAs(app, 'staff');
+    const forbidden = await request(app)
+      .post(`/api/ingredients/${patty._id}/restock`)
+      .set('Authorization', `Bearer ${staff.token}`)
+      .send({ quantity: 3 });
+
+    expect(invalid.status).toBe(400);
+    expect(forbidden.status).toBe(403);
+  });
+
+  test('ingredients used in a recipe cannot be deleted', async () => {
+    const res = await request(app)
+      .delete(`/api/ingredients/${cheese._id}`)
+      .set('Authorization', `Bearer ${manager.token}`);
+
+    expect(res.status).toBe(409);
+  });
+
+  test('managers at one store can\'t change the stock every store shares', async () => {
+    const local = await loginAs(app, 'manager', { stores: ['downtown'] });
+    const as = (req) => req.set('Authorization', `Bearer ${local.token}`);
+
+    const responses = await Promise.all([
+      as(request(app).post('/api/ingredients')).send({ name: 'Bun', stock: 10 }),
+      as(request(app).put(`/api/ingredients/${patty._id}`)).send({ lowStockThreshold: 0 }),
+      as(request(app).post(`/api/ingredients/${patty._id}/restock`)).send({ quantity: 3 }),
+      as(request(app).delete(`/api/ingredients/${patty._id}`))
+    ]);
+
+    expect(responses.map(res => res.status)).toEqual([403, 403, 403, 403]);
+    expect(await stockOf(patty)).toBe(4);
+    expect(await Ingredient.countDocuments()).toBe(2);
+  });
+});
@@ -0,0 +1,158 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { startDatabase, clearDatabase, stopDatabase, loginAs, openStoreAllDay } = require('./helpers');
+
+let app;
+let staff;
+
+beforeAll(async () => {
+  await startDatabase();
+  app = require('../api/index.js');
+  await request(app).get('/api/health');
+  // $text queries need the text index to exist
+  await mongoose.model('MenuItem').init();
+});
+
+beforeEach(async () => {
+  await openStoreAllDay({ timezone: 'America/Los_Angeles' });
+  staff = await loginAs(app, 'staff');
+});
+
+afterEach(clearDatabase);
+afterAll(stopDatabase);
+
+function createOrder(orderDate, { status = 'pending', phone = '5551234567', email, totalPrice = 10, orderNumber } = {}) {
+  return mongoose.model('Order').create({
+    orderNumber,
+    items: [{ name: 'Double-Double', price: totalPrice, quantity: 1, lineTotal: totalPrice }],
+    subtotal: totalPrice,
+    tax: 0,
+    totalPrice,
+    customerInfo: { name: 'Jamie', phone, email },
+    status,
+    orderDate: new Date(orderDate)
+  });
+}
+
+const listOrders = (query) => request(app)
+  .get(`/api/orders?${query}`)
+  .set('Authorization', `Bearer ${staff.token}`);
+
+describe('GET /orders pagination', () => {
+  test('pages newest first with a cursor until there are no more', async () => {
+    const placedAt = '2026-03-10T19:00:00Z';
+    // Same timestamp for several orders, so the cursor has to break ties by id
+    for (let i = 0; i < 5; i++) {
+      await createOrder(placedAt);
+    }
+
+    const seen = [];
+    let cursor = '';
+    let pages = 0;
+    do {
+      const res = await listOrders(`limit=2${cursor ? `&cursor=${cursor}` : ''}`);
+      expect(res.status).toBe(200);
+      seen.push(...res.body.data.map(order => order._id));
+      cursor = res.body.paging.nextCursor;
+      pages++;
+    } while (cursor);
+
+    expect(pages).toBe(3);
+    expect(new Set(seen).size).toBe(5);
+  });
+
+  test('rejects bad cursors and page sizes', async () => {
+    const badCursor = await listOrders('cursor=not-a-cursor');
+
+    expect(badCursor.status).toBe(400);
+    expect(badCursor.body.error).toMatchObject({ code: 'validation_failed', fields: { cursor: 'Invalid cursor' } });
+    expect((await listOrders('limit=0')).status).toBe(400);
+    expect((await listOrders('limit=1000')).body.error.fields.limit).toBeDefined();
+  });
+});
+
+describe('GET /orders filters', () => {
+  test('filters by one or several statuses, as the kitchen board does', async () => {
+    const pending = await createOrder('2026-03-10T19:00:00Z');
+    const confirmed = await createOrder('2026-03-10T19:05:00Z', { status: 'confirmed' });
+    const preparing = await createOrder('2026-03-10T19:10:00Z', { status: 'preparing' });
+    await createOrder('2026-03-10T19:15:00Z', { status: 'delivered' });
+
+    const one = await listOrders('status=pending');
+    const several = await listOrders('status=confirmed,preparing');
+
+    expect(one.body.data.map(order => order._id)).toEqual([pending._id.toString()]);
+    expect(several.body.data.map(order => order._id)).toEqual([preparing._id.toString(), confirmed._id.toString()]);
+  });
+
+  test('rejects an unknown status with the validation envelope', async () => {
+    const res = await listOrders('status=confirmed,lost');
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatchObject({
+      code: 'validation_failed',
+      fields: { 'status.1': expect.stringContaining('Must be one of') }
+    });
+  });
+
+  test('filters by store-local date range', async () => {
+    await createOrder('2026-03-10T06:00:00Z'); // 11pm on the 9th, Pacific
+    const inRange = await createOrder('2026-03-10T19:00:00Z');
+    await createOrder('2026-03-11T08:00:00Z'); // 1am on the 11th, Pacific
+
+    const res = await listOrders('from=2026-03-10&to=2026-03-10');
+
+    expect(res.body.data.map(order => order._id)).toEqual([inRange._id.toString()]);
+  });
+
+  test('filters by customer phone in any format, email and total', async () => {
+    await createOrder('2026-03-10T19:00:00Z', { phone: '5551234567', totalPrice: 8 });
+    await createOrder('2026-03-10T19:05:00Z', { phone: '5551234567', totalPrice: 25 });
+    await createOrder('2026-03-10T19:10:00Z', { phone: '5559876543', email: 'sam@example.com' });
+
+    const byPhone = await listOrders(`phone=${encodeURIComponent('(555) 123-4567')}&minTotal=10`);
+    const byEmail = await listOrders('email=SAM@example.com');
+
+    expect(byPhone.body.data.map(order => order.totalPrice)).toEqual([25]);
+    expect(byEmail.body.data).toHaveLength(1);
+    expect((await listOrders('maxTotal=-1')).body.error.fields.maxTotal).toBe('Must be a non-negative number');
+    expect((await listOrders('phone=555')).body.error.fields.phone).toBeDefined();
+  });
+
+  test('finds an order number on one day', async () => {
+    await createOrder('2026-03-09T19:00:00Z', { orderNumber: 101 });
+    const wanted = await createOrder('2026-03-10T19:00:00Z', { orderNumber: 101 });
+    await createOrder('2026-03-10T19:05:00Z', { orderNumber: 102 });
+
+    const res = await listOrders('number=%23101&from=2026-03-10&to=2026-03-10');
+
+    expect(res.body.data.map(order => order._id)).toEqual([wanted._id.toString()]);
+    expect((await listOrders('number=abc')).body.error.fields.number).toBe('Must be a whole number, like 101 or #101');
+    expect((await listOrders('from=yesterday')).body.error.fields.from).toBeDefined();
+  });
+});
+
+describe('GET /menu filters', () => {
+  beforeEach(async () => {
+    const MenuItem = mongoose.model('MenuItem');
+    await MenuItem.create([
+      { name: 'Double-Double', description: 'Two patties and two slices of cheese', price: 5.99, category: 'burgers' },
+      { name: 'Cheeseburger', description: 'One patty with cheese', price: 3.99, category: 'burgers' },
+      { name: 'Chocolate Shake', description: 'Real ice cream', price: 2.99, category: 'drinks' }
+    ]);
+  });
+
+  test('filters by category', async () => {
+    const res = await request(app).get('/api/menu?category=drinks');
+
+    expect(res.body.map(item => item.name)).toEqual(['Chocolate Shake']);
+  });
+
+  test('searches names and descriptions', async () => {
+    const byDescription = await request(app).get('/api/menu?q=cheese');
+    const byName = await request(app).get('/api/menu?q=shake&category=drinks');
+
+    expect(byDescription.body.map(item => item.name).sort()).toEqual(['Cheeseburger', 'Double-Double']);
+    expect(byName.body.map(item => item.name)).toEqual(['Chocolate Shake']);
+  });
+});
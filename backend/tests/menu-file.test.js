@@ -0,0 +1,181 @@
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { startDatabase, clearDatabase, stopDatabase, loginAs } = require('./helpers');
+const { exportMenu, readMenuFile, importMenu } = require('../lib/menuFile');
+
+let app;
+
+beforeAll(async () => {
+  await startDatabase();
+  app = require('../api/index.js');
+  await request(app).get('/api/health');
+});
+
+afterEach(clearDatabase);
+afterAll(stopDatabase);
+
+const sampleMenu = () => readMenuFile(fs.readFileSync(path.join(__dirname, '..', 'data', 'menu.json'), 'utf8'), 'json').items;
+
+const shake = {
+  key: 'shake',
+  name: 'Shake',
+  description: 'Chocolate',
+  price: 2.99,
+  category: 'drinks'
+};
+
+describe('importing', () => {
+  test('the sample menu is valid and loads once however often it runs', async () => {
+    const first = await importMenu(sampleMenu());
+    const second = await importMenu(sampleMenu());
+
+    expect(first.problems).toEqual([]);
+    expect(first.created).toHaveLength(4);
+    expect(second.created).toEqual([]);
+    expect(second.updated).toEqual([]);
+    expect(second.unchanged).toHaveLength(4);
+    expect(await mongoose.model('MenuItem').countDocuments()).toBe(4);
+  });
+
+  test('updates only what changed and keeps ids, orders and unlisted items intact', async () => {
+    const MenuItem = mongoose.model('MenuItem');
+    const existing = await MenuItem.create({ ...shake, price: 2.49 });
+    const special = await MenuItem.create({ name: 'Special', description: 'Off the file', price: 9 });
+
+    const report = await importMenu([{ ...shake, imageUrl: 'https://example.com/shake.jpg' }]);
+
+    expect(report.updated).toEqual([{ key: 'shake', name: 'Shake', fields: ['price', 'imageUrl'] }]);
+    const updated = await MenuItem.findById(existing._id);
+    expect(updated.price).toBe(2.99);
+    expect(await MenuItem.exists({ _id: special._id })).not.toBeNull();
+  });
+
+  test('keep fields are set on new items but left alone on existing ones', async () => {
+    const MenuItem = mongoose.model('MenuItem');
+    await MenuItem.create({ ...shake, description: 'Vanilla', price: 3.49, available: false });
+
+    const report = await importMenu(
+      [shake, { key: 'fries', name: 'Fries', description: 'Fresh', price: 1.99, available: false }],
+      { keep: ['price', 'available'] }
+    );
+
+    expect(report.updated).toEqual([{ key: 'shake', name: 'Shake', fields: ['description'] }]);
+    expect((await MenuItem.findOne({ key: 'shake' })).toJSON()).toMatchObject({ description: 'Chocolate', price: 3.49, available: false });
+    expect((await MenuItem.findOne({ key: 'fries' })).toJSON()).toMatchObject({ price: 1.99, available: false });
+  });
+
+  test('items without a key are adopted by name', async () => {
+    const MenuItem = mongoose.model('MenuItem');
+    const existing = await MenuItem.create({ name: 'Shake', description: 'Chocolate', price: 2.99, category: 'drinks' });
+
+    const report = await importMenu([shake]);
+
+    expect(report.updated).toEqual([{ key: 'shake', name: 'Shake', fields: ['key'] }]);
+    expect((await MenuItem.findById(existing._id)).key).toBe('shake');
+  });
+
+  test('a dry run reports the changes without writing them, and prune removes unlisted items', async () => {
+    const MenuItem = mongoose.model('MenuItem');
+    await MenuItem.create({ key: 'retired', name: 'Retired', description: 'Gone', price: 1 });
+
+    const report = await importMenu([shake], { dryRun: true, prune: true });
+
+    expect(report.applied).toBe(false);
+    expect(report.created).toEqual([{ key: 'shake', name: 'Shake' }]);
+    expect(report.removed).toEqual([{ key: 'retired', name: 'Retired' }]);
+    expect(await MenuItem.exists({ key: 'shake' })).toBeNull();
+    expect(await MenuItem.exists({ key: 'retired' })).not.toBeNull();
+  });
+
+  test('reports every problem and writes nothing when any item is invalid', async () => {
+    const report = await importMenu([
+      shake,
+      { ...shake, name: 'Other Shake' },
+      { key: 'Fries', name: 'Fries', description: 'Fresh', price: -1, prcie: 2 },
+      { key: 'burger', name: 'Burger', description: 'Beef', price: 3, recipe: [{ ingredient: 'Patty', quantity: 1 }] }
+    ]);
+
+    expect(report.applied).toBe(false);
+    expect(report.problems).toEqual(expect.arrayContaining([
+      expect.objectContaining({ item: 2, field: 'key', message: 'Another item already uses this key' }),
+      expect.objectContaining({ item: 3, field: 'key' }),
+      expect.objectContaining({ item: 3, field: 'price', message: 'Price cannot be negative' }),
+      expect.objectContaining({ item: 4, field: 'recipe', message: 'Unknown ingredient "Patty"' })
+    ]));
+    expect(await mongoose.model('MenuItem').countDocuments()).toBe(0);
+  });
+});
+
+describe('exporting', () => {
+  test('JSON and CSV exports import back unchanged, with recipes by ingredient name', async () => {
+    const bun = await mongoose.model('Ingredient').create({ name: 'Bun', stock: 10 });
+    await importMenu(sampleMenu());
+    await mongoose.model('MenuItem').create({
+      name: 'Hamburger, "plain"',
+      description: 'Single patty',
+      price: 3.49,
+      recipe: [{ ingredient: bun._id, quantity: 1 }]
+    });
+
+    const json = await exportMenu('json');
+    const csv = await exportMenu('csv');
+
+    const hamburger = JSON.parse(json).find(item => item.name === 'Hamburger, "plain"');
+    expect(hamburger).toMatchObject({ key: 'hamburger-plain', recipe: [{ ingredient: 'Bun', quantity: 1 }] });
+    for (const [text, format] of [[json, 'json'], [csv, 'csv']]) {
+      const { items, problems } = readMenuFile(text, format);
+      const report = await importMenu(items, { dryRun: true });
+      expect(problems).toEqual([]);
+      expect(report.created).toEqual([]);
+      // The item added through the API only gets its key from an import
+      expect(report.updated).toEqual([{ key: 'hamburger-plain', name: 'Hamburger, "plain"', fields: ['key'] }]);
+      expect(report.unchanged).toHaveLength(4);
+    }
+  });
+
+  test('store prices and availability go with the menu, and items that list none keep theirs', async () => {
+    const MenuItem = mongoose.model('MenuItem');
+    const storeOverrides = [{ store: 'beach', price: 3.49 }, { store: 'airport', available: false }];
+    await MenuItem.create({ ...shake, storeOverrides });
+    const fries = { key: 'fries', name: 'Fries', description: 'Fresh', price: 1.99 };
+    await MenuItem.create({ ...fries, storeOverrides: [{ store: 'beach', available: false }] });
+
+    const json = await exportMenu('json');
+    const csv = await exportMenu('csv');
+    expect(JSON.parse(json).find(item => item.key === 'shake').storeOverrides).toEqual(storeOverrides);
+
+    for (const [text, format] of [[json, 'json'], [csv, 'csv']]) {
+      await MenuItem.deleteMany();
+      const report = await importMenu(readMenuFile(text, format).items);
+      expect(report.created).toHaveLength(2);
+      expect((await MenuItem.findOne({ key: 'shake' })).toJSON().storeOverrides).toEqual(storeOverrides);
+      expect((await importMenu(readMenuFile(text, format).items, { dryRun: true })).unchanged).toHaveLength(2);
+    }
+
+    const report = await importMenu([{ ...shake, price: 3.19 }, { ...fries, storeOverrides: [] }]);
+
+    expect(report.updated).toEqual([
+      { key: 'shake', name: 'Shake', fields: ['price'] },
+      { key: 'fries', name: 'Fries', fields: ['storeOverrides'] }
+    ]);
+    expect((await MenuItem.findOne({ key: 'shake' })).toJSON().storeOverrides).toEqual(storeOverrides);
+    expect((await MenuItem.findOne({ key: 'fries' })).storeOverrides).toHaveLength(0);
+  });
+
+  test('CSV files with unknown columns or broken cells are reported', async () => {
+    expect(readMenuFile('key,name,prcie\nshake,Shake,2\n', 'csv').problems).toEqual([{ message: 'Unknown columns: prcie' }]);
+    expect(readMenuFile('key,name,recipe\nshake,Shake,[oops\n', 'csv').problems).toEqual([
+      { item: 1, key: 'shake', field: 'recipe', message: 'Must be JSON' }
+    ]);
+  });
+});
+
+test('the menu can no longer be reset over HTTP', async () => {
+  const manager = await loginAs(app, 'manager');
+
+  const res = await request(app).get('/api/seed').set('Authorization', `Bearer ${manager.token}`);
+
+  expect(res.status).toBe(404);
+});
@@ -0,0 +1,62 @@
+const request = require('supertest');
+const { startDatabase, stopDatabase } = require('./helpers');
+const { toOpenApiPath } = require('../lib/openapi');
+
+let app;
+
+beforeAll(async () => {
+  await startDatabase();
+  app = require('../api/index.js');
+});
+
+afterAll(stopDatabase);
+
+// "get /menu/:id" for every route the Express router actually serves
+function registeredRoutes() {
+  const routes = [];
+  const collect = (stack) => stack.forEach(layer => {
+    if (layer.route) {
+      Object.keys(layer.route.methods).forEach(method => routes.push(`${method} ${layer.route.path}`));
+    } else if (layer.handle && layer.handle.stack) {
+      collect(layer.handle.stack);
+    }
+  });
+  collect(require('../routes').stack);
+  return routes;
+}
+
+test('every registered route is in the OpenAPI document', async () => {
+  const res = await request(app).get('/api/openapi.json');
+  expect(res.status).toBe(200);
+
+  const documented = [];
+  for (const [path, operations] of Object.entries(res.body.paths)) {
+    Object.keys(operations).forEach(method => documented.push(`${method} ${path}`));
+  }
+  const registered = registeredRoutes().map(route => {
+    const [method, path] = route.split(' ');
+    return `${method} ${toOpenApiPath(path)}`;
+  });
+
+  expect(documented.sort()).toEqual(registered.sort());
+});
+
+test('the document uses the prefix it was fetched from', async () => {
+  const v1 = await request(app).get('/api/v1/openapi.json');
+  const docs = await request(app).get('/api/v1/docs');
+
+  expect(v1.body.openapi).toMatch(/^3\./);
+  expect(v1.body.servers).toEqual([{ url: '/api/v1' }]);
+  expect(docs.headers['content-type']).toMatch(/text\/html/);
+  expect(docs.text).toContain('/api/v1/openapi.json');
+});
+
+test('request schemas come from the validation schemas', async () => {
+  const { body } = await request(app).get('/api/openapi.json');
+  const patchStatus = body.paths['/orders/{id}/status'].patch;
+
+  expect(patchStatus.requestBody.content['application/json'].schema.properties.status.enum).toContain('confirmed');
+  expect(patchStatus.responses['409'].content['application/json'].schema).toEqual({ $ref: '#/components/schemas/Error' });
+  expect(body.paths['/menu/{id}'].get.responses['200'].content['application/json'].schema)
+    .toEqual({ $ref: '#/components/schemas/MenuItem' });
+});
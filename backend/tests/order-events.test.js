@@ -0,0 +1,106 @@
+const http = require('http');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { startDatabase, clearDatabase, stopDatabase, loginAs, customerInfo, openStoreAllDay, payOrder } = require('./helpers');
+
+let app;
+let server;
+
+beforeAll(async () => {
+  await startDatabase();
+  app = require('../api/index.js');
+  await request(app).get('/api/health');
+  server = app.listen(0);
+});
+
+beforeEach(openStoreAllDay);
+afterEach(clearDatabase);
+afterAll(async () => {
+  server.close();
+  await stopDatabase();
+});
+
+async function placeOrder() {
+  const burger = await mongoose.model('MenuItem').create({
+    name: 'Cheeseburger',
+    description: 'Single patty',
+    price: 3.99
+  });
+  const res = await request(app)
+    .post('/api/orders')
+    .send({ items: [{ menuItemId: burger._id, quantity: 1 }], customerInfo });
+  return (await payOrder(app, res.body._id)).body;
+}
+
+// Open an SSE stream and collect parsed events until `count` have arrived
+function collectEvents(path, count) {
+  return new Promise((resolve, reject) => {
+    const { port } = server.address();
+    const events = [];
+    const req = http.get({ port, path, headers: { Accept: 'text/event-stream' } }, (res) => {
+      let buffer = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        buffer += chunk;
+        const frames = buffer.split('\n\n');
+        buffer = frames.pop();
+        frames
+          .map(frame => frame.split('\n').find(line => line.startsWith('data: ')))
+          .filter(Boolean)
+          .forEach(line => events.push(JSON.parse(line.slice(6))));
+        if (events.length >= count) {
+          req.destroy();
+          resolve(events);
+        }
+      });
+    });
+    req.on('error', (error) => {
+      if (events.length < count) reject(error);
+    });
+  });
+}
+
+test('status changes are published on the order event bus', async () => {
+  const staff = await loginAs(app, 'staff');
+  const order = await placeOrder();
+  const received = [];
+  const unsubscribe = app.get('orderEvents').subscribe(event => received.push(event));
+
+  await request(app)
+    .patch(`/api/orders/${order._id}/status`)
+    .set('Authorization', `Bearer ${staff.token}`)
+    .send({ status: 'confirmed' });
+  unsubscribe();
+
+  expect(received).toEqual([
+    expect.objectContaining({ type: 'order.status', orderId: order._id, status: 'confirmed', previousStatus: 'pending' })
+  ]);
+});
+
+test('an order stream sends a snapshot and then live status changes', async () => {
+  const staff = await loginAs(app, 'staff');
+  const order = await placeOrder();
+
+  const events = collectEvents(`/api/orders/${order._id}/events`, 2);
+  // give the stream a moment to subscribe before changing the order
+  await new Promise(resolve => setTimeout(resolve, 100));
+  await request(app)
+    .patch(`/api/orders/${order._id}/status`)
+    .set('Authorization', `Bearer ${staff.token}`)
+    .send({ status: 'confirmed' });
+
+  const [snapshot, change] = await events;
+  expect(snapshot).toMatchObject({ type: 'snapshot', status: 'pending' });
+  expect(change).toMatchObject({ type: 'order.status', status: 'confirmed' });
+  expect(change.order).toBeUndefined();
+});
+
+test('the staff feed requires a staff token', async () => {
+  const customer = await loginAs(app, 'customer');
+
+  const res = await request(app)
+    .get(`/api/orders/events?access_token=${customer.token}`)
+    .set('Accept', 'text/event-stream');
+
+  expect(res.status).toBe(403);
+});
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { startDatabase, clearDatabase, stopDatabase, loginAs, customerInfo, openStoreAllDay, payOrder } = require('./helpers');
+
+let app;
+let staff;
+
+beforeAll(async () => {
+  await startDatabase();
+  app = require('../api/index.js');
+  await request(app).get('/api/health');
+});
+
+beforeEach(async () => {
+  staff = await loginAs(app, 'staff');
+});
+
+beforeEach(openStoreAllDay);
+afterEach(clearDatabase);
+afterAll(stopDatabase);
+
+async function placeOrder() {
+  const burger = await mongoose.model('MenuItem').create({
+    name: 'Cheeseburger',
+    description: 'Single patty',
+    price: 3.99
+  });
+  const res = await request(app)
+    .post('/api/orders')
+    .send({ items: [{ menuItemId: burger._id, quantity: 1 }], customerInfo });
+  return (await payOrder(app, res.body._id)).body;
+}
+
+const setStatus = (orderId, status) => request(app)
+  .patch(`/api/orders/${orderId}/status`)
+  .set('Authorization', `Bearer ${staff.token}`)
+  .send({ status });
+
+describe('order status transitions', () => {
+  test('walks the full lifecycle and records who moved it', async () => {
+    const order = await placeOrder();
+
+    for (const status of ['confirmed', 'preparing', 'ready', 'delivered']) {
+      const res = await setStatus(order._id, status);
+      expect(res.status).toBe(200);
+      expect(res.body.status).toBe(status);
+    }
+
+    const { body } = await request(app).get(`/api/orders/${order._id}`).set('Authorization', `Bearer ${staff.token}`);
+    expect(body.statusHistory.map(entry => entry.status))
+      .toEqual(['pending', 'confirmed', 'preparing', 'ready', 'delivered']);
+    expect(body.statusHistory[4]).toMatchObject({
+      previousStatus: 'ready',
+      changedBy: staff.user._id.toString(),
+      changedByName: staff.user.name
+    });
+  });
+
+  test('rejects skipping ahead with the allowed next states', async () => {
+    const order = await placeOrder();
+
+    const res = await setStatus(order._id, 'ready');
+
+    expect(res.status).toBe(409);
+    expect(res.body.error.allowedTransitions).toEqual(['confirmed', 'cancelled']);
+  });
+
+  test('cannot cancel once the kitchen is preparing', async () => {
+    const order = await placeOrder();
+    await setStatus(order._id, 'confirmed');
+    await setStatus(order._id, 'preparing');
+
+    const res = await setStatus(order._id, 'cancelled');
+
+    expect(res.status).toBe(409);
+    expect(res.body.error.allowedTransitions).toEqual(['ready']);
+  });
+
+  test('delivered and cancelled orders are final', async () => {
+    const order = await placeOrder();
+    await setStatus(order._id, 'cancelled');
+
+    const res = await setStatus(order._id, 'pending');
+
+    expect(res.status).toBe(409);
+    expect(res.body.error.allowedTransitions).toEqual([]);
+  });
+});
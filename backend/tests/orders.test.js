@@ -0,0 +1,382 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { startDatabase, clearDatabase, stopDatabase, customerInfo, loginAs, openStoreAllDay } = require('./helpers');
+
+let app;
+let MenuItem;
+
+beforeAll(async () => {
+  await startDatabase();
+  app = require('../api/index.js');
+  MenuItem = mongoose.model('MenuItem');
+  await request(app).get('/api/health');
+});
+
+beforeEach(openStoreAllDay);
+afterEach(clearDatabase);
+afterAll(stopDatabase);
+
+const createBurger = (overrides = {}) => MenuItem.create({
+  name: 'Double-Double Burger',
+  description: 'Two patties',
+  price: 5.99,
+  category: 'burgers',
+  modifierGroups: [
+    {
+      name: 'Style',
+      selection: 'multi',
+      min: 0,
+      max: 2,
+      options: [
+        { name: 'Animal Style', priceDelta: 0.5 },
+        { name: 'Protein Style', priceDelta: 0 }
+      ]
+    }
+  ],
+  ...overrides
+});
+
+describe('order pricing', () => {
+  test('prices lines from the menu and ignores client prices', async () => {
+    const burger = await createBurger();
+
+    const res = await request(app)
+      .post('/api/orders')
+      .send({
+        customerInfo,
+        items: [{ menuItemId: burger._id, quantity: 2, price: 0.01 }],
+        totalPrice: 0.01
+      });
+
+    expect(res.status).toBe(201);
+    expect(res.body.items[0].price).toBe(5.99);
+    expect(res.body.subtotal).toBe(11.98);
+    expect(res.body.pricing.total).toBe(res.body.totalPrice);
+    expect(res.body.totalPrice).toBeCloseTo(11.98 + res.body.tax, 2);
+  });
+
+  test('rejects unknown and unavailable items', async () => {
+    const hidden = await createBurger({ available: false });
+
+    const res = await request(app)
+      .post('/orders')
+      .send({
+        customerInfo,
+        items: [
+          { menuItemId: hidden._id, quantity: 1 },
+          { menuItemId: new mongoose.Types.ObjectId(), quantity: 1 }
+        ]
+      });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.problems).toHaveLength(2);
+  });
+
+  test('adds modifier price deltas to the line price', async () => {
+    const burger = await createBurger();
+
+    const res = await request(app)
+      .post('/api/orders')
+      .send({
+        customerInfo,
+        items: [{
+          menuItemId: burger._id,
+          quantity: 1,
+          modifiers: [
+            { group: 'Style', option: 'Protein Style' },
+            { group: 'Style', option: 'Animal Style' }
+          ]
+        }]
+      });
+
+    expect(res.status).toBe(201);
+    expect(res.body.items[0].price).toBe(6.49);
+    expect(res.body.items[0].modifiers.map(m => m.option)).toEqual(['Animal Style', 'Protein Style']);
+  });
+
+  test('rejects modifiers the item does not offer', async () => {
+    const burger = await createBurger();
+
+    const res = await request(app)
+      .post('/api/orders')
+      .send({
+        customerInfo,
+        items: [{ menuItemId: burger._id, quantity: 1, modifiers: [{ group: 'Style', option: 'Extra Pickles' }] }]
+      });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.problems[0].reason).toMatch(/Extra Pickles/);
+  });
+});
+
+describe('order details', () => {
+  test('rejects orders without a name or phone number', async () => {
+    const burger = await createBurger();
+
+    const res = await request(app)
+      .post('/api/orders')
+      .send({
+        items: [{ menuItemId: burger._id, quantity: 1 }],
+        customerInfo: { email: 'not-an-email' }
+      });
+
+    expect(res.status).toBe(400);
+    expect(Object.keys(res.body.error.fields).sort()).toEqual(['email', 'name', 'phone']);
+  });
+
+  test('stores a normalized phone number, order type and notes', async () => {
+    const burger = await createBurger();
+
+    const res = await request(app)
+      .post('/api/orders')
+      .send({
+        items: [{ menuItemId: burger._id, quantity: 1 }],
+        customerInfo: { name: 'Jamie', phone: '+1 (555) 123-4567' },
+        orderType: 'drive-thru',
+        notes: ' No salt on the fries '
+      });
+
+    expect(res.status).toBe(201);
+    expect(res.body.customerInfo.phone).toBe('5551234567');
+    expect(res.body.orderType).toBe('drive-thru');
+    expect(res.body.notes).toBe('No salt on the fries');
+  });
+
+  test('only use and empty the session\'s cart for its own account', async () => {
+    const burger = await createBurger();
+    await mongoose.model('Promotion').create({ code: 'TENOFF', type: 'percent', value: 10 });
+    const owner = await loginAs(app, 'customer');
+    const other = await loginAs(app, 'customer');
+    await mongoose.model('Cart').create({
+      sessionId: 'session-owned',
+      user: owner.user._id,
+      promoCode: 'TENOFF',
+      items: [{ menuItemId: burger._id, name: burger.name, price: burger.price, quantity: 1 }]
+    });
+    const body = { items: [{ menuItemId: burger._id, quantity: 1 }], customerInfo, sessionId: 'session-owned' };
+
+    const guest = await request(app).post('/api/orders').send(body);
+    const stranger = await request(app).post('/api/orders').set('Authorization', `Bearer ${other.token}`).send(body);
+    expect(await mongoose.model('Cart').exists({ sessionId: 'session-owned' })).not.toBeNull();
+    const own = await request(app).post('/api/orders').set('Authorization', `Bearer ${owner.token}`).send(body);
+
+    expect([guest.status, stranger.status]).toEqual([403, 403]);
+    expect(own.status).toBe(201);
+    expect(own.body.discountTotal).toBeGreaterThan(0);
+    expect(await mongoose.model('Cart').exists({ sessionId: 'session-owned' })).toBeNull();
+  });
+
+  test('rejects unknown order types', async () => {
+    const burger = await createBurger();
+
+    const res = await request(app)
+      .post('/api/orders')
+      .send({ items: [{ menuItemId: burger._id, quantity: 1 }], customerInfo, orderType: 'delivery' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.fields.orderType).toBeDefined();
+  });
+});
+
+describe('idempotent submission', () => {
+  const placeOrder = (key, body) => request(app)
+    .post('/api/orders')
+    .set('Idempotency-Key', key)
+    .send(body);
+
+  test('a retry with the same key returns the original order', async () => {
+    const burger = await createBurger();
+    await mongoose.model('Cart').create({ sessionId: 'session-1', items: [{ menuItemId: burger._id, quantity: 1 }] });
+    const body = { items: [{ menuItemId: burger._id, quantity: 1 }], customerInfo, sessionId: 'session-1' };
+
+    const first = await placeOrder('checkout-1', body);
+    const retry = await placeOrder('checkout-1', body);
+
+    expect(first.status).toBe(201);
+    expect(retry.status).toBe(201);
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(retry.body._id).toBe(first.body._id);
+    expect(retry.body.pricing.total).toBe(first.body.pricing.total);
+    expect(retry.body.requestHash).toBeUndefined();
+    expect(await mongoose.model('Order').countDocuments()).toBe(1);
+  });
+
+  test('concurrent retries still place one order', async () => {
+    await mongoose.model('Order').init();
+    const burger = await createBurger();
+    const body = { items: [{ menuItemId: burger._id, quantity: 2 }], customerInfo, sessionId: 'session-2' };
+
+    const responses = await Promise.all([placeOrder('checkout-2', body), placeOrder('checkout-2', body)]);
+
+    expect(responses.map(res => res.status)).toEqual([201, 201]);
+    expect(responses[0].body._id).toBe(responses[1].body._id);
+    expect(await mongoose.model('Order').countDocuments()).toBe(1);
+  });
+
+  test('keys only have to be unique per client', async () => {
+    const burger = await createBurger();
+    const customer = await loginAs(app, 'customer');
+    const items = [{ menuItemId: burger._id, quantity: 1 }];
+
+    const mine = await placeOrder('checkout-1', { items, customerInfo, sessionId: 'session-mine' });
+    const theirs = await placeOrder('checkout-1', { items, customerInfo: { ...customerInfo, name: 'Sam' }, sessionId: 'session-theirs' });
+    const signedIn = await request(app)
+      .post('/api/orders')
+      .set('Idempotency-Key', 'checkout-1')
+      .set('Authorization', `Bearer ${customer.token}`)
+      .send({ items, customerInfo, sessionId: 'session-mine' });
+
+    expect([mine.status, theirs.status, signedIn.status]).toEqual([201, 201, 201]);
+    expect(new Set([mine.body._id, theirs.body._id, signedIn.body._id]).size).toBe(3);
+    expect(theirs.body.customerInfo.name).toBe('Sam');
+  });
+
+  test('reusing a key for a different order is a conflict', async () => {
+    const burger = await createBurger();
+
+    const sessionId = 'session-3';
+    await placeOrder('checkout-3', { items: [{ menuItemId: burger._id, quantity: 1 }], customerInfo, sessionId });
+    const res = await placeOrder('checkout-3', { items: [{ menuItemId: burger._id, quantity: 3 }], customerInfo, sessionId });
+
+    expect(res.status).toBe(409);
+    expect(res.body.error.code).toBe('idempotency_key_reused');
+  });
+
+  test('keys need a caller to belong to', async () => {
+    const burger = await createBurger();
+    const customer = await loginAs(app, 'customer');
+    await mongoose.model('Cart').create({ sessionId: 'session-account', user: customer.user._id });
+    const items = [{ menuItemId: burger._id, quantity: 1 }];
+
+    const placed = await request(app)
+      .post('/api/orders')
+      .set('Idempotency-Key', 'checkout-4')
+      .set('Authorization', `Bearer ${customer.token}`)
+      .send({ items, customerInfo, sessionId: 'session-account' });
+    const nobody = await placeOrder('checkout-4', { items, customerInfo: { ...customerInfo, name: 'Sam' } });
+    const borrowed = await placeOrder('checkout-4', { items, customerInfo, sessionId: 'session-account' });
+
+    expect(placed.status).toBe(201);
+    expect(nobody.status).toBe(400);
+    expect(nobody.body.error.fields).toHaveProperty('Idempotency-Key');
+    expect(borrowed.status).toBe(403);
+    expect(await mongoose.model('Order').countDocuments()).toBe(1);
+  });
+});
+
+describe('failed orders', () => {
+  test('give back the pickup slot and promo use they claimed', async () => {
+    const burger = await createBurger();
+    const promotion = await mongoose.model('Promotion').create({ code: 'ONCE', type: 'fixed', value: 1, maxUsesPerCustomer: 1 });
+    const placeOrder = () => request(app)
+      .post('/api/orders')
+      .send({ items: [{ menuItemId: burger._id, quantity: 1 }], customerInfo, promoCode: 'ONCE' });
+    const held = async () => ({
+      slots: (await mongoose.model('SlotBooking').find()).reduce((sum, booking) => sum + booking.count, 0),
+      promoUses: (await mongoose.model('Promotion').findById(promotion._id)).timesUsed
+    });
+
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const numbering = jest.spyOn(mongoose.model('OrderCounter'), 'findOneAndUpdate')
+      .mockRejectedValueOnce(new Error('Counter unavailable'));
+    const noNumber = await placeOrder();
+    numbering.mockRestore();
+    const heldAfterNumbering = await held();
+    const saving = jest.spyOn(mongoose.model('Order').prototype, 'save')
+      .mockRejectedValueOnce(new Error('Write failed'));
+    const notSaved = await placeOrder();
+    saving.mockRestore();
+    const heldAfterSaving = await held();
+    const placed = await placeOrder();
+    jest.restoreAllMocks();
+
+    expect([noNumber.status, notSaved.status, placed.status]).toEqual([500, 500, 201]);
+    expect(heldAfterNumbering).toEqual({ slots: 0, promoUses: 0 });
+    expect(heldAfterSaving).toEqual({ slots: 0, promoUses: 0 });
+    expect(await held()).toEqual({ slots: 1, promoUses: 1 });
+  });
+});
+
+describe('order numbers', () => {
+  const placeOrder = (burger) => request(app)
+    .post('/api/orders')
+    .send({ items: [{ menuItemId: burger._id, quantity: 1 }], customerInfo });
+
+  test('count up from 101, even when orders arrive together', async () => {
+    await mongoose.model('OrderCounter').init();
+    const burger = await createBurger();
+
+    const responses = await Promise.all([1, 2, 3, 4, 5].map(() => placeOrder(burger)));
+
+    expect(responses.map(res => res.body.orderNumber).sort((a, b) => a - b)).toEqual([101, 102, 103, 104, 105]);
+    expect(new Set(responses.map(res => res.body.businessDate)).size).toBe(1);
+  });
+
+  test('start over every business day in the store\'s timezone', async () => {
+    const { nextOrderNumber } = require('../lib/orderNumbers');
+    const { getStore } = require('../lib/stores');
+    const store = await getStore();
+
+    // 11pm and 1am the next day in Los Angeles, then later that next day
+    const late = await nextOrderNumber(store, new Date('2026-03-11T06:00:00Z'));
+    const afterMidnight = await nextOrderNumber(store, new Date('2026-03-11T08:00:00Z'));
+    const sameDay = await nextOrderNumber(store, new Date('2026-03-11T19:00:00Z'));
+
+    expect(late).toEqual({ orderNumber: 101, businessDate: '2026-03-10' });
+    expect(afterMidnight).toEqual({ orderNumber: 101, businessDate: '2026-03-11' });
+    expect(sameDay).toEqual({ orderNumber: 102, businessDate: '2026-03-11' });
+  });
+
+  test('carry on past midnight while the store is open late', async () => {
+    const { nextOrderNumber } = require('../lib/orderNumbers');
+    const store = {
+      key: 'late-night',
+      timezone: 'America/Los_Angeles',
+      hours: [0, 1, 2, 3, 4, 5, 6].map(day => ({ day, open: '18:00', close: '02:00' }))
+    };
+
+    // 11pm on the 10th, 1am on the 11th before closing, then 7pm on the 11th
+    const late = await nextOrderNumber(store, new Date('2026-03-11T06:00:00Z'));
+    const afterMidnight = await nextOrderNumber(store, new Date('2026-03-11T08:00:00Z'));
+    const nextEvening = await nextOrderNumber(store, new Date('2026-03-12T02:00:00Z'));
+
+    expect(late).toEqual({ orderNumber: 101, businessDate: '2026-03-10' });
+    expect(afterMidnight).toEqual({ orderNumber: 102, businessDate: '2026-03-10' });
+    expect(nextEvening).toEqual({ orderNumber: 101, businessDate: '2026-03-11' });
+  });
+});
+
+describe('order tracking', () => {
+  test('only shows customer and payment details to the customer and staff', async () => {
+    const burger = await createBurger();
+    const customer = await loginAs(app, 'customer');
+    const stranger = await loginAs(app, 'customer');
+    const staff = await loginAs(app, 'staff');
+    const placed = await request(app)
+      .post('/api/orders')
+      .set('Authorization', `Bearer ${customer.token}`)
+      .send({ items: [{ menuItemId: burger._id, quantity: 1 }], customerInfo });
+    const track = (token) => {
+      const req = request(app).get(`/api/orders/${placed.body._id}`);
+      return token ? req.set('Authorization', `Bearer ${token}`) : req;
+    };
+
+    const [anonymous, other, own, kitchen] = await Promise.all([
+      track(), track(stranger.token), track(customer.token), track(staff.token)
+    ]);
+
+    for (const res of [anonymous, other]) {
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ status: 'pending', totalPrice: placed.body.totalPrice });
+      expect(res.body.items).toHaveLength(1);
+      expect(res.body).not.toHaveProperty('customerInfo');
+      expect(res.body).not.toHaveProperty('payments');
+      expect(res.body).not.toHaveProperty('statusHistory');
+      expect(res.body).not.toHaveProperty('notes');
+    }
+    for (const res of [own, kitchen]) {
+      expect(res.body.customerInfo.name).toBe(customerInfo.name);
+      expect(res.body).toHaveProperty('statusHistory');
+    }
+  });
+});
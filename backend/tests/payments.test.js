@@ -0,0 +1,268 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { startDatabase, clearDatabase, stopDatabase, loginAs, customerInfo, openStoreAllDay, payOrder } = require('./helpers');
+const { MOCK_CARDS, createMockPaymentProvider } = require('../lib/mockPayments');
+const { UNPAID_ORDER_MINUTES } = require('../lib/orderExpiry');
+
+let app;
+let staff;
+let burger;
+// Webhooks the mock provider sent, in the order it sent them
+let delivered;
+
+beforeAll(async () => {
+  await startDatabase();
+  app = require('../api/index.js');
+  await request(app).get('/api/health');
+});
+
+beforeEach(async () => {
+  delivered = [];
+  app.set('payments', createMockPaymentProvider({
+    webhookSecret: 'test-webhook-secret',
+    deliver: webhook => delivered.push(webhook)
+  }));
+  await openStoreAllDay();
+  staff = await loginAs(app, 'staff');
+  burger = await mongoose.model('MenuItem').create({ name: 'Double-Double', description: 'Two patties', price: 5.99 });
+});
+
+afterEach(clearDatabase);
+afterAll(stopDatabase);
+
+const placeOrder = async () => (await request(app)
+  .post('/api/orders')
+  .send({ items: [{ menuItemId: burger._id, quantity: 2 }], customerInfo })).body;
+
+const findOrder = (orderId) => mongoose.model('Order').findById(orderId);
+
+const setStatus = (orderId, status) => request(app)
+  .patch(`/api/orders/${orderId}/status`)
+  .set('Authorization', `Bearer ${staff.token}`)
+  .send({ status });
+
+const sendWebhook = ({ body, signature }) => request(app)
+  .post('/api/payments/webhook')
+  .set('Content-Type', 'application/json')
+  .set('Payment-Signature', signature)
+  .send(body);
+
+describe('paying for an order', () => {
+  test('charges the order total and lets the kitchen confirm it', async () => {
+    const order = await placeOrder();
+    expect(order.paymentStatus).toBe('unpaid');
+    expect((await setStatus(order._id, 'confirmed')).body.error.code).toBe('unpaid_order');
+
+    const res = await payOrder(app, order._id);
+
+    expect(res.status).toBe(200);
+    expect(res.body.paymentStatus).toBe('paid');
+    expect((await findOrder(order._id)).payments).toEqual([
+      expect.objectContaining({ kind: 'charge', provider: 'mock', status: 'succeeded', amount: order.totalPrice })
+    ]);
+    expect((await setStatus(order._id, 'confirmed')).status).toBe(200);
+  });
+
+  test('only shows customer and payment details to the customer who placed the order', async () => {
+    const customer = await loginAs(app, 'customer');
+    const guestOrder = await placeOrder();
+    const accountOrder = (await request(app)
+      .post('/api/orders')
+      .set('Authorization', `Bearer ${customer.token}`)
+      .send({ items: [{ menuItemId: burger._id, quantity: 2 }], customerInfo })).body;
+
+    const guest = await payOrder(app, guestOrder._id);
+    const own = await request(app)
+      .post(`/api/orders/${accountOrder._id}/payment`)
+      .set('Authorization', `Bearer ${customer.token}`)
+      .send({ paymentMethod: MOCK_CARDS.success });
+
+    expect(guest.body.paymentStatus).toBe('paid');
+    expect(guest.body).not.toHaveProperty('customerInfo');
+    expect(guest.body).not.toHaveProperty('payments');
+    expect(guest.body).not.toHaveProperty('paymentIntent');
+    expect(own.body.customerInfo.name).toBe(customerInfo.name);
+    expect(own.body.payments).toHaveLength(1);
+  });
+
+  test('a declined card can be retried with another', async () => {
+    const order = await placeOrder();
+
+    const declined = await payOrder(app, order._id, MOCK_CARDS.declined);
+    const retried = await payOrder(app, order._id, MOCK_CARDS.success);
+
+    expect(declined.status).toBe(402);
+    expect(declined.body.error).toMatchObject({ code: 'card_declined', paymentStatus: 'failed' });
+    expect(retried.status).toBe(200);
+    expect(retried.body.paymentStatus).toBe('paid');
+    expect((await findOrder(order._id)).payments.map(payment => payment.status)).toEqual(['failed', 'succeeded']);
+  });
+
+  test('card numbers that are not valid are declined', async () => {
+    const order = await placeOrder();
+
+    const res = await payOrder(app, order._id, '4242 4242 4242 4241');
+
+    expect(res.status).toBe(402);
+    expect(res.body.error.code).toBe('incorrect_number');
+  });
+
+  test('paid and cancelled orders cannot be paid again', async () => {
+    const paid = await placeOrder();
+    const cancelled = await placeOrder();
+    await payOrder(app, paid._id);
+    await setStatus(cancelled._id, 'cancelled');
+
+    expect((await payOrder(app, paid._id)).body.error.code).toBe('already_paid');
+    expect((await payOrder(app, cancelled._id)).status).toBe(409);
+  });
+
+  test('orders that ran out of time to be paid for cannot be paid', async () => {
+    const order = await placeOrder();
+    await mongoose.model('Order').updateOne(
+      { _id: order._id },
+      { orderDate: new Date(Date.now() - (UNPAID_ORDER_MINUTES + 1) * 60000) }
+    );
+
+    const res = await payOrder(app, order._id);
+
+    expect(res.status).toBe(409);
+    expect(delivered).toHaveLength(0);
+    expect((await mongoose.model('Order').findById(order._id)).status).toBe('cancelled');
+  });
+});
+
+describe('refunds', () => {
+  test('cancelling a paid order refunds it', async () => {
+    const order = await placeOrder();
+    await payOrder(app, order._id);
+
+    const res = await setStatus(order._id, 'cancelled');
+
+    expect(res.status).toBe(200);
+    expect(res.body.paymentStatus).toBe('refunded');
+    expect(res.body.payments[1]).toMatchObject({ kind: 'refund', status: 'succeeded', amount: order.totalPrice });
+  });
+
+  test('a refund that fails still cancels the order, marked for follow-up', async () => {
+    const order = await placeOrder();
+    await payOrder(app, order._id, MOCK_CARDS.refundFails);
+
+    const res = await setStatus(order._id, 'cancelled');
+
+    expect(res.body.status).toBe('cancelled');
+    expect(res.body.paymentStatus).toBe('refund_failed');
+  });
+
+  test('a charge that goes through while the order is being cancelled is refunded', async () => {
+    const order = await placeOrder();
+    const provider = app.get('payments');
+    // The kitchen cancels the order while the card is being charged
+    app.set('payments', {
+      ...provider,
+      confirmIntent: async (...args) => {
+        await setStatus(order._id, 'cancelled');
+        return provider.confirmIntent(...args);
+      }
+    });
+
+    await payOrder(app, order._id);
+    const after = await mongoose.model('Order').findById(order._id);
+
+    expect(after.status).toBe('cancelled');
+    expect(after.paymentStatus).toBe('refunded');
+    expect(after.payments.map(payment => payment.kind)).toEqual(['charge', 'refund']);
+  });
+
+  test('deleting a paid order refunds it and gives back what it held', async () => {
+    const manager = await loginAs(app, 'manager');
+    const order = await placeOrder();
+    await payOrder(app, order._id);
+    const refund = jest.spyOn(app.get('payments'), 'refund');
+
+    const res = await request(app).delete(`/api/orders/${order._id}`).set('Authorization', `Bearer ${manager.token}`);
+
+    expect(res.status).toBe(200);
+    expect(refund).toHaveBeenCalledWith(expect.any(String), expect.objectContaining({ amount: Math.round(order.totalPrice * 100) }));
+    expect(await findOrder(order._id)).toBeNull();
+    expect(await mongoose.model('SlotBooking').countDocuments({ count: { $gt: 0 } })).toBe(0);
+  });
+
+  test('an order whose refund fails is not deleted', async () => {
+    const manager = await loginAs(app, 'manager');
+    const order = await placeOrder();
+    await payOrder(app, order._id, MOCK_CARDS.refundFails);
+
+    const res = await request(app).delete(`/api/orders/${order._id}`).set('Authorization', `Bearer ${manager.token}`);
+
+    expect(res.status).toBe(409);
+    expect(res.body.error.code).toBe('refund_failed');
+    expect((await findOrder(order._id)).paymentStatus).toBe('refund_failed');
+  });
+
+  test('cancelling an unpaid order has nothing to refund', async () => {
+    const order = await placeOrder();
+
+    const res = await setStatus(order._id, 'cancelled');
+
+    expect(res.body.paymentStatus).toBe('unpaid');
+    expect(res.body.payments).toEqual([]);
+  });
+});
+
+describe('webhooks', () => {
+  test('a retried delivery is only recorded once', async () => {
+    const order = await placeOrder();
+    await payOrder(app, order._id);
+    const [webhook] = delivered;
+
+    const first = await sendWebhook(webhook);
+    const retry = await sendWebhook(webhook);
+
+    expect(first.status).toBe(200);
+    expect(retry.status).toBe(200);
+    const stored = await mongoose.model('Order').findById(order._id);
+    expect(stored.payments).toHaveLength(1);
+  });
+
+  test('records results that only arrive by webhook', async () => {
+    const order = await placeOrder();
+    await payOrder(app, order._id, MOCK_CARDS.declined);
+    const { paymentIntent } = await mongoose.model('Order').findById(order._id);
+    // Confirmed by the provider directly, as when the customer's browser talks to it
+    await app.get('payments').confirmIntent(paymentIntent, { amount: 1312, paymentMethod: MOCK_CARDS.success });
+
+    const res = await sendWebhook(delivered[1]);
+
+    expect(res.status).toBe(200);
+    const stored = await mongoose.model('Order').findById(order._id);
+    expect(stored.paymentStatus).toBe('paid');
+  });
+
+  test('refuses bad, missing and old signatures', async () => {
+    const order = await placeOrder();
+    await payOrder(app, order._id);
+    const [webhook] = delivered;
+    const provider = app.get('payments');
+    const anHourAgo = Math.floor(Date.now() / 1000) - 60 * 60;
+
+    const tampered = await sendWebhook({ body: webhook.body.replace('succeeded', 'failed'), signature: webhook.signature });
+    const unsigned = await request(app).post('/api/payments/webhook').send(JSON.parse(webhook.body));
+    const old = await sendWebhook({ body: webhook.body, signature: provider.signWebhook(webhook.body, anHourAgo) });
+
+    expect([tampered.status, unsigned.status, old.status]).toEqual([400, 400, 400]);
+    expect(tampered.body.error.code).toBe('invalid_signature');
+  });
+
+  test('payments for unknown intents are left for the provider to retry', async () => {
+    const body = JSON.stringify({
+      id: 'evt_early',
+      type: 'charge.succeeded',
+      data: { kind: 'charge', intentId: 'pi_unknown', reference: 'ch_unknown', amount: 100, status: 'succeeded' }
+    });
+
+    const res = await sendWebhook({ body, signature: app.get('payments').signWebhook(body) });
+
+    expect(res.status).toBe(404);
+  });
+});
@@ -0,0 +1,171 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { startDatabase, clearDatabase, stopDatabase, customerInfo, loginAs, openStoreAllDay } = require('./helpers');
+const { UNPAID_ORDER_MINUTES } = require('../lib/orderExpiry');
+
+let app;
+let burger;
+
+beforeAll(async () => {
+  await startDatabase();
+  app = require('../api/index.js');
+  await request(app).get('/api/health');
+});
+
+beforeEach(async () => {
+  burger = await mongoose.model('MenuItem').create({
+    name: 'Cheeseburger',
+    description: 'Single patty',
+    price: 3.99
+  });
+});
+
+afterEach(clearDatabase);
+afterAll(stopDatabase);
+
+// Tomorrow's date in the store's timezone, formatted as YYYY-MM-DD
+const tomorrow = () => new Intl.DateTimeFormat('en-CA', { timeZone: 'America/Los_Angeles' })
+  .format(new Date(Date.now() + 24 * 60 * 60 * 1000));
+
+const placeOrder = (extra = {}) => request(app)
+  .post('/api/orders')
+  .send({ items: [{ menuItemId: burger._id, quantity: 1 }], customerInfo, ...extra });
+
+test('store hours default to the published schedule', async () => {
+  const res = await request(app).get('/api/store-hours');
+
+  expect(res.status).toBe(200);
+  expect(res.body.timezone).toBe('America/Los_Angeles');
+  expect(res.body.hours.find(h => h.day === 1)).toMatchObject({ open: '10:00', close: '22:00' });
+});
+
+test('ASAP orders are rejected while the store is closed', async () => {
+  await openStoreAllDay({ hours: [0, 1, 2, 3, 4, 5, 6].map(day => ({ day, closed: true })) });
+
+  const res = await placeOrder();
+
+  expect(res.status).toBe(400);
+  expect(res.body.error.fields.scheduledFor).toBeDefined();
+});
+
+test('lists fifteen-minute slots across opening hours', async () => {
+  await openStoreAllDay({ hours: [0, 1, 2, 3, 4, 5, 6].map(day => ({ day, open: '10:00', close: '12:00' })) });
+
+  const res = await request(app).get(`/api/pickup-slots?date=${tomorrow()}`);
+
+  expect(res.status).toBe(200);
+  expect(res.body.slots).toHaveLength(8);
+  expect(res.body.slots[0]).toMatchObject({ remaining: 10, available: true });
+});
+
+test('scheduled orders use up slot capacity', async () => {
+  await openStoreAllDay({ slotCapacity: 1 });
+  const { body } = await request(app).get(`/api/pickup-slots?date=${tomorrow()}`);
+  const slot = body.slots[4];
+
+  const first = await placeOrder({ scheduledFor: slot.start });
+  const second = await placeOrder({ scheduledFor: slot.start });
+  const after = await request(app).get(`/api/pickup-slots?date=${tomorrow()}`);
+
+  expect(first.status).toBe(201);
+  expect(first.body.scheduledFor).toBe(slot.start);
+  expect(second.status).toBe(409);
+  expect(after.body.slots[4]).toMatchObject({ remaining: 0, available: false });
+});
+
+test('rejects pickup times that are not slot boundaries', async () => {
+  await openStoreAllDay();
+  const { body } = await request(app).get(`/api/pickup-slots?date=${tomorrow()}`);
+  const offSlot = new Date(new Date(body.slots[4].start).getTime() + 7 * 60000);
+
+  const res = await placeOrder({ scheduledFor: offSlot.toISOString() });
+
+  expect(res.status).toBe(400);
+});
+
+test('managers can change the hours', async () => {
+  const manager = await loginAs(app, 'manager');
+  const hours = [0, 1, 2, 3, 4, 5, 6].map(day => ({ day, open: '09:00', close: '21:00' }));
+
+  const res = await request(app)
+    .put('/api/store-hours')
+    .set('Authorization', `Bearer ${manager.token}`)
+    .send({ hours, slotCapacity: 4 });
+
+  expect(res.status).toBe(200);
+  expect(res.body.slotCapacity).toBe(4);
+  expect(res.body.hours[0]).toMatchObject({ open: '09:00', close: '21:00' });
+});
+
+test('orders placed at the same time never overbook a slot', async () => {
+  await openStoreAllDay({ slotCapacity: 2 });
+  const { body } = await request(app).get(`/api/pickup-slots?date=${tomorrow()}`);
+  const slot = body.slots[4];
+
+  const responses = await Promise.all([1, 2, 3, 4, 5].map(() => placeOrder({ scheduledFor: slot.start })));
+
+  expect(responses.filter(res => res.status === 201)).toHaveLength(2);
+  expect(responses.filter(res => res.status === 409)).toHaveLength(3);
+});
+
+test('cancelling an order gives its place back', async () => {
+  await openStoreAllDay({ slotCapacity: 1 });
+  const staff = await loginAs(app, 'staff');
+  const { body } = await request(app).get(`/api/pickup-slots?date=${tomorrow()}`);
+  const slot = body.slots[4];
+  const first = await placeOrder({ scheduledFor: slot.start });
+
+  await request(app)
+    .patch(`/api/orders/${first.body._id}/status`)
+    .set('Authorization', `Bearer ${staff.token}`)
+    .send({ status: 'cancelled' });
+  const second = await placeOrder({ scheduledFor: slot.start });
+
+  expect(second.status).toBe(201);
+});
+
+test('an order nobody pays for gives its place back', async () => {
+  await openStoreAllDay({ slotCapacity: 1 });
+  const { body } = await request(app).get(`/api/pickup-slots?date=${tomorrow()}`);
+  const slot = body.slots[4];
+  const abandoned = await placeOrder({ scheduledFor: slot.start });
+  expect((await placeOrder({ scheduledFor: slot.start })).status).toBe(409);
+
+  await mongoose.model('Order').updateOne(
+    { _id: abandoned.body._id },
+    { orderDate: new Date(Date.now() - (UNPAID_ORDER_MINUTES + 1) * 60000) }
+  );
+  const slots = await request(app).get(`/api/pickup-slots?date=${tomorrow()}`);
+  const second = await placeOrder({ scheduledFor: slot.start });
+
+  expect(slots.body.slots[4].remaining).toBe(1);
+  expect(second.status).toBe(201);
+  const expired = await mongoose.model('Order').findById(abandoned.body._id);
+  expect(expired.status).toBe('cancelled');
+  expect(expired.statusHistory[1].note).toBe(`Not paid within ${UNPAID_ORDER_MINUTES} minutes`);
+});
+
+test('stores can close after midnight', async () => {
+  await openStoreAllDay({ hours: [0, 1, 2, 3, 4, 5, 6].map(day => ({ day, open: '18:00', close: '02:00' })) });
+
+  const { body } = await request(app).get(`/api/pickup-slots?date=${tomorrow()}`);
+  const afterMidnight = body.slots[body.slots.length - 1];
+  const res = await placeOrder({ scheduledFor: afterMidnight.start });
+
+  // 6pm to 2am in fifteen-minute slots, the last one starting at 1:45am the next day
+  expect(body.slots).toHaveLength(32);
+  expect(new Date(afterMidnight.end).getTime() - new Date(body.slots[0].start).getTime()).toBe(8 * 60 * 60000);
+  expect(res.status).toBe(201);
+});
+
+test('opening and closing at the same time is refused', async () => {
+  const manager = await loginAs(app, 'manager');
+
+  const res = await request(app)
+    .put('/api/store-hours')
+    .set('Authorization', `Bearer ${manager.token}`)
+    .send({ hours: [{ day: 1, open: '10:00', close: '10:00' }] });
+
+  expect(res.status).toBe(400);
+  expect(res.body.error.fields.hours).toBeDefined();
+});
@@ -0,0 +1,187 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { startDatabase, clearDatabase, stopDatabase, customerInfo, loginAs, openStoreAllDay } = require('./helpers');
+const { UNPAID_ORDER_MINUTES } = require('../lib/orderExpiry');
+
+let app;
+let Promotion;
+let burger;
+let fries;
+
+beforeAll(async () => {
+  await startDatabase();
+  app = require('../api/index.js');
+  Promotion = mongoose.model('Promotion');
+  await request(app).get('/api/health');
+});
+
+beforeEach(async () => {
+  await openStoreAllDay();
+  const MenuItem = mongoose.model('MenuItem');
+  burger = await MenuItem.create({ name: 'Double-Double', description: 'Two patties', price: 6.00 });
+  fries = await MenuItem.create({ name: 'French Fries', description: 'Fresh cut', price: 2.00 });
+});
+
+afterEach(clearDatabase);
+afterAll(stopDatabase);
+
+const placeOrder = (items, extra = {}) => request(app)
+  .post('/api/orders')
+  .send({ items, customerInfo, ...extra });
+
+describe('promo codes on orders', () => {
+  test('percent off discounts the subtotal before tax', async () => {
+    await Promotion.create({ code: 'TENOFF', type: 'percent', value: 10 });
+
+    const res = await placeOrder([{ menuItemId: burger._id, quantity: 2 }], { promoCode: 'tenoff' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.discounts).toEqual([
+      expect.objectContaining({ code: 'TENOFF', amount: 1.2 })
+    ]);
+    expect(res.body.discountTotal).toBe(1.2);
+    expect(res.body.pricing.tax).toBeCloseTo(10.8 * res.body.pricing.taxRate, 2);
+  });
+
+  test('buy one get one makes every second unit free', async () => {
+    await Promotion.create({ code: 'BOGOFRIES', type: 'bogo', menuItem: fries._id });
+
+    const res = await placeOrder([
+      { menuItemId: fries._id, quantity: 3 },
+      { menuItemId: burger._id, quantity: 1 }
+    ], { promoCode: 'BOGOFRIES' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.discountTotal).toBe(2);
+  });
+
+  test('enforces minimum subtotal and validity window', async () => {
+    await Promotion.create({ code: 'BIGORDER', type: 'fixed', value: 5, minSubtotal: 20 });
+    await Promotion.create({ code: 'OLD', type: 'fixed', value: 5, endsAt: new Date(Date.now() - 1000) });
+
+    const tooSmall = await placeOrder([{ menuItemId: burger._id, quantity: 1 }], { promoCode: 'BIGORDER' });
+    const expired = await placeOrder([{ menuItemId: burger._id, quantity: 1 }], { promoCode: 'OLD' });
+
+    expect(tooSmall.status).toBe(400);
+    expect(tooSmall.body.error.fields.promoCode).toMatch(/20\.00/);
+    expect(expired.status).toBe(400);
+  });
+
+  test('usage limits apply per code and per customer', async () => {
+    await Promotion.create({ code: 'ONCE', type: 'fixed', value: 1, maxUsesPerCustomer: 1 });
+    await Promotion.create({ code: 'TWICE', type: 'fixed', value: 1, maxUses: 2 });
+    const items = [{ menuItemId: burger._id, quantity: 1 }];
+    const otherCustomer = { name: 'Sam', phone: '5559876543' };
+
+    expect((await placeOrder(items, { promoCode: 'ONCE' })).status).toBe(201);
+    expect((await placeOrder(items, { promoCode: 'ONCE' })).status).toBe(400);
+    expect((await placeOrder(items, { promoCode: 'ONCE', customerInfo: otherCustomer })).status).toBe(201);
+
+    expect((await placeOrder(items, { promoCode: 'TWICE' })).status).toBe(201);
+    expect((await placeOrder(items, { promoCode: 'TWICE', customerInfo: otherCustomer })).status).toBe(201);
+    expect((await placeOrder(items, { promoCode: 'TWICE' })).status).toBe(400);
+  });
+
+  test('concurrent checkouts by one customer can\'t go past their limit', async () => {
+    await mongoose.model('PromotionRedemption').init();
+    const promotion = await Promotion.create({ code: 'ONCE', type: 'fixed', value: 1, maxUsesPerCustomer: 1 });
+    const items = [{ menuItemId: burger._id, quantity: 1 }];
+
+    const responses = await Promise.all([1, 2, 3, 4].map(() => placeOrder(items, { promoCode: 'ONCE' })));
+
+    expect(responses.filter(res => res.status === 201)).toHaveLength(1);
+    expect(responses.filter(res => res.status === 400).map(res => res.body.error.fields.promoCode))
+      .toEqual(Array(3).fill('You have already used this promo code'));
+    expect((await Promotion.findById(promotion._id)).timesUsed).toBe(1);
+  });
+
+  test('the per-customer limit matches on email as well as phone', async () => {
+    await Promotion.create({ code: 'ONCE', type: 'fixed', value: 1, maxUsesPerCustomer: 1 });
+    const items = [{ menuItemId: burger._id, quantity: 1 }];
+
+    await placeOrder(items, { promoCode: 'ONCE' });
+    const newPhone = await placeOrder(items, { promoCode: 'ONCE', customerInfo: { ...customerInfo, phone: '5550001111' } });
+
+    expect(newPhone.status).toBe(400);
+  });
+
+  test('cancelling an order gives the use back', async () => {
+    const promotion = await Promotion.create({ code: 'TWICE', type: 'fixed', value: 1, maxUses: 2 });
+    const staff = await loginAs(app, 'staff');
+
+    const order = await placeOrder([{ menuItemId: burger._id, quantity: 1 }], { promoCode: 'TWICE' });
+    await request(app)
+      .patch(`/api/orders/${order.body._id}/status`)
+      .set('Authorization', `Bearer ${staff.token}`)
+      .send({ status: 'cancelled' });
+
+    expect((await Promotion.findById(promotion._id)).timesUsed).toBe(0);
+  });
+
+  test('an order nobody pays for gives the use back', async () => {
+    const promotion = await Promotion.create({ code: 'ONCE', type: 'fixed', value: 1, maxUsesPerCustomer: 1 });
+    const items = [{ menuItemId: burger._id, quantity: 1 }];
+
+    const abandoned = await placeOrder(items, { promoCode: 'ONCE' });
+    await mongoose.model('Order').updateOne(
+      { _id: abandoned.body._id },
+      { orderDate: new Date(Date.now() - (UNPAID_ORDER_MINUTES + 1) * 60000) }
+    );
+    const retried = await placeOrder(items, { promoCode: 'ONCE' });
+
+    expect(retried.status).toBe(201);
+    expect((await Promotion.findById(promotion._id)).timesUsed).toBe(1);
+  });
+});
+
+describe('promo codes on carts', () => {
+  test('applies a code to the cart and uses it at checkout', async () => {
+    await Promotion.create({ code: 'FIVEOFF', type: 'fixed', value: 5 });
+    const items = [{ menuItemId: burger._id, name: burger.name, price: burger.price, quantity: 2 }];
+    await request(app).post('/api/cart/session-1').send({ items });
+
+    const applied = await request(app).post('/api/cart/session-1/promo').send({ code: 'fiveoff' });
+
+    expect(applied.status).toBe(200);
+    expect(applied.body.cart.promoCode).toBe('FIVEOFF');
+    expect(applied.body.pricing).toMatchObject({ subtotal: 12, discountTotal: 5 });
+
+    const order = await placeOrder([{ menuItemId: burger._id, quantity: 2 }], { sessionId: 'session-1' });
+    expect(order.body.discountTotal).toBe(5);
+  });
+
+  test('rejects unknown codes', async () => {
+    await request(app).post('/api/cart/session-1').send({ items: [{ menuItemId: burger._id, quantity: 1 }] });
+
+    const res = await request(app).post('/api/cart/session-1/promo').send({ code: 'NOPE' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.fields.promoCode).toBeDefined();
+  });
+});
+
+test('managers at one store can\'t change the promotions every store shares', async () => {
+  const promotion = await Promotion.create({ code: 'TENOFF', type: 'percent', value: 10 });
+  const local = await loginAs(app, 'manager', { stores: ['downtown'] });
+  const as = (req) => req.set('Authorization', `Bearer ${local.token}`);
+
+  const responses = await Promise.all([
+    as(request(app).post('/api/promotions')).send({ code: 'FIVEOFF', type: 'fixed', value: 5 }),
+    as(request(app).put(`/api/promotions/${promotion._id}`)).send({ value: 50 }),
+    as(request(app).delete(`/api/promotions/${promotion._id}`))
+  ]);
+
+  expect(responses.map(res => res.status)).toEqual([403, 403, 403]);
+  expect(await Promotion.find().select('code value -_id').lean()).toEqual([{ code: 'TENOFF', value: 10 }]);
+});
+
+test('bogo promotions must name a menu item', async () => {
+  const manager = await loginAs(app, 'manager');
+
+  const res = await request(app)
+    .post('/api/promotions')
+    .set('Authorization', `Bearer ${manager.token}`)
+    .send({ code: 'BOGO', type: 'bogo' });
+
+  expect(res.status).toBe(400);
+});
@@ -0,0 +1,184 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { startDatabase, clearDatabase, stopDatabase, loginAs, customerInfo, openStoreAllDay, payOrder } = require('./helpers');
+
+let app;
+let staff;
+let burger;
+
+beforeAll(async () => {
+  await startDatabase();
+  app = require('../api/index.js');
+  await request(app).get('/api/health');
+});
+
+beforeEach(async () => {
+  await openStoreAllDay();
+  staff = await loginAs(app, 'staff');
+  burger = await mongoose.model('MenuItem').create({
+    name: 'Double-Double',
+    description: 'Two patties',
+    price: 5.99,
+    modifierGroups: [{ name: 'Style', options: [{ name: 'Animal Style', priceDelta: 0.5 }] }]
+  });
+  await mongoose.model('Promotion').create({ code: 'TENOFF', description: '10% off', type: 'percent', value: 10 });
+});
+
+afterEach(clearDatabase);
+afterAll(stopDatabase);
+
+const placeOrder = async (extra = {}) => (await request(app)
+  .post('/api/orders')
+  .send({
+    items: [{ menuItemId: burger._id, quantity: 2, modifiers: [{ group: 'Style', option: 'Animal Style' }] }],
+    customerInfo,
+    ...extra
+  })).body;
+
+const confirm = (order) => request(app)
+  .patch(`/api/orders/${order._id}/status`)
+  .set('Authorization', `Bearer ${staff.token}`)
+  .send({ status: 'confirmed' });
+
+describe('receipts', () => {
+  test('list items, modifiers, discounts, tax and the order number', async () => {
+    const order = await placeOrder({ promoCode: 'TENOFF' });
+
+    const res = await request(app).get(`/api/orders/${order._id}/receipt`);
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/text\/html/);
+    expect(res.text).toContain(`Order #${order.orderNumber}`);
+    expect(res.text).toContain('2 &times; Double-Double');
+    expect(res.text).toContain('Animal Style (+0.50)');
+    expect(res.text).toContain(`-${order.discountTotal.toFixed(2)}`);
+    expect(res.text).toContain(order.tax.toFixed(2));
+    expect(res.text).toContain(order.totalPrice.toFixed(2));
+  });
+
+  test('customer text is escaped', async () => {
+    const order = await placeOrder({ customerInfo: { ...customerInfo, name: '<b>Jamie</b>' } });
+
+    const res = await request(app).get(`/api/orders/${order._id}/receipt`).set('Authorization', `Bearer ${staff.token}`);
+
+    expect(res.text).toContain('&lt;b&gt;Jamie&lt;/b&gt;');
+  });
+
+  test('only show the customer\'s name to them and to staff at the store', async () => {
+    const customer = await loginAs(app, 'customer');
+    const order = (await request(app)
+      .post('/api/orders')
+      .set('Authorization', `Bearer ${customer.token}`)
+      .send({ items: [{ menuItemId: burger._id, quantity: 1 }], customerInfo: { ...customerInfo, name: 'Jamie Rivera' } })).body;
+    const receipt = (token) => request(app).get(`/api/orders/${order._id}/receipt`).set(token ? { Authorization: `Bearer ${token}` } : {});
+
+    expect((await receipt(customer.token)).text).toContain('Jamie Rivera');
+    expect((await receipt(staff.token)).text).toContain('Jamie Rivera');
+    const anonymous = await receipt();
+    expect(anonymous.status).toBe(200);
+    expect(anonymous.text).toContain(`Order #${order.orderNumber}`);
+    expect(anonymous.text).not.toContain('Jamie Rivera');
+    expect((await receipt((await loginAs(app, 'customer')).token)).text).not.toContain('Jamie Rivera');
+  });
+
+  test('come as PDF', async () => {
+    const order = await placeOrder();
+
+    const res = await request(app)
+      .get(`/api/orders/${order._id}/receipt?format=pdf`)
+      .buffer(true)
+      .parse((response, done) => {
+        const chunks = [];
+        response.on('data', chunk => chunks.push(chunk));
+        response.on('end', () => done(null, Buffer.concat(chunks)));
+      });
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('application/pdf');
+    const pdf = res.body.toString('latin1');
+    expect(pdf.startsWith('%PDF-')).toBe(true);
+    expect(pdf).toContain(`Order #${order.orderNumber}`);
+    expect(pdf.trimEnd().endsWith('%%EOF')).toBe(true);
+  });
+
+  test('unknown formats are refused', async () => {
+    const order = await placeOrder();
+
+    expect((await request(app).get(`/api/orders/${order._id}/receipt?format=docx`)).status).toBe(400);
+  });
+});
+
+describe('kitchen tickets', () => {
+  test('are plain text without prices, at most 42 columns for the printable lines', async () => {
+    const order = await placeOrder({ notes: 'Extra toasted' });
+
+    const res = await request(app)
+      .get(`/api/orders/${order._id}/ticket`)
+      .set('Authorization', `Bearer ${staff.token}`);
+
+    expect(res.headers['content-type']).toMatch(/text\/plain/);
+    expect(res.text).toContain(`ORDER #${order.orderNumber}`);
+    expect(res.text).toContain('2  DOUBLE-DOUBLE');
+    expect(res.text).toContain('   + Animal Style');
+    expect(res.text).toContain('NOTES: Extra toasted');
+    expect(res.text).not.toContain('5.99');
+    expect(res.text.split('\n').every(line => line.length <= 42)).toBe(true);
+  });
+
+  test('wrap long notes, item names and modifiers to the paper', async () => {
+    await mongoose.model('MenuItem').updateOne({ _id: burger._id }, {
+      name: 'Double-Double with grilled onions and chopped chilies',
+      'modifierGroups.0.options.0.name': 'Animal Style, extra spread, pickles on the side'
+    });
+    const notes = 'Please cut it in half and wrap each half separately, the customer is allergic to sesame';
+    const modifiers = [{ group: 'Style', option: 'Animal Style, extra spread, pickles on the side' }];
+    const order = await placeOrder({ items: [{ menuItemId: burger._id, quantity: 2, modifiers }], notes });
+
+    const res = await request(app)
+      .get(`/api/orders/${order._id}/ticket`)
+      .set('Authorization', `Bearer ${staff.token}`);
+    const lines = res.text.split('\n');
+
+    expect(lines.every(line => line.length <= 42)).toBe(true);
+    expect(lines).toEqual(expect.arrayContaining([
+      '2  DOUBLE-DOUBLE WITH GRILLED ONIONS AND',
+      '   CHOPPED CHILIES',
+      '   + Animal Style, extra spread, pickles',
+      '     on the side',
+      'NOTES: Please cut it in half and wrap each'
+    ]));
+    const noteStart = lines.findIndex(line => line.startsWith('NOTES: '));
+    const noteLines = lines.slice(noteStart, lines.indexOf('-'.repeat(42), noteStart));
+    expect(noteLines.map(line => line.trim()).join(' ')).toBe(`NOTES: ${notes}`);
+    expect(noteLines.slice(1).every(line => line.startsWith('       '))).toBe(true);
+  });
+
+  test('are queued once confirmed until the printer bridge marks them printed', async () => {
+    const unpaid = await placeOrder();
+    const confirmed = await placeOrder();
+    await payOrder(app, confirmed._id);
+    await confirm(confirmed);
+    const poll = () => request(app).get('/api/kitchen/tickets').set('Authorization', `Bearer ${staff.token}`);
+
+    const before = await poll();
+    const printed = await request(app)
+      .post(`/api/kitchen/tickets/${confirmed._id}/printed`)
+      .set('Authorization', `Bearer ${staff.token}`);
+    const after = await poll();
+
+    expect(before.body.data).toEqual([
+      { orderId: confirmed._id, orderLabel: `#${confirmed.orderNumber}`, text: expect.stringContaining('DOUBLE-DOUBLE') }
+    ]);
+    expect(before.body.data.map(ticket => ticket.orderId)).not.toContain(unpaid._id);
+    expect(printed.body.ticketPrintedAt).toBeDefined();
+    expect(after.body.data).toEqual([]);
+  });
+
+  test('need a staff token', async () => {
+    const customer = await loginAs(app, 'customer');
+
+    const res = await request(app).get('/api/kitchen/tickets').set('Authorization', `Bearer ${customer.token}`);
+
+    expect(res.status).toBe(403);
+  });
+});
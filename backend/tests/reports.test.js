@@ -0,0 +1,206 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { startDatabase, clearDatabase, stopDatabase, loginAs, openStoreAllDay } = require('./helpers');
+
+let app;
+let manager;
+
+beforeAll(async () => {
+  await startDatabase();
+  app = require('../api/index.js');
+  await request(app).get('/api/health');
+});
+
+beforeEach(async () => {
+  await openStoreAllDay({ timezone: 'America/Los_Angeles' });
+  manager = await loginAs(app, 'manager');
+});
+
+afterEach(clearDatabase);
+afterAll(stopDatabase);
+
+// Orders placed at the given UTC instant; prepMinutes marks them ready that long after.
+// They are paid for, and cancelled ones refunded, unless paymentStatus says otherwise.
+function createOrder(orderDate, {
+  status = 'delivered',
+  paymentStatus = status === 'cancelled' ? 'refunded' : 'paid',
+  prepMinutes,
+  items,
+  discountTotal = 0
+} = {}) {
+  const lines = items || [{ name: 'Double-Double', price: 5, quantity: 2, lineTotal: 10 }];
+  const subtotal = lines.reduce((sum, line) => sum + line.lineTotal, 0);
+  const placedAt = new Date(orderDate);
+  const statusHistory = [{ status: 'pending', changedAt: placedAt }];
+  if (prepMinutes !== undefined) {
+    statusHistory.push({ status: 'ready', changedAt: new Date(placedAt.getTime() + prepMinutes * 60000) });
+  }
+  return mongoose.model('Order').create({
+    items: lines,
+    subtotal,
+    discountTotal,
+    tax: 1,
+    totalPrice: subtotal - discountTotal + 1,
+    status,
+    paymentStatus,
+    statusHistory,
+    orderDate: placedAt
+  });
+}
+
+const report = (path) => request(app)
+  .get(`/api/reports/${path}`)
+  .set('Authorization', `Bearer ${manager.token}`);
+
+describe('sales summary', () => {
+  test('totals sales, ticket size, prep time and cancellations', async () => {
+    await createOrder('2026-03-10T19:00:00Z', { prepMinutes: 6 });
+    await createOrder('2026-03-10T20:00:00Z', { prepMinutes: 10, discountTotal: 2 });
+    await createOrder('2026-03-11T19:00:00Z', { status: 'cancelled' });
+    await createOrder('2026-03-20T19:00:00Z');
+
+    const res = await report('summary?from=2026-03-10&to=2026-03-11');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({
+      orders: 2,
+      netSales: 18,
+      discounts: 2,
+      averageTicket: 9,
+      averagePrepMinutes: 8,
+      cancelled: 1,
+      cancellationRate: 0.333
+    });
+  });
+
+  test('leaves out orders that were never paid for', async () => {
+    await createOrder('2026-03-10T19:00:00Z');
+    await createOrder('2026-03-10T19:05:00Z', { status: 'pending', paymentStatus: 'unpaid' });
+    await createOrder('2026-03-10T19:10:00Z', { status: 'cancelled', paymentStatus: 'failed' });
+
+    const [summary, series, top, csv] = await Promise.all([
+      report('summary?from=2026-03-10&to=2026-03-10'),
+      report('sales?from=2026-03-10&to=2026-03-10'),
+      report('top-items?from=2026-03-10&to=2026-03-10'),
+      report('export?from=2026-03-10&to=2026-03-10')
+    ]);
+
+    expect(summary.body).toMatchObject({ orders: 1, netSales: 10, cancelled: 0, cancellationRate: 0 });
+    expect(series.body.series).toEqual([{ period: '2026-03-10', orders: 1, netSales: 10 }]);
+    expect(top.body.items).toEqual([expect.objectContaining({ name: 'Double-Double', quantity: 2 })]);
+    expect(csv.text.trim().split('\n')).toHaveLength(2);
+  });
+
+  test('validates the date range', async () => {
+    expect((await report('summary?from=2026-03-11&to=2026-03-10')).status).toBe(400);
+    expect((await report('summary?from=March')).status).toBe(400);
+    expect((await report('summary?from=2024-01-01&to=2026-01-01')).status).toBe(400);
+  });
+
+  test('is manager only', async () => {
+    const staff = await loginAs(app, 'staff');
+    const res = await request(app)
+      .get('/api/reports/summary')
+      .set('Authorization', `Bearer ${staff.token}`);
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('sales series', () => {
+  test('groups by store-local day and fills empty days', async () => {
+    // 5pm and 11pm Pacific on the 10th; the second is already the 11th in UTC
+    await createOrder('2026-03-11T00:00:00Z');
+    await createOrder('2026-03-11T06:00:00Z');
+
+    const res = await report('sales?from=2026-03-10&to=2026-03-12');
+
+    expect(res.body.series).toEqual([
+      { period: '2026-03-10', orders: 2, netSales: 20 },
+      { period: '2026-03-11', orders: 0, netSales: 0 },
+      { period: '2026-03-12', orders: 0, netSales: 0 }
+    ]);
+  });
+
+  test('groups by hour of day', async () => {
+    await createOrder('2026-03-10T19:15:00Z');
+    await createOrder('2026-03-11T19:45:00Z');
+
+    const res = await report('sales?from=2026-03-10&to=2026-03-11&groupBy=hour');
+
+    expect(res.body.series).toHaveLength(24);
+    expect(res.body.series[12]).toEqual({ period: '12:00', orders: 2, netSales: 20 });
+  });
+});
+
+describe('top items and export', () => {
+  test('ranks items by units sold', async () => {
+    const burger = new mongoose.Types.ObjectId();
+    const fries = new mongoose.Types.ObjectId();
+    await createOrder('2026-03-10T19:00:00Z', {
+      items: [
+        { menuItem: burger, name: 'Double-Double', price: 5, quantity: 1, lineTotal: 5 },
+        { menuItem: fries, name: 'French Fries', price: 2, quantity: 3, lineTotal: 6 }
+      ]
+    });
+
+    const res = await report('top-items?from=2026-03-10&to=2026-03-10&limit=1');
+
+    expect(res.body.items).toEqual([
+      { menuItem: fries.toString(), name: 'French Fries', quantity: 3, sales: 6 }
+    ]);
+  });
+
+  test('exports orders as CSV', async () => {
+    const order = await createOrder('2026-03-10T19:00:00Z', { prepMinutes: 7.5 });
+
+    const res = await report('export?from=2026-03-10&to=2026-03-10');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/text\/csv/);
+    const [header, row] = res.text.trim().split('\n');
+    expect(header).toMatch(/^orderId,store,placedAt,status/);
+    expect(row).toBe(`${order._id},,2026-03-10T19:00:00.000Z,delivered,pickup,2,10.00,0.00,,1.00,11.00,7.5`);
+  });
+});
+
+describe('abandoned carts', () => {
+  const burger = new mongoose.Types.ObjectId();
+  const fries = new mongoose.Types.ObjectId();
+
+  function createCart(sessionId, minutesAgo, items) {
+    return mongoose.model('Cart').create({
+      sessionId,
+      items: items.map(([menuItemId, name, price, quantity]) => ({ menuItemId, name, price, quantity })),
+      lastUpdated: new Date(Date.now() - minutesAgo * 60000)
+    });
+  }
+
+  test('reports idle carts with items, their value and what was left in them', async () => {
+    await createCart('old', 180, [[burger, 'Double-Double', 5, 2], [fries, 'French Fries', 2, 1]]);
+    await createCart('older', 600, [[fries, 'French Fries', 2, 3]]);
+    await createCart('active', 5, [[burger, 'Double-Double', 5, 1]]);
+    await createCart('empty', 600, []);
+
+    const res = await report('abandoned-carts?idleMinutes=120');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ idleMinutes: 120, carts: 2, value: 18 });
+    expect(res.body.items).toEqual([
+      { menuItem: fries.toString(), name: 'French Fries', quantity: 4, carts: 2, value: 8 },
+      { menuItem: burger.toString(), name: 'Double-Double', quantity: 2, carts: 1, value: 10 }
+    ]);
+    expect(res.body.recent.map(cart => cart.value)).toEqual([12, 6]);
+    expect(res.body.recent[0].idleMinutes).toBeGreaterThanOrEqual(180);
+    expect(res.body.recent[0].sessionId).toBeUndefined();
+  });
+
+  test('idle time is between 15 minutes and the cart expiry', async () => {
+    const tooShort = await report('abandoned-carts?idleMinutes=5');
+    const expired = await report(`abandoned-carts?idleMinutes=${31 * 24 * 60}`);
+
+    expect(tooShort.status).toBe(400);
+    expect(tooShort.body.error.fields.idleMinutes).toBeDefined();
+    expect(expired.status).toBe(400);
+  });
+});
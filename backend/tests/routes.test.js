@@ -0,0 +1,212 @@
+const http = require('http');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { startDatabase, clearDatabase, stopDatabase, loginAs, customerInfo, openStoreAllDay, payOrder } = require('./helpers');
+
+let app;
+let server;
+let fixtures;
+
+const PREFIXES = ['', '/api', '/api/v1'];
+const SESSION_ID = 'session_routes';
+
+// One request per endpoint that should succeed against the fixtures below
+const ENDPOINTS = [
+  { method: 'get', path: '/', status: 200 },
+  { method: 'get', path: '/health', status: 200 },
+  { method: 'post', path: '/auth/register', status: 201, body: () => ({ name: 'New Customer', email: 'new.customer@example.com', password: 'password123' }) },
+  { method: 'post', path: '/auth/login', status: 200, body: f => ({ email: f.manager.user.email, password: 'password123' }) },
+  { method: 'post', path: '/auth/logout', status: 200, token: f => f.staff.token },
+  { method: 'get', path: '/auth/me', status: 200 },
+  { method: 'get', path: '/users', status: 200 },
+  { method: 'post', path: '/users', status: 201, body: () => ({ name: 'New Hire', email: 'new.hire@example.com', password: 'password123', role: 'staff' }) },
+  { method: 'patch', path: '/users/:id', status: 200, params: f => ({ id: f.staff.user._id }), body: f => ({ stores: [f.store.key] }) },
+  { method: 'get', path: '/menu', status: 200 },
+  { method: 'get', path: '/menu/:id', status: 200, params: f => ({ id: f.burger._id }) },
+  { method: 'post', path: '/menu', status: 201, body: () => ({ name: 'Shake', description: 'Chocolate', price: 2.99 }) },
+  { method: 'put', path: '/menu/:id', status: 200, params: f => ({ id: f.burger._id }), body: () => ({ price: 4.49 }) },
+  { method: 'delete', path: '/menu/:id', status: 200, params: f => ({ id: f.burger._id }) },
+  { method: 'get', path: '/stores', status: 200 },
+  { method: 'get', path: '/stores/:key', status: 200, params: f => ({ key: f.store.key }) },
+  { method: 'post', path: '/stores', status: 201, body: () => ({ key: 'airport', name: 'Airport' }) },
+  { method: 'put', path: '/stores/:key', status: 200, params: f => ({ key: f.store.key }), body: () => ({ phone: '(213) 555-0142' }) },
+  { method: 'put', path: '/stores/:key/menu/:id', status: 200, params: f => ({ key: f.store.key, id: f.burger._id }), body: () => ({ price: 3.99 }) },
+  { method: 'get', path: '/store-hours', status: 200 },
+  { method: 'put', path: '/store-hours', status: 200, body: () => ({ slotCapacity: 12 }) },
+  { method: 'get', path: '/pickup-slots', status: 200 },
+  { method: 'get', path: '/admin/menu', status: 200 },
+  { method: 'get', path: '/admin/menu/categories', status: 200 },
+  { method: 'put', path: '/admin/menu/categories/:name', status: 200, params: () => ({ name: 'burgers' }), body: () => ({ name: 'Burgers' }) },
+  { method: 'get', path: '/ingredients', status: 200 },
+  { method: 'get', path: '/ingredients/low-stock', status: 200 },
+  { method: 'post', path: '/ingredients', status: 201, body: () => ({ name: 'Onion', stock: 20 }) },
+  { method: 'put', path: '/ingredients/:id', status: 200, params: f => ({ id: f.bun._id }), body: () => ({ lowStockThreshold: 5 }) },
+  { method: 'post', path: '/ingredients/:id/restock', status: 200, params: f => ({ id: f.bun._id }), body: () => ({ quantity: 10 }) },
+  { method: 'delete', path: '/ingredients/:id', status: 200, params: f => ({ id: f.bun._id }) },
+  { method: 'get', path: '/reports/summary', status: 200 },
+  { method: 'get', path: '/reports/sales', status: 200 },
+  { method: 'get', path: '/reports/top-items', status: 200 },
+  { method: 'get', path: '/reports/abandoned-carts', status: 200 },
+  { method: 'get', path: '/reports/export', status: 200 },
+  { method: 'get', path: '/promotions', status: 200 },
+  { method: 'post', path: '/promotions', status: 201, body: () => ({ code: 'NEW10', type: 'percent', value: 10 }) },
+  { method: 'put', path: '/promotions/:id', status: 200, params: f => ({ id: f.promotion._id }), body: () => ({ value: 15 }) },
+  { method: 'delete', path: '/promotions/:id', status: 200, params: f => ({ id: f.promotion._id }) },
+  { method: 'get', path: '/cart/:sessionId', status: 200, params: () => ({ sessionId: SESSION_ID }) },
+  { method: 'post', path: '/cart/:sessionId', status: 200, params: () => ({ sessionId: SESSION_ID }), body: f => ({ items: [{ menuItemId: f.burger._id, quantity: 2 }] }) },
+  { method: 'delete', path: '/cart/:sessionId', status: 200, params: () => ({ sessionId: SESSION_ID }) },
+  { method: 'put', path: '/cart/:sessionId/store', status: 200, params: () => ({ sessionId: SESSION_ID }), body: f => ({ store: f.store.key }) },
+  { method: 'post', path: '/cart/:sessionId/items', status: 200, params: () => ({ sessionId: SESSION_ID }), body: f => ({ menuItemId: f.burger._id }) },
+  { method: 'patch', path: '/cart/:sessionId/items/:lineId', status: 200, params: f => ({ sessionId: SESSION_ID, lineId: f.cart.items[0]._id }), body: () => ({ quantity: 3 }) },
+  { method: 'delete', path: '/cart/:sessionId/items/:lineId', status: 200, params: f => ({ sessionId: SESSION_ID, lineId: f.cart.items[0]._id }) },
+  { method: 'post', path: '/cart/:sessionId/promo', status: 200, params: () => ({ sessionId: SESSION_ID }), body: () => ({ code: 'TENOFF' }) },
+  { method: 'delete', path: '/cart/:sessionId/promo', status: 200, params: () => ({ sessionId: SESSION_ID }) },
+  { method: 'get', path: '/orders', status: 200 },
+  { method: 'get', path: '/orders/events', stream: true },
+  { method: 'get', path: '/orders/:id', status: 200, params: f => ({ id: f.order._id }) },
+  { method: 'get', path: '/orders/:id/events', stream: true, params: f => ({ id: f.order._id }) },
+  { method: 'post', path: '/orders', status: 201, body: f => ({ items: [{ menuItemId: f.burger._id, quantity: 1 }], customerInfo }) },
+  { method: 'patch', path: '/orders/:id/status', status: 200, params: f => ({ id: f.order._id }), body: () => ({ status: 'confirmed' }) },
+  { method: 'delete', path: '/orders/:id', status: 200, params: f => ({ id: f.order._id }) },
+  { method: 'post', path: '/orders/:id/payment', status: 200, params: f => ({ id: f.accountOrder._id }), body: () => ({ paymentMethod: '4242 4242 4242 4242' }) },
+  { method: 'get', path: '/orders/:id/receipt', status: 200, params: f => ({ id: f.order._id }) },
+  { method: 'get', path: '/orders/:id/ticket', status: 200, params: f => ({ id: f.order._id }) },
+  { method: 'get', path: '/kitchen/tickets', status: 200 },
+  { method: 'post', path: '/kitchen/tickets/:id/printed', status: 200, params: f => ({ id: f.order._id }) },
+  {
+    method: 'post',
+    path: '/payments/webhook',
+    status: 200,
+    headers: f => ({ 'Content-Type': 'application/json', 'Payment-Signature': f.webhook.signature }),
+    body: f => f.webhook.body
+  },
+  { method: 'get', path: '/me/orders', status: 200 },
+  { method: 'post', path: '/me/orders/:id/reorder', status: 200, params: f => ({ id: f.accountOrder._id }) },
+  { method: 'get', path: '/openapi.json', status: 200 },
+  { method: 'get', path: '/docs', status: 200 }
+];
+
+beforeAll(async () => {
+  await startDatabase();
+  app = require('../api/index.js');
+  await request(app).get('/api/health');
+  server = app.listen(0);
+});
+
+beforeEach(async () => {
+  const store = await openStoreAllDay();
+  const manager = await loginAs(app, 'manager');
+  const staff = await loginAs(app, 'staff');
+  const bun = await mongoose.model('Ingredient').create({ name: 'Bun', stock: 50 });
+  const burger = await mongoose.model('MenuItem').create({
+    name: 'Hamburger',
+    description: 'Single patty',
+    price: 3.49,
+    category: 'burgers'
+  });
+  const promotion = await mongoose.model('Promotion').create({ code: 'TENOFF', type: 'percent', value: 10 });
+  const cart = await mongoose.model('Cart').create({ sessionId: SESSION_ID, items: [{ menuItemId: burger._id, name: burger.name, price: 3.49, quantity: 1 }] });
+  const order = (await request(app)
+    .post('/api/orders')
+    .send({ items: [{ menuItemId: burger._id, quantity: 1 }], customerInfo })).body;
+  await payOrder(app, order._id);
+  const paid = (await mongoose.model('Order').findById(order._id)).toJSON();
+  const accountOrder = (await request(app)
+    .post('/api/orders')
+    .set('Authorization', `Bearer ${manager.token}`)
+    .send({ items: [{ menuItemId: burger._id, quantity: 1 }], customerInfo })).body;
+
+  // The provider reporting the order's charge again, as it would on a webhook retry
+  const webhookBody = JSON.stringify({
+    id: 'evt_routes',
+    type: 'charge.succeeded',
+    data: { ...paid.payments[0], intentId: paid.paymentIntent, amount: Math.round(paid.payments[0].amount * 100) }
+  });
+  const webhook = { body: webhookBody, signature: app.get('payments').signWebhook(webhookBody) };
+
+  fixtures = { store, manager, staff, bun, burger, promotion, cart, order: paid, accountOrder, webhook };
+});
+
+afterEach(clearDatabase);
+afterAll(async () => {
+  server.close();
+  await stopDatabase();
+});
+
+const fillPath = (endpoint, f) => {
+  const params = endpoint.params ? endpoint.params(f) : {};
+  return endpoint.path.replace(/:(\w+)/g, (match, name) => encodeURIComponent(String(params[name])));
+};
+
+// Resolve with the status and content type once the stream's headers arrive
+function openStream(path, token) {
+  return new Promise((resolve, reject) => {
+    const { port } = server.address();
+    const req = http.get({
+      port,
+      path,
+      headers: { Accept: 'text/event-stream', Authorization: `Bearer ${token}` }
+    }, (res) => {
+      resolve({ status: res.statusCode, contentType: res.headers['content-type'] });
+      req.destroy();
+    });
+    req.on('error', reject);
+  });
+}
+
+describe.each(PREFIXES)('routes under "%s"', (prefix) => {
+  test.each(ENDPOINTS.map(endpoint => [`${endpoint.method.toUpperCase()} ${endpoint.path}`, endpoint]))('%s', async (name, endpoint) => {
+    const url = `${prefix}${fillPath(endpoint, fixtures)}` || '/';
+    const token = endpoint.token ? endpoint.token(fixtures) : fixtures.manager.token;
+
+    if (endpoint.stream) {
+      const res = await openStream(url, token);
+      expect(res.status).toBe(200);
+      expect(res.contentType).toMatch(/text\/event-stream/);
+      return;
+    }
+
+    let req = request(app)[endpoint.method](url).set('Authorization', `Bearer ${token}`);
+    if (endpoint.headers) {
+      req = req.set(endpoint.headers(fixtures));
+    }
+    if (endpoint.body) {
+      req = req.send(endpoint.body(fixtures));
+    }
+    const res = await req;
+
+    expect(res.status).toBe(endpoint.status);
+  });
+});
+
+test('every prefix answers with the same body', async () => {
+  const paths = ['/menu', `/menu/${fixtures.burger._id}`, '/stores', `/orders/${fixtures.order._id}`, '/orders?status=pending,confirmed'];
+
+  for (const path of paths) {
+    const bodies = [];
+    for (const prefix of PREFIXES) {
+      const res = await request(app).get(`${prefix}${path}`).set('Authorization', `Bearer ${fixtures.manager.token}`);
+      expect(res.status).toBe(200);
+      bodies.push(res.body);
+    }
+
+    expect(bodies[1]).toEqual(bodies[0]);
+    expect(bodies[2]).toEqual(bodies[0]);
+  }
+});
+
+test('every registered route is covered above', () => {
+  const routes = require('../routes');
+  const registered = [];
+  const collect = (stack) => stack.forEach(layer => {
+    if (layer.route) {
+      Object.keys(layer.route.methods).forEach(method => registered.push(`${method} ${layer.route.path}`));
+    } else if (layer.handle && layer.handle.stack) {
+      collect(layer.handle.stack);
+    }
+  });
+  collect(routes.stack);
+
+  const covered = ENDPOINTS.map(endpoint => `${endpoint.method} ${endpoint.path}`);
+  expect(registered.sort()).toEqual(covered.sort());
+});
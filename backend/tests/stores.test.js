@@ -0,0 +1,307 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { startDatabase, clearDatabase, stopDatabase, loginAs, customerInfo, openStoreAllDay, payOrder } = require('./helpers');
+
+let app;
+let burger;
+let fries;
+
+beforeAll(async () => {
+  await startDatabase();
+  app = require('../api/index.js');
+  await request(app).get('/api/health');
+});
+
+beforeEach(async () => {
+  await openStoreAllDay({ key: 'downtown', name: 'Downtown', address: { street: '600 W 7th St', city: 'Los Angeles', region: 'CA' } });
+  await openStoreAllDay({ key: 'beach', name: 'Beach', timezone: 'America/Phoenix' });
+  burger = await mongoose.model('MenuItem').create({
+    name: 'Double-Double',
+    description: 'Two patties',
+    price: 5.99,
+    storeOverrides: [{ store: 'beach', price: 6.49 }]
+  });
+  fries = await mongoose.model('MenuItem').create({
+    name: 'French Fries',
+    description: 'Hand cut',
+    price: 2.29,
+    storeOverrides: [{ store: 'beach', available: false }]
+  });
+});
+
+afterEach(clearDatabase);
+afterAll(stopDatabase);
+
+const placeOrder = (store, items = [{ menuItemId: burger._id, quantity: 1 }]) => request(app)
+  .post('/api/orders')
+  .send({ items, customerInfo, store });
+
+describe('stores', () => {
+  test('are listed in the order they opened, with whether they are open now', async () => {
+    await mongoose.model('Store').create({ key: 'closed-down', name: 'Gone', active: false });
+
+    const res = await request(app).get('/api/stores');
+
+    expect(res.status).toBe(200);
+    expect(res.body.map(store => store.key)).toEqual(['downtown', 'beach']);
+    expect(res.body[0]).toMatchObject({ name: 'Downtown', address: { city: 'Los Angeles' }, isOpen: true });
+  });
+
+  test('one store with the default settings stands in until one is saved', async () => {
+    await mongoose.model('Store').deleteMany({});
+
+    const res = await request(app).get('/api/stores');
+
+    expect(res.body).toHaveLength(1);
+    expect(res.body[0]).toMatchObject({ key: 'default', timezone: 'America/Los_Angeles' });
+  });
+
+  test('unknown stores are not found', async () => {
+    expect((await request(app).get('/api/stores/nowhere')).status).toBe(404);
+    expect((await request(app).get('/api/menu?store=nowhere')).status).toBe(404);
+    expect((await placeOrder('nowhere')).status).toBe(404);
+  });
+
+  test('only managers across every store can open one', async () => {
+    const chain = await loginAs(app, 'manager');
+    const local = await loginAs(app, 'manager', { stores: ['downtown'] });
+    const store = { key: 'airport', name: 'Airport', location: { lat: 33.94, lng: -118.4 } };
+
+    const refused = await request(app).post('/api/stores').set('Authorization', `Bearer ${local.token}`).send(store);
+    const created = await request(app).post('/api/stores').set('Authorization', `Bearer ${chain.token}`).send(store);
+    const again = await request(app).post('/api/stores').set('Authorization', `Bearer ${chain.token}`).send(store);
+
+    expect(refused.status).toBe(403);
+    expect(created.status).toBe(201);
+    expect(created.body).toMatchObject({ key: 'airport', active: true, location: { lat: 33.94 } });
+    expect(again.status).toBe(409);
+  });
+
+  test('managers change the stores they work at, and closing one takes it off the list', async () => {
+    const local = await loginAs(app, 'manager', { stores: ['downtown'] });
+
+    const other = await request(app)
+      .put('/api/stores/beach')
+      .set('Authorization', `Bearer ${local.token}`)
+      .send({ phone: '(555) 000-0000' });
+    const closed = await request(app)
+      .put('/api/stores/downtown')
+      .set('Authorization', `Bearer ${local.token}`)
+      .send({ active: false });
+    const list = await request(app).get('/api/stores');
+
+    expect(other.status).toBe(403);
+    expect(closed.status).toBe(200);
+    expect(list.body.map(store => store.key)).toEqual(['beach']);
+  });
+});
+
+describe('store menus', () => {
+  test('leave out what the store does not sell and use its prices', async () => {
+    const downtown = await request(app).get('/api/menu?store=downtown');
+    const beach = await request(app).get('/api/menu?store=beach');
+
+    expect(downtown.body.map(item => item.name).sort()).toEqual(['Double-Double', 'French Fries']);
+    expect(downtown.body.find(item => item.name === 'Double-Double').price).toBe(5.99);
+    expect(beach.body.map(item => item.name)).toEqual(['Double-Double']);
+    expect(beach.body[0].price).toBe(6.49);
+  });
+
+  test('default to the first store', async () => {
+    const res = await request(app).get('/api/menu');
+
+    expect(res.body).toHaveLength(2);
+  });
+
+  test('price orders for the store and refuse what it does not sell', async () => {
+    const beach = await placeOrder('beach');
+    const noFries = await placeOrder('beach', [{ menuItemId: fries._id, quantity: 1 }]);
+
+    expect(beach.status).toBe(201);
+    expect(beach.body).toMatchObject({ store: 'beach', subtotal: 6.49 });
+    expect(noFries.status).toBe(400);
+    expect(noFries.body.error.problems[0].reason).toMatch(/unavailable/);
+  });
+
+  test('are changed per item, and null goes back to the chain menu', async () => {
+    const manager = await loginAs(app, 'manager');
+    const change = (body) => request(app)
+      .put(`/api/stores/beach/menu/${fries._id}`)
+      .set('Authorization', `Bearer ${manager.token}`)
+      .send(body);
+
+    const priced = await change({ available: null, price: 1.99 });
+    const cleared = await change({ price: null });
+
+    expect(priced.status).toBe(200);
+    expect(priced.body).toMatchObject({ available: true, price: 1.99 });
+    expect(cleared.body).toMatchObject({ available: true, price: 2.29 });
+    expect(cleared.body.storeOverrides).toEqual([]);
+  });
+
+  test('only managers across every store change the chain menu', async () => {
+    const local = await loginAs(app, 'manager', { stores: ['beach'] });
+    const chain = await loginAs(app, 'manager');
+    const as = (manager, req) => req.set('Authorization', `Bearer ${manager.token}`);
+    const item = { name: 'Shake', description: 'Hand spun', price: 2.99 };
+
+    const refused = await Promise.all([
+      as(local, request(app).post('/api/menu')).send(item),
+      as(local, request(app).put(`/api/menu/${burger._id}`)).send({ price: 0.99 }),
+      as(local, request(app).delete(`/api/menu/${fries._id}`))
+    ]);
+    const ownStore = await as(local, request(app).put(`/api/stores/beach/menu/${burger._id}`)).send({ price: 6.99 });
+    const changed = await as(chain, request(app).put(`/api/menu/${burger._id}`)).send({ price: 6.29 });
+
+    expect(refused.map(res => res.status)).toEqual([403, 403, 403]);
+    expect(await mongoose.model('MenuItem').countDocuments()).toBe(2);
+    expect(ownStore.status).toBe(200);
+    expect(changed.status).toBe(200);
+    expect(changed.body.price).toBe(6.29);
+  });
+});
+
+describe('orders at several stores', () => {
+  test('are numbered per store', async () => {
+    const downtown = await placeOrder('downtown');
+    const beach = await placeOrder('beach');
+
+    expect(downtown.body.orderNumber).toBe(101);
+    expect(beach.body.orderNumber).toBe(101);
+  });
+
+  test('fill each store\'s pickup slots separately', async () => {
+    await mongoose.model('Store').updateMany({}, { $set: { slotCapacity: 1 } });
+
+    const downtown = await placeOrder('downtown');
+    const beach = await placeOrder('beach');
+    const full = await placeOrder('downtown');
+
+    expect(downtown.status).toBe(201);
+    expect(beach.status).toBe(201);
+    expect(full.status).toBe(409);
+  });
+
+  test('use the cart\'s store, which moving the cart reprices', async () => {
+    const sessionId = 'session_stores';
+    await request(app).post(`/api/cart/${sessionId}/items`).send({ menuItemId: burger._id });
+    await request(app).post(`/api/cart/${sessionId}/items`).send({ menuItemId: fries._id });
+
+    const moved = await request(app).put(`/api/cart/${sessionId}/store`).send({ store: 'beach' });
+    const order = await request(app)
+      .post('/api/orders')
+      .send({ items: [{ menuItemId: burger._id, quantity: 1 }], customerInfo, sessionId });
+
+    expect(moved.status).toBe(200);
+    expect(moved.body.cart).toMatchObject({ store: 'beach', items: [{ name: 'Double-Double', price: 6.49 }] });
+    expect(moved.body.skipped).toEqual([expect.objectContaining({ name: 'French Fries' })]);
+    expect(order.body.store).toBe('beach');
+  });
+});
+
+describe('staff at one store', () => {
+  let staff;
+  let downtownOrder;
+  let beachOrder;
+
+  beforeEach(async () => {
+    staff = await loginAs(app, 'staff', { stores: ['downtown'] });
+    downtownOrder = (await placeOrder('downtown')).body;
+    beachOrder = (await placeOrder('beach')).body;
+    await payOrder(app, downtownOrder._id);
+    await payOrder(app, beachOrder._id);
+  });
+
+  test('only list their store\'s orders', async () => {
+    const own = await request(app).get('/api/orders').set('Authorization', `Bearer ${staff.token}`);
+    const other = await request(app).get('/api/orders?store=beach').set('Authorization', `Bearer ${staff.token}`);
+
+    expect(own.body.data.map(order => order._id)).toEqual([downtownOrder._id]);
+    expect(other.status).toBe(403);
+    expect(other.body.error.code).toBe('wrong_store');
+  });
+
+  test('can\'t move another store\'s orders along', async () => {
+    const move = (order) => request(app)
+      .patch(`/api/orders/${order._id}/status`)
+      .set('Authorization', `Bearer ${staff.token}`)
+      .send({ status: 'confirmed' });
+
+    expect((await move(downtownOrder)).status).toBe(200);
+    expect((await move(beachOrder)).status).toBe(403);
+  });
+
+  test('only get their store\'s kitchen tickets', async () => {
+    const manager = await loginAs(app, 'manager');
+    for (const order of [downtownOrder, beachOrder]) {
+      await request(app)
+        .patch(`/api/orders/${order._id}/status`)
+        .set('Authorization', `Bearer ${manager.token}`)
+        .send({ status: 'confirmed' });
+    }
+
+    const res = await request(app).get('/api/kitchen/tickets').set('Authorization', `Bearer ${staff.token}`);
+
+    expect(res.body.data.map(ticket => ticket.orderId)).toEqual([downtownOrder._id]);
+  });
+});
+
+describe('reports and accounts per store', () => {
+  test('reports cover one store, or every store the manager works at', async () => {
+    await placeOrder('downtown');
+    await placeOrder('beach');
+    await placeOrder('beach');
+    const chain = await loginAs(app, 'manager');
+    const local = await loginAs(app, 'manager', { stores: ['downtown'] });
+    const summary = (manager, query = '') => request(app)
+      .get(`/api/reports/summary${query}`)
+      .set('Authorization', `Bearer ${manager.token}`);
+
+    expect((await summary(chain)).body.orders).toBe(3);
+    expect((await summary(chain, '?store=beach')).body.orders).toBe(2);
+    expect((await summary(local)).body.orders).toBe(1);
+    expect((await summary(local, '?store=beach')).status).toBe(403);
+  });
+
+  test('managers at one store can only give access to it', async () => {
+    const local = await loginAs(app, 'manager', { stores: ['downtown'] });
+    const create = (stores) => request(app)
+      .post('/api/users')
+      .set('Authorization', `Bearer ${local.token}`)
+      .send({ name: 'New Hire', email: `hire-${stores.join('-') || 'all'}@example.com`, password: 'password123', role: 'staff', stores });
+
+    const everywhere = await create([]);
+    const elsewhere = await create(['beach']);
+    const here = await create(['downtown']);
+
+    expect(everywhere.status).toBe(403);
+    expect(elsewhere.status).toBe(403);
+    expect(here.status).toBe(201);
+    expect(here.body.stores).toEqual(['downtown']);
+  });
+
+  test('managers at one store can still create customers, who work at no store', async () => {
+    const local = await loginAs(app, 'manager', { stores: ['downtown'] });
+
+    const res = await request(app)
+      .post('/api/users')
+      .set('Authorization', `Bearer ${local.token}`)
+      .send({ name: 'Regular', email: 'regular@example.com', password: 'password123' });
+
+    expect(res.status).toBe(201);
+    expect(res.body).toMatchObject({ role: 'customer', stores: [] });
+  });
+
+  test('staff can be moved to another store', async () => {
+    const manager = await loginAs(app, 'manager');
+    const { user } = await loginAs(app, 'staff', { stores: ['downtown'] });
+
+    const res = await request(app)
+      .patch(`/api/users/${user._id}`)
+      .set('Authorization', `Bearer ${manager.token}`)
+      .send({ stores: ['beach'] });
+
+    expect(res.status).toBe(200);
+    expect(res.body.stores).toEqual(['beach']);
+  });
+});
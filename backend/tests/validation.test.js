@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { startDatabase, clearDatabase, stopDatabase, loginAs, customerInfo } = require('./helpers');
+
+let app;
+let manager;
+
+beforeAll(async () => {
+  await startDatabase();
+  app = require('../api/index.js');
+  await request(app).get('/api/health');
+});
+
+beforeEach(async () => {
+  manager = await loginAs(app, 'manager');
+});
+
+afterEach(async () => {
+  jest.restoreAllMocks();
+  await clearDatabase();
+});
+afterAll(stopDatabase);
+
+describe('error envelope', () => {
+  test('malformed ids are a 400 rather than a server error', async () => {
+    const res = await request(app).get('/api/orders/not-an-id');
+
+    expect(res.status).toBe(400);
+    expect(res.body).toEqual({
+      error: { code: 'invalid_id', message: 'Malformed id', fields: { id: 'Must be a valid id' } }
+    });
+  });
+
+  test('body problems are reported per field', async () => {
+    const res = await request(app)
+      .post('/api/menu')
+      .set('Authorization', `Bearer ${manager.token}`)
+      .send({ name: 'Shake', price: -1 });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.code).toBe('validation_failed');
+    expect(Object.keys(res.body.error.fields).sort()).toEqual(['description', 'price']);
+  });
+
+  test('query strings are checked too', async () => {
+    const res = await request(app)
+      .get('/api/reports/sales?groupBy=week')
+      .set('Authorization', `Bearer ${manager.token}`);
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.fields.groupBy).toBeDefined();
+  });
+
+  test('invalid JSON and unknown routes use the same shape', async () => {
+    const badJson = await request(app)
+      .post('/api/orders')
+      .set('Content-Type', 'application/json')
+      .send('{"items": [');
+    const missing = await request(app).get('/api/nothing-here');
+
+    expect(badJson.status).toBe(400);
+    expect(badJson.body.error.code).toBe('invalid_json');
+    expect(missing.status).toBe(404);
+    expect(missing.body.error.code).toBe('not_found');
+  });
+
+  test('unexpected errors do not leak details', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(mongoose.model('MenuItem'), 'find').mockImplementation(() => {
+      throw new Error('connection to 10.0.0.5:27017 reset');
+    });
+
+    const res = await request(app)
+      .get('/api/admin/menu')
+      .set('Authorization', `Bearer ${manager.token}`);
+
+    expect(res.status).toBe(500);
+    expect(res.body).toEqual({ error: { code: 'internal_error', message: 'Something went wrong' } });
+  });
+});
+
+describe('unknown fields', () => {
+  test('are dropped before they reach the database', async () => {
+    const res = await request(app)
+      .post('/api/menu')
+      .set('Authorization', `Bearer ${manager.token}`)
+      .send({ name: 'Shake', description: 'Chocolate', price: 2.99, createdAt: '2001-01-01', _id: 'abc' });
+
+    expect(res.status).toBe(201);
+    expect(new Date(res.body.createdAt).getFullYear()).not.toBe(2001);
+  });
+
+  test('cannot reset how often a promotion was used', async () => {
+    const promotion = await mongoose.model('Promotion').create({ code: 'TENOFF', type: 'percent', value: 10, timesUsed: 3 });
+
+    const res = await request(app)
+      .put(`/api/promotions/${promotion._id}`)
+      .set('Authorization', `Bearer ${manager.token}`)
+      .send({ value: 15, timesUsed: 0 });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ value: 15, timesUsed: 3 });
+  });
+});
+
+test('order details keep their field names', async () => {
+  const res = await request(app)
+    .post('/api/orders')
+    .send({ items: [], customerInfo: { ...customerInfo, phone: 5551234567 } });
+
+  expect(res.status).toBe(400);
+  expect(res.body.error.fields['customerInfo.phone']).toBeDefined();
+});
@@ -1,5 +1,5 @@
 // App.js - frontend with backend integration
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import './App.css';
 
 // API configuration
@@ -15,15 +15,279 @@ const getSessionId = () => {
   return sessionId;
 };
 
+// one key per checkout attempt so the server can tell a retry from a new order
+const newIdempotencyKey = () =>
+  window.crypto && window.crypto.randomUUID
+    ? window.crypto.randomUUID()
+    : 'checkout_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+
+// order lifecycle as shown to customers, cancelled is handled separately
+const ORDER_STEPS = ['pending', 'confirmed', 'preparing', 'ready', 'delivered'];
+const STATUS_LABELS = {
+  pending: 'Order received',
+  confirmed: 'Confirmed',
+  preparing: 'Being prepared',
+  ready: 'Ready for pickup',
+  delivered: 'Picked up',
+  cancelled: 'Cancelled'
+};
+
+// what staff call out at the counter; orders from before daily numbers show the end of their id
+const orderLabel = (order) => `#${order.orderNumber || order._id.slice(-6).toUpperCase()}`;
+
+// past orders on the account page, loaded a page at a time
+const ORDER_HISTORY_PAGE_SIZE = 10;
+
+// kitchen display: columns on the board and where a bump sends each order
+const KITCHEN_COLUMNS = ['pending', 'confirmed', 'preparing', 'ready'];
+const NEXT_STATUS = { pending: 'confirmed', confirmed: 'preparing', preparing: 'ready', ready: 'delivered' };
+const KITCHEN_WARN_MINUTES = 5;
+const KITCHEN_LATE_MINUTES = 10;
+
+const formatElapsed = (since, now) => {
+  const seconds = Math.max(0, Math.floor((now - new Date(since).getTime()) / 1000));
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+// used until the store hours load from the API, mirrors the backend defaults
+const FALLBACK_STORE_HOURS = {
+  timezone: 'America/Los_Angeles',
+  maxDaysAhead: 7,
+  hours: [
+    { day: 0, open: '11:00', close: '23:00' },
+    { day: 1, open: '10:00', close: '22:00' },
+    { day: 2, open: '10:00', close: '22:00' },
+    { day: 3, open: '10:00', close: '22:00' },
+    { day: 4, open: '10:00', close: '22:00' },
+    { day: 5, open: '10:00', close: '22:00' },
+    { day: 6, open: '11:00', close: '23:00' }
+  ]
+};
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// '22:00' -> '10:00 PM', '24:00' -> '12:00 AM'
+const formatClock = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  const suffix = hours < 12 || hours === 24 ? 'AM' : 'PM';
+  return `${hours % 12 || 12}:${String(minutes).padStart(2, '0')} ${suffix}`;
+};
+
+// collapse consecutive days with the same hours, e.g. "Mon-Fri: 10:00 AM – 10:00 PM"
+const summarizeHours = (hours) => {
+  const groups = [];
+  [1, 2, 3, 4, 5, 6, 0].forEach(day => {
+    const dayHours = hours.find(h => h.day === day);
+    const label = !dayHours || dayHours.closed
+      ? 'Closed'
+      : `${formatClock(dayHours.open)} – ${formatClock(dayHours.close)}`;
+    const last = groups[groups.length - 1];
+    if (last && last.label === label) {
+      last.to = day;
+    } else {
+      groups.push({ from: day, to: day, label });
+    }
+  });
+  return groups.map(group =>
+    `${DAY_NAMES[group.from]}${group.from !== group.to ? `-${DAY_NAMES[group.to]}` : ''}: ${group.label}`
+  );
+};
+
+// the next few days as YYYY-MM-DD in the store's timezone, for the pickup date picker
+const getUpcomingDates = (timeZone, count) =>
+  Array.from({ length: count }, (_, idx) => {
+    const date = new Date(Date.now() + idx * 24 * 60 * 60 * 1000);
+    return {
+      value: new Intl.DateTimeFormat('en-CA', { timeZone }).format(date),
+      label: idx === 0 ? 'Today' : idx === 1 ? 'Tomorrow'
+        : date.toLocaleDateString('en-US', { timeZone, weekday: 'short', month: 'short', day: 'numeric' })
+    };
+  });
+
+const formatSlotTime = (iso, timeZone) =>
+  new Date(iso).toLocaleTimeString('en-US', { timeZone, hour: 'numeric', minute: '2-digit' });
+
+// the order is placed on Confirm, then paid for; a declined card stays on Payment to try another
+const CHECKOUT_STEPS = ['Review', 'Your Details', 'Pickup', 'Confirm', 'Payment'];
+const PAYMENT_STEP = CHECKOUT_STEPS.indexOf('Payment');
+const EMPTY_CHECKOUT_FORM = {
+  name: '',
+  phone: '',
+  email: '',
+  orderType: 'pickup',
+  pickupTime: 'asap',
+  pickupDate: '',
+  scheduledFor: '',
+  notes: ''
+};
+const ORDER_TYPE_LABELS = { pickup: 'Pickup at the counter', 'drive-thru': 'Drive-thru' };
+
+// same rules the server applies to customerInfo
+const validateContact = (form) => {
+  const errors = {};
+  const phoneDigits = form.phone.replace(/\D/g, '').replace(/^1(?=\d{10}$)/, '');
+  if (!form.name.trim()) errors.name = 'Name is required';
+  if (!form.phone.trim()) {
+    errors.phone = 'Phone number is required';
+  } else if (phoneDigits.length !== 10) {
+    errors.phone = 'Enter a 10-digit phone number';
+  }
+  if (form.email.trim() && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(form.email.trim())) {
+    errors.email = 'Enter a valid email address';
+  }
+  return errors;
+};
+
+const formatPhone = (digits) =>
+  digits && digits.length === 10 ? `(${digits.slice(0, 3)}) ${digits.slice(3, 6)}-${digits.slice(6)}` : digits;
+
+const EMPTY_ITEM_FORM = { name: '', description: '', price: '', category: '', imageUrl: '', available: true };
+
+// client-side checks mirroring the menu item schema, keyed by field
+const validateItemForm = (form) => {
+  const errors = {};
+  if (!form.name.trim()) errors.name = 'Name is required';
+  if (!form.description.trim()) errors.description = 'Description is required';
+  if (!/^\d+(\.\d{1,2})?$/.test(String(form.price).trim()) || Number(form.price) < 0) {
+    errors.price = 'Enter a price like 3.99';
+  }
+  if (form.imageUrl && !/^https?:\/\/\S+$/.test(form.imageUrl.trim())) {
+    errors.imageUrl = 'Image URL must start with http:// or https://';
+  }
+  return errors;
+};
+
+const loadStoredUser = () => {
+  try {
+    return JSON.parse(localStorage.getItem('authUser'));
+  } catch (err) {
+    return null;
+  }
+};
+
+// reports default to the last week, as store-local dates like the API expects
+const getDefaultReportRange = (timeZone) => {
+  const toDate = (date) => new Intl.DateTimeFormat('en-CA', { timeZone }).format(date);
+  return { from: toDate(new Date(Date.now() - 6 * 24 * 60 * 60 * 1000)), to: toDate(new Date()) };
+};
+
+const formatCurrency = (amount) => `$${amount.toFixed(2)}`;
+
+// simple bar chart, bars scaled to the largest value in the series
+const BarChart = ({ series, valueKey, formatValue, formatLabel }) => {
+  const max = Math.max(...series.map(row => row[valueKey]), 0);
+  return (
+    <div className="bar-chart">
+      {series.map(row => (
+        <div key={row.period} className="bar-column" title={`${row.period}: ${formatValue(row[valueKey])}`}>
+          <div className="bar-track">
+            <div className="bar" style={{ height: `${max > 0 ? (row[valueKey] / max) * 100 : 0}%` }} />
+          </div>
+          <span className="bar-label">{formatLabel(row.period)}</span>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+// a store's address as display lines, leaving out parts it doesn't have
+const formatAddress = (address = {}) => [
+  address.street,
+  [address.city, [address.region, address.postalCode].filter(Boolean).join(' ')].filter(Boolean).join(', ')
+].filter(Boolean);
+
+// store dropdown, not shown while there is only one store to pick
+const StorePicker = ({ stores, value, onChange, allLabel }) => {
+  if (stores.length < 2) return null;
+  return (
+    <label className="store-picker">
+      Store
+      <select value={value || ''} onChange={(e) => onChange(e.target.value)}>
+        {allLabel && <option value="">{allLabel}</option>}
+        {stores.map(store => (
+          <option key={store.key} value={store.key}>
+            {store.name}{store.isOpen === false ? ' (closed now)' : ''}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+};
+
+// cart lines are identified by menu item plus customization, so two
+// differently customized burgers stay on separate lines
 const App = () => {
   const [currentPage, setCurrentPage] = useState('home');
   const [cart, setCart] = useState([]);
+  const [cartVersion, setCartVersion] = useState(undefined);
+  const [cartError, setCartError] = useState(null);
   const [menuItems, setMenuItems] = useState([]);
   const [isCartOpen, setIsCartOpen] = useState(false);
   const [isMobileMenuOpen, setIsMobileMenuOpen] = useState(false);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
-  const sessionId = getSessionId();
+  const [customizingItem, setCustomizingItem] = useState(null);
+  const [selectedOptions, setSelectedOptions] = useState({});
+  const [trackingOrderId, setTrackingOrderId] = useState(() => localStorage.getItem('trackingOrderId'));
+  const [trackedOrder, setTrackedOrder] = useState(null);
+  const [isTrackingLive, setIsTrackingLive] = useState(false);
+  const [authToken, setAuthToken] = useState(() => localStorage.getItem('authToken'));
+  const [currentUser, setCurrentUser] = useState(loadStoredUser);
+  const [loginForm, setLoginForm] = useState({ email: '', password: '' });
+  const [loginError, setLoginError] = useState(null);
+  const [registerForm, setRegisterForm] = useState({ name: '', email: '', password: '' });
+  const [registerErrors, setRegisterErrors] = useState({});
+  const [orderHistory, setOrderHistory] = useState(null);
+  const [accountNotice, setAccountNotice] = useState(null);
+  const [kitchenOrders, setKitchenOrders] = useState([]);
+  const [kitchenError, setKitchenError] = useState(null);
+  const [selectedTicketId, setSelectedTicketId] = useState(null);
+  const [now, setNow] = useState(Date.now());
+  const [adminItems, setAdminItems] = useState([]);
+  const [adminCategories, setAdminCategories] = useState([]);
+  const [adminRefresh, setAdminRefresh] = useState(0);
+  const [adminSort, setAdminSort] = useState({ key: 'category', dir: 1 });
+  const [adminError, setAdminError] = useState(null);
+  const [editingItemId, setEditingItemId] = useState(null);
+  const [itemForm, setItemForm] = useState(null);
+  const [itemFormErrors, setItemFormErrors] = useState({});
+  const [categoryEdits, setCategoryEdits] = useState({});
+  const [checkoutStep, setCheckoutStep] = useState(0);
+  const [checkoutForm, setCheckoutForm] = useState(EMPTY_CHECKOUT_FORM);
+  const [checkoutErrors, setCheckoutErrors] = useState({});
+  const [checkoutError, setCheckoutError] = useState(null);
+  const [isPlacingOrder, setIsPlacingOrder] = useState(false);
+  const checkoutAttempt = useRef(null);
+  const [cardNumber, setCardNumber] = useState('');
+  const [paymentError, setPaymentError] = useState(null);
+  const [isPaying, setIsPaying] = useState(false);
+  const [placedOrder, setPlacedOrder] = useState(null);
+  const [stores, setStores] = useState([]);
+  const [storeKey, setStoreKey] = useState(() => localStorage.getItem('storeKey'));
+  const [storeNotice, setStoreNotice] = useState(null);
+  const [pickupSlots, setPickupSlots] = useState([]);
+  const [promoInput, setPromoInput] = useState('');
+  const [promoError, setPromoError] = useState(null);
+  const [appliedPromo, setAppliedPromo] = useState(null);
+  const [reportRange, setReportRange] = useState(() => ({ ...getDefaultReportRange(FALLBACK_STORE_HOURS.timezone), store: '' }));
+  const [reports, setReports] = useState(null);
+  const [reportError, setReportError] = useState(null);
+  const [sessionId, setSessionId] = useState(getSessionId);
+  // carts that belong to an account only open for that account
+  const authHeaders = authToken ? { Authorization: `Bearer ${authToken}` } : {};
+  const isStaff = Boolean(authToken && currentUser && ['staff', 'manager'].includes(currentUser.role));
+  const isManager = Boolean(authToken && currentUser && currentUser.role === 'manager');
+  // managers tied to some stores only take items off or back on at those stores
+  const isChainManager = isManager && !(currentUser.stores && currentUser.stores.length > 0);
+  // the chosen store carries its hours; a single-store setup lists just the one
+  const storeHours = stores.find(store => store.key === storeKey) || stores[0] || FALLBACK_STORE_HOURS;
+  // staff with no stores of their own work at every store
+  const staffStores = currentUser && currentUser.stores && currentUser.stores.length > 0
+    ? stores.filter(store => currentUser.stores.includes(store.key))
+    : stores;
+  // the kitchen follows the chosen store, unless staff don't work there
+  const kitchenStoreKey = staffStores.some(store => store.key === storeKey)
+    ? storeKey
+    : staffStores.length > 0 ? staffStores[0].key : undefined;
 
   const galleryImages = [
     'https://images.unsplash.com/photo-1568901346375-23c9450c58cd?w=800&h=400&fit=crop',
@@ -36,139 +300,865 @@ const App = () => {
 
   // fetch menu items from backend
   useEffect(() => {
-    fetchMenuItems();
+    fetchStores();
     fetchCart();
   }, []);
 
-  const fetchMenuItems = async () => {
+  // the chosen store's menu, again after an admin changes it
+  useEffect(() => {
+    if (storeKey) localStorage.setItem('storeKey', storeKey);
+
+    setLoading(true);
+    fetch(`${API_URL}/menu${storeKey ? `?store=${storeKey}` : ''}`)
+      .then(response => {
+        if (!response.ok) throw new Error('Failed to fetch menu');
+        return response.json();
+      })
+      .then(data => {
+        setMenuItems(data);
+        setError(null);
+      })
+      .catch(err => {
+        setError('Failed to load menu. Please try again later.');
+        console.error('Error fetching menu:', err);
+        // fallback to local data if backend fails
+        setMenuItems([
+          { _id: '1', name: 'Double-Double Burger', description: 'Two beef patties, two slices of cheese, fresh lettuce & tomato', price: 5.99 },
+          { _id: '2', name: 'Cheeseburger', description: 'Classic single patty burger with melted cheese', price: 3.99 },
+          { _id: '3', name: 'French Fries', description: 'Golden, crispy fries made fresh', price: 2.49 },
+          { _id: '4', name: 'Shakes', description: 'Chocolate, Strawberry, or Vanilla made with real ice cream', price: 2.99 }
+        ]);
+      })
+      .finally(() => setLoading(false));
+  }, [storeKey, adminRefresh]);
+
+  // pickup windows for the chosen day while scheduling a later pickup
+  useEffect(() => {
+    if (currentPage !== 'checkout' || checkoutForm.pickupTime !== 'later' || !checkoutForm.pickupDate) return;
+
+    fetch(`${API_URL}/pickup-slots?date=${checkoutForm.pickupDate}${storeHours.key ? `&store=${storeHours.key}` : ''}`)
+      .then(response => {
+        if (!response.ok) throw new Error('Failed to fetch pickup slots');
+        return response.json();
+      })
+      .then(data => setPickupSlots(data.slots))
+      .catch(err => {
+        console.error('Error fetching pickup slots:', err);
+        setPickupSlots([]);
+      });
+  }, [currentPage, checkoutForm.pickupTime, checkoutForm.pickupDate, storeHours.key]);
+
+  // load the tracked order and follow its status over server-sent events
+  useEffect(() => {
+    if (currentPage !== 'track' || !trackingOrderId) return;
+
+    fetch(`${API_URL}/orders/${trackingOrderId}`)
+      .then(response => {
+        if (!response.ok) throw new Error('Failed to fetch order');
+        return response.json();
+      })
+      .then(setTrackedOrder)
+      .catch(err => console.error('Error fetching order:', err));
+
+    const events = new EventSource(`${API_URL}/orders/${trackingOrderId}/events`);
+    const handleStatus = (e) => {
+      const { status } = JSON.parse(e.data);
+      setIsTrackingLive(true);
+      setTrackedOrder(prev => (prev ? { ...prev, status } : prev));
+      // nothing else will happen to a finished order
+      if (status === 'delivered' || status === 'cancelled') events.close();
+    };
+    events.addEventListener('snapshot', handleStatus);
+    events.addEventListener('order.status', handleStatus);
+    events.addEventListener('order.payment', (e) => {
+      const { paymentStatus } = JSON.parse(e.data);
+      setTrackedOrder(prev => (prev ? { ...prev, paymentStatus } : prev));
+    });
+    // EventSource reconnects by itself, just show that updates are paused
+    events.onerror = () => setIsTrackingLive(false);
+
+    return () => events.close();
+  }, [currentPage, trackingOrderId]);
+
+  // kitchen board: load active orders, then keep them current from the staff event feed
+  useEffect(() => {
+    if (currentPage !== 'kitchen' || !isStaff) return;
+
+    const store = kitchenStoreKey ? `store=${kitchenStoreKey}&` : '';
+    const loadOrders = async () => {
+      try {
+        // one page is plenty, a kitchen never has this many orders open at once
+        const response = await fetch(`${API_URL}/orders?status=${KITCHEN_COLUMNS.join(',')}&${store}limit=200`, {
+          headers: { Authorization: `Bearer ${authToken}` }
+        });
+        if (response.status === 401) {
+          // session expired or revoked, fall back to the login form
+          localStorage.removeItem('authToken');
+          setAuthToken(null);
+          return;
+        }
+        if (!response.ok) throw new Error('Failed to fetch orders');
+        setKitchenOrders((await response.json()).data);
+        setKitchenError(null);
+      } catch (err) {
+        console.error('Error fetching kitchen orders:', err);
+        setKitchenError('Could not load orders. Retrying...');
+      }
+    };
+
+    const events = new EventSource(`${API_URL}/orders/events?${store}access_token=${encodeURIComponent(authToken)}`);
+    const handleOrderEvent = (e) => {
+      const { order } = JSON.parse(e.data);
+      setKitchenOrders(prev => {
+        const others = prev.filter(o => o._id !== order._id);
+        return KITCHEN_COLUMNS.includes(order.status) ? [...others, order] : others;
+      });
+    };
+    events.addEventListener('order.created', handleOrderEvent);
+    events.addEventListener('order.status', handleOrderEvent);
+    events.addEventListener('order.payment', handleOrderEvent);
+    // reload on every (re)connect so nothing missed while offline stays hidden
+    events.onopen = loadOrders;
+
+    loadOrders();
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+
+    return () => {
+      events.close();
+      clearInterval(timer);
+    };
+  }, [currentPage, isStaff, authToken, kitchenStoreKey]);
+
+  // admin menu: every item including unavailable ones, plus the category list
+  useEffect(() => {
+    if (currentPage !== 'admin' || !isManager) return;
+
+    const headers = { Authorization: `Bearer ${authToken}` };
+    Promise.all([
+      fetch(`${API_URL}/admin/menu`, { headers }),
+      fetch(`${API_URL}/admin/menu/categories`, { headers })
+    ])
+      .then(async ([itemsResponse, categoriesResponse]) => {
+        if (!itemsResponse.ok || !categoriesResponse.ok) throw new Error('Failed to fetch admin menu');
+        setAdminItems(await itemsResponse.json());
+        setAdminCategories(await categoriesResponse.json());
+        setAdminError(null);
+      })
+      .catch(err => {
+        console.error('Error fetching admin menu:', err);
+        setAdminError('Failed to load menu items.');
+      });
+  }, [currentPage, isManager, authToken, adminRefresh]);
+
+  // sales dashboard: summary, charts and best sellers for the chosen range
+  useEffect(() => {
+    if (currentPage !== 'reports' || !isManager) return;
+
+    const headers = { Authorization: `Bearer ${authToken}` };
+    const store = reportRange.store ? `store=${reportRange.store}` : '';
+    const query = `from=${reportRange.from}&to=${reportRange.to}${store && `&${store}`}`;
+    Promise.all([
+      `summary?${query}`,
+      `sales?groupBy=day&${query}`,
+      `sales?groupBy=hour&${query}`,
+      `top-items?${query}`,
+      `abandoned-carts?${store}`
+    ].map(async path => {
+      const response = await fetch(`${API_URL}/reports/${path}`, { headers });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error.message || 'Failed to load reports');
+      return data;
+    }))
+      .then(([summary, daily, hourly, top, abandoned]) => {
+        setReports({ summary, daily: daily.series, hourly: hourly.series, topItems: top.items, abandoned });
+        setReportError(null);
+      })
+      .catch(err => {
+        console.error('Error fetching reports:', err);
+        setReportError(err.message);
+      });
+  }, [currentPage, isManager, authToken, reportRange]);
+
+  // the signed-in customer's past orders, newest first
+  useEffect(() => {
+    if (currentPage !== 'account' || !authToken) return;
+
+    fetch(`${API_URL}/me/orders?limit=${ORDER_HISTORY_PAGE_SIZE}`, { headers: { Authorization: `Bearer ${authToken}` } })
+      .then(async response => {
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error.message || 'Failed to load your orders');
+        setOrderHistory({ orders: data.data, nextCursor: data.paging.nextCursor });
+      })
+      .catch(err => {
+        console.error('Error fetching order history:', err);
+        setAccountNotice(err.message);
+      });
+  }, [currentPage, authToken]);
+
+  const fetchStores = async () => {
     try {
-      setLoading(true);
-      const response = await fetch(`${API_URL}/menu`);
-      if (!response.ok) throw new Error('Failed to fetch menu');
+      const response = await fetch(`${API_URL}/stores`);
+      if (!response.ok) throw new Error('Failed to fetch stores');
       const data = await response.json();
-      setMenuItems(data);
-      setError(null);
+      setStores(data);
+      // a store saved from an earlier visit may have closed since
+      setStoreKey(current => (data.some(store => store.key === current) ? current : data[0].key));
     } catch (err) {
-      setError('Failed to load menu. Please try again later.');
-      console.error('Error fetching menu:', err);
-      // fallback to local data if backend fails
-      setMenuItems([
-        { _id: '1', name: 'Double-Double Burger', description: 'Two beef patties, two slices of cheese, fresh lettuce & tomato', price: 5.99 },
-        { _id: '2', name: 'Cheeseburger', description: 'Classic single patty burger with melted cheese', price: 3.99 },
-        { _id: '3', name: 'French Fries', description: 'Golden, crispy fries made fresh', price: 2.49 },
-        { _id: '4', name: 'Shakes', description: 'Chocolate, Strawberry, or Vanilla made with real ice cream', price: 2.99 }
-      ]);
-    } finally {
-      setLoading(false);
+      console.error('Error fetching stores:', err);
+    }
+  };
+
+  // moves the cart along with the customer; items the new store doesn't sell are dropped
+  const chooseStore = async (key) => {
+    setStoreKey(key);
+    setStoreNotice(null);
+    try {
+      const response = await fetch(`${API_URL}/cart/${sessionId}/store`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json', ...authHeaders },
+        body: JSON.stringify({ store: key })
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error.message || 'Failed to move cart');
+      setCart(data.cart.items);
+      setCartVersion(data.cart.version);
+      if (data.skipped.length > 0) {
+        const name = (stores.find(store => store.key === key) || {}).name;
+        setStoreNotice(`Not available at ${name}, so taken out of your cart: ${data.skipped.map(line => line.name).join(', ')}`);
+      }
+      // prices, and so the discount, can differ between stores
+      if (appliedPromo) await applyPromoCode(appliedPromo.code, { silent: true });
+    } catch (err) {
+      console.error('Error moving cart:', err);
+      setStoreNotice('Could not move your cart to this store. Please try again.');
     }
   };
 
   const fetchCart = async () => {
     try {
-      const response = await fetch(`${API_URL}/cart/${sessionId}`);
+      const response = await fetch(`${API_URL}/cart/${sessionId}`, { headers: authHeaders });
+      if (response.status === 401 || response.status === 403) {
+        // the cart belongs to an account this browser is no longer signed in to (signed
+        // out elsewhere or expired), carry on as a new anonymous visitor
+        forgetAccount();
+        return;
+      }
       if (!response.ok) throw new Error('Failed to fetch cart');
       const data = await response.json();
       setCart(data.items || []);
+      setCartVersion(data.version);
+      // a cart started on another device keeps its store
+      if (data.store) setStoreKey(data.store);
+      if (data.promoCode) applyPromoCode(data.promoCode, { silent: true });
     } catch (err) {
       console.error('Error fetching cart:', err);
     }
   };
 
-  const syncCartToBackend = async (updatedCart) => {
+  // validates the code against the cart on the server, which also remembers it for checkout.
+  // silent re-checks after cart changes drop a code that no longer applies.
+  const applyPromoCode = async (code, { silent = false, session = sessionId, headers = authHeaders } = {}) => {
     try {
-      await fetch(`${API_URL}/cart/${sessionId}`, {
+      const response = await fetch(`${API_URL}/cart/${session}/promo`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ items: updatedCart })
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify({ code })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        setAppliedPromo(null);
+        setPromoError((data.error.fields && data.error.fields.promoCode) || data.error.message);
+        if (silent) await fetch(`${API_URL}/cart/${session}/promo`, { method: 'DELETE', headers });
+        return;
+      }
+      setAppliedPromo({ code: data.cart.promoCode, pricing: data.pricing });
+      setPromoInput('');
+      setPromoError(null);
+    } catch (err) {
+      console.error('Error applying promo code:', err);
+      if (!silent) setPromoError('Could not apply promo code. Please try again.');
+    }
+  };
+
+  const removePromoCode = async () => {
+    setAppliedPromo(null);
+    setPromoError(null);
+    try {
+      await fetch(`${API_URL}/cart/${sessionId}/promo`, { method: 'DELETE', headers: authHeaders });
+    } catch (err) {
+      console.error('Error removing promo code:', err);
+    }
+  };
+
+  // sends one line change and adopts the cart the server returns. a 409 means another
+  // tab changed the cart first; the error carries the current cart, so show that instead.
+  const sendCartChange = async (path, method, body) => {
+    try {
+      const response = await fetch(`${API_URL}/cart/${sessionId}${path}`, {
+        method,
+        headers: { 'Content-Type': 'application/json', ...authHeaders },
+        body: body && JSON.stringify(body)
       });
+      const data = await response.json();
+      const serverCart = response.ok ? data : data.error.cart;
+      if (serverCart) {
+        setCart(serverCart.items);
+        setCartVersion(serverCart.version);
+      }
+      setCartError(response.ok ? null : data.error.message);
+      // the discount depends on what's in the cart
+      if (response.ok && appliedPromo) await applyPromoCode(appliedPromo.code, { silent: true });
     } catch (err) {
-      console.error('Error syncing cart:', err);
+      console.error('Error updating cart:', err);
+      setCartError('Could not update your cart. Please try again.');
     }
   };
 
-  const addToCart = (item) => {
-    const existingItem = cart.find(cartItem => cartItem.name === item.name);
-    let updatedCart;
+  const openCustomizer = (item) => {
+    if (!item.modifierGroups || item.modifierGroups.length === 0) {
+      addToCart(item, []);
+      return;
+    }
     
-    if (existingItem) {
-      updatedCart = cart.map(cartItem =>
-        cartItem.name === item.name
-          ? { ...cartItem, quantity: cartItem.quantity + 1 }
-          : cartItem
-      );
+    const defaults = {};
+    item.modifierGroups.forEach(group => {
+      defaults[group.name] = group.options.filter(option => option.default).map(option => option.name);
+    });
+    setSelectedOptions(defaults);
+    setCustomizingItem(item);
+  };
+
+  const toggleOption = (group, optionName) => {
+    const current = selectedOptions[group.name] || [];
+    let next;
+    
+    if (current.includes(optionName)) {
+      next = current.filter(name => name !== optionName);
+    } else if (group.selection === 'single') {
+      next = [optionName];
+    } else if (current.length < group.max) {
+      next = [...current, optionName];
     } else {
-      updatedCart = [...cart, { name: item.name, price: item.price, quantity: 1 }];
+      return;
     }
     
-    setCart(updatedCart);
-    syncCartToBackend(updatedCart);
+    setSelectedOptions({ ...selectedOptions, [group.name]: next });
   };
 
-  const updateQuantity = (name, change) => {
-    const updatedCart = cart.map(item =>
-      item.name === name
-        ? { ...item, quantity: Math.max(0, item.quantity + change) }
-        : item
-    ).filter(item => item.quantity > 0);
-    
-    setCart(updatedCart);
-    syncCartToBackend(updatedCart);
+  // modifiers in menu order, matching how the server normalizes them
+  const getSelectedModifiers = (item) =>
+    item.modifierGroups.flatMap(group =>
+      group.options
+        .filter(option => (selectedOptions[group.name] || []).includes(option.name))
+        .map(option => ({ group: group.name, option: option.name, priceDelta: option.priceDelta }))
+    );
+
+  const isCustomizationValid = (item) =>
+    item.modifierGroups.every(group => (selectedOptions[group.name] || []).length >= group.min);
+
+  // adding is safe to repeat from any tab, so it doesn't send the version;
+  // the server merges it into a line with the same choices
+  const addToCart = (item, modifiers) => {
+    sendCartChange('/items', 'POST', {
+      menuItemId: item._id,
+      modifiers: modifiers.map(({ group, option }) => ({ group, option })),
+      quantity: 1
+    });
+  };
+
+  // quantity changes and removals show straight away and are confirmed by the server
+  const updateQuantity = (line, change) => {
+    const quantity = line.quantity + change;
+    if (quantity <= 0) {
+      removeFromCart(line);
+      return;
+    }
+    setCart(cart.map(item => (item._id === line._id ? { ...item, quantity } : item)));
+    sendCartChange(`/items/${line._id}`, 'PATCH', { quantity, version: cartVersion });
   };
 
-  const removeFromCart = (name) => {
-    const updatedCart = cart.filter(item => item.name !== name);
-    setCart(updatedCart);
-    syncCartToBackend(updatedCart);
+  const removeFromCart = (line) => {
+    setCart(cart.filter(item => item._id !== line._id));
+    sendCartChange(`/items/${line._id}?version=${cartVersion}`, 'DELETE');
   };
 
   const clearCart = async () => {
     if (window.confirm('Are you sure you want to remove all items from your cart?')) {
       setCart([]);
+      setCartVersion(undefined);
+      setAppliedPromo(null);
       try {
-        await fetch(`${API_URL}/cart/${sessionId}`, { method: 'DELETE' });
+        await fetch(`${API_URL}/cart/${sessionId}`, { method: 'DELETE', headers: authHeaders });
       } catch (err) {
         console.error('Error clearing cart:', err);
       }
     }
   };
 
+  const startCheckout = () => {
+    setIsCartOpen(false);
+    setCheckoutStep(0);
+    setCheckoutErrors({});
+    setCheckoutError(null);
+    setCurrentPage('checkout');
+  };
+
+  const nextCheckoutStep = () => {
+    if (checkoutStep === 1) {
+      const errors = validateContact(checkoutForm);
+      setCheckoutErrors(errors);
+      if (Object.keys(errors).length > 0) return;
+    }
+    if (checkoutStep === 2 && checkoutForm.pickupTime === 'later' && !checkoutForm.scheduledFor) {
+      setCheckoutErrors({ scheduledFor: 'Choose a pickup time' });
+      return;
+    }
+    setCheckoutStep(checkoutStep + 1);
+  };
+
+  const updateCheckoutField = (field, value) => {
+    setCheckoutForm({ ...checkoutForm, [field]: value });
+  };
+
   const checkout = async () => {
-    if (cart.length === 0) return;
-    
-    const total = cart.reduce((sum, item) => sum + (item.price * item.quantity), 0);
+    if (cart.length === 0 || isPlacingOrder) return;
     
-    // simple checkout, collects customer info
     const customerInfo = {
-      name: 'Guest Customer',
-      email: 'guest@example.com',
-      phone: '555-0000'
+      name: checkoutForm.name.trim(),
+      phone: checkoutForm.phone.trim(),
+      email: checkoutForm.email.trim() || undefined
     };
     
+    const body = JSON.stringify({
+      // prices are resolved on the server, only send what was ordered
+      items: cart.map(({ menuItemId, quantity, modifiers = [] }) => ({
+        menuItemId,
+        quantity,
+        modifiers: modifiers.map(({ group, option }) => ({ group, option }))
+      })),
+      customerInfo,
+      orderType: checkoutForm.orderType,
+      scheduledFor: checkoutForm.pickupTime === 'later' ? checkoutForm.scheduledFor : undefined,
+      promoCode: appliedPromo ? appliedPromo.code : undefined,
+      notes: checkoutForm.notes.trim() || undefined,
+      store: storeHours.key,
+      sessionId
+    });
+    // retrying the same order (say after a dropped connection) reuses its key,
+    // so the server hands back the order it already placed instead of a second one
+    if (!checkoutAttempt.current || checkoutAttempt.current.body !== body) {
+      checkoutAttempt.current = { body, key: newIdempotencyKey() };
+    }
+    
+    setIsPlacingOrder(true);
     try {
       const response = await fetch(`${API_URL}/orders`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          items: cart,
-          totalPrice: total,
-          customerInfo,
-          sessionId
-        })
+        headers: { 'Content-Type': 'application/json', 'Idempotency-Key': checkoutAttempt.current.key, ...authHeaders },
+        body
       });
       
-      if (!response.ok) throw new Error('Failed to place order');
-      
-      const order = await response.json();
-      alert(`Thank you for your order!\n\nOrder ID: ${order._id}\nTotal: $${total.toFixed(2)}\n\nYour order will be ready soon!`);
+      const data = await response.json();
+      if (!response.ok) {
+        const { fields, problems, message } = data.error;
+        // send the customer back to whichever step has the problem
+        if (fields) {
+          setCheckoutErrors(fields);
+          setCheckoutStep(fields.notes || fields.orderType || fields.scheduledFor ? 2 : 1);
+        } else if (problems) {
+          setCheckoutStep(0);
+        }
+        if (fields && fields.promoCode) {
+          setAppliedPromo(null);
+          setPromoError(fields.promoCode);
+          setCheckoutStep(0);
+        }
+        const reasons = problems ? problems.map(problem => problem.reason).join('. ') : '';
+        setCheckoutError(reasons || message || 'Failed to place order');
+        return;
+      }
       
+      checkoutAttempt.current = null;
       setCart([]);
-      setIsCartOpen(false);
+      setCartVersion(undefined);
+      setAppliedPromo(null);
+      setPlacedOrder(data);
+      setCheckoutForm(EMPTY_CHECKOUT_FORM);
+      setCheckoutError(null);
+      localStorage.setItem('trackingOrderId', data._id);
+      setTrackingOrderId(data._id);
+      setTrackedOrder(data);
+      setPaymentError(null);
+      setCheckoutStep(PAYMENT_STEP);
     } catch (err) {
       console.error('Error placing order:', err);
-      alert('Failed to place order. Please try again.');
+      setCheckoutError('Failed to place order. Please try again.');
+    } finally {
+      setIsPlacingOrder(false);
+    }
+  };
+
+  // the order is already placed, so a retry after a decline only charges it again
+  const payForOrder = async (e) => {
+    e.preventDefault();
+    if (!placedOrder || isPaying) return;
+    
+    setIsPaying(true);
+    try {
+      const response = await fetch(`${API_URL}/orders/${placedOrder._id}/payment`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ paymentMethod: cardNumber })
+      });
+      const data = await response.json();
+      // already_paid: an earlier attempt went through but its response never arrived
+      if (!response.ok && data.error.code !== 'already_paid') {
+        setPaymentError(data.error.message || 'Payment failed');
+        return;
+      }
+      
+      // guests get the order back without their own details, so keep the ones placing it returned
+      const paidOrder = response.ok ? { ...placedOrder, ...data } : { ...placedOrder, paymentStatus: 'paid' };
+      setPlacedOrder(paidOrder);
+      setTrackedOrder(paidOrder);
+      setCardNumber('');
+      setPaymentError(null);
+      setCurrentPage('confirmation');
+    } catch (err) {
+      console.error('Error paying for order:', err);
+      setPaymentError('Could not reach the payment service. Please try again.');
+    } finally {
+      setIsPaying(false);
+    }
+  };
+
+  // back to the payment step for an order that was placed but never paid
+  const resumePayment = (order) => {
+    setPlacedOrder(order);
+    setPaymentError(null);
+    setCheckoutStep(PAYMENT_STEP);
+    setCurrentPage('checkout');
+  };
+
+  // switch to a cart the server handed over (the account's cart after signing in or
+  // reordering), including its session id so later cart calls go to it
+  const adoptCart = (serverCart, token = authToken) => {
+    localStorage.setItem('sessionId', serverCart.sessionId);
+    setSessionId(serverCart.sessionId);
+    setCart(serverCart.items);
+    setCartVersion(serverCart.version);
+    setAppliedPromo(null);
+    if (serverCart.promoCode) {
+      applyPromoCode(serverCart.promoCode, {
+        silent: true,
+        session: serverCart.sessionId,
+        headers: { Authorization: `Bearer ${token}` }
+      });
+    }
+  };
+
+  // the server merges this browser's cart into the account's when told which session it is
+  const signIn = (data) => {
+    localStorage.setItem('authToken', data.token);
+    localStorage.setItem('authUser', JSON.stringify(data.user));
+    setAuthToken(data.token);
+    setCurrentUser(data.user);
+    if (data.cart) adoptCart(data.cart, data.token);
+  };
+
+  const login = async (e) => {
+    e.preventDefault();
+    try {
+      const response = await fetch(`${API_URL}/auth/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...loginForm, sessionId })
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error.message || 'Login failed');
+      
+      signIn(data);
+      setLoginForm({ email: '', password: '' });
+      setLoginError(null);
+    } catch (err) {
+      setLoginError(err.message);
+    }
+  };
+
+  const register = async (e) => {
+    e.preventDefault();
+    try {
+      const response = await fetch(`${API_URL}/auth/register`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...registerForm, sessionId })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        setRegisterErrors(data.error.fields || { form: data.error.message });
+        return;
+      }
+      
+      signIn(data);
+      setRegisterForm({ name: '', email: '', password: '' });
+      setRegisterErrors({});
+    } catch (err) {
+      console.error('Error registering:', err);
+      setRegisterErrors({ form: 'Could not create your account. Please try again.' });
     }
   };
 
+  // the account's cart stays with the account, so this browser starts over with a new session
+  const forgetAccount = () => {
+    localStorage.removeItem('authToken');
+    localStorage.removeItem('authUser');
+    localStorage.removeItem('sessionId');
+    setAuthToken(null);
+    setCurrentUser(null);
+    setSessionId(getSessionId());
+    setCart([]);
+    setCartVersion(undefined);
+    setAppliedPromo(null);
+    setOrderHistory(null);
+  };
+
+  const logout = async () => {
+    try {
+      await fetch(`${API_URL}/auth/logout`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${authToken}` }
+      });
+    } catch (err) {
+      console.error('Error logging out:', err);
+    }
+    forgetAccount();
+    setCurrentPage('home');
+  };
+
+  const loadMoreOrders = async () => {
+    try {
+      const cursor = encodeURIComponent(orderHistory.nextCursor);
+      const response = await fetch(`${API_URL}/me/orders?limit=${ORDER_HISTORY_PAGE_SIZE}&cursor=${cursor}`, {
+        headers: authHeaders
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error.message || 'Failed to load your orders');
+      setOrderHistory(prev => ({ orders: [...prev.orders, ...data.data], nextCursor: data.paging.nextCursor }));
+    } catch (err) {
+      console.error('Error fetching order history:', err);
+      setAccountNotice(err.message);
+    }
+  };
+
+  // items are priced again from today's menu; anything that can't be ordered any more is left out
+  const reorder = async (order) => {
+    try {
+      const response = await fetch(`${API_URL}/me/orders/${order._id}/reorder`, {
+        method: 'POST',
+        headers: authHeaders
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error.message || 'Could not reorder');
+      
+      adoptCart(data.cart);
+      setAccountNotice(data.skipped.length > 0
+        ? `Some items couldn't be added: ${data.skipped.map(line => `${line.name} (${line.reason})`).join(', ')}`
+        : null);
+      setIsCartOpen(true);
+    } catch (err) {
+      console.error('Error reordering:', err);
+      setAccountNotice(err.message);
+    }
+  };
+
+  const bumpOrder = async (order) => {
+    const status = NEXT_STATUS[order.status];
+    if (!status) return;
+    
+    try {
+      const response = await fetch(`${API_URL}/orders/${order._id}/status`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${authToken}` },
+        body: JSON.stringify({ status })
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error.message || 'Failed to update order');
+      
+      setKitchenOrders(prev => {
+        const others = prev.filter(o => o._id !== data._id);
+        return KITCHEN_COLUMNS.includes(data.status) ? [...others, data] : others;
+      });
+      setKitchenError(null);
+    } catch (err) {
+      console.error('Error bumping order:', err);
+      setKitchenError(err.message);
+    }
+  };
+
+  // oldest first inside each column, columns left to right
+  const kitchenTickets = KITCHEN_COLUMNS.flatMap(status =>
+    kitchenOrders
+      .filter(order => order.status === status)
+      .sort((a, b) => new Date(a.orderDate) - new Date(b.orderDate))
+  );
+
+  const handleKitchenKey = (e) => {
+    if (kitchenTickets.length === 0) return;
+    const idx = kitchenTickets.findIndex(order => order._id === selectedTicketId);
+    
+    if (['ArrowRight', 'ArrowDown'].includes(e.key)) {
+      e.preventDefault();
+      setSelectedTicketId(kitchenTickets[Math.min(idx + 1, kitchenTickets.length - 1)]._id);
+    } else if (['ArrowLeft', 'ArrowUp'].includes(e.key)) {
+      e.preventDefault();
+      setSelectedTicketId(kitchenTickets[Math.max(idx - 1, 0)]._id);
+    } else if ((e.key === 'Enter' || e.key === ' ') && idx !== -1) {
+      e.preventDefault();
+      bumpOrder(kitchenTickets[idx]);
+    }
+  };
+
+  // sends an authenticated JSON request and throws with the server's message on failure
+  const adminRequest = async (path, method, body) => {
+    const response = await fetch(`${API_URL}${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${authToken}` },
+      body: body && JSON.stringify(body)
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      const { fields, message } = data.error;
+      // field problems say more than the generic message
+      throw new Error(fields ? Object.values(fields).join('. ') : message || 'Request failed');
+    }
+    return data;
+  };
+
+  // the export needs the auth header, so fetch it and hand the browser a blob to save
+  const downloadReport = async () => {
+    try {
+      const response = await fetch(
+        `${API_URL}/reports/export?from=${reportRange.from}&to=${reportRange.to}${reportRange.store ? `&store=${reportRange.store}` : ''}`,
+        { headers: { Authorization: `Bearer ${authToken}` } }
+      );
+      if (!response.ok) throw new Error((await response.json()).error.message || 'Export failed');
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `orders-${reportRange.store ? `${reportRange.store}-` : ''}${reportRange.from}-to-${reportRange.to}.csv`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('Error exporting orders:', err);
+      setReportError(err.message);
+    }
+  };
+
+  // reload both the admin table and the public menu after a change
+  const refreshMenus = () => {
+    setAdminRefresh(count => count + 1);
+  };
+
+  const openItemForm = (item) => {
+    setEditingItemId(item ? item._id : null);
+    setItemForm(item
+      ? {
+          name: item.name,
+          description: item.description,
+          price: String(item.price),
+          category: item.category || '',
+          imageUrl: item.imageUrl || '',
+          available: item.available
+        }
+      : EMPTY_ITEM_FORM);
+    setItemFormErrors({});
+  };
+
+  const saveItem = async (e) => {
+    e.preventDefault();
+    const errors = validateItemForm(itemForm);
+    setItemFormErrors(errors);
+    if (Object.keys(errors).length > 0) return;
+    
+    const body = {
+      name: itemForm.name.trim(),
+      description: itemForm.description.trim(),
+      price: Number(itemForm.price),
+      category: itemForm.category.trim() || 'main',
+      imageUrl: itemForm.imageUrl.trim() || undefined,
+      available: itemForm.available
+    };
+    
+    try {
+      if (editingItemId) {
+        await adminRequest(`/menu/${editingItemId}`, 'PUT', body);
+      } else {
+        await adminRequest('/menu', 'POST', body);
+      }
+      setItemForm(null);
+      setAdminError(null);
+      refreshMenus();
+    } catch (err) {
+      setAdminError(err.message);
+    }
+  };
+
+  const toggleAvailability = async (item) => {
+    try {
+      const path = isChainManager ? `/menu/${item._id}` : `/stores/${kitchenStoreKey}/menu/${item._id}`;
+      await adminRequest(path, 'PUT', { available: !item.available });
+      refreshMenus();
+    } catch (err) {
+      setAdminError(err.message);
+    }
+  };
+
+  const deleteItem = async (item) => {
+    if (!window.confirm(`Delete ${item.name} from the menu?`)) return;
+    try {
+      await adminRequest(`/menu/${item._id}`, 'DELETE');
+      refreshMenus();
+    } catch (err) {
+      setAdminError(err.message);
+    }
+  };
+
+  const renameCategory = async (name) => {
+    const newName = (categoryEdits[name] || '').trim();
+    if (!newName || newName === name) return;
+    try {
+      await adminRequest(`/admin/menu/categories/${encodeURIComponent(name)}`, 'PUT', { name: newName });
+      setCategoryEdits({ ...categoryEdits, [name]: undefined });
+      refreshMenus();
+    } catch (err) {
+      setAdminError(err.message);
+    }
+  };
+
+  const sortAdminBy = (key) => {
+    setAdminSort(prev => ({ key, dir: prev.key === key ? -prev.dir : 1 }));
+  };
+
+  // store managers see each item as their store sells it
+  const adminStoreName = (staffStores.find(store => store.key === kitchenStoreKey) || {}).name || 'your store';
+  const adminRows = isChainManager ? adminItems : adminItems.map(item => {
+    const override = (item.storeOverrides || []).find(o => o.store === kitchenStoreKey) || {};
+    return {
+      ...item,
+      price: override.price ?? item.price,
+      available: item.available && override.available !== false,
+      offEverywhere: !item.available
+    };
+  });
+
+  const sortedAdminItems = [...adminRows].sort((a, b) => {
+    const left = a[adminSort.key];
+    const right = b[adminSort.key];
+    if (left === right) return a.name.localeCompare(b.name);
+    if (typeof left === 'string') return left.localeCompare(right) * adminSort.dir;
+    return (left > right ? 1 : -1) * adminSort.dir;
+  });
+
   const totalItems = cart.reduce((sum, item) => sum + item.quantity, 0);
   const totalPrice = cart.reduce((sum, item) => sum + (item.price * item.quantity), 0);
 
@@ -180,7 +1170,7 @@ const App = () => {
           <div className="logo">In-N-Out Burger</div>
           
           <nav className={`nav ${isMobileMenuOpen ? 'nav-open' : ''}`}>
-            {['home', 'menu', 'about', 'contact'].map(page => (
+            {['home', 'menu', 'about', 'contact', ...(trackingOrderId ? ['track'] : []), 'account', ...(isStaff ? ['kitchen'] : []), ...(isManager ? ['admin', 'reports'] : [])].map(page => (
               <button
                 key={page}
                 onClick={() => {
@@ -239,6 +1229,8 @@ const App = () => {
         {currentPage === 'menu' && (
           <div className="menu-page">
             <h1>Our Menu</h1>
+            <StorePicker stores={stores} value={storeHours.key} onChange={chooseStore} />
+            {storeNotice && <div className="error-message">{storeNotice}</div>}
             {error && <div className="error-message">{error}</div>}
             {loading ? (
               <div className="loading">Loading menu...</div>
@@ -249,7 +1241,7 @@ const App = () => {
                     <h2>{item.name}</h2>
                     <p>{item.description}</p>
                     <p className="price">${item.price.toFixed(2)}</p>
-                    <button onClick={() => addToCart(item)} className="add-btn">
+                    <button onClick={() => openCustomizer(item)} className="add-btn">
                       Add to Cart
                     </button>
                   </div>
@@ -259,6 +1251,680 @@ const App = () => {
           </div>
         )}
 
+        {currentPage === 'checkout' && (
+          <div className="track-page">
+            <h1>Checkout</h1>
+            <ol className="checkout-progress">
+              {CHECKOUT_STEPS.map((label, idx) => (
+                <li key={label} className={idx === checkoutStep ? 'current' : idx < checkoutStep ? 'done' : ''}>
+                  {label}
+                </li>
+              ))}
+            </ol>
+            <div className="track-card">
+              {checkoutError && <div className="error-message">{checkoutError}</div>}
+
+              {checkoutStep === PAYMENT_STEP && placedOrder ? (
+                <form onSubmit={payForOrder}>
+                  <p className="confirmation-lead">Order {orderLabel(placedOrder)} placed. Pay ${placedOrder.totalPrice.toFixed(2)} to send it to the kitchen.</p>
+                  <div className="form-group">
+                    <label htmlFor="payment-card">Card number:</label>
+                    <input
+                      id="payment-card"
+                      inputMode="numeric"
+                      autoComplete="cc-number"
+                      placeholder="4242 4242 4242 4242"
+                      value={cardNumber}
+                      onChange={(e) => setCardNumber(e.target.value)}
+                      required
+                    />
+                    {paymentError && <div className="field-error">{paymentError}</div>}
+                  </div>
+                  <div className="checkout-nav">
+                    <button type="submit" disabled={isPaying} className="checkout-btn">
+                      {isPaying ? 'Processing...' : `Pay $${placedOrder.totalPrice.toFixed(2)}`}
+                    </button>
+                  </div>
+                </form>
+              ) : cart.length === 0 ? (
+                <div className="empty-cart">
+                  Your cart is empty.
+                  <button onClick={() => setCurrentPage('menu')} className="submit-btn">Back to Menu</button>
+                </div>
+              ) : (
+                <>
+                  {checkoutStep === 0 && (
+                    <ul className="track-items">
+                      {cart.map(item => (
+                        <li key={item._id} className="checkout-line">
+                          <span>
+                            {item.quantity} × {item.name}
+                            {item.modifiers && item.modifiers.length > 0 && (
+                              <span className="cart-item-modifiers"> ({item.modifiers.map(m => m.option).join(', ')})</span>
+                            )}
+                          </span>
+                          <span>${(item.price * item.quantity).toFixed(2)}</span>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+
+                  {checkoutStep === 1 && (
+                    <div>
+                      {[['name', 'Name', 'text', 'name'], ['phone', 'Phone', 'tel', 'tel'], ['email', 'Email (optional)', 'email', 'email']].map(([field, label, type, autoComplete]) => (
+                        <div key={field} className="form-group">
+                          <label htmlFor={`checkout-${field}`}>{label}:</label>
+                          <input
+                            id={`checkout-${field}`}
+                            type={type}
+                            autoComplete={autoComplete}
+                            value={checkoutForm[field]}
+                            onChange={(e) => updateCheckoutField(field, e.target.value)}
+                          />
+                          {checkoutErrors[field] && <div className="field-error">{checkoutErrors[field]}</div>}
+                        </div>
+                      ))}
+                    </div>
+                  )}
+
+                  {checkoutStep === 2 && (
+                    <div>
+                      <div className="form-group">
+                        <label>How are you picking up?</label>
+                        {Object.entries(ORDER_TYPE_LABELS).map(([type, label]) => (
+                          <label key={type} className="modifier-option">
+                            <input
+                              type="radio"
+                              name="orderType"
+                              checked={checkoutForm.orderType === type}
+                              onChange={() => updateCheckoutField('orderType', type)}
+                            />
+                            {label}
+                          </label>
+                        ))}
+                        {checkoutErrors.orderType && <div className="field-error">{checkoutErrors.orderType}</div>}
+                      </div>
+                      <div className="form-group">
+                        <label>When?</label>
+                        <label className="modifier-option">
+                          <input
+                            type="radio"
+                            name="pickupTime"
+                            checked={checkoutForm.pickupTime === 'asap'}
+                            onChange={() => setCheckoutForm({ ...checkoutForm, pickupTime: 'asap', scheduledFor: '' })}
+                          />
+                          As soon as possible
+                        </label>
+                        <label className="modifier-option">
+                          <input
+                            type="radio"
+                            name="pickupTime"
+                            checked={checkoutForm.pickupTime === 'later'}
+                            onChange={() => setCheckoutForm({
+                              ...checkoutForm,
+                              pickupTime: 'later',
+                              pickupDate: checkoutForm.pickupDate || getUpcomingDates(storeHours.timezone, 1)[0].value
+                            })}
+                          />
+                          Schedule for later
+                        </label>
+                        {checkoutForm.pickupTime === 'later' && (
+                          <>
+                            <select
+                              className="pickup-date"
+                              value={checkoutForm.pickupDate}
+                              onChange={(e) => setCheckoutForm({ ...checkoutForm, pickupDate: e.target.value, scheduledFor: '' })}
+                            >
+                              {getUpcomingDates(storeHours.timezone, storeHours.maxDaysAhead + 1).map(date => (
+                                <option key={date.value} value={date.value}>{date.label}</option>
+                              ))}
+                            </select>
+                            {pickupSlots.length === 0 ? (
+                              <p className="cart-tax-note">No pickup times left on this day.</p>
+                            ) : (
+                              <div className="pickup-slots">
+                                {pickupSlots.map(slot => (
+                                  <button
+                                    key={slot.start}
+                                    type="button"
+                                    disabled={!slot.available}
+                                    onClick={() => updateCheckoutField('scheduledFor', slot.start)}
+                                    className={`pickup-slot ${checkoutForm.scheduledFor === slot.start ? 'selected' : ''}`}
+                                  >
+                                    {formatSlotTime(slot.start, storeHours.timezone)}
+                                  </button>
+                                ))}
+                              </div>
+                            )}
+                          </>
+                        )}
+                        {checkoutErrors.scheduledFor && <div className="field-error">{checkoutErrors.scheduledFor}</div>}
+                      </div>
+                      <div className="form-group">
+                        <label htmlFor="checkout-notes">Special instructions:</label>
+                        <textarea
+                          id="checkout-notes"
+                          rows="3"
+                          maxLength={500}
+                          placeholder="Anything the kitchen should know?"
+                          value={checkoutForm.notes}
+                          onChange={(e) => updateCheckoutField('notes', e.target.value)}
+                        />
+                        {checkoutErrors.notes && <div className="field-error">{checkoutErrors.notes}</div>}
+                      </div>
+                    </div>
+                  )}
+
+                  {checkoutStep === 3 && (
+                    <div className="checkout-summary">
+                      <p><strong>{checkoutForm.name}</strong> · {checkoutForm.phone}{checkoutForm.email && ` · ${checkoutForm.email}`}</p>
+                      <p>
+                        {ORDER_TYPE_LABELS[checkoutForm.orderType]} · {checkoutForm.pickupTime === 'later' && checkoutForm.scheduledFor
+                          ? formatSlotTime(checkoutForm.scheduledFor, storeHours.timezone)
+                          : 'As soon as possible'}
+                      </p>
+                      {checkoutForm.notes && <p className="ticket-notes">{checkoutForm.notes}</p>}
+                      <p>{totalItems} item{totalItems === 1 ? '' : 's'} · Subtotal ${totalPrice.toFixed(2)}</p>
+                      {appliedPromo && (
+                        <p className="cart-discount">
+                          {appliedPromo.code}: −${appliedPromo.pricing.discountTotal.toFixed(2)}
+                        </p>
+                      )}
+                      <p className="cart-tax-note">Tax is calculated when you place the order</p>
+                    </div>
+                  )}
+
+                  <div className="checkout-nav">
+                    {checkoutStep > 0 && (
+                      <button onClick={() => setCheckoutStep(checkoutStep - 1)} className="qty-btn admin-btn">Back</button>
+                    )}
+                    {checkoutStep < CHECKOUT_STEPS.length - 1 ? (
+                      <button onClick={nextCheckoutStep} className="checkout-btn">Continue</button>
+                    ) : (
+                      <button onClick={checkout} disabled={isPlacingOrder} className="checkout-btn">
+                        {isPlacingOrder ? 'Placing Order...' : 'Place Order'}
+                      </button>
+                    )}
+                  </div>
+                </>
+              )}
+            </div>
+          </div>
+        )}
+
+        {currentPage === 'confirmation' && placedOrder && (
+          <div className="track-page">
+            <h1>Thank You!</h1>
+            <div className="track-card">
+              <p className="confirmation-lead">
+                {placedOrder.customerInfo.name}, your order has been received.
+              </p>
+              <p className="track-order-id">Order {orderLabel(placedOrder)}</p>
+              {placedOrder.scheduledFor && (
+                <p className="confirmation-lead">Pickup at {formatSlotTime(placedOrder.scheduledFor, storeHours.timezone)}</p>
+              )}
+              {stores.filter(store => store.key === placedOrder.store).map(store => (
+                <p key={store.key}>{[store.name, ...formatAddress(store.address)].join(' · ')}</p>
+              ))}
+              <p>{ORDER_TYPE_LABELS[placedOrder.orderType]} · We'll call {formatPhone(placedOrder.customerInfo.phone)} if anything comes up.</p>
+              <ul className="track-items">
+                {placedOrder.items.map((item, idx) => (
+                  <li key={idx} className="checkout-line">
+                    <span>
+                      {item.quantity} × {item.name}
+                      {item.modifiers && item.modifiers.length > 0 && (
+                        <span className="cart-item-modifiers"> ({item.modifiers.map(m => m.option).join(', ')})</span>
+                      )}
+                    </span>
+                    <span>${item.lineTotal.toFixed(2)}</span>
+                  </li>
+                ))}
+              </ul>
+              <div className="checkout-line"><span>Subtotal</span><span>${placedOrder.subtotal.toFixed(2)}</span></div>
+              {placedOrder.discounts.map(discount => (
+                <div key={discount.code} className="checkout-line cart-discount">
+                  <span>{discount.description} ({discount.code})</span>
+                  <span>−${discount.amount.toFixed(2)}</span>
+                </div>
+              ))}
+              <div className="checkout-line"><span>Tax</span><span>${placedOrder.tax.toFixed(2)}</span></div>
+              <div className="cart-total">Total: ${placedOrder.totalPrice.toFixed(2)}</div>
+              <p className="receipt-links">
+                Receipt: <a href={`${API_URL}/orders/${placedOrder._id}/receipt`} target="_blank" rel="noopener noreferrer">view &amp; print</a>
+                {' · '}
+                <a href={`${API_URL}/orders/${placedOrder._id}/receipt?format=pdf`} target="_blank" rel="noopener noreferrer">PDF</a>
+              </p>
+              <button onClick={() => setCurrentPage('track')} className="checkout-btn">Track Your Order</button>
+            </div>
+          </div>
+        )}
+
+        {currentPage === 'track' && (
+          <div className="track-page">
+            <h1>Track Your Order</h1>
+            {!trackedOrder ? (
+              <div className="loading">Loading your order...</div>
+            ) : (
+              <div className="track-card">
+                <p className="track-order-id">Order {orderLabel(trackedOrder)}</p>
+                {trackedOrder.status === 'cancelled' ? (
+                  <div className="error-message">
+                    This order was cancelled.{trackedOrder.paymentStatus === 'refunded' && ' Your payment has been refunded.'}
+                  </div>
+                ) : (
+                  <ol className="track-steps">
+                    {ORDER_STEPS.map((step, idx) => {
+                      const currentIdx = ORDER_STEPS.indexOf(trackedOrder.status);
+                      const stepState = idx < currentIdx ? 'done' : idx === currentIdx ? 'current' : '';
+                      return (
+                        <li key={step} className={`track-step ${stepState}`}>
+                          {STATUS_LABELS[step]}
+                        </li>
+                      );
+                    })}
+                  </ol>
+                )}
+                <ul className="track-items">
+                  {trackedOrder.items.map((item, idx) => (
+                    <li key={idx}>
+                      {item.quantity} × {item.name}
+                      {item.modifiers && item.modifiers.length > 0 && (
+                        <span className="cart-item-modifiers"> ({item.modifiers.map(m => m.option).join(', ')})</span>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+                <div className="cart-total">Total: ${trackedOrder.totalPrice.toFixed(2)}</div>
+                {['unpaid', 'failed'].includes(trackedOrder.paymentStatus) && trackedOrder.status === 'pending' && (
+                  <div className="payment-due">
+                    This order hasn't been paid yet, so the kitchen can't start on it.
+                    <button onClick={() => resumePayment(trackedOrder)} className="checkout-btn">Pay Now</button>
+                  </div>
+                )}
+                {!isTrackingLive && !['delivered', 'cancelled'].includes(trackedOrder.status) && (
+                  <p className="track-offline">Connecting for live updates...</p>
+                )}
+              </div>
+            )}
+          </div>
+        )}
+
+        {currentPage === 'account' && (
+          <div className="account-page">
+            {!authToken ? (
+              <div className="account-forms">
+                <form className="login-form" onSubmit={login}>
+                  <h1>Sign In</h1>
+                  <p>Your cart and past orders follow you to any device.</p>
+                  {loginError && <div className="error-message">{loginError}</div>}
+                  <div className="form-group">
+                    <label htmlFor="account-email">Email:</label>
+                    <input
+                      id="account-email"
+                      type="email"
+                      value={loginForm.email}
+                      onChange={(e) => setLoginForm({ ...loginForm, email: e.target.value })}
+                      required
+                    />
+                  </div>
+                  <div className="form-group">
+                    <label htmlFor="account-password">Password:</label>
+                    <input
+                      id="account-password"
+                      type="password"
+                      value={loginForm.password}
+                      onChange={(e) => setLoginForm({ ...loginForm, password: e.target.value })}
+                      required
+                    />
+                  </div>
+                  <button type="submit" className="submit-btn">Sign In</button>
+                </form>
+
+                <form className="login-form" onSubmit={register}>
+                  <h1>Create an Account</h1>
+                  {registerErrors.form && <div className="error-message">{registerErrors.form}</div>}
+                  {[
+                    ['name', 'Name', 'text'],
+                    ['email', 'Email', 'email'],
+                    ['password', 'Password', 'password']
+                  ].map(([field, label, type]) => (
+                    <div key={field} className="form-group">
+                      <label htmlFor={`register-${field}`}>{label}:</label>
+                      <input
+                        id={`register-${field}`}
+                        type={type}
+                        value={registerForm[field]}
+                        onChange={(e) => setRegisterForm({ ...registerForm, [field]: e.target.value })}
+                        required
+                      />
+                      {registerErrors[field] && <div className="field-error">{registerErrors[field]}</div>}
+                    </div>
+                  ))}
+                  <button type="submit" className="submit-btn">Create Account</button>
+                </form>
+              </div>
+            ) : (
+              <>
+                <div className="kitchen-header">
+                  <h1>Hi, {currentUser.name}</h1>
+                  <button onClick={logout} className="clear-btn">Log Out</button>
+                </div>
+                {accountNotice && <div className="error-message">{accountNotice}</div>}
+
+                <section className="order-history">
+                  <h2>Your Orders</h2>
+                  {!orderHistory ? (
+                    <p>Loading your orders...</p>
+                  ) : orderHistory.orders.length === 0 ? (
+                    <p>You haven't ordered while signed in yet.</p>
+                  ) : (
+                    <>
+                      {orderHistory.orders.map(order => (
+                        <div key={order._id} className="history-order">
+                          <div className="history-order-header">
+                            <span>{orderLabel(order)} · {new Date(order.orderDate).toLocaleString()}</span>
+                            <span className="history-order-status">{STATUS_LABELS[order.status]}</span>
+                            <span>${order.totalPrice.toFixed(2)}</span>
+                          </div>
+                          <ul className="track-items">
+                            {order.items.map(item => (
+                              <li key={item._id}>
+                                {item.quantity} × {item.name}
+                                {item.modifiers && item.modifiers.length > 0 && (
+                                  <span className="cart-item-modifiers"> ({item.modifiers.map(m => m.option).join(', ')})</span>
+                                )}
+                              </li>
+                            ))}
+                          </ul>
+                          <button onClick={() => reorder(order)} className="qty-btn admin-btn">Reorder</button>
+                        </div>
+                      ))}
+                      {orderHistory.nextCursor && (
+                        <button onClick={loadMoreOrders} className="clear-btn">Show older orders</button>
+                      )}
+                    </>
+                  )}
+                </section>
+              </>
+            )}
+          </div>
+        )}
+
+        {currentPage === 'kitchen' && (
+          <div className="kitchen-page">
+            {!isStaff ? (
+              <form className="login-form" onSubmit={login}>
+                <h1>Staff Login</h1>
+                {loginError && <div className="error-message">{loginError}</div>}
+                <div className="form-group">
+                  <label htmlFor="login-email">Email:</label>
+                  <input
+                    id="login-email"
+                    type="email"
+                    value={loginForm.email}
+                    onChange={(e) => setLoginForm({ ...loginForm, email: e.target.value })}
+                    required
+                  />
+                </div>
+                <div className="form-group">
+                  <label htmlFor="login-password">Password:</label>
+                  <input
+                    id="login-password"
+                    type="password"
+                    value={loginForm.password}
+                    onChange={(e) => setLoginForm({ ...loginForm, password: e.target.value })}
+                    required
+                  />
+                </div>
+                <button type="submit" className="submit-btn">Log In</button>
+              </form>
+            ) : (
+              <>
+                <div className="kitchen-header">
+                  <h1>Kitchen</h1>
+                  <StorePicker stores={staffStores} value={kitchenStoreKey} onChange={chooseStore} />
+                  <span className="kitchen-hint">← → select · Enter bump</span>
+                  <button onClick={logout} className="clear-btn">Log Out</button>
+                </div>
+                {kitchenError && <div className="error-message">{kitchenError}</div>}
+                <div className="kitchen-board" tabIndex={0} onKeyDown={handleKitchenKey}>
+                  {KITCHEN_COLUMNS.map(status => (
+                    <section key={status} className="kitchen-column">
+                      <h2>{STATUS_LABELS[status]} ({kitchenTickets.filter(o => o.status === status).length})</h2>
+                      {kitchenTickets.filter(order => order.status === status).map(order => {
+                        const waitedMinutes = (now - new Date(order.orderDate).getTime()) / 60000;
+                        const urgency = waitedMinutes >= KITCHEN_LATE_MINUTES ? 'late' : waitedMinutes >= KITCHEN_WARN_MINUTES ? 'warn' : '';
+                        return (
+                          <div
+                            key={order._id}
+                            className={`kitchen-ticket ${urgency} ${order._id === selectedTicketId ? 'selected' : ''}`}
+                            onClick={() => setSelectedTicketId(order._id)}
+                          >
+                            <div className="ticket-header">
+                              <span className="ticket-id">{orderLabel(order)}</span>
+                              <span className="ticket-timer">{formatElapsed(order.orderDate, now)}</span>
+                            </div>
+                            {order.customerInfo && order.customerInfo.name && (
+                              <div className="ticket-customer">{order.customerInfo.name}</div>
+                            )}
+                            <ul className="ticket-items">
+                              {order.items.map((item, idx) => (
+                                <li key={idx}>
+                                  <strong>{item.quantity} × {item.name}</strong>
+                                  {item.modifiers && item.modifiers.length > 0 && (
+                                    <div className="ticket-modifiers">{item.modifiers.map(m => m.option).join(', ')}</div>
+                                  )}
+                                </li>
+                              ))}
+                            </ul>
+                            {order.notes && <div className="ticket-notes">{order.notes}</div>}
+                            {order.paymentStatus !== 'paid' && order.status === 'pending' ? (
+                              <div className="ticket-unpaid">Awaiting payment</div>
+                            ) : (
+                              <button onClick={() => bumpOrder(order)} className="bump-btn">
+                                {STATUS_LABELS[NEXT_STATUS[order.status]]} →
+                              </button>
+                            )}
+                          </div>
+                        );
+                      })}
+                    </section>
+                  ))}
+                </div>
+              </>
+            )}
+          </div>
+        )}
+
+        {currentPage === 'admin' && isManager && (
+          <div className="admin-page">
+            <div className="kitchen-header">
+              <h1>Menu Management</h1>
+              {isChainManager
+                ? <button onClick={() => openItemForm(null)} className="submit-btn">+ New Item</button>
+                : <p>Changes apply to {adminStoreName} only</p>}
+            </div>
+            {adminError && <div className="error-message">{adminError}</div>}
+
+            <table className="admin-table">
+              <thead>
+                <tr>
+                  {[['name', 'Name'], ['category', 'Category'], ['price', 'Price'], ['available', 'Available']].map(([key, label]) => (
+                    <th key={key} onClick={() => sortAdminBy(key)} className="sortable">
+                      {label} {adminSort.key === key && (adminSort.dir === 1 ? '▲' : '▼')}
+                    </th>
+                  ))}
+                  <th />
+                </tr>
+              </thead>
+              <tbody>
+                {sortedAdminItems.map(item => (
+                  <tr key={item._id} className={item.available ? '' : 'unavailable'}>
+                    <td>{item.name}</td>
+                    <td>{item.category}</td>
+                    <td>${item.price.toFixed(2)}</td>
+                    <td>
+                      <label className="toggle">
+                        <input type="checkbox" checked={item.available} disabled={item.offEverywhere} onChange={() => toggleAvailability(item)} />
+                        {item.available ? 'On menu' : "86'd"}
+                      </label>
+                    </td>
+                    <td className="admin-actions">
+                      {isChainManager && (
+                        <>
+                          <button onClick={() => openItemForm(item)} className="qty-btn admin-btn">Edit</button>
+                          <button onClick={() => deleteItem(item)} className="remove-btn">Delete</button>
+                        </>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            {isChainManager && (
+              <section className="admin-categories">
+                <h2>Categories</h2>
+                {adminCategories.map(category => (
+                  <div key={category.name} className="category-row">
+                    <span className="category-name">{category.name} ({category.itemCount})</span>
+                    <input
+                      type="text"
+                      placeholder="Rename to..."
+                      value={categoryEdits[category.name] || ''}
+                      onChange={(e) => setCategoryEdits({ ...categoryEdits, [category.name]: e.target.value })}
+                    />
+                    <button onClick={() => renameCategory(category.name)} className="qty-btn admin-btn">Rename</button>
+                  </div>
+                ))}
+              </section>
+            )}
+          </div>
+        )}
+
+        {currentPage === 'reports' && isManager && (
+          <div className="reports-page">
+            <div className="kitchen-header">
+              <h1>Sales Reports</h1>
+              <div className="report-range">
+                <StorePicker
+                  stores={staffStores}
+                  value={reportRange.store}
+                  onChange={(store) => setReportRange({ ...reportRange, store })}
+                  allLabel={staffStores.length < stores.length ? 'All my stores' : 'All stores'}
+                />
+                <label>
+                  From
+                  <input
+                    type="date"
+                    value={reportRange.from}
+                    max={reportRange.to}
+                    onChange={(e) => e.target.value && setReportRange({ ...reportRange, from: e.target.value })}
+                  />
+                </label>
+                <label>
+                  To
+                  <input
+                    type="date"
+                    value={reportRange.to}
+                    min={reportRange.from}
+                    onChange={(e) => e.target.value && setReportRange({ ...reportRange, to: e.target.value })}
+                  />
+                </label>
+                <button onClick={downloadReport} className="qty-btn admin-btn">Export CSV</button>
+              </div>
+            </div>
+            {reportError && <div className="error-message">{reportError}</div>}
+
+            {reports && (
+              <>
+                <div className="report-stats">
+                  {[
+                    ['Net sales', formatCurrency(reports.summary.netSales)],
+                    ['Orders', reports.summary.orders],
+                    ['Average ticket', formatCurrency(reports.summary.averageTicket)],
+                    ['Avg. time to ready', reports.summary.averagePrepMinutes === null ? '—' : `${reports.summary.averagePrepMinutes} min`],
+                    ['Cancelled', `${reports.summary.cancelled} (${(reports.summary.cancellationRate * 100).toFixed(1)}%)`]
+                  ].map(([label, value]) => (
+                    <div key={label} className="report-stat">
+                      <span className="report-stat-value">{value}</span>
+                      <span className="report-stat-label">{label}</span>
+                    </div>
+                  ))}
+                </div>
+
+                <section className="report-section">
+                  <h2>Net sales by day</h2>
+                  <BarChart
+                    series={reports.daily}
+                    valueKey="netSales"
+                    formatValue={formatCurrency}
+                    formatLabel={(period) => period.slice(5)}
+                  />
+                </section>
+
+                <section className="report-section">
+                  <h2>Orders by hour</h2>
+                  <BarChart
+                    series={reports.hourly}
+                    valueKey="orders"
+                    formatValue={(orders) => `${orders} order${orders === 1 ? '' : 's'}`}
+                    formatLabel={(period) => (Number(period.slice(0, 2)) % 3 === 0 ? period.slice(0, 2) : '')}
+                  />
+                </section>
+
+                <section className="report-section">
+                  <h2>Top sellers</h2>
+                  {reports.topItems.length === 0 ? (
+                    <p>No sales in this period.</p>
+                  ) : (
+                    <table className="admin-table">
+                      <thead>
+                        <tr><th>Item</th><th>Sold</th><th>Sales</th></tr>
+                      </thead>
+                      <tbody>
+                        {reports.topItems.map(item => (
+                          <tr key={item.menuItem || item.name}>
+                            <td>{item.name}</td>
+                            <td>{item.quantity}</td>
+                            <td>{formatCurrency(item.sales)}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  )}
+                </section>
+
+                {/* not tied to the date range: carts expire, so this is always what's left right now */}
+                <section className="report-section">
+                  <h2>Abandoned carts</h2>
+                  <p>
+                    {reports.abandoned.carts} cart{reports.abandoned.carts === 1 ? '' : 's'} worth {formatCurrency(reports.abandoned.value)} untouched
+                    for over {reports.abandoned.idleMinutes} minutes.
+                  </p>
+                  {reports.abandoned.items.length > 0 && (
+                    <table className="admin-table">
+                      <thead>
+                        <tr><th>Item left behind</th><th>Units</th><th>Carts</th><th>Value</th></tr>
+                      </thead>
+                      <tbody>
+                        {reports.abandoned.items.map(item => (
+                          <tr key={item.menuItem || item.name}>
+                            <td>{item.name}</td>
+                            <td>{item.quantity}</td>
+                            <td>{item.carts}</td>
+                            <td>{formatCurrency(item.value)}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  )}
+                </section>
+              </>
+            )}
+          </div>
+        )}
+
         {currentPage === 'about' && (
           <div className="about-page">
             <h1>About In-N-Out Burger</h1>
@@ -280,15 +1946,29 @@ const App = () => {
         {currentPage === 'contact' && (
           <div className="contact-page">
             <h1>Contact Us</h1>
+            <StorePicker stores={stores} value={storeHours.key} onChange={chooseStore} />
+            {storeNotice && <div className="error-message">{storeNotice}</div>}
+            <div className="store-details">
+              <div>
+                <h2>{storeHours.name || 'In-N-Out Burger'}</h2>
+                {formatAddress(storeHours.address).map(line => <p key={line}>{line}</p>)}
+                {storeHours.phone && <p><a href={`tel:${storeHours.phone}`}>{storeHours.phone}</a></p>}
+              </div>
+              <div>
+                {summarizeHours(storeHours.hours).map(line => <p key={line}>{line}</p>)}
+              </div>
+            </div>
             <div className="map-container">
               <iframe
-                src="https://www.google.com/maps/embed?pb=!1m18!1m12!1m3!1d3301.123456789!2d-118.2437!3d34.0522!2m3!1f0!2f0!3f0!3m2!1i1024!2i768!4f13.1!3m3!1m2!1s0x80c2c1234567890%3A0xabcdef123456!2sIn-N-Out+Burger!5e0!3m2!1sen!2sus!4v1690000000000!5m2!1sen!2sus"
+                src={`https://maps.google.com/maps?q=${storeHours.location && storeHours.location.lat !== undefined
+                  ? `${storeHours.location.lat},${storeHours.location.lng}`
+                  : encodeURIComponent([storeHours.name || 'In-N-Out Burger', ...formatAddress(storeHours.address)].join(', '))}&z=15&output=embed`}
                 width="100%"
                 height="400"
                 style={{ border: 0 }}
                 allowFullScreen=""
                 loading="lazy"
-                title="Location Map"
+                title={`Map to ${storeHours.name || 'In-N-Out Burger'}`}
               />
             </div>
             <div className="contact-form">
@@ -321,14 +2001,146 @@ const App = () => {
             <a href="https://twitter.com" target="_blank" rel="noopener noreferrer">Twitter</a>
           </div>
           <div className="business-hours">
-            <p><strong>Business Hours:</strong></p>
-            <p>Mon-Fri: 10:00 AM – 10:00 PM</p>
-            <p>Sat-Sun: 11:00 AM – 11:00 PM</p>
+            <p><strong>{stores.length > 1 ? `${storeHours.name} Hours:` : 'Business Hours:'}</strong></p>
+            {summarizeHours(storeHours.hours).map(line => <p key={line}>{line}</p>)}
           </div>
           <p>&copy; 2025 In-N-Out Burger. All rights reserved.</p>
+          <button onClick={() => setCurrentPage('kitchen')} className="staff-link">Staff</button>
         </div>
       </footer>
 
+      {/* Menu Item Form Modal */}
+      {itemForm && (
+        <div className="modal-overlay" onClick={() => setItemForm(null)}>
+          <form className="modal-content" onClick={(e) => e.stopPropagation()} onSubmit={saveItem} noValidate>
+            <div className="modal-header">
+              <h2>{editingItemId ? 'Edit Item' : 'New Item'}</h2>
+              <button type="button" onClick={() => setItemForm(null)} className="close-btn">✕</button>
+            </div>
+
+            <div className="customize-groups">
+              {[['name', 'Name'], ['price', 'Price'], ['imageUrl', 'Image URL']].map(([field, label]) => (
+                <div key={field} className="form-group">
+                  <label htmlFor={`item-${field}`}>{label}:</label>
+                  <input
+                    id={`item-${field}`}
+                    type="text"
+                    value={itemForm[field]}
+                    onChange={(e) => setItemForm({ ...itemForm, [field]: e.target.value })}
+                  />
+                  {itemFormErrors[field] && <div className="field-error">{itemFormErrors[field]}</div>}
+                </div>
+              ))}
+              {itemForm.imageUrl && !itemFormErrors.imageUrl && (
+                <img src={itemForm.imageUrl} alt="Preview" className="image-preview" />
+              )}
+              <div className="form-group">
+                <label htmlFor="item-description">Description:</label>
+                <textarea
+                  id="item-description"
+                  rows="3"
+                  value={itemForm.description}
+                  onChange={(e) => setItemForm({ ...itemForm, description: e.target.value })}
+                />
+                {itemFormErrors.description && <div className="field-error">{itemFormErrors.description}</div>}
+              </div>
+              <div className="form-group">
+                <label htmlFor="item-category">Category:</label>
+                <input
+                  id="item-category"
+                  type="text"
+                  list="admin-categories"
+                  value={itemForm.category}
+                  onChange={(e) => setItemForm({ ...itemForm, category: e.target.value })}
+                />
+                <datalist id="admin-categories">
+                  {adminCategories.map(category => <option key={category.name} value={category.name} />)}
+                </datalist>
+              </div>
+              <label className="modifier-option">
+                <input
+                  type="checkbox"
+                  checked={itemForm.available}
+                  onChange={(e) => setItemForm({ ...itemForm, available: e.target.checked })}
+                />
+                Available on the menu
+              </label>
+            </div>
+
+            <div className="cart-footer">
+              <button type="submit" className="checkout-btn">Save</button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      {/* Customization Modal */}
+      {customizingItem && (
+        <div className="modal-overlay" onClick={() => setCustomizingItem(null)}>
+          <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+            <div className="modal-header">
+              <h2>{customizingItem.name}</h2>
+              <button onClick={() => setCustomizingItem(null)} className="close-btn">✕</button>
+            </div>
+
+            <div className="customize-groups">
+              {customizingItem.modifierGroups.map(group => {
+                const selected = selectedOptions[group.name] || [];
+                return (
+                  <fieldset key={group.name} className="modifier-group">
+                    <legend>
+                      {group.name}
+                      <span className="modifier-rule">
+                        {group.selection === 'single'
+                          ? (group.min > 0 ? 'Required' : 'Optional')
+                          : `Choose up to ${group.max}`}
+                      </span>
+                    </legend>
+                    {group.options.map(option => (
+                      <label key={option.name} className="modifier-option">
+                        <input
+                          type={group.selection === 'single' ? 'radio' : 'checkbox'}
+                          name={group.name}
+                          checked={selected.includes(option.name)}
+                          disabled={group.selection === 'multi' && !selected.includes(option.name) && selected.length >= group.max}
+                          onChange={() => toggleOption(group, option.name)}
+                          onClick={() => {
+                            // radios can't be unchecked natively, allow it for optional groups
+                            if (group.selection === 'single' && group.min === 0 && selected.includes(option.name)) {
+                              toggleOption(group, option.name);
+                            }
+                          }}
+                        />
+                        <span>{option.name}</span>
+                        {option.priceDelta > 0 && (
+                          <span className="modifier-price">+${option.priceDelta.toFixed(2)}</span>
+                        )}
+                      </label>
+                    ))}
+                  </fieldset>
+                );
+              })}
+            </div>
+
+            <div className="cart-footer">
+              <div className="cart-total">
+                ${(customizingItem.price + getSelectedModifiers(customizingItem).reduce((sum, m) => sum + m.priceDelta, 0)).toFixed(2)}
+              </div>
+              <button
+                onClick={() => {
+                  addToCart(customizingItem, getSelectedModifiers(customizingItem));
+                  setCustomizingItem(null);
+                }}
+                disabled={!isCustomizationValid(customizingItem)}
+                className="checkout-btn"
+              >
+                Add to Cart
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Cart Modal */}
       {isCartOpen && (
         <div className="modal-overlay" onClick={() => setIsCartOpen(false)}>
@@ -343,21 +2155,28 @@ const App = () => {
               </div>
             </div>
 
+            {cartError && <div className="error-message">{cartError}</div>}
+
             <div className="cart-items">
               {cart.length === 0 ? (
                 <div className="empty-cart">Your cart is empty</div>
               ) : (
-                cart.map((item, idx) => (
-                  <div key={idx} className="cart-item">
+                cart.map((item) => (
+                  <div key={item._id} className="cart-item">
                     <div className="cart-item-info">
                       <div className="cart-item-name">{item.name}</div>
+                      {item.modifiers && item.modifiers.length > 0 && (
+                        <div className="cart-item-modifiers">
+                          {item.modifiers.map(m => m.option).join(', ')}
+                        </div>
+                      )}
                       <div className="cart-item-price">${item.price.toFixed(2)} each</div>
                     </div>
                     <div className="cart-item-controls">
-                      <button onClick={() => updateQuantity(item.name, -1)} className="qty-btn">−</button>
+                      <button onClick={() => updateQuantity(item, -1)} className="qty-btn">−</button>
                       <span className="quantity">{item.quantity}</span>
-                      <button onClick={() => updateQuantity(item.name, 1)} className="qty-btn">+</button>
-                      <button onClick={() => removeFromCart(item.name)} className="remove-btn">Remove</button>
+                      <button onClick={() => updateQuantity(item, 1)} className="qty-btn">+</button>
+                      <button onClick={() => removeFromCart(item)} className="remove-btn">Remove</button>
                     </div>
                   </div>
                 ))
@@ -366,8 +2185,40 @@ const App = () => {
 
             {cart.length > 0 && (
               <div className="cart-footer">
-                <div className="cart-total">Total: ${totalPrice.toFixed(2)}</div>
-                <button onClick={checkout} className="checkout-btn">
+                {appliedPromo ? (
+                  <div className="promo-applied">
+                    <span>
+                      <strong>{appliedPromo.code}</strong>
+                      {appliedPromo.pricing.discounts[0] && ` · ${appliedPromo.pricing.discounts[0].description}`}
+                    </span>
+                    <button onClick={removePromoCode} className="remove-btn">Remove</button>
+                  </div>
+                ) : (
+                  <form
+                    className="promo-form"
+                    onSubmit={(e) => {
+                      e.preventDefault();
+                      if (promoInput.trim()) applyPromoCode(promoInput.trim());
+                    }}
+                  >
+                    <input
+                      type="text"
+                      placeholder="Promo code"
+                      value={promoInput}
+                      onChange={(e) => setPromoInput(e.target.value)}
+                    />
+                    <button type="submit" className="qty-btn admin-btn">Apply</button>
+                  </form>
+                )}
+                {promoError && <div className="field-error">{promoError}</div>}
+                <div className="cart-total">Subtotal: ${totalPrice.toFixed(2)}</div>
+                {appliedPromo && (
+                  <div className="cart-total cart-discount">
+                    Discount: −${appliedPromo.pricing.discountTotal.toFixed(2)}
+                  </div>
+                )}
+                <div className="cart-tax-note">Tax is calculated at checkout</div>
+                <button onClick={startCheckout} className="checkout-btn">
                   Proceed to Checkout
                 </button>
               </div>